@@ -0,0 +1,105 @@
+// app/api/agent/events/route.js
+// Server-Sent Events stream of agent run events
+
+import { NextResponse } from "next/server";
+import { getAgentEventStream } from "../../../../lib/AgentEventStream";
+
+export const dynamic = "force-dynamic";
+
+const HEARTBEAT_INTERVAL = 15 * 1000; // 15 seconds
+const RECONNECT_DELAY = 3000; // Suggested client retry delay
+
+export async function GET(request) {
+  const { searchParams } = request.nextUrl;
+  const sessionId = searchParams.get("sessionId") || searchParams.get("taskId");
+
+  if (!sessionId) {
+    return NextResponse.json(
+      {
+        success: false,
+        message: "sessionId is required",
+      },
+      { status: 400 }
+    );
+  }
+
+  // EventSource sends Last-Event-ID automatically when it reconnects;
+  // the query parameter covers clients that open a new EventSource manually
+  const lastEventId =
+    request.headers.get("last-event-id") || searchParams.get("lastEventId");
+
+  const eventStream = getAgentEventStream();
+
+  // A finished run with nothing left to replay: 204 tells EventSource to stop reconnecting
+  if (
+    eventStream.isClosed(sessionId) &&
+    Number(lastEventId) >= eventStream.getLastEventId(sessionId)
+  ) {
+    return new Response(null, { status: 204 });
+  }
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      let heartbeat = null;
+      let unsubscribe = () => {};
+
+      const send = (text) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch (error) {
+          cleanup();
+        }
+      };
+
+      cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        try {
+          controller.close();
+        } catch (error) {
+          // Stream already closed
+        }
+      };
+
+      send(`retry: ${RECONNECT_DELAY}\n\n`);
+
+      unsubscribe = eventStream.subscribe(
+        sessionId,
+        (event) => {
+          send(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+
+          // Let the client know nothing else will follow
+          if (event.type === "completed") {
+            setTimeout(cleanup, 0);
+          }
+        },
+        { lastEventId }
+      );
+
+      heartbeat = setInterval(() => {
+        send(`: heartbeat ${Date.now()}\n\n`);
+      }, HEARTBEAT_INTERVAL);
+
+      request.signal.addEventListener("abort", cleanup);
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    },
+  });
+}
@@ -1,37 +1,310 @@
 // app/api/agent/route.js
 
+import fs from "fs";
+import path from "path";
 import { NextResponse } from "next/server";
 import AutonomousAgent from "../../../lib/AutonomousAgent";
 
-// Store agent instances in a Map to handle multiple tasks
-const agents = new Map();
-// Store task data
-const tasks = new Map();
-
-// Handle cleanup of idle agents
-setInterval(
-  () => {
-    const now = Date.now();
-    // Clean up tasks older than 30 minutes
-    for (const [taskId, taskData] of tasks.entries()) {
-      if (now - taskData.lastActivity > 30 * 60 * 1000) {
-        const agent = agents.get(taskData.agentId);
-        if (agent) {
-          agent.cleanup().catch(console.error);
-          agents.delete(taskData.agentId);
-        }
-        tasks.delete(taskId);
+import connectToDatabase from "../../../lib/mongodb";
+import AgentTask, { IN_FLIGHT_STATUSES } from "../../../models/AgentTask";
+import { getBillingAccount, recordUsage } from "../../../lib/usageTracking";
+import EditJournal from "../../../lib/EditJournal";
+import WorkspaceSnapshots from "../../../lib/WorkspaceSnapshots";
+
+// Agent instances live in this process only; keep them on `global` so a
+// dev-server hot reload does not drop agents that are still running
+if (!global.__AGENT_INSTANCES__) {
+  global.__AGENT_INSTANCES__ = new Map();
+}
+const agents = global.__AGENT_INSTANCES__;
+
+// Identifies this server process; tasks owned by another boot are orphans
+if (!global.__AGENT_BOOT_ID__) {
+  global.__AGENT_BOOT_ID__ = `${process.pid}-${Date.now()}`;
+}
+const BOOT_ID = global.__AGENT_BOOT_ID__;
+
+// Editor changes of all agents, so a task resumed on another agent keeps its
+// history; AGENT_EDIT_JOURNAL_DIR persists it across restarts
+if (!global.__AGENT_EDIT_JOURNAL__) {
+  global.__AGENT_EDIT_JOURNAL__ = new EditJournal({
+    journalDir: process.env.AGENT_EDIT_JOURNAL_DIR,
+  });
+}
+const editJournal = global.__AGENT_EDIT_JOURNAL__;
+
+// Agents work in their own directory, never in the app itself, so editing,
+// snapshotting and restoring cannot touch the app's source or secrets
+const AGENT_WORKSPACE_DIR = path.resolve(
+  process.env.AGENT_WORKSPACE_DIR || path.join(process.cwd(), "agent-workspace")
+);
+fs.mkdirSync(AGENT_WORKSPACE_DIR, { recursive: true });
+
+// All agents work in the same directory, so they share one snapshot history
+if (!global.__AGENT_SNAPSHOTS__) {
+  global.__AGENT_SNAPSHOTS__ = new WorkspaceSnapshots({
+    projectRoot: AGENT_WORKSPACE_DIR,
+  });
+}
+const workspaceSnapshots = global.__AGENT_SNAPSHOTS__;
+
+// How often a running task refreshes lastActivity
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// How often tasks orphaned by other processes are looked for; a task only
+// counts as orphaned once it has been idle for a while, so this repeats
+const RECOVERY_INTERVAL = 60 * 1000;
+
+// Agents without task activity for this long are cleaned up (closing their
+// browser) and dropped, checked every SWEEP_INTERVAL
+const AGENT_IDLE_TIMEOUT = 30 * 60 * 1000;
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+
+// Statuses from which a task can be resumed from its checkpoint
+const RESUMABLE_STATUSES = ["stopped", "error", "interrupted"];
+
+// Agent checkpoints are stored on the task record so they survive restarts
+const checkpointStore = {
+  async save(taskId, checkpoint) {
+    await AgentTask.updateOne({ taskId }, { $set: { checkpoint } });
+  },
+  async load(taskId) {
+    const taskDoc = await AgentTask.findOne({ taskId }, { checkpoint: 1 });
+    return taskDoc ? taskDoc.checkpoint : null;
+  },
+};
+
+/**
+ * Connect to the database and, at most once per RECOVERY_INTERVAL, mark
+ * tasks orphaned by a previous process as interrupted
+ */
+async function ensureTaskStore() {
+  await connectToDatabase();
+
+  const lastRecovery = global.__AGENT_TASKS_RECOVERED_AT__ || 0;
+  if (Date.now() - lastRecovery >= RECOVERY_INTERVAL) {
+    global.__AGENT_TASKS_RECOVERED_AT__ = Date.now();
+    try {
+      const result = await AgentTask.markInterrupted(BOOT_ID);
+      if (result.modifiedCount > 0) {
+        console.log(
+          `Marked ${result.modifiedCount} orphaned agent task(s) as interrupted`
+        );
       }
+    } catch (error) {
+      global.__AGENT_TASKS_RECOVERED_AT__ = 0;
+      console.error("Failed to recover orphaned agent tasks:", error);
     }
-  },
-  10 * 60 * 1000
-); // Check every 10 minutes
+  }
+}
+
+/**
+ * Clean up agents that are not running and whose tasks have had no activity
+ * for AGENT_IDLE_TIMEOUT. Agents that never started a task are idle from
+ * their creation (agent IDs are creation timestamps).
+ */
+async function sweepIdleAgents() {
+  const cutoff = new Date(Date.now() - AGENT_IDLE_TIMEOUT);
+
+  for (const [agentId, agent] of agents) {
+    if (agent.isRunning || Number(agentId) >= cutoff.getTime()) continue;
+
+    const active = await AgentTask.exists({
+      agentId,
+      $or: [
+        { status: { $in: IN_FLIGHT_STATUSES } },
+        { lastActivity: { $gte: cutoff } },
+      ],
+    });
+    if (active) continue;
+
+    agents.delete(agentId);
+    agent.cleanup().catch((error) => {
+      console.error(`Failed to clean up idle agent ${agentId}:`, error);
+    });
+  }
+}
+
+// One sweeper per process, also across dev-server hot reloads
+if (!global.__AGENT_SWEEPER__) {
+  global.__AGENT_SWEEPER__ = setInterval(() => {
+    ensureTaskStore()
+      .then(sweepIdleAgents)
+      .catch((error) => console.error("Failed to sweep idle agents:", error));
+  }, SWEEP_INTERVAL);
+  global.__AGENT_SWEEPER__.unref?.();
+}
+
+/**
+ * Persist changes to a task, never throwing into the agent loop.
+ * With `inFlightOnly`, a task that already finished or was stopped is left untouched.
+ */
+async function updateTask(taskId, fields, { inFlightOnly = false } = {}) {
+  const filter = inFlightOnly
+    ? { taskId, status: { $in: IN_FLIGHT_STATUSES } }
+    : { taskId };
+
+  try {
+    return await AgentTask.findOneAndUpdate(
+      filter,
+      { $set: { ...fields, lastActivity: new Date() } },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`Failed to update agent task ${taskId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * HTTP status for a failed snapshot lookup
+ */
+function snapshotErrorStatus(error) {
+  if (error.message.startsWith("Invalid snapshot")) return 400;
+  if (error.message.startsWith("Snapshot not found")) return 404;
+  return 500;
+}
+
+/**
+ * Shape a stored task for API responses
+ */
+function serializeTask(taskDoc) {
+  const taskData = taskDoc.toObject ? taskDoc.toObject() : taskDoc;
+  const { _id, __v, bootId, checkpoint, ...rest } = taskData;
+  return {
+    ...rest,
+    checkpointIteration: checkpoint ? checkpoint.iteration : null,
+    resumable: !!checkpoint && RESUMABLE_STATUSES.includes(rest.status),
+  };
+}
+
+/**
+ * Find who a task run is billed to. Runs need a workspace whose owner has a
+ * positive balance; usage is never billed to a user ID from the request.
+ * @returns {Promise<Object>} - { owner: { userId, workspaceId } }, or
+ *   { error } holding the response to return instead
+ */
+async function resolveTaskOwner(workspaceId) {
+  if (!workspaceId) {
+    return {
+      error: NextResponse.json(
+        {
+          success: false,
+          message: "workspaceId is required; agent runs are billed to the workspace owner",
+        },
+        { status: 400 }
+      ),
+    };
+  }
+
+  const account = await getBillingAccount(workspaceId);
+  if (!account) {
+    return {
+      error: NextResponse.json(
+        { success: false, message: "Workspace not found" },
+        { status: 404 }
+      ),
+    };
+  }
+
+  if (account.balance <= 0) {
+    return {
+      error: NextResponse.json(
+        { success: false, message: "Insufficient tokens" },
+        { status: 402 }
+      ),
+    };
+  }
+
+  return { owner: { userId: account.userId, workspaceId: String(workspaceId) } };
+}
+
+/**
+ * Persist progress and the outcome of a started or resumed task run.
+ * Token usage is recorded per LLM request and billed to `owner.userId`.
+ */
+function trackTaskRun(agent, taskId, run, owner = {}) {
+  agent.onUsage = (usage) => {
+    recordUsage({
+      userId: owner.userId,
+      workspaceId: owner.workspaceId,
+      taskId,
+      source: "agent",
+      provider: usage.provider,
+      model: usage.model,
+      usage,
+    });
+  };
+
+  // Persist progress as the agent reports it
+  agent.onProgress = (data) => {
+    updateTask(
+      taskId,
+      {
+        status: "running",
+        ...(data.progress !== undefined && { progress: data.progress }),
+        ...(data.message && { message: data.message }),
+        iterations: agent.currentIteration,
+        usage: agent.usage,
+        history: agent.getTaskHistory(),
+      },
+      { inFlightOnly: true }
+    );
+  };
+
+  // Keep lastActivity fresh during long tool calls so the task is
+  // not mistaken for an orphan by another process
+  const heartbeat = setInterval(() => {
+    updateTask(
+      taskId,
+      { iterations: agent.currentIteration },
+      { inFlightOnly: true }
+    );
+  }, HEARTBEAT_INTERVAL);
+
+  run()
+    .then(async (result) => {
+      clearInterval(heartbeat);
+      const stored = await AgentTask.findOne({ taskId });
+
+      // A stopped task keeps its status
+      await updateTask(taskId, {
+        result,
+        status:
+          result.stopped || stored?.status === "stopped" ? "stopped" : "completed",
+        progress: result.success ? 100 : stored?.progress || 0,
+        message: result.message,
+        iterations: result.iterations,
+        usage: agent.usage,
+        history: agent.getTaskHistory(),
+      });
+    })
+    .catch(async (error) => {
+      clearInterval(heartbeat);
+      console.error("Task error:", error);
+      await updateTask(taskId, {
+        error: {
+          message: error.message,
+          stack: error.stack,
+        },
+        status: "error",
+        message: error.message,
+        iterations: agent.currentIteration,
+        usage: agent.usage,
+        history: agent.getTaskHistory(),
+      });
+    });
+}
 
 export async function POST(request) {
   try {
     const body = await request.json();
     const { action, apiKey, task, taskId } = body;
 
+    if (action !== "initialize") {
+      await ensureTaskStore();
+    }
+
     // Handle different actions in a single POST function
     switch (action) {
       case "initialize":
@@ -41,38 +314,29 @@ export async function POST(request) {
           const agent = new AutonomousAgent();
           const agentId = Date.now().toString();
 
-          // Store progress data
-          let progressData = [];
-
           // Initialize the agent
           console.log(
             "Initializing agent with API key:",
             apiKey ? "API key provided" : "No API key"
           );
+          // Task progress is persisted per task when it starts
           const result = await agent.initialize(
             apiKey,
             {
-              onProgress: (data) => {
-                progressData.push(data);
-              },
-              onComplete: (data) => {
-                if (tasks.has(agentId)) {
-                  tasks.get(agentId).result = data;
-                  tasks.get(agentId).status = "completed";
-                  tasks.get(agentId).lastActivity = Date.now();
-                }
-              },
               onError: (error) => {
                 console.error("Agent error callback:", error);
-                if (tasks.has(agentId)) {
-                  tasks.get(agentId).error = error;
-                  tasks.get(agentId).status = "error";
-                  tasks.get(agentId).lastActivity = Date.now();
-                }
               },
             },
             {
               debugMode: true, // Enable debug mode for more detailed logs
+              projectRoot: AGENT_WORKSPACE_DIR,
+              checkpointStore,
+              editJournal,
+              workspaceSnapshots,
+              // LLM provider for the agent loop (defaults to Anthropic)
+              provider: body.provider,
+              apiEndpoint: body.apiEndpoint,
+              model: body.model,
             }
           );
 
@@ -117,27 +381,36 @@ export async function POST(request) {
             );
           }
 
-          // Create a new task entry
-          tasks.set(newTaskId, {
-            agentId,
-            task,
-            status: "starting",
-            progress: 0,
-            history: [
+          if (agent.isRunning) {
+            return NextResponse.json(
               {
-                role: "user",
-                content: task,
-                timestamp: new Date().toISOString(),
+                success: false,
+                message: "Agent is already running a task",
               },
-            ],
-            lastActivity: Date.now(),
-          });
+              { status: 409 }
+            );
+          }
+
+          const { owner, error: billingError } = await resolveTaskOwner(
+            body.workspaceId
+          );
+          if (billingError) return billingError;
 
           // Start the task asynchronously with custom configuration
+          const sessionId = body.sessionId || newTaskId;
           const taskOptions = {
+            taskId: newTaskId, // Checkpoints are saved under the task ID
+            sessionId, // Events are streamed from /api/agent/events?sessionId=...
             maxIterations: 30, // Increase iterations for complex tasks
+            // Rules that skip approval for this task, e.g. [{ name: "bash" }]
+            autoApprove: Array.isArray(body.autoApprove) ? body.autoApprove : [],
             debugMode: true, // Enable debug mode
-            model: "claude-3-5-sonnet-20241022", // Explicitly set the model
+            // Explicitly set the model (other providers keep their configured model)
+            model:
+              body.model ||
+              (agent.config.provider === "anthropic"
+                ? "claude-3-5-sonnet-20241022"
+                : undefined),
             systemPrompt: `You are Frodo, an elite autonomous web development assistant that creates visually stunning, modern websites with React, Next.js, and Tailwind CSS. You excel at:
 
 1. Creating exceptional UI/UX designs that are visually striking and intuitive
@@ -160,36 +433,38 @@ then create high-quality React components using Tailwind CSS. Create complete, w
 that's ready to be used.`,
           };
 
+          // Create the persistent task record
+          await AgentTask.create({
+            taskId: newTaskId,
+            agentId,
+            sessionId,
+            ...owner,
+            task,
+            status: "starting",
+            progress: 0,
+            maxIterations: taskOptions.maxIterations,
+            history: [
+              {
+                role: "user",
+                content: task,
+                timestamp: new Date().toISOString(),
+              },
+            ],
+            bootId: BOOT_ID,
+          });
+
           console.log("Starting task with options:", taskOptions);
-          agent
-            .startTask(task, taskOptions)
-            .then((result) => {
-              // Update task data
-              if (tasks.has(newTaskId)) {
-                tasks.get(newTaskId).result = result;
-                tasks.get(newTaskId).status = "completed";
-                tasks.get(newTaskId).progress = 100;
-                tasks.get(newTaskId).history = agent.getTaskHistory();
-                tasks.get(newTaskId).lastActivity = Date.now();
-              }
-            })
-            .catch((error) => {
-              console.error("Task error:", error);
-              // Update task error
-              if (tasks.has(newTaskId)) {
-                tasks.get(newTaskId).error = {
-                  message: error.message,
-                  stack: error.stack,
-                };
-                tasks.get(newTaskId).status = "error";
-                tasks.get(newTaskId).history = agent.getTaskHistory();
-                tasks.get(newTaskId).lastActivity = Date.now();
-              }
-            });
+          trackTaskRun(
+            agent,
+            newTaskId,
+            () => agent.startTask(task, taskOptions),
+            owner
+          );
 
           return NextResponse.json({
             success: true,
             taskId: newTaskId,
+            sessionId,
             message: "Task started",
           });
         } catch (startError) {
@@ -203,9 +478,11 @@ that's ready to be used.`,
           );
         }
 
-      case "status":
+      case "status": {
         // Get task status
-        if (!taskId || !tasks.has(taskId)) {
+        const taskData = taskId ? await AgentTask.findOne({ taskId }) : null;
+
+        if (!taskData) {
           return NextResponse.json(
             {
               success: false,
@@ -215,28 +492,391 @@ that's ready to be used.`,
           );
         }
 
-        const taskData = tasks.get(taskId);
-
-        // If task is running, update history from agent
-        if (taskData.status === "running") {
-          const agent = agents.get(taskData.agentId);
-          if (agent) {
-            taskData.history = agent.getTaskHistory();
-            taskData.status = agent.isRunning ? "running" : "completed";
-            taskData.progress =
-              (agent.currentIteration / agent.maxIterations) * 100;
-            taskData.lastActivity = Date.now();
-          }
+        // Approvals only exist in the process running the task
+        const statusAgent = agents.get(taskData.agentId);
+
+        return NextResponse.json({
+          success: true,
+          status: serializeTask(taskData),
+          pendingApprovals: statusAgent?.approvalGate
+            ? statusAgent.approvalGate.listPending(taskId)
+            : [],
+        });
+      }
+
+      case "approve": {
+        // Decide a tool call waiting for approval
+        const { approvalId, decision } = body;
+        const approvalTaskData = taskId
+          ? await AgentTask.findOne({ taskId })
+          : null;
+
+        if (!approvalTaskData || !approvalId) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Task and approval ID are required",
+            },
+            { status: 400 }
+          );
+        }
+
+        const agent = agents.get(approvalTaskData.agentId);
+
+        if (!agent) {
+          return NextResponse.json(
+            {
+              success: false,
+              message:
+                approvalTaskData.bootId !== BOOT_ID
+                  ? "Task is owned by another server process"
+                  : "Agent not found",
+            },
+            { status: 409 }
+          );
+        }
+
+        const pendingApproval = agent.approvalGate
+          ? agent.approvalGate
+              .listPending(taskId)
+              .find((request) => request.approvalId === approvalId)
+          : null;
+
+        if (!pendingApproval) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Approval is no longer pending",
+            },
+            { status: 404 }
+          );
+        }
+
+        try {
+          agent.resolveApproval(approvalId, {
+            decision,
+            input: body.input,
+            reason: body.reason,
+            remember: !!body.remember,
+          });
+        } catch (decisionError) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: decisionError.message,
+            },
+            { status: 400 }
+          );
+        }
+
+        return NextResponse.json({
+          success: true,
+          approvalId,
+          decision,
+        });
+      }
+
+      case "edits": {
+        // Files the task changed, with a diff per iteration
+        const editsTaskData = taskId
+          ? await AgentTask.findOne({ taskId }, { taskId: 1 })
+          : null;
+
+        if (!editsTaskData) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Task not found",
+            },
+            { status: 400 }
+          );
+        }
+
+        const files = editJournal
+          .getChanges(taskId)
+          .map(({ before, after, ...change }) => change);
+
+        return NextResponse.json({
+          success: true,
+          taskId,
+          iterations: editJournal.getIterationDiffs(taskId),
+          files,
+        });
+      }
+
+      case "rollback": {
+        // Restore the files a task edited to their content before the task
+        const rollbackTaskData = taskId
+          ? await AgentTask.findOne({ taskId })
+          : null;
+
+        if (!rollbackTaskData) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Task not found",
+            },
+            { status: 400 }
+          );
+        }
+
+        if (IN_FLIGHT_STATUSES.includes(rollbackTaskData.status)) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Stop the task before rolling it back",
+            },
+            { status: 409 }
+          );
+        }
+
+        // Any agent can restore the files; they share the journal
+        const agent =
+          agents.get(rollbackTaskData.agentId) ||
+          agents.get(body.agentId) ||
+          Array.from(agents.values())[0];
+
+        if (!agent) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Agent not found. Please initialize first.",
+            },
+            { status: 400 }
+          );
+        }
+
+        try {
+          const rollback = await agent.rollbackTask(taskId);
+
+          return NextResponse.json({
+            success: rollback.failed.length === 0,
+            taskId,
+            ...rollback,
+            message: `Restored ${rollback.restored.length} file(s)${
+              rollback.failed.length ? `, ${rollback.failed.length} failed` : ""
+            }`,
+          });
+        } catch (rollbackError) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: rollbackError.message,
+            },
+            { status: 409 }
+          );
         }
+      }
+
+      case "snapshots": {
+        // Workspace snapshots, newest first, optionally of one task
+        const snapshots = await workspaceSnapshots.list({
+          taskId,
+          limit: body.limit,
+        });
 
         return NextResponse.json({
           success: true,
-          status: taskData,
+          snapshots,
         });
+      }
+
+      case "diff": {
+        // Changes between two snapshots (IDs or task tags)
+        if (!body.from) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Snapshot to diff from is required",
+            },
+            { status: 400 }
+          );
+        }
+
+        try {
+          const diff = await workspaceSnapshots.diff(body.from, body.to);
+
+          return NextResponse.json({
+            success: true,
+            ...diff,
+          });
+        } catch (diffError) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: diffError.message,
+            },
+            { status: snapshotErrorStatus(diffError) }
+          );
+        }
+      }
+
+      case "restore": {
+        // Put the workspace back to a snapshot
+        if (!body.snapshotId) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Snapshot ID is required",
+            },
+            { status: 400 }
+          );
+        }
+
+        if (Array.from(agents.values()).some((agent) => agent.isRunning)) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Cannot restore a snapshot while a task is running",
+            },
+            { status: 409 }
+          );
+        }
+
+        try {
+          const restore = await workspaceSnapshots.restore(body.snapshotId, {
+            taskId,
+          });
+
+          return NextResponse.json({
+            success: true,
+            ...restore,
+            message: `Restored snapshot ${restore.restored.shortId}`,
+          });
+        } catch (restoreError) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: restoreError.message,
+            },
+            { status: snapshotErrorStatus(restoreError) }
+          );
+        }
+      }
+
+      case "resume": {
+        // Resume an interrupted task from its last checkpoint
+        const resumeTaskData = taskId
+          ? await AgentTask.findOne({ taskId })
+          : null;
+
+        if (!resumeTaskData) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Task not found",
+            },
+            { status: 400 }
+          );
+        }
 
-      case "stop":
+        if (!RESUMABLE_STATUSES.includes(resumeTaskData.status)) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: `Task cannot be resumed (status: ${resumeTaskData.status})`,
+            },
+            { status: 409 }
+          );
+        }
+
+        if (!resumeTaskData.checkpoint) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Task has no checkpoint to resume from",
+            },
+            { status: 409 }
+          );
+        }
+
+        // Resume on the task's own agent. After a restart that agent is gone
+        // and the caller must name an agent it initialized; another caller's
+        // agent (provider, API key, session) is never picked implicitly.
+        const agentId = agents.has(resumeTaskData.agentId)
+          ? resumeTaskData.agentId
+          : body.agentId;
+        const agent = agentId ? agents.get(agentId) : null;
+
+        if (!agent) {
+          return NextResponse.json(
+            {
+              success: false,
+              message:
+                "The task's agent is no longer available. Initialize an agent and pass its agentId to resume.",
+            },
+            { status: 409 }
+          );
+        }
+
+        if (agent.isRunning) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Agent is already running a task",
+            },
+            { status: 409 }
+          );
+        }
+
+        // Tasks started before runs required a workspace take the caller's
+        const { owner, error: billingError } = await resolveTaskOwner(
+          resumeTaskData.workspaceId || body.workspaceId
+        );
+        if (billingError) return billingError;
+
+        // Claim the task for this process
+        const claimed = await AgentTask.findOneAndUpdate(
+          { taskId, status: { $in: RESUMABLE_STATUSES } },
+          {
+            $set: {
+              agentId,
+              status: "starting",
+              message: `Resuming from iteration ${resumeTaskData.checkpoint.iteration}`,
+              error: null,
+              result: null,
+              bootId: BOOT_ID,
+              lastActivity: new Date(),
+              ...owner,
+            },
+          },
+          { new: true }
+        );
+
+        if (!claimed) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Task is already being resumed",
+            },
+            { status: 409 }
+          );
+        }
+
+        const sessionId = claimed.sessionId || taskId;
+        trackTaskRun(
+          agent,
+          taskId,
+          () => agent.resumeTask(taskId, { sessionId }),
+          owner
+        );
+
+        return NextResponse.json({
+          success: true,
+          taskId,
+          sessionId,
+          iteration: resumeTaskData.checkpoint.iteration,
+          message: "Task resumed",
+        });
+      }
+
+      case "stop": {
         // Stop a task
-        if (!taskId || !tasks.has(taskId)) {
+        const stopTaskData = taskId
+          ? await AgentTask.findOne({ taskId })
+          : null;
+
+        if (!stopTaskData) {
           return NextResponse.json(
             {
               success: false,
@@ -246,19 +886,35 @@ that's ready to be used.`,
           );
         }
 
-        const stopTaskData = tasks.get(taskId);
+        if (!IN_FLIGHT_STATUSES.includes(stopTaskData.status)) {
+          return NextResponse.json({
+            success: true,
+            message: `Task is not running (status: ${stopTaskData.status})`,
+          });
+        }
+
         const agent = agents.get(stopTaskData.agentId);
 
         if (agent) {
           const result = agent.stopTask("Stopped by user");
-          stopTaskData.status = "stopped";
-          stopTaskData.history = agent.getTaskHistory();
-          stopTaskData.lastActivity = Date.now();
+          await updateTask(taskId, {
+            status: "stopped",
+            message: "Stopped by user",
+            history: agent.getTaskHistory(),
+          });
 
           return NextResponse.json({
             success: true,
             result: result,
           });
+        } else if (stopTaskData.bootId !== BOOT_ID) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Task is owned by another server process",
+            },
+            { status: 409 }
+          );
         } else {
           return NextResponse.json(
             {
@@ -268,6 +924,7 @@ that's ready to be used.`,
             { status: 400 }
           );
         }
+      }
 
       default:
         // Return unknown action
@@ -291,23 +948,37 @@ that's ready to be used.`,
   }
 }
 
-// Add GET handler if needed for server-sent events or other purposes
+// GET a task by ID (live events are streamed from /api/agent/events)
 export async function GET(request) {
   const taskId = request.nextUrl.searchParams.get("taskId");
 
-  if (taskId && tasks.has(taskId)) {
-    const taskData = tasks.get(taskId);
-    return NextResponse.json({
-      success: true,
-      status: taskData,
-    });
-  }
+  try {
+    await ensureTaskStore();
+
+    const taskData = taskId ? await AgentTask.findOne({ taskId }) : null;
+
+    if (taskData) {
+      return NextResponse.json({
+        success: true,
+        status: serializeTask(taskData),
+      });
+    }
 
-  return NextResponse.json(
-    {
-      success: false,
-      message: "Task not found or task ID not provided",
-    },
-    { status: 400 }
-  );
+    return NextResponse.json(
+      {
+        success: false,
+        message: "Task not found or task ID not provided",
+      },
+      { status: 400 }
+    );
+  } catch (error) {
+    console.error("Agent API error:", error);
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+      },
+      { status: 500 }
+    );
+  }
 }
@@ -1,14 +1,74 @@
-import { chatSession } from "@/configs/AiModel";
+import { createGeminiService, GEMINI_MODEL, generationConfig } from "@/configs/AiModel";
+import { getBillingAccount, recordUsage } from "@/lib/usageTracking";
+import { createTextStream } from "@/lib/utils";
 import { NextResponse } from "next/server";
 
 export async function POST(req) {
-    const {prompt}=await req.json();
+    const {prompt,stream,workspaceId}=await req.json();
 
     try{
-        const result=await chatSession.sendMessage(prompt);
-        const AIResp=result.response.text();
+        // Usage is billed to the workspace owner, who needs a positive balance
+        const account=await getBillingAccount(workspaceId);
+        if(!account)
+        {
+            return NextResponse.json({error:{message:"Workspace not found"}},{status:404})
+        }
+        if(account.balance<=0)
+        {
+            return NextResponse.json({error:{message:"Insufficient tokens"}},{status:402})
+        }
 
-        return NextResponse.json({result:AIResp})
+        let usage=null;
+        const billUsage=()=>usage&&recordUsage({
+            userId:account.userId,
+            workspaceId,
+            source:"chat",
+            provider:"gemini",
+            model:GEMINI_MODEL,
+            usage,
+        });
+
+        const llm=createGeminiService();
+        // onUsage also receives the usage so far when the stream is cut short
+        const requestOptions={generationConfig,signal:req.signal,onUsage:(record)=>usage=record};
+
+        // Send the reply as a chunked text response while it is generated
+        if(stream)
+        {
+            const deltas=llm.stream(prompt,requestOptions);
+            // Wait for the first delta so request errors are still returned as JSON
+            const first=await deltas.next();
+
+            const chunks=(async function*(){
+                try{
+                    for(let next=first;!next.done;next=await deltas.next())
+                    {
+                        if(next.value.type==="text")
+                        {
+                            yield next.value.text;
+                        }
+                    }
+                }finally{
+                    // Stops the provider request when the client goes away, then
+                    // bills whatever was generated, aborted or not
+                    await deltas.return();
+                    await billUsage();
+                }
+            })();
+
+            return new Response(createTextStream(chunks),{
+                headers:{
+                    "Content-Type":"text/plain; charset=utf-8",
+                    "Cache-Control":"no-cache, no-transform",
+                    "X-Accel-Buffering":"no",
+                }
+            })
+        }
+
+        const AIResp=await llm.complete(prompt,requestOptions);
+        const billed=await billUsage();
+
+        return NextResponse.json({result:AIResp,usage:billed?.record,balance:billed?.balance})
     }catch(e)
     {
         return NextResponse.json({error:e})
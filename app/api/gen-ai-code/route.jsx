@@ -1,4 +1,11 @@
-import { GenAiCode } from "@/configs/AiModel";
+import {
+  CodeGenerationConfig,
+  createGeminiService,
+  enhancedCodeGenHistory,
+  GEMINI_MODEL,
+} from "@/configs/AiModel";
+import { getBillingAccount, recordUsage } from "@/lib/usageTracking";
+import { createTextStream } from "@/lib/utils";
 import { NextResponse } from "next/server";
 
 // Set maximum duration for the API route (in seconds)
@@ -10,11 +17,15 @@ export const maxDuration = 300;
  * @access Public
  * @param {Object} req - Request object containing the user prompt
  * @param {string} req.body.prompt - The user-provided prompt for website generation
- * @returns {Object} Generated website code in JSON format or error
+ * @param {boolean} req.body.stream - Stream the raw JSON text as it is generated
+ * @param {string} req.body.workspaceId - Workspace the usage is recorded for;
+ * its owner is billed and must have a positive token balance
+ * @returns {Object} Generated website code in JSON format or error; with
+ * `stream`, a chunked text response the client parses once complete
  */
 export async function POST(req) {
   try {
-    const { prompt } = await req.json();
+    const { prompt, stream, workspaceId } = await req.json();
 
     // Validate input
     if (!prompt || typeof prompt !== "string" || prompt.trim().length === 0) {
@@ -24,15 +35,78 @@ export async function POST(req) {
       );
     }
 
+    const account = await getBillingAccount(workspaceId);
+    if (!account) {
+      return NextResponse.json({ error: "Workspace not found" }, { status: 404 });
+    }
+    if (account.balance <= 0) {
+      return NextResponse.json({ error: "Insufficient tokens" }, { status: 402 });
+    }
+
     // Enhance the prompt to instruct the AI on how to handle images
     const enhancedPrompt = `${prompt}\n\nWhen including images in the website, use the /api/generate-image endpoint with an appropriate prompt parameter based on the website's theme or content. For example, for a website about cats, include an image with <img src="/api/generate-image?prompt=cats" alt="Cats Image" />. Ensure the prompt parameter is descriptive and matches the website's context.`;
 
+    // Bill the provider-reported usage to the workspace owner
+    let usage = null;
+    const billUsage = () =>
+      usage &&
+      recordUsage({
+        userId: account.userId,
+        workspaceId,
+        source: "code",
+        provider: "gemini",
+        model: GEMINI_MODEL,
+        usage,
+      });
+
+    const llm = createGeminiService();
+    const requestOptions = {
+      history: enhancedCodeGenHistory,
+      generationConfig: CodeGenerationConfig,
+      signal: req.signal,
+      // Also called with the usage so far when the stream is cut short
+      onUsage: (record) => (usage = record),
+    };
+
+    if (stream) {
+      const deltas = llm.stream(enhancedPrompt, requestOptions);
+      // Wait for the first delta so request errors are still returned as JSON
+      const first = await deltas.next();
+
+      const chunks = (async function* () {
+        try {
+          for (let next = first; !next.done; next = await deltas.next()) {
+            if (next.value.type === "text") {
+              yield next.value.text;
+            }
+          }
+        } finally {
+          // Stops the provider request when the client goes away, then bills
+          // whatever was generated, aborted or not
+          await deltas.return();
+          await billUsage();
+        }
+      })();
+
+      return new Response(createTextStream(chunks), {
+        headers: {
+          "Content-Type": "text/plain; charset=utf-8",
+          "Cache-Control": "no-cache, no-transform",
+          "X-Accel-Buffering": "no",
+        },
+      });
+    }
+
     // Send the enhanced prompt to the AI model
-    const result = await GenAiCode.sendMessage(enhancedPrompt);
-    const resp = result.response.text();
+    const resp = await llm.complete(enhancedPrompt, requestOptions);
+    const billed = await billUsage();
 
     // Parse and return the AI-generated code
-    return NextResponse.json(JSON.parse(resp));
+    return NextResponse.json({
+      ...JSON.parse(resp),
+      usage: billed?.record,
+      balance: billed?.balance,
+    });
   } catch (error) {
     console.error("Error generating website code:", {
       message: error.message,
@@ -0,0 +1,107 @@
+import { NextResponse } from "next/server";
+import mongoose from "mongoose";
+import connectToDatabase from "../../../lib/mongodb";
+import UsageRecord from "../../../models/UsageRecord";
+import User from "../../../models/User";
+
+// Token fields summed in every breakdown
+const USAGE_SUMS = {
+  inputTokens: { $sum: "$inputTokens" },
+  outputTokens: { $sum: "$outputTokens" },
+  cacheCreationInputTokens: { $sum: "$cacheCreationInputTokens" },
+  cacheReadInputTokens: { $sum: "$cacheReadInputTokens" },
+  totalTokens: { $sum: "$totalTokens" },
+  requests: { $sum: 1 },
+};
+
+/**
+ * @route GET /api/usage
+ * @desc Token usage broken down by model and by day
+ * @param {string} userId - Filter by user (also returns the current balance)
+ * @param {string} workspaceId - Filter by workspace
+ * @param {string} taskId - Filter by agent task
+ * @param {number} days - Look-back window in days (default 30)
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const workspaceId = searchParams.get("workspaceId");
+    const taskId = searchParams.get("taskId");
+    const days = Number(searchParams.get("days")) || 30;
+
+    if (!userId && !workspaceId && !taskId) {
+      return NextResponse.json(
+        { error: "userId, workspaceId or taskId is required" },
+        { status: 400 }
+      );
+    }
+
+    const match = {
+      createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+    };
+    if (userId) match.userId = userId;
+    if (workspaceId) match.workspaceId = workspaceId;
+    if (taskId) match.taskId = taskId;
+
+    const [byModel, byDay, totals] = await Promise.all([
+      UsageRecord.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { provider: "$provider", model: "$model" },
+            ...USAGE_SUMS,
+          },
+        },
+        { $sort: { totalTokens: -1 } },
+      ]),
+      UsageRecord.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              day: {
+                $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
+              },
+              model: "$model",
+            },
+            ...USAGE_SUMS,
+          },
+        },
+        { $sort: { "_id.day": 1, "_id.model": 1 } },
+      ]),
+      UsageRecord.aggregate([
+        { $match: match },
+        { $group: { _id: null, ...USAGE_SUMS } },
+      ]),
+    ]);
+
+    let balance = null;
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+      const user = await User.findById(userId, { token: 1 });
+      balance = user ? user.token : null;
+    }
+
+    const { _id, ...totalUsage } = totals[0] || {
+      _id: null,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: 0,
+      totalTokens: 0,
+      requests: 0,
+    };
+
+    return NextResponse.json({
+      days,
+      balance,
+      totals: totalUsage,
+      byModel: byModel.map(({ _id, ...usage }) => ({ ..._id, ...usage })),
+      byDay: byDay.map(({ _id, ...usage }) => ({ ..._id, ...usage })),
+    });
+  } catch (error) {
+    console.error("Error fetching usage:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,61 @@
+import { NextResponse } from "next/server";
+import mongoose from "mongoose";
+import DeploymentManager from "../../../../../../lib/DeploymentManager";
+
+const deploymentManager = new DeploymentManager();
+
+/**
+ * GET a deployment, including its status and build log
+ */
+export async function GET(request, { params }) {
+  const { id, deploymentId } = params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return NextResponse.json(
+      { error: "Invalid workspace ID format" },
+      { status: 400 }
+    );
+  }
+
+  const deployment = deploymentManager.getDeployment(deploymentId);
+  if (!deployment || deployment.workspaceId !== id) {
+    return NextResponse.json(
+      { error: "Deployment not found" },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json(deployment);
+}
+
+/**
+ * PATCH { active: true } to roll the workspace back to this deployment
+ */
+export async function PATCH(request, { params }) {
+  const { id, deploymentId } = params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return NextResponse.json(
+      { error: "Invalid workspace ID format" },
+      { status: 400 }
+    );
+  }
+
+  const { active } = await request.json().catch(() => ({}));
+  if (active !== true) {
+    return NextResponse.json(
+      { error: "Only { active: true } is supported" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const deployment = deploymentManager.rollback(id, deploymentId);
+    console.log(`Workspace ${id} rolled back to ${deploymentId}`);
+    return NextResponse.json(deployment);
+  } catch (error) {
+    console.error("Error rolling back deployment:", error);
+    const status = error.message.startsWith("Deployment not found") ? 404 : 409;
+    return NextResponse.json({ error: error.message }, { status });
+  }
+}
@@ -0,0 +1,89 @@
+import { NextResponse } from "next/server";
+import mongoose from "mongoose";
+import connectToDatabase from "../../../../../lib/mongodb";
+import Workspace from "../../../../../models/Workspace";
+import DeploymentManager from "../../../../../lib/DeploymentManager";
+import Lookup from "../../../../../data/Lookup";
+
+const deploymentManager = new DeploymentManager();
+
+/**
+ * GET the deployment history of a workspace, newest first
+ */
+export async function GET(request, { params }) {
+  const id = params.id;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return NextResponse.json(
+      { error: "Invalid workspace ID format" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    return NextResponse.json(deploymentManager.listDeployments(id));
+  } catch (error) {
+    console.error("Error listing deployments:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * POST to build and deploy the workspace. The build runs in the background;
+ * poll the returned deployment until its status is "ready" or "failed".
+ * Body: { files, dependencies, label } - files default to the saved workspace files
+ */
+export async function POST(request, { params }) {
+  try {
+    await connectToDatabase();
+    const id = params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return NextResponse.json(
+        { error: "Invalid workspace ID format" },
+        { status: 400 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+
+    const workspace = await Workspace.findById(id);
+    if (!workspace) {
+      return NextResponse.json(
+        { error: "Workspace not found" },
+        { status: 404 }
+      );
+    }
+
+    const fileData = {
+      ...Lookup.DEFAULT_FILE,
+      ...(body.files || workspace.fileData || {}),
+    };
+
+    let deployment = null;
+    deploymentManager
+      .deploy(
+        id,
+        { fileData },
+        {
+          dependencies: { ...Lookup.DEPENDANCY, ...(body.dependencies || {}) },
+          label: body.label,
+          onStart: (record) => (deployment = record),
+        }
+      )
+      .catch((error) => console.error(`Deployment of ${id} failed:`, error));
+
+    if (!deployment) {
+      return NextResponse.json(
+        { error: "Failed to start deployment" },
+        { status: 500 }
+      );
+    }
+
+    console.log(`Started deployment ${deployment.deploymentId}`);
+    return NextResponse.json(deployment, { status: 202 });
+  } catch (error) {
+    console.error("Error starting deployment:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
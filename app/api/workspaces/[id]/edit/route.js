@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import { NextResponse } from "next/server";
+import connectToDatabase from "../../../../../lib/mongodb";
+import Workspace from "../../../../../models/Workspace";
+import BuildVerifier from "../../../../../lib/BuildVerifier";
+import LLMService from "../../../../../lib/LLMService";
+import {
+  applyPatches,
+  findMissingImports,
+} from "../../../../../lib/codePatches";
+import {
+  getBillingAccount,
+  recordUsage,
+} from "../../../../../lib/usageTracking";
+import {
+  createCodeEditSession,
+  GEMINI_MODEL,
+} from "../../../../../configs/AiModel";
+import Lookup from "../../../../../data/Lookup";
+import Prompt from "../../../../../data/Prompt";
+
+// Set maximum duration for the API route (in seconds)
+export const maxDuration = 300;
+
+// Characters of current code sent to the model
+const FILE_CONTEXT_BUDGET = 60000;
+
+// Extra rounds in which the model fixes patches that failed or broke files
+const MAX_FIX_ROUNDS = 2;
+
+const buildVerifier = new BuildVerifier({ mode: "parse" });
+
+// Current files for the prompt, within FILE_CONTEXT_BUDGET characters
+function describeFiles(fileData) {
+  const sections = [];
+  const omitted = [];
+  let used = 0;
+
+  for (const [filePath, file] of Object.entries(fileData)) {
+    const code = file?.code ?? "";
+    // Untouched template files and embedded assets are not worth the tokens
+    if (Lookup.DEFAULT_FILE[filePath]?.code === code || code.startsWith("data:")) {
+      continue;
+    }
+
+    const section = `--- ${filePath}\n${code}`;
+    if (used + section.length > FILE_CONTEXT_BUDGET) {
+      omitted.push(filePath);
+      continue;
+    }
+    sections.push(section);
+    used += section.length;
+  }
+
+  return [
+    ...sections,
+    omitted.length ? `OTHER FILES (not shown): ${omitted.join(", ")}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// Syntax errors and unresolved imports in the changed files
+async function checkFiles(fileData, changedPaths) {
+  const problems = findMissingImports(fileData, changedPaths);
+
+  const verification = await buildVerifier.verify(
+    changedPaths.map((filePath) => ({
+      path: filePath,
+      code: fileData[filePath].code,
+    }))
+  );
+  for (const [filePath, diagnostics] of Object.entries(verification.diagnostics)) {
+    for (const diagnostic of diagnostics) {
+      problems.push({
+        path: `/${filePath}`,
+        message: diagnostic.line
+          ? `Line ${diagnostic.line}: ${diagnostic.message}`
+          : diagnostic.message,
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * @route POST /api/workspaces/[id]/edit
+ * @desc Edits the workspace code with model-written patches. The patches are
+ * applied and checked here; nothing is saved, the client persists the
+ * changed files through /api/workspaces/[id]/files.
+ * @param {Array} req.body.messages - Conversation, the last message is the request
+ * @param {Object} req.body.files - Current editor files (defaults to the saved files)
+ * The token usage is billed to the workspace owner.
+ * @returns {Object} { explanation, files, deleted, rounds } where files holds
+ * only changed files; 422 with { errors } when the patches cannot be applied
+ */
+export async function POST(request, { params }) {
+  try {
+    await connectToDatabase();
+    const id = params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return NextResponse.json(
+        { error: "Invalid workspace ID format" },
+        { status: 400 }
+      );
+    }
+
+    const { messages, files } = await request.json();
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return NextResponse.json(
+        { error: "Messages must be a non-empty array" },
+        { status: 400 }
+      );
+    }
+
+    const workspace = await Workspace.findById(id);
+    if (!workspace) {
+      return NextResponse.json(
+        { error: "Workspace not found" },
+        { status: 404 }
+      );
+    }
+
+    // Usage is billed to the workspace owner, who needs a positive balance
+    const account = await getBillingAccount(id);
+    if (!account || account.balance <= 0) {
+      return NextResponse.json(
+        { error: "Insufficient tokens" },
+        { status: 402 }
+      );
+    }
+
+    const saved = Array.isArray(workspace.fileData) ? {} : workspace.fileData;
+    const working = { ...Lookup.DEFAULT_FILE, ...(files || saved || {}) };
+    const changed = new Set();
+    const deleted = new Set();
+    const session = createCodeEditSession();
+    let explanation = "";
+    let problems = [];
+    let round = 0;
+
+    let prompt = [
+      Prompt.CODE_EDIT_PROMPT,
+      `FRAMEWORK: ${workspace.framework || "react"}`,
+      `CURRENT FILES:\n\n${describeFiles(working)}`,
+      `CONVERSATION:\n${JSON.stringify(messages)}`,
+    ].join("\n\n");
+
+    for (; round <= MAX_FIX_ROUNDS; round++) {
+      const result = await session.sendMessage(prompt);
+      await recordUsage({
+        userId: account.userId,
+        workspaceId: id,
+        source: "code",
+        provider: "gemini",
+        model: GEMINI_MODEL,
+        usage: LLMService.geminiUsage(result.response.usageMetadata),
+      });
+
+      let response;
+      try {
+        response = JSON.parse(result.response.text());
+      } catch (error) {
+        problems = [{ path: null, message: "Response was not valid JSON" }];
+        prompt = "Your response was not valid JSON. Answer again in the required JSON format.";
+        continue;
+      }
+
+      if (response.explanation) explanation = response.explanation;
+
+      const applied = applyPatches(working, response.patches);
+      for (const [filePath, file] of Object.entries(applied.files)) {
+        working[filePath] = file;
+        changed.add(filePath);
+        deleted.delete(filePath);
+      }
+      for (const filePath of applied.deleted) {
+        delete working[filePath];
+        changed.delete(filePath);
+        deleted.add(filePath);
+      }
+
+      problems = [
+        ...applied.errors,
+        ...(await checkFiles(working, [...changed])),
+      ];
+      if (problems.length === 0) break;
+
+      // Show the model what failed and the files as they are now
+      const affected = [...new Set(problems.map((problem) => problem.path))]
+        .filter((filePath) => filePath && working[filePath])
+        .map((filePath) => `--- ${filePath}\n${working[filePath].code}`);
+      prompt = [
+        "Some patches could not be applied or left errors. Patches that applied are kept.",
+        `PROBLEMS:\n${problems
+          .map((problem) => `- ${problem.path || "response"}: ${problem.message}`)
+          .join("\n")}`,
+        affected.length ? `CURRENT CONTENT:\n\n${affected.join("\n\n")}` : null,
+        "Reply with patches against the current content that fix these problems, in the same JSON format.",
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+    }
+
+    if (problems.length > 0) {
+      console.log(`Edit of workspace ${id} failed after ${round} rounds`);
+      return NextResponse.json(
+        { error: "The edit could not be applied cleanly", errors: problems },
+        { status: 422 }
+      );
+    }
+
+    const changedFiles = Object.fromEntries(
+      [...changed].map((filePath) => [filePath, working[filePath]])
+    );
+
+    console.log(
+      `Edited workspace ${id}: ${changed.size} changed, ${deleted.size} deleted`
+    );
+    return NextResponse.json({
+      explanation,
+      files: changedFiles,
+      deleted: [...deleted],
+      rounds: round + 1,
+    });
+  } catch (error) {
+    console.error("Error editing workspace code:", {
+      message: error.message,
+      stack: error.stack,
+    });
+    return NextResponse.json(
+      { error: "Failed to edit workspace code" },
+      { status: 500 }
+    );
+  }
+}
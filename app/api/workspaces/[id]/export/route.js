@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+import { NextResponse } from "next/server";
+import connectToDatabase from "../../../../../lib/mongodb";
+import Workspace from "../../../../../models/Workspace";
+import { createZipStream } from "../../../../../lib/zip";
+import {
+  createProjectFiles,
+  toPackageName,
+} from "../../../../../lib/WorkspaceProject";
+import Lookup from "../../../../../data/Lookup";
+
+// First user prompt of the workspace, used to name and describe the project
+function workspacePrompt(workspace) {
+  const first = (workspace.messages || []).find(
+    (message) => message?.role === "user" && message.content
+  );
+  return first ? String(first.content).trim() : "";
+}
+
+function createReadme(title, prompt) {
+  return [
+    `# ${title}`,
+    "",
+    prompt ? `> ${prompt.replace(/\n+/g, " ")}\n` : null,
+    "Exported from Frodo. A React app built with Vite.",
+    "",
+    "## Getting started",
+    "",
+    "```bash",
+    "npm install",
+    "npm run dev",
+    "```",
+    "",
+    "Open the URL printed by the dev server (http://localhost:5173 by default).",
+    "",
+    "## Scripts",
+    "",
+    "- `npm run dev` starts the development server",
+    "- `npm run build` writes a static build to `dist/`",
+    "- `npm run preview` serves the build locally",
+    "",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+/**
+ * GET the workspace as a zip of a runnable project
+ * (`npm install && npm run dev`)
+ */
+export async function GET(request, { params }) {
+  try {
+    await connectToDatabase();
+    const id = params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return NextResponse.json(
+        { error: "Invalid workspace ID format" },
+        { status: 400 }
+      );
+    }
+
+    const workspace = await Workspace.findById(id);
+    if (!workspace) {
+      return NextResponse.json(
+        { error: "Workspace not found" },
+        { status: 404 }
+      );
+    }
+
+    const fileData = Array.isArray(workspace.fileData)
+      ? {}
+      : workspace.fileData || {};
+    const prompt = workspacePrompt(workspace);
+    const name = toPackageName(prompt.split(/\s+/).slice(0, 6).join("-"));
+
+    const files = createProjectFiles(
+      { ...Lookup.DEFAULT_FILE, ...fileData },
+      {
+        name,
+        // The packages the generated code was written against in the preview
+        dependencies: Lookup.DEPENDANCY,
+        readme: createReadme(name, prompt),
+      }
+    );
+
+    const archive = createZipStream(
+      files.map((file) => ({ ...file, path: `${name}/${file.path}` }))
+    );
+
+    console.log(`Exporting workspace ${id} (${files.length} files)`);
+    return new Response(archive, {
+      headers: {
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="${name}.zip"`,
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (error) {
+    console.error("Error exporting workspace:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
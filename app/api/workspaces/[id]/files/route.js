@@ -33,3 +33,75 @@ export async function PUT(request, { params }) {
     return NextResponse.json({ error: error.message }, { status: 500 });
   }
 }
+
+/**
+ * PATCH to save only changed files: { files, deleted } where files maps
+ * paths to { code } and deleted lists removed paths. Other files are kept.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await connectToDatabase();
+    const id = params.id;
+    const { files = {}, deleted = [] } = await request.json();
+
+    if (
+      !files ||
+      typeof files !== "object" ||
+      Array.isArray(files) ||
+      !Array.isArray(deleted)
+    ) {
+      return NextResponse.json(
+        { success: false, message: "files must be an object and deleted an array" },
+        { status: 400 }
+      );
+    }
+
+    if (Object.keys(files).length === 0 && deleted.length === 0) {
+      return NextResponse.json(
+        { success: false, message: "No changes provided" },
+        { status: 400 }
+      );
+    }
+
+    // File paths contain dots, so they cannot be used in $set paths. One
+    // pipeline update rebuilds fileData from its stored value instead, so
+    // concurrent saves of different files are all kept.
+    const saved = {
+      $cond: [{ $isArray: "$fileData" }, {}, { $ifNull: ["$fileData", {}] }],
+    };
+    const fileData = {
+      $mergeObjects: [
+        {
+          $arrayToObject: {
+            $filter: {
+              input: { $objectToArray: saved },
+              cond: { $not: { $in: ["$$this.k", { $literal: deleted }] } },
+            },
+          },
+        },
+        {
+          $arrayToObject: {
+            $literal: Object.entries(files).map(([k, v]) => ({ k, v })),
+          },
+        },
+      ],
+    };
+
+    const workspace = await Workspace.findByIdAndUpdate(
+      id,
+      [{ $set: { fileData } }],
+      { new: true }
+    );
+
+    if (!workspace) {
+      return NextResponse.json(
+        { error: "Workspace not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(workspace);
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+import { NextResponse } from "next/server";
+import connectToDatabase from "../../../../../lib/mongodb";
+import Workspace from "../../../../../models/Workspace";
+import {
+  detectFramework,
+  filesFromDirectory,
+  filesFromZip,
+  withSandpackEntry,
+} from "../../../../../lib/workspaceImport";
+
+// Largest zip upload accepted
+const MAX_ARCHIVE_SIZE = 50 * 1024 * 1024;
+
+/**
+ * POST to replace the workspace files with an existing project.
+ * Send either multipart form data with a zip in the "file" field, or
+ * JSON { directory } naming a local directory (see WORKSPACE_IMPORT_ROOTS).
+ * node_modules, build output, lockfiles, binaries and large files are skipped.
+ */
+export async function POST(request, { params }) {
+  try {
+    await connectToDatabase();
+    const id = params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return NextResponse.json(
+        { error: "Invalid workspace ID format" },
+        { status: 400 }
+      );
+    }
+
+    const workspace = await Workspace.findById(id);
+    if (!workspace) {
+      return NextResponse.json(
+        { error: "Workspace not found" },
+        { status: 404 }
+      );
+    }
+
+    let imported;
+    let source;
+    const contentType = request.headers.get("content-type") || "";
+
+    try {
+      if (contentType.includes("multipart/form-data")) {
+        const file = (await request.formData()).get("file");
+        if (!file || typeof file === "string") {
+          return NextResponse.json(
+            { error: "No zip file provided" },
+            { status: 400 }
+          );
+        }
+        if (file.size > MAX_ARCHIVE_SIZE) {
+          return NextResponse.json(
+            { error: "Zip file is too large" },
+            { status: 413 }
+          );
+        }
+
+        imported = filesFromZip(Buffer.from(await file.arrayBuffer()));
+        source = file.name;
+      } else {
+        const { directory } = await request.json();
+        if (!directory) {
+          return NextResponse.json(
+            { error: "Provide a zip file or a directory" },
+            { status: 400 }
+          );
+        }
+
+        imported = filesFromDirectory(directory);
+        source = directory;
+      }
+    } catch (error) {
+      console.log(`Import into workspace ${id} rejected: ${error.message}`);
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    const fileCount = Object.keys(imported.fileData).length;
+    if (fileCount === 0) {
+      return NextResponse.json(
+        { error: "No importable files found", skipped: imported.skipped },
+        { status: 400 }
+      );
+    }
+
+    const framework = await detectFramework(imported.fileData);
+
+    workspace.fileData = withSandpackEntry(imported.fileData);
+    workspace.framework = framework;
+    workspace.markModified("fileData");
+    await workspace.save();
+
+    console.log(
+      `Imported ${fileCount} files from ${source} into workspace ${id} (${framework}), skipped ${imported.skipped.length}`
+    );
+    return NextResponse.json({
+      fileCount,
+      framework,
+      skipped: imported.skipped,
+    });
+  } catch (error) {
+    console.error("Error importing workspace files:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
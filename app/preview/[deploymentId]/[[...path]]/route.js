@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+import DeploymentManager from "../../../../lib/DeploymentManager";
+import { CONTENT_TYPES } from "../../../../lib/ProjectBuild";
+
+const deploymentManager = new DeploymentManager();
+
+// Previews are served from the app's origin, so they run in a sandbox with
+// an opaque origin: scripts work but cannot use the app's cookies, storage
+// or same-origin APIs. The opaque origin makes module scripts and fonts
+// cross-origin requests, hence the CORS header.
+const PREVIEW_HEADERS = {
+  "Content-Security-Policy": "sandbox allow-scripts",
+  "Access-Control-Allow-Origin": "*",
+  "X-Content-Type-Options": "nosniff",
+};
+
+/**
+ * GET a file of a deployment. The first segment is a deployment ID, or a
+ * workspace ID to serve that workspace's active deployment.
+ */
+export async function GET(request, { params }) {
+  const { deploymentId } = params;
+  const filePath = (params.path || []).join("/");
+
+  const resolved = deploymentManager.resolveFile(deploymentId, filePath);
+  if (!resolved) {
+    return new Response("Not found", {
+      status: 404,
+      headers: { ...PREVIEW_HEADERS, "Content-Type": "text/plain; charset=utf-8" },
+    });
+  }
+
+  const contentType =
+    CONTENT_TYPES[path.extname(resolved.filePath).toLowerCase()] ||
+    "application/octet-stream";
+
+  if (resolved.isIndex) {
+    // Builds use relative asset URLs; anchor them at the deployment root
+    const html = fs
+      .readFileSync(resolved.filePath, "utf8")
+      .replace(
+        /<head([^>]*)>/i,
+        `<head$1><base href="/preview/${deploymentId}/">`
+      );
+
+    return new Response(html, {
+      headers: {
+        ...PREVIEW_HEADERS,
+        "Content-Type": contentType,
+        "Cache-Control": "no-cache",
+      },
+    });
+  }
+
+  return new Response(fs.readFileSync(resolved.filePath), {
+    headers: {
+      ...PREVIEW_HEADERS,
+      "Content-Type": contentType,
+      // Versioned deployments never change; the workspace alias can
+      "Cache-Control":
+        deploymentId === resolved.deploymentId
+          ? "public, max-age=31536000, immutable"
+          : "no-cache",
+    },
+  });
+}
@@ -2,23 +2,175 @@
 // components/custom/AutonomousControls.js
 // UI component for controlling the autonomous agent
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useContext } from "react";
 import {
   Play,
   Pause,
   RefreshCw,
+  RotateCcw,
   AlertCircle,
   CheckCircle,
   Terminal,
+  ShieldAlert,
+  Check,
+  X,
+  Pencil,
+  FileDiff,
+  Undo2,
 } from "lucide-react";
+import { UserDetailContext } from "../../context/UserDetailContext";
+import { useWorkspaces } from "../../hooks/use-workspaces";
+
+/**
+ * A tool call or action waiting for approval, with approve/deny/edit controls
+ */
+const ApprovalCard = ({ approval, onDecide }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [inputText, setInputText] = useState(
+    JSON.stringify(approval.input, null, 2)
+  );
+  const [remember, setRemember] = useState(false);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const decide = async (decision) => {
+    let input;
+    if (decision === "edit") {
+      try {
+        input = JSON.parse(inputText);
+      } catch (parseError) {
+        setError(`Invalid JSON: ${parseError.message}`);
+        return;
+      }
+    }
+
+    setError(null);
+    setIsSubmitting(true);
+    const failure = await onDecide(approval, decision, { input, remember });
+    setIsSubmitting(false);
+    if (failure) setError(failure);
+  };
+
+  return (
+    <div className="mb-4 p-4 rounded-lg border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/20">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center text-sm font-semibold text-slate-900 dark:text-white">
+          <ShieldAlert className="w-5 h-5 text-amber-500 mr-2" />
+          Approval required: {approval.name}
+        </div>
+        <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-amber-500 text-white">
+          {approval.risk?.level}
+        </span>
+      </div>
+
+      {approval.risk?.reason && (
+        <p className="text-sm text-slate-600 dark:text-slate-400 mb-2">
+          {approval.risk.reason}
+        </p>
+      )}
+
+      {isEditing ? (
+        <textarea
+          rows="6"
+          className="w-full px-3 py-2 mb-2 font-mono text-xs border border-slate-300 dark:border-slate-600 rounded-lg dark:bg-slate-700 dark:text-white"
+          value={inputText}
+          onChange={(e) => setInputText(e.target.value)}
+        />
+      ) : (
+        <pre className="p-3 mb-2 max-h-48 overflow-auto bg-slate-900 text-slate-300 rounded-lg text-xs whitespace-pre-wrap break-words">
+          {JSON.stringify(approval.input, null, 2)}
+        </pre>
+      )}
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      <label className="flex items-center mb-3 text-sm text-slate-700 dark:text-slate-300">
+        <input
+          type="checkbox"
+          className="mr-2"
+          checked={remember}
+          onChange={(e) => setRemember(e.target.checked)}
+        />
+        Auto-approve {approval.name} for this session
+      </label>
+
+      <div className="flex space-x-2">
+        <button
+          onClick={() => decide(isEditing ? "edit" : "approve")}
+          disabled={isSubmitting}
+          className="flex items-center px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:bg-slate-400"
+        >
+          <Check className="w-4 h-4 mr-1" />
+          {isEditing ? "Approve Edited" : "Approve"}
+        </button>
+        <button
+          onClick={() => decide("deny")}
+          disabled={isSubmitting}
+          className="flex items-center px-3 py-1.5 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:bg-slate-400"
+        >
+          <X className="w-4 h-4 mr-1" />
+          Deny
+        </button>
+        <button
+          onClick={() => setIsEditing(!isEditing)}
+          disabled={isSubmitting}
+          className="flex items-center px-3 py-1.5 text-sm bg-slate-600 text-white rounded-lg hover:bg-slate-700 transition-colors disabled:bg-slate-400"
+        >
+          <Pencil className="w-4 h-4 mr-1" />
+          {isEditing ? "Cancel Edit" : "Edit"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Unified diff of one file, with added and removed lines highlighted
+ */
+const FileDiffView = ({ file }) => (
+  <div className="mb-3">
+    <div className="flex items-center justify-between mb-1 text-xs">
+      <span className="font-mono text-slate-200">{file.path}</span>
+      <span>
+        <span className="mr-2 text-slate-400">{file.status}</span>
+        <span className="text-green-400">+{file.added}</span>{" "}
+        <span className="text-red-400">-{file.removed}</span>
+      </span>
+    </div>
+    <pre className="p-2 max-h-64 overflow-auto bg-slate-950 rounded text-xs">
+      {file.diff.split("\n").map((line, index) => (
+        <div
+          key={index}
+          className={
+            line.startsWith("@@")
+              ? "text-blue-400"
+              : line.startsWith("+")
+                ? "text-green-400"
+                : line.startsWith("-")
+                  ? "text-red-400"
+                  : "text-slate-400"
+          }
+        >
+          {line || " "}
+        </div>
+      ))}
+    </pre>
+  </div>
+);
 
 /**
  * AutonomousControls component provides a UI for controlling the autonomous agent
- * and visualizing its progress via API routes.
+ * and visualizing its progress via API routes. Runs are billed to the
+ * owner of `workspaceId`; without one, a workspace is created for the
+ * signed-in user when the first task starts.
  */
-const AutonomousControls = ({ apiKey, onResult }) => {
+const AutonomousControls = ({ apiKey, onResult, workspaceId: initialWorkspaceId }) => {
+  const { userDetail } = useContext(UserDetailContext);
+  const { createWorkspace } = useWorkspaces(userDetail?._id);
+  const [workspaceId, setWorkspaceId] = useState(initialWorkspaceId || null);
   const [agentId, setAgentId] = useState(null);
   const [taskId, setTaskId] = useState(null);
+  const [sessionId, setSessionId] = useState(null);
   const [task, setTask] = useState("");
   const [status, setStatus] = useState("idle"); // idle, connecting, running, completed, error
   const [isInitialized, setIsInitialized] = useState(false);
@@ -27,7 +179,10 @@ const AutonomousControls = ({ apiKey, onResult }) => {
   const [result, setResult] = useState(null);
   const [history, setHistory] = useState([]);
   const [isConsoleOpen, setIsConsoleOpen] = useState(false);
-  const [statusPollingInterval, setStatusPollingInterval] = useState(null);
+  const [canResume, setCanResume] = useState(false);
+  const [approvals, setApprovals] = useState([]);
+  const [changes, setChanges] = useState([]); // [{ iteration, files }]
+  const [isChangesOpen, setIsChangesOpen] = useState(false);
 
   // Initialize the agent when the component mounts or apiKey changes
   useEffect(() => {
@@ -68,43 +223,171 @@ const AutonomousControls = ({ apiKey, onResult }) => {
     };
 
     initializeAgent();
-
-    // Cleanup status polling on unmount
-    return () => {
-      if (statusPollingInterval) {
-        clearInterval(statusPollingInterval);
-      }
-    };
   }, [apiKey]);
 
-  // Start polling for task status when a task is running
+  // Stream task events from the server while a task is running.
+  // EventSource reconnects on its own and resumes from the last event ID.
   useEffect(() => {
-    if (status === "running" && taskId) {
-      // Clear any existing interval
-      if (statusPollingInterval) {
-        clearInterval(statusPollingInterval);
-      }
+    if (status !== "running" || !sessionId) return;
 
-      // Set up polling for status updates
-      const interval = setInterval(pollTaskStatus, 2000);
-      setStatusPollingInterval(interval);
+    const eventSource = new EventSource(
+      `/api/agent/events?sessionId=${sessionId}`
+    );
 
-      // Initial status check
-      pollTaskStatus();
-    } else if (status !== "running" && statusPollingInterval) {
-      // Clear interval when not running
-      clearInterval(statusPollingInterval);
-      setStatusPollingInterval(null);
-    }
+    eventSource.onmessage = (event) => {
+      try {
+        handleAgentEvent(JSON.parse(event.data));
+      } catch (error) {
+        console.error("Error processing agent event:", error);
+      }
+    };
 
-    return () => {
-      if (statusPollingInterval) {
-        clearInterval(statusPollingInterval);
+    eventSource.onerror = () => {
+      // The browser retries on its own; fall back to the stored status once it gives up
+      if (eventSource.readyState === EventSource.CLOSED) {
+        pollTaskStatus();
       }
     };
-  }, [status, taskId]);
 
-  // Poll for task status
+    return () => {
+      eventSource.close();
+    };
+  }, [status, sessionId]);
+
+  // Apply a streamed agent event to the UI
+  const handleAgentEvent = ({ type, payload = {}, timestamp }) => {
+    switch (type) {
+      case "progress":
+        if (payload.progress !== undefined) setProgress(payload.progress);
+        if (payload.message) setMessage(payload.message);
+        break;
+
+      case "iteration_started":
+        setMessage(
+          `Running iteration ${payload.iteration}/${payload.maxIterations}`
+        );
+        break;
+
+      case "tool_call":
+        setHistory((prev) => [
+          ...prev,
+          {
+            role: "assistant",
+            content: `Using tool: ${payload.tool}`,
+            timestamp,
+          },
+        ]);
+        break;
+
+      case "tool_result":
+        setHistory((prev) => [
+          ...prev,
+          {
+            role: "system",
+            content: `${payload.tool} (${payload.status}): ${payload.summary}`,
+            timestamp,
+          },
+        ]);
+        break;
+
+      case "error":
+        setHistory((prev) => [
+          ...prev,
+          { role: "system", content: `Error: ${payload.message}`, timestamp },
+        ]);
+        break;
+
+      case "approval_required":
+        setApprovals((prev) =>
+          prev.some((approval) => approval.approvalId === payload.approvalId)
+            ? prev
+            : [...prev, payload]
+        );
+        setMessage(`Waiting for approval to use ${payload.name}`);
+        break;
+
+      case "approval_resolved":
+        setApprovals((prev) =>
+          prev.filter((approval) => approval.approvalId !== payload.approvalId)
+        );
+        setHistory((prev) => [
+          ...prev,
+          {
+            role: "system",
+            content: `${payload.name}: ${payload.decision === "deny" ? "denied" : "approved"}${payload.reason ? ` (${payload.reason})` : ""}`,
+            timestamp,
+          },
+        ]);
+        break;
+
+      case "files_changed":
+        setChanges((prev) => [
+          ...prev.filter((change) => change.iteration !== payload.iteration),
+          { iteration: payload.iteration, files: payload.files },
+        ]);
+        break;
+
+      case "snapshot":
+        setHistory((prev) => [
+          ...prev,
+          {
+            role: "system",
+            content: `Snapshot ${payload.shortId}: ${payload.message}${
+              payload.tags?.length ? ` [${payload.tags.join(", ")}]` : ""
+            }`,
+            timestamp,
+          },
+        ]);
+        break;
+
+      case "audit":
+        // Sandbox denials and stopped commands
+        if (payload.type === "command_denied" || payload.type === "limit_exceeded") {
+          setHistory((prev) => [
+            ...prev,
+            {
+              role: "system",
+              content:
+                payload.type === "command_denied"
+                  ? `Sandbox denied "${payload.command}": ${payload.reason}`
+                  : `Sandbox stopped "${payload.command}": ${payload.limit} limit reached`,
+              timestamp,
+            },
+          ]);
+        }
+        break;
+
+      case "completed":
+        setApprovals([]);
+        if (payload.stopped) {
+          setStatus("idle");
+          setMessage(payload.message);
+          setCanResume(true);
+          break;
+        }
+
+        setStatus(payload.success ? "completed" : "error");
+        setCanResume(!payload.success);
+        setProgress(payload.success ? 100 : progress);
+        setMessage(payload.message);
+        setResult(payload);
+        if (payload.response) {
+          setHistory((prev) => [
+            ...prev,
+            { role: "assistant", content: payload.response, timestamp },
+          ]);
+        }
+        if (onResult) {
+          onResult(payload);
+        }
+        break;
+
+      default:
+        break;
+    }
+  };
+
+  // Fetch the stored task status (used when the event stream is unavailable)
   const pollTaskStatus = async () => {
     if (!taskId) return;
 
@@ -134,13 +417,11 @@ const AutonomousControls = ({ apiKey, onResult }) => {
           setHistory(taskData.history);
         }
 
+        setCanResume(!!taskData.resumable);
+        setApprovals(data.pendingApprovals || []);
+
         // Handle completion
         if (taskData.status === "completed" || taskData.status === "error") {
-          if (statusPollingInterval) {
-            clearInterval(statusPollingInterval);
-            setStatusPollingInterval(null);
-          }
-
           if (taskData.result) {
             setResult(taskData.result);
             if (onResult) {
@@ -167,8 +448,28 @@ const AutonomousControls = ({ apiKey, onResult }) => {
     setMessage("Starting task...");
     setProgress(0);
     setResult(null);
+    setCanResume(false);
+    setChanges([]);
+    setHistory([
+      { role: "user", content: task, timestamp: new Date().toISOString() },
+    ]);
 
     try {
+      let billedWorkspaceId = workspaceId;
+      if (!billedWorkspaceId) {
+        if (!userDetail?._id) {
+          setStatus("error");
+          setMessage("Sign in to start tasks; agent runs use your tokens.");
+          return;
+        }
+
+        const workspace = await createWorkspace({
+          messages: [{ role: "user", content: task }],
+        });
+        billedWorkspaceId = workspace._id;
+        setWorkspaceId(billedWorkspaceId);
+      }
+
       const response = await fetch("/api/agent", {
         method: "POST",
         headers: {
@@ -178,6 +479,7 @@ const AutonomousControls = ({ apiKey, onResult }) => {
           action: "start",
           agentId,
           task,
+          workspaceId: billedWorkspaceId,
         }),
       });
 
@@ -185,6 +487,7 @@ const AutonomousControls = ({ apiKey, onResult }) => {
 
       if (data.success) {
         setTaskId(data.taskId);
+        setSessionId(data.sessionId || data.taskId);
         setStatus("running");
         setMessage(`Task started with ID: ${data.taskId}`);
       } else {
@@ -197,6 +500,145 @@ const AutonomousControls = ({ apiKey, onResult }) => {
     }
   };
 
+  // Resume the last task from its checkpoint
+  const resumeTask = async () => {
+    if (!isInitialized || !taskId) return;
+
+    setStatus("running");
+    setMessage("Resuming task...");
+    setResult(null);
+    setCanResume(false);
+
+    try {
+      const response = await fetch("/api/agent", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          action: "resume",
+          agentId,
+          taskId,
+          workspaceId,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setSessionId(data.sessionId || data.taskId);
+        setMessage(`Task resumed from iteration ${data.iteration}`);
+      } else {
+        setStatus("error");
+        setMessage(`Failed to resume task: ${data.message}`);
+      }
+    } catch (error) {
+      setStatus("error");
+      setMessage(`Failed to resume task: ${error.message}`);
+    }
+  };
+
+  // Approve, deny or edit a pending tool call; returns an error message on failure
+  const decideApproval = async (approval, decision, { input, remember }) => {
+    try {
+      const response = await fetch("/api/agent", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          action: "approve",
+          taskId: approval.taskId || taskId,
+          approvalId: approval.approvalId,
+          decision,
+          input,
+          remember,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        // Already decided elsewhere or timed out
+        if (response.status === 404) {
+          setApprovals((prev) =>
+            prev.filter((pending) => pending.approvalId !== approval.approvalId)
+          );
+        }
+        return data.message;
+      }
+
+      setApprovals((prev) =>
+        prev.filter((pending) => pending.approvalId !== approval.approvalId)
+      );
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  // Load the files the task changed, per iteration
+  const loadChanges = async () => {
+    if (!taskId) return;
+
+    try {
+      const response = await fetch("/api/agent", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          action: "edits",
+          taskId,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setChanges(data.iterations);
+      }
+    } catch (error) {
+      console.error("Error loading task changes:", error);
+    }
+  };
+
+  const toggleChanges = () => {
+    if (!isChangesOpen) loadChanges();
+    setIsChangesOpen(!isChangesOpen);
+  };
+
+  // Restore every file the task edited
+  const rollbackTask = async () => {
+    if (!taskId || status === "running") return;
+    if (!window.confirm("Restore all files this task changed?")) return;
+
+    try {
+      const response = await fetch("/api/agent", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          action: "rollback",
+          agentId,
+          taskId,
+        }),
+      });
+
+      const data = await response.json();
+
+      setMessage(
+        data.success
+          ? `Task rolled back: ${data.message}`
+          : `Rollback failed: ${data.message}`
+      );
+      await loadChanges();
+    } catch (error) {
+      setMessage(`Rollback failed: ${error.message}`);
+    }
+  };
+
   // Stop the current task
   const stopTask = async () => {
     if (!isInitialized || status !== "running" || !taskId) return;
@@ -218,6 +660,7 @@ const AutonomousControls = ({ apiKey, onResult }) => {
       if (data.success) {
         setStatus("idle");
         setMessage("Task stopped by user");
+        setCanResume(true);
       } else {
         setStatus("error");
         setMessage(`Failed to stop task: ${data.message}`);
@@ -242,6 +685,9 @@ const AutonomousControls = ({ apiKey, onResult }) => {
         return "bg-blue-500";
       case "completed":
         return "bg-green-500";
+      case "stopped":
+      case "interrupted":
+        return "bg-amber-500";
       case "error":
         return "bg-red-500";
       default:
@@ -293,6 +739,14 @@ const AutonomousControls = ({ apiKey, onResult }) => {
             {message}
           </p>
 
+          {approvals.map((approval) => (
+            <ApprovalCard
+              key={approval.approvalId}
+              approval={approval}
+              onDecide={decideApproval}
+            />
+          ))}
+
           <div className="flex space-x-4">
             {status !== "running" ? (
               <button
@@ -313,6 +767,17 @@ const AutonomousControls = ({ apiKey, onResult }) => {
               </button>
             )}
 
+            {status !== "running" && canResume && taskId && (
+              <button
+                onClick={resumeTask}
+                disabled={!isInitialized}
+                className="flex items-center justify-center px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors disabled:bg-slate-400 disabled:cursor-not-allowed"
+              >
+                <RotateCcw className="w-5 h-5 mr-2" />
+                Resume Task
+              </button>
+            )}
+
             <button
               onClick={() => setIsConsoleOpen(!isConsoleOpen)}
               className="flex items-center justify-center px-4 py-2 bg-slate-600 text-white rounded-lg hover:bg-slate-700 transition-colors"
@@ -320,6 +785,16 @@ const AutonomousControls = ({ apiKey, onResult }) => {
               <Terminal className="w-5 h-5 mr-2" />
               {isConsoleOpen ? "Hide Console" : "Show Console"}
             </button>
+
+            {taskId && (
+              <button
+                onClick={toggleChanges}
+                className="flex items-center justify-center px-4 py-2 bg-slate-600 text-white rounded-lg hover:bg-slate-700 transition-colors"
+              >
+                <FileDiff className="w-5 h-5 mr-2" />
+                {isChangesOpen ? "Hide Changes" : "Show Changes"}
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -365,6 +840,43 @@ const AutonomousControls = ({ apiKey, onResult }) => {
         </div>
       )}
 
+      {isChangesOpen && (
+        <div className="border-t border-slate-200 dark:border-slate-700">
+          <div className="p-4 bg-slate-900 text-slate-300 h-96 overflow-y-auto text-sm">
+            <div className="flex justify-between items-center mb-2 sticky top-0 bg-slate-900 py-2">
+              <h3 className="text-white font-semibold">File Changes</h3>
+              <button
+                onClick={rollbackTask}
+                disabled={status === "running" || changes.length === 0}
+                className="flex items-center px-3 py-1 text-xs bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:bg-slate-600 disabled:cursor-not-allowed"
+              >
+                <Undo2 className="w-4 h-4 mr-1" />
+                Roll Back Task
+              </button>
+            </div>
+
+            {changes.length === 0 ? (
+              <div className="text-slate-500 italic">
+                No files changed yet.
+              </div>
+            ) : (
+              changes.map((change) => (
+                <div key={change.iteration ?? "rollback"} className="mb-4">
+                  <div className="text-xs font-bold mb-2 text-white">
+                    {change.iteration === null
+                      ? "ROLLBACK"
+                      : `ITERATION ${change.iteration}`}
+                  </div>
+                  {change.files.map((file) => (
+                    <FileDiffView key={file.path} file={file} />
+                  ))}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+
       {result && (
         <div className="p-6 border-t border-slate-200 dark:border-slate-700">
           <div className="flex items-center mb-4">
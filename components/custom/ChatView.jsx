@@ -4,23 +4,16 @@ import { UserDetailContext } from "@/context/UserDetailContext";
 import Colors from "@/data/Colors";
 import Lookup from "@/data/Lookup";
 import Prompt from "@/data/Prompt";
-import axios from "axios";
 import { ArrowRight, Link, Loader2Icon } from "lucide-react";
 import Image from "next/image";
 import { useParams } from "next/navigation";
-import React, { useContext, useEffect, useState } from "react";
+import React, { useContext, useEffect, useRef, useState } from "react";
 import ReactMarkdown from "react-markdown";
 import { useSidebar } from "../ui/sidebar";
 import { toast } from "sonner";
 import { useWorkspaces } from "@/hooks/use-workspaces";
-import { useUser } from "@/hooks/use-users";
-
-export const countToken = (inputText) => {
-  return inputText
-    .trim()
-    .split(/\s+/)
-    .filter((word) => word).length;
-};
+import { useUsage } from "@/hooks/use-usage";
+import { readTextStream } from "@/lib/utils";
 
 function ChatView() {
   const { id } = useParams();
@@ -28,16 +21,23 @@ function ChatView() {
   const { messages, setMessages } = useContext(MessagesContext);
   const [userInput, setUserInput] = useState("");
   const [loading, setLoading] = useState(false);
+  const [streamingText, setStreamingText] = useState("");
+  const abortControllerRef = useRef(null);
   const { toggleSidebar } = useSidebar();
 
   // MongoDB hooks
   const { getWorkspace, updateMessages } = useWorkspaces(userDetail?._id);
-  const { updateToken } = useUser();
+  const { getUsage } = useUsage();
 
   useEffect(() => {
     id && getWorkspaceData();
   }, [id]);
 
+  // Abort an in-flight response when leaving the workspace
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
   /**
    * Used to Get Workspace data using Workspace ID
    */
@@ -65,15 +65,41 @@ function ChatView() {
 
   const getAiResponse = async () => {
     setLoading(true);
+    setStreamingText("");
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     try {
       const PROMPT = JSON.stringify(messages) + Prompt.CHAT_PROMPT;
-      const result = await axios.post("/api/ai-chat", {
-        prompt: PROMPT,
+      const response = await fetch("/api/ai-chat", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          prompt: PROMPT,
+          stream: true,
+          workspaceId: id,
+        }),
+        signal: controller.signal,
       });
 
+      // Errors are returned as JSON instead of a text stream
+      if (
+        !response.ok ||
+        response.headers.get("content-type")?.includes("application/json")
+      ) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error?.message || "Failed to generate response");
+      }
+
+      // Render the reply as it arrives
+      const text = await readTextStream(response, (chunk, textSoFar) =>
+        setStreamingText(textSoFar)
+      );
+
       const aiResp = {
         role: "ai",
-        content: result.data.result,
+        content: text,
       };
 
       const updatedMessages = [...messages, aiResp];
@@ -82,24 +108,23 @@ function ChatView() {
       // Update messages in database
       await updateMessages(id, updatedMessages);
 
-      // Calculate and update token usage
-      const tokenUsage = countToken(JSON.stringify(aiResp));
-      const newTokenBalance = Number(userDetail?.token) - Number(tokenUsage);
-
-      setUserDetail((prev) => ({
-        ...prev,
-        token: newTokenBalance,
-      }));
-
-      // Update tokens in database
+      // The server debits the provider-reported usage; refresh the balance
       if (userDetail?._id) {
-        await updateToken(userDetail._id, newTokenBalance);
+        const usage = await getUsage({ userId: userDetail._id, days: 1 });
+        if (usage?.balance != null) {
+          setUserDetail((prev) => ({
+            ...prev,
+            token: usage.balance,
+          }));
+        }
       }
     } catch (error) {
+      if (error.name === "AbortError") return;
       console.error("Error generating AI response:", error);
       toast.error("Failed to generate response");
     } finally {
       setLoading(false);
+      setStreamingText("");
     }
   };
 
@@ -147,7 +172,19 @@ function ChatView() {
               </ReactMarkdown>
             </div>
           ))}
-        {loading && (
+        {loading && streamingText && (
+          <div
+            className="p-3 rounded-lg mb-4 flex gap-2 items-center leading-7"
+            style={{
+              backgroundColor: Colors.CHAT_BACKGROUND,
+            }}
+          >
+            <ReactMarkdown className="flex flex-col">
+              {streamingText}
+            </ReactMarkdown>
+          </div>
+        )}
+        {loading && !streamingText && (
           <div
             className="p-5 rounded-lg mb-2 flex gap-2 items-center"
             style={{
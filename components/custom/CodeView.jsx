@@ -1,5 +1,5 @@
 "use client";
-import React, { useContext, useEffect, useState } from "react";
+import React, { useContext, useEffect, useRef, useState } from "react";
 import {
   SandpackProvider,
   SandpackLayout,
@@ -7,18 +7,48 @@ import {
   SandpackFileExplorer,
 } from "@codesandbox/sandpack-react";
 import Lookup from "@/data/Lookup";
-import axios from "axios";
 import { MessagesContext } from "@/context/MessagesContext";
 import Prompt from "@/data/Prompt";
 import { useParams } from "next/navigation";
 import { Loader2Icon } from "lucide-react";
-import { countToken } from "./ChatView";
 import { UserDetailContext } from "@/context/UserDetailContext";
 import SandpackPreviewClient from "./SandpackPreviewClient";
 import { ActionContext } from "@/context/ActionContext";
 import { toast } from "sonner";
 import { useWorkspaces } from "@/hooks/use-workspaces";
-import { useUser } from "@/hooks/use-users";
+import { useUsage } from "@/hooks/use-usage";
+import { readTextStream } from "@/lib/utils";
+
+// Matches a file entry whose code string has been fully received
+const COMPLETED_FILE_PATTERN =
+  /"(\/[^"]+)"\s*:\s*\{\s*"code"\s*:\s*("(?:[^"\\]|\\.)*")\s*\}/g;
+
+/**
+ * Pull the files that are already complete out of partially streamed JSON
+ */
+const extractCompletedFiles = (text) => {
+  const files = {};
+
+  for (const [, filePath, code] of text.matchAll(COMPLETED_FILE_PATTERN)) {
+    try {
+      files[filePath] = { code: JSON.parse(code) };
+    } catch (error) {
+      // Skip entries that are not valid JSON strings yet
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Drop template files that still hold their default code
+ */
+const withoutDefaultFiles = (files) =>
+  Object.fromEntries(
+    Object.entries(files).filter(
+      ([filePath, file]) => Lookup.DEFAULT_FILE[filePath]?.code !== file?.code
+    )
+  );
 
 function CodeView() {
   const { id } = useParams();
@@ -27,11 +57,15 @@ function CodeView() {
   const [files, setFiles] = useState(Lookup?.DEFAULT_FILE);
   const { messages, setMessages } = useContext(MessagesContext);
   const [loading, setLoading] = useState(false);
+  const [streamedFiles, setStreamedFiles] = useState([]);
+  const abortControllerRef = useRef(null);
   const { action, setAction } = useContext(ActionContext);
 
   // MongoDB hooks
-  const { getWorkspace, updateFiles } = useWorkspaces(userDetail?._id);
-  const { updateToken } = useUser();
+  const { getWorkspace, updateFiles, patchFiles } = useWorkspaces(
+    userDetail?._id
+  );
+  const { getUsage } = useUsage();
 
   // Fetch files when the workspace ID changes
   useEffect(() => {
@@ -40,9 +74,18 @@ function CodeView() {
     }
   }, [id]);
 
-  // Switch to preview tab when an action is triggered
+  // Abort an in-flight generation when leaving the workspace
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Switch to preview tab when an action is triggered; show imported files
   useEffect(() => {
-    if (action) {
+    if (action?.actionType === "import") {
+      setAction(null);
+      setActiveTab("code");
+      getFiles();
+    } else if (action) {
       setActiveTab("preview");
     }
   }, [action]);
@@ -73,14 +116,64 @@ function CodeView() {
     }
   };
 
+  // The server debits the provider-reported usage; refresh the balance
+  const refreshBalance = async () => {
+    if (!userDetail?._id) return;
+
+    const usage = await getUsage({ userId: userDetail._id, days: 1 });
+    if (usage?.balance != null) {
+      setUserDetail((prev) => ({
+        ...prev,
+        token: usage.balance,
+      }));
+    }
+  };
+
   const generateAiCode = async () => {
     setLoading(true);
+    setStreamedFiles([]);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     try {
+      // Once the workspace has code, follow-up requests patch it instead of regenerating
+      if (Object.keys(withoutDefaultFiles(files)).length > 0) {
+        await editAiCode(controller.signal);
+        return;
+      }
+
       const PROMPT = JSON.stringify(messages) + " " + Prompt.CODE_GEN_PROMPT;
-      const response = await axios.post("/api/gen-ai-code", {
-        prompt: PROMPT,
+      const response = await fetch("/api/gen-ai-code", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          prompt: PROMPT,
+          stream: true,
+          workspaceId: id,
+        }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "Failed to generate website code");
+      }
+
+      // Show each file in the editor as soon as it has been generated
+      let completedCount = 0;
+      const text = await readTextStream(response, (chunk, textSoFar) => {
+        const completedFiles = extractCompletedFiles(textSoFar);
+        const filePaths = Object.keys(completedFiles);
+
+        if (filePaths.length > completedCount) {
+          completedCount = filePaths.length;
+          setStreamedFiles(filePaths);
+          setFiles((prev) => ({ ...prev, ...completedFiles }));
+        }
       });
-      const aiResp = response.data;
+
+      const aiResp = JSON.parse(text);
 
       if (aiResp?.files) {
         const mergedFiles = { ...Lookup.DEFAULT_FILE, ...aiResp.files };
@@ -88,29 +181,60 @@ function CodeView() {
 
         // Update files in the database
         await updateFiles(id, aiResp.files);
-
-        // Update user tokens
-        if (userDetail?._id) {
-          const token =
-            Number(userDetail?.token) -
-            Number(countToken(JSON.stringify(aiResp)));
-
-          await updateToken(userDetail._id, token);
-
-          setUserDetail((prev) => ({
-            ...prev,
-            token: token,
-          }));
-        }
+        await refreshBalance();
       }
     } catch (error) {
+      if (error.name === "AbortError") return;
       console.error("Error generating AI code:", error);
       toast.error("Server-side error! Please try again.");
     } finally {
       setLoading(false);
+      setStreamedFiles([]);
     }
   };
 
+  /**
+   * Ask the server for patches to the current files; it applies and checks
+   * them and returns only the changed files, which are saved as such
+   */
+  const editAiCode = async (signal) => {
+    const response = await fetch(`/api/workspaces/${id}/edit`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        messages,
+        files: withoutDefaultFiles(files),
+      }),
+      signal,
+    });
+    const result = await response.json().catch(() => ({}));
+    await refreshBalance();
+
+    if (!response.ok) {
+      if (result.errors?.length) {
+        console.warn("Edit could not be applied:", result.errors);
+        toast.error("The change could not be applied cleanly. Try rephrasing it.");
+        return;
+      }
+      throw new Error(result.error || "Failed to edit code");
+    }
+
+    const changedPaths = Object.keys(result.files);
+    if (changedPaths.length === 0 && result.deleted.length === 0) {
+      toast.info("No code changes were needed.");
+      return;
+    }
+
+    setStreamedFiles(changedPaths);
+    setFiles((prev) => {
+      const next = { ...prev, ...result.files };
+      for (const filePath of result.deleted) delete next[filePath];
+      return next;
+    });
+
+    await patchFiles(id, result.files, result.deleted);
+  };
+
   return (
     <div
       className="relative w-full h-full flex flex-col"
@@ -182,8 +306,23 @@ function CodeView() {
         </SandpackProvider>
       </div>
 
+      {/* Streaming progress: files appear in the editor as they are generated */}
+      {loading && streamedFiles.length > 0 && (
+        <div className="absolute bottom-4 right-4 z-50 bg-gray-800 p-4 rounded-lg shadow-lg max-w-xs">
+          <div className="flex items-center mb-2">
+            <Loader2Icon className="animate-spin h-5 w-5 text-blue-500 mr-2" />
+            <p className="text-white font-medium">Generating your code...</p>
+          </div>
+          <ul className="text-xs text-gray-300 max-h-40 overflow-y-auto">
+            {streamedFiles.map((filePath) => (
+              <li key={filePath}>{filePath}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Loading Overlay */}
-      {loading && (
+      {loading && streamedFiles.length === 0 && (
         <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70 z-50">
           <div className="bg-gray-800 p-6 rounded-lg flex flex-col items-center">
             <Loader2Icon className="animate-spin h-10 w-10 text-blue-500 mb-3" />
@@ -1,13 +1,14 @@
 "use client";
 
-import React, { useContext, useState } from "react";
+import React, { useContext, useRef, useState } from "react";
 import Image from "next/image";
 import { Button } from "../ui/button";
 import Colors from "@/data/Colors";
 import { UserDetailContext } from "@/context/UserDetailContext";
 import Link from "next/link";
-import { LucideDownload, Rocket } from "lucide-react";
-import { usePathname } from "next/navigation";
+import { LucideDownload, Rocket, Upload } from "lucide-react";
+import { useParams, usePathname } from "next/navigation";
+import { toast } from "sonner";
 import { ActionContext } from "@/context/ActionContext";
 import SignInDialog from "./SignInDialog";
 
@@ -33,7 +34,10 @@ function Header() {
 
   const { action, setAction } = useContext(ActionContext);
   const path = usePathname();
+  const { id } = useParams();
   const [openLoginDialog, setOpenLoginDialog] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const importInputRef = useRef(null);
 
   const onActionBtn = (action) => {
     setAction({
@@ -42,6 +46,39 @@ function Header() {
     });
   };
 
+  // Replace the workspace files with an uploaded project zip
+  const onImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file || !id) return;
+
+    setImporting(true);
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+
+      const response = await fetch(`/api/workspaces/${id}/import`, {
+        method: "POST",
+        body: formData,
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || "Import failed");
+      }
+
+      toast.success(
+        `Imported ${result.fileCount} files (${result.framework})` +
+          (result.skipped.length ? `, skipped ${result.skipped.length}` : "")
+      );
+      onActionBtn("import");
+    } catch (error) {
+      console.error("Error importing project:", error);
+      toast.error(`Import failed: ${error.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
   return (
     <div className="p-4 flex justify-between items-center border-b">
       <Link
@@ -77,6 +114,20 @@ function Header() {
       ) : (
         path?.includes("workspace") && (
           <div className="flex gap-2 items-center">
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".zip,application/zip"
+              className="hidden"
+              onChange={onImportFile}
+            />
+            <Button
+              variant="ghost"
+              disabled={importing}
+              onClick={() => importInputRef.current?.click()}
+            >
+              <Upload /> {importing ? "Importing..." : "Import"}
+            </Button>
             <Button variant="ghost" onClick={() => onActionBtn("export")}>
               <LucideDownload /> Export
             </Button>
@@ -1,22 +1,31 @@
 "use client";
 import React, { useContext, useEffect, useRef, useState } from "react";
 import { SandpackPreview, useSandpack } from "@codesandbox/sandpack-react";
+import { useParams } from "next/navigation";
+import { toast } from "sonner";
 import { ActionContext } from "@/context/ActionContext";
 
+// How often a running deployment is polled, and for how long
+const DEPLOY_POLL_INTERVAL = 2000;
+const DEPLOY_POLL_TIMEOUT = 10 * 60 * 1000;
+
 /**
  * SandpackPreviewClient
  * A production-ready component that renders a Sandpack preview with enhancements:
  * - Ensures full visibility of the preview content
  * - Injects scripts to fix broken image references and adjust iframe height
- * - Handles "deploy" or "export" actions from ActionContext
+ * - Handles "deploy" (local build and preview) or "export" (project zip) actions from ActionContext
  * - Includes retry logic with exponential backoff for initialization
  * - Provides accessibility features and detailed error logging
  */
 function SandpackPreviewClient() {
   const previewRef = useRef(null);
+  const { id } = useParams();
   const { sandpack } = useSandpack();
   const { action, setAction } = useContext(ActionContext);
   const [isReady, setIsReady] = useState(false);
+  // Action being handled, so re-runs of the init effect do not repeat it
+  const handledActionRef = useRef(null);
   const [retryCount, setRetryCount] = useState(0);
   const maxRetries = 3;
 
@@ -73,7 +82,7 @@ function SandpackPreviewClient() {
           }, 1000);
 
           if (action?.actionType) {
-            handleAction(client);
+            handleAction();
           }
         }
       } catch (error) {
@@ -239,22 +248,77 @@ function SandpackPreviewClient() {
   };
 
   /**
-   * Handles "deploy" or "export" actions from ActionContext
+   * Builds the current files on the server and opens the deployed preview.
+   * The build runs in the background, so the deployment is polled until done.
    */
-  const handleAction = async (client) => {
+  const deployWorkspace = async () => {
+    // Deploy what the editor shows, including unsaved edits
+    const files = Object.fromEntries(
+      Object.entries(sandpack.files).map(([path, file]) => [
+        path,
+        { code: file.code },
+      ])
+    );
+
+    const response = await fetch(`/api/workspaces/${id}/deployments`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ files }),
+    });
+    let deployment = await response.json();
+    if (!response.ok) {
+      throw new Error(deployment.error || "Failed to start deployment");
+    }
+
+    const toastId = toast.loading(`Deploying version ${deployment.version}...`);
+    const startedAt = Date.now();
+
     try {
-      if (action.actionType === "deploy" || action.actionType === "export") {
-        console.log(`Handling ${action.actionType} action...`);
-        const result = await client.getCodeSandboxURL();
-        console.log("CodeSandbox URL result:", result);
-
-        if (action.actionType === "deploy" && result?.sandboxId) {
-          window.open(`https://${result.sandboxId}.csb.app/`, "_blank");
-        } else if (action.actionType === "export" && result?.editorUrl) {
-          window.open(result.editorUrl, "_blank");
-        } else {
-          console.warn("Missing required data in result:", result);
+      while (deployment.status === "building") {
+        if (Date.now() - startedAt > DEPLOY_POLL_TIMEOUT) {
+          throw new Error("Deployment is taking too long");
         }
+        await new Promise((resolve) => setTimeout(resolve, DEPLOY_POLL_INTERVAL));
+
+        const poll = await fetch(
+          `/api/workspaces/${id}/deployments/${deployment.deploymentId}`
+        );
+        if (!poll.ok) throw new Error("Failed to check deployment status");
+        deployment = await poll.json();
+      }
+
+      if (deployment.status !== "ready") {
+        throw new Error(deployment.error || "Deployment failed");
+      }
+
+      toast.success(`Version ${deployment.version} deployed`, { id: toastId });
+      window.open(deployment.url, "_blank");
+    } catch (error) {
+      toast.error(`Deployment failed: ${error.message}`, { id: toastId });
+      throw error;
+    }
+  };
+
+  /**
+   * Handles "deploy" or "export" actions from ActionContext
+   */
+  const handleAction = async () => {
+    if (handledActionRef.current === action) return;
+    handledActionRef.current = action;
+
+    try {
+      if (action.actionType === "deploy") {
+        console.log("Handling deploy action...");
+        await deployWorkspace();
+      } else if (action.actionType === "export") {
+        console.log("Handling export action...");
+        // The server streams the saved workspace as a runnable project zip
+        const link = document.createElement("a");
+        link.href = `/api/workspaces/${id}/export`;
+        link.download = "";
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
       }
     } catch (error) {
       console.error("Error handling action:", error.message, error.stack);
@@ -9,18 +9,22 @@ import {
 import axios from "axios";
 import dedent from "dedent";
 import Prompts from "../data/Prompt";
+import LLMService from "../lib/LLMService";
 
 // Initialize Google Generative AI with API key
 const apiKey = process.env.NEXT_PUBLIC_GEMINI_API_KEY;
 const genAI = new GoogleGenerativeAI(apiKey);
 
+// Gemini model used by the chat and code generation sessions
+export const GEMINI_MODEL = "gemini-2.0-flash-exp"; // Using the experimental flash model for best performance
+
 // Get the latest Gemini model
 const model = genAI.getGenerativeModel({
-  model: "gemini-2.0-flash-exp", // Using the experimental flash model for best performance
+  model: GEMINI_MODEL,
 });
 
 // Base generation config for chat interactions
-const generationConfig = {
+export const generationConfig = {
   temperature: 0.9, // Slightly increased for more creative outputs
   topP: 0.95,
   topK: 40,
@@ -29,7 +33,7 @@ const generationConfig = {
 };
 
 // Enhanced configuration for code generation with JSON output
-const CodeGenerationConfig = {
+export const CodeGenerationConfig = {
   temperature: 0.85, // Balanced for creativity while maintaining correctness
   topP: 0.95,
   topK: 40,
@@ -37,6 +41,15 @@ const CodeGenerationConfig = {
   responseMimeType: "application/json",
 };
 
+// Low temperature configuration for patching existing code
+const CodeEditConfig = {
+  temperature: 0.2,
+  topP: 0.9,
+  topK: 20,
+  maxOutputTokens: 8192,
+  responseMimeType: "application/json",
+};
+
 // Enhanced configuration specifically for UI-focused code generation
 const UIGenerationConfig = {
   temperature: 0.7, // More controlled for consistent UI code
@@ -53,7 +66,7 @@ export const chatSession = model.startChat({
 });
 
 // Preloaded history with enhanced code generation instructions
-const enhancedCodeGenHistory = [
+export const enhancedCodeGenHistory = [
   {
     role: "user",
     parts: [
@@ -123,6 +136,23 @@ export const GenAiCode = model.startChat({
   history: enhancedCodeGenHistory,
 });
 
+// LLMService client used by the streaming endpoints; each request passes its
+// own history and generation config instead of sharing a chat session
+export const createGeminiService = () =>
+  new LLMService({
+    provider: "gemini",
+    apiKey,
+    model: GEMINI_MODEL,
+    maxTokens: 8192,
+  });
+
+// Fresh session per edit request, so file contents never pile up in a shared history
+export const createCodeEditSession = () =>
+  model.startChat({
+    generationConfig: CodeEditConfig,
+    history: [],
+  });
+
 // Map of image categories to reliable Unsplash URLs
 const reliableImageURLs = {
   profile: [
@@ -176,4 +176,27 @@ export default {
     
     The colors should create a cohesive, visually appealing experience that feels modern and sophisticated.
   `,
+  CODE_EDIT_PROMPT: dedent`
+    You are editing an existing project. Its framework and current files are listed below.
+    Make the smallest changes that fulfil the latest user request. Keep the project's framework, file layout, libraries and coding style.
+
+    RESPONSE FORMAT:
+    Return the response in this exact JSON format:
+    {
+      "explanation": "",
+      "patches": [
+        { "path": "/App.js", "type": "replace", "edits": [{ "search": "", "replace": "" }] },
+        { "path": "/components/Footer.js", "type": "create", "code": "" },
+        { "path": "/styles.css", "type": "diff", "diff": "" },
+        { "path": "/components/Old.js", "type": "delete" }
+      ]
+    }
+
+    PATCH RULES:
+    - "replace": each "search" is copied exactly from the current file, including indentation, and matches exactly once; add surrounding lines until it is unique
+    - "diff": a unified diff of one file with @@ hunk headers and 3 lines of context
+    - "create": only for new files, or when most of a file changes; give the full code
+    - "delete": removes a file
+    - Only include files that change
+  `,
 };
@@ -0,0 +1,41 @@
+"use client";
+
+import { useState } from "react";
+
+export function useUsage() {
+  const [usage, setUsage] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Get token usage by model and day, plus the user's current balance
+  async function getUsage({ userId, workspaceId, taskId, days } = {}) {
+    try {
+      setIsLoading(true);
+
+      const params = new URLSearchParams();
+      if (userId) params.set("userId", userId);
+      if (workspaceId) params.set("workspaceId", workspaceId);
+      if (taskId) params.set("taskId", taskId);
+      if (days) params.set("days", days);
+
+      const response = await fetch(`/api/usage?${params.toString()}`);
+      if (!response.ok) {
+        throw new Error("Failed to fetch usage");
+      }
+
+      const data = await response.json();
+      setUsage(data);
+      return data;
+    } catch (err) {
+      console.error("Error fetching usage:", err);
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  return {
+    usage,
+    isLoading,
+    getUsage,
+  };
+}
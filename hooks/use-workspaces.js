@@ -161,6 +161,36 @@ export function useWorkspaces(userId) {
     }
   }
 
+  // Save only changed and deleted files
+  async function patchFiles(workspaceId, files, deleted = []) {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/workspaces/${workspaceId}/files`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ files, deleted }),
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to update files");
+      }
+
+      const updatedWorkspace = await response.json();
+      setWorkspaces((prev) =>
+        prev.map((w) => (w._id === workspaceId ? updatedWorkspace : w))
+      );
+      return updatedWorkspace;
+    } catch (err) {
+      setError(err.message);
+      console.error("Error updating files:", err);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
   return {
     workspaces,
     isLoading,
@@ -169,5 +199,6 @@ export function useWorkspaces(userId) {
     createWorkspace,
     updateMessages,
     updateFiles,
+    patchFiles,
   };
 }
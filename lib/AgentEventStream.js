@@ -0,0 +1,169 @@
+// lib/AgentEventStream.js
+// In-process pub/sub hub for agent run events, consumed by /api/agent/events
+
+/**
+ * Event types published by the agent loop
+ */
+export const AGENT_EVENT_TYPES = {
+  ITERATION_STARTED: "iteration_started",
+  TOOL_CALL: "tool_call",
+  TOOL_RESULT: "tool_result",
+  PROGRESS: "progress",
+  LOG: "log",
+  ERROR: "error",
+  AUDIT: "audit",
+  APPROVAL_REQUIRED: "approval_required",
+  APPROVAL_RESOLVED: "approval_resolved",
+  FILES_CHANGED: "files_changed",
+  SNAPSHOT: "snapshot",
+  COMPLETED: "completed",
+};
+
+/**
+ * AgentEventStream - Keeps a bounded, replayable buffer of events per session
+ * so that Server-Sent Events clients can resume after a reconnect.
+ */
+class AgentEventStream {
+  constructor(config = {}) {
+    this.bufferSize = config.bufferSize || 500;
+    this.sessionTtl = config.sessionTtl || 30 * 60 * 1000; // 30 minutes
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get or create the state for a session
+   * @private
+   */
+  _getSession(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, {
+        nextId: 1,
+        events: [],
+        subscribers: new Set(),
+        lastActivity: Date.now(),
+        closed: false,
+      });
+    }
+
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Publish an event to all subscribers of a session
+   * @param {string} sessionId - Session ID
+   * @param {string} type - Event type
+   * @param {Object} payload - Event payload
+   * @returns {Object|null} - The published event
+   */
+  publish(sessionId, type, payload = {}) {
+    if (!sessionId) return null;
+
+    this._sweep();
+
+    const session = this._getSession(sessionId);
+    const event = {
+      id: session.nextId++,
+      type,
+      payload,
+      timestamp: new Date().toISOString(),
+    };
+
+    session.events.push(event);
+    if (session.events.length > this.bufferSize) {
+      session.events.splice(0, session.events.length - this.bufferSize);
+    }
+
+    session.lastActivity = Date.now();
+    // A new run in the same session reopens it
+    session.closed = type === AGENT_EVENT_TYPES.COMPLETED;
+
+    for (const subscriber of [...session.subscribers]) {
+      try {
+        subscriber(event);
+      } catch (error) {
+        console.error(`Error in agent event subscriber for '${type}':`, error);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Subscribe to a session's events
+   * @param {string} sessionId - Session ID
+   * @param {Function} listener - Called with each event
+   * @param {Object} options - Options
+   * @param {number} options.lastEventId - Replay buffered events after this ID
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(sessionId, listener, options = {}) {
+    const session = this._getSession(sessionId);
+    const lastEventId = Number(options.lastEventId) || 0;
+
+    for (const event of session.events) {
+      if (event.id > lastEventId) {
+        listener(event);
+      }
+    }
+
+    session.subscribers.add(listener);
+    session.lastActivity = Date.now();
+
+    return () => {
+      session.subscribers.delete(listener);
+      session.lastActivity = Date.now();
+    };
+  }
+
+  /**
+   * Check whether a session has finished (a completed event was published)
+   * @param {string} sessionId - Session ID
+   * @returns {boolean}
+   */
+  isClosed(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? session.closed : false;
+  }
+
+  /**
+   * Get the ID of the most recent event of a session
+   * @param {string} sessionId - Session ID
+   * @returns {number} - Last event ID, 0 if none
+   */
+  getLastEventId(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? session.nextId - 1 : 0;
+  }
+
+  /**
+   * Drop idle sessions without subscribers
+   * @private
+   */
+  _sweep() {
+    const now = Date.now();
+
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (
+        session.subscribers.size === 0 &&
+        now - session.lastActivity > this.sessionTtl
+      ) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+// Share a single hub across route modules and hot reloads
+if (!global.__AGENT_EVENT_STREAM__) {
+  global.__AGENT_EVENT_STREAM__ = new AgentEventStream();
+}
+
+/**
+ * Get the shared agent event stream
+ * @returns {AgentEventStream}
+ */
+export function getAgentEventStream() {
+  return global.__AGENT_EVENT_STREAM__;
+}
+
+export default AgentEventStream;
@@ -4,6 +4,55 @@
  * Provides a structured way to maintain context and history for decision-making.
  */
 
+const VectorStore = require('./VectorStore');
+
+// Default retention policy used by gc(); limits are per memory type
+const DEFAULT_RETENTION = {
+  // Entries older than this many days are archived (actions) or removed
+  maxAgeDays: { actions: 30 },
+  // Maximum number of entries kept per type, oldest go first
+  maxPerType: {
+    actions: 2000,
+    reflections: 1000,
+    research: 500,
+    artifacts: 1000,
+    plans: 500
+  },
+  // Maximum number of entries kept per task and type
+  maxPerTask: { actions: 200, reflections: 100 },
+  // Run gc() automatically after this many stored results (0 disables it)
+  gcEvery: 500
+};
+
+// Required fields of persisted records, checked when loading from disk
+const RECORD_SCHEMAS = {
+  tasks: { id: 'string' },
+  plans: { id: 'string', steps: 'array' },
+  actions: { id: 'string', type: 'string' },
+  results: { id: 'string', actionId: 'string' },
+  reflections: { id: 'string' },
+  artifacts: { id: 'string' },
+  research: { id: 'string' }
+};
+
+// Memory types gc() applies retention to
+const RETENTION_TYPES = ['actions', 'reflections', 'research', 'artifacts', 'plans'];
+
+/**
+ * Merge retention overrides into a policy, per type for per-type limits
+ * @private
+ */
+function mergeRetention(base, overrides = {}) {
+  const merged = { ...base };
+  
+  for (const [key, value] of Object.entries(overrides || {})) {
+    const isMap = (v) => v && typeof v === 'object';
+    merged[key] = isMap(value) && isMap(base[key]) ? { ...base[key], ...value } : value;
+  }
+  
+  return merged;
+}
+
 class AgentMemory {
   constructor(config = {}) {
     // Core memory stores
@@ -17,17 +66,41 @@ class AgentMemory {
     this.research = new Map();
     this.projectContext = config.projectContext || {};
     
-    // Vectorstore for semantic search (if enabled)
+    // Vectorstore for semantic search (off unless enabled)
     this.useVectorStore = config.useVectorStore || false;
     this.vectorStore = config.vectorStore || null;
     
     // Configuration
     this.persistToDisk = config.persistToDisk || false;
     this.memoryPath = config.memoryPath || './agent-memory';
+    this.retention = mergeRetention(DEFAULT_RETENTION, config.retention);
+    this.resultsSinceGc = 0;
+    // Tail of the gc() runs, which run one at a time
+    this.pendingGc = Promise.resolve();
+    
+    // How persisted memory is read back: 'eager' (now), 'lazy' (on first read) or false
+    this.loadMode = config.load !== undefined ? config.load : 'lazy';
+    this.loaded = false;
     
     // Initialize persistence if enabled
     if (this.persistToDisk) {
       this._initPersistence();
+      
+      if (this.loadMode === 'eager') {
+        this.load();
+      }
+    }
+    
+    // Fall back to the built-in local vector store, kept under agent-memory/vector-store
+    if (this.useVectorStore && !this.vectorStore) {
+      const path = require('path');
+      this.vectorStore = new VectorStore({
+        ...config.vectorStoreOptions,
+        storePath: this.persistToDisk
+          ? path.join(this.memoryPath, 'vector-store')
+          : null,
+        logger: config.logger
+      });
     }
   }
 
@@ -50,7 +123,7 @@ class AgentMemory {
       // Create subdirectories for different types of memory
       const subdirs = [
         'tasks', 'plans', 'actions', 'results', 
-        'reflections', 'artifacts', 'research', 'codebase'
+        'reflections', 'artifacts', 'research', 'codebase', 'archive'
       ];
       
       for (const dir of subdirs) {
@@ -65,6 +138,208 @@ class AgentMemory {
     }
   }
 
+  /**
+   * Rebuild memory from the JSON files persisted under memoryPath.
+   * Records already in memory are kept. Files that cannot be parsed or fail
+   * the schema check are moved to quarantine/<type>/ instead of being loaded.
+   * @returns {Object} - { loaded: { <type>: count }, quarantined: [{ file, reason }] }
+   */
+  load() {
+    const report = { loaded: {}, quarantined: [] };
+    this.loaded = true;
+    
+    if (!this.persistToDisk) return report;
+    
+    const fs = require('fs');
+    const path = require('path');
+    const Plan = require('./Plan');
+    
+    for (const type of Object.keys(RECORD_SCHEMAS)) {
+      report.loaded[type] = 0;
+      
+      for (const { file, record } of this._readRecordsFromDisk(type, report)) {
+        switch (type) {
+          case 'tasks':
+            if (this.tasks.has(record.id)) continue;
+            this.tasks.set(record.id, record);
+            break;
+          case 'plans': {
+            if (this.plans.has(record.id)) continue;
+            let plan;
+            try {
+              plan = Plan.fromJSON(record);
+            } catch (error) {
+              this._quarantine(type, file, error.message, report);
+              continue;
+            }
+            this.plans.set(plan.id, plan);
+            break;
+          }
+          case 'actions':
+            if (this.actions.some(action => action.id === record.id)) continue;
+            this.actions.push(record);
+            break;
+          case 'results':
+            if (this.results.has(record.id)) continue;
+            this.results.set(record.id, record);
+            break;
+          case 'reflections':
+            if (this.reflections.some(reflection => reflection.id === record.id)) continue;
+            this.reflections.push(record);
+            break;
+          case 'artifacts':
+            if (this.artifacts.has(record.id)) continue;
+            this.artifacts.set(record.id, record);
+            if (record.type === 'code' && record.path && !this.codeBase.has(record.path)) {
+              this.codeBase.set(record.path, record);
+            }
+            break;
+          case 'research':
+            if (this.research.has(record.id)) continue;
+            this.research.set(record.id, record);
+            break;
+        }
+        
+        report.loaded[type]++;
+      }
+    }
+    
+    const byTimestamp = (a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || ''));
+    this.actions.sort(byTimestamp);
+    this.reflections.sort(byTimestamp);
+    
+    const contextPath = path.join(this.memoryPath, 'project-context.json');
+    if (fs.existsSync(contextPath)) {
+      try {
+        const context = JSON.parse(fs.readFileSync(contextPath, 'utf8'));
+        if (!context || typeof context !== 'object' || Array.isArray(context)) {
+          throw new Error('expected an object');
+        }
+        // Context passed in the config wins over the persisted one
+        this.projectContext = { ...context, ...this.projectContext };
+      } catch (error) {
+        this._quarantine('', 'project-context.json', error.message, report);
+      }
+    }
+    
+    if (report.quarantined.length > 0) {
+      console.warn(
+        `Quarantined ${report.quarantined.length} corrupt memory files in ${path.join(this.memoryPath, 'quarantine')}`
+      );
+    }
+    
+    return report;
+  }
+
+  /**
+   * Load persisted memory on first read when loading lazily
+   * @private
+   */
+  _ensureLoaded() {
+    if (this.persistToDisk && this.loadMode === 'lazy' && !this.loaded) {
+      this.load();
+    }
+  }
+
+  /**
+   * Read and schema-check the records of one type, quarantining bad files
+   * @private
+   */
+  _readRecordsFromDisk(type, report) {
+    const fs = require('fs');
+    const path = require('path');
+    const dir = path.join(this.memoryPath, type);
+    
+    if (!fs.existsSync(dir)) return [];
+    
+    const records = [];
+    
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith('.json')) continue;
+      
+      const record = this._readRecordFile(type, file, report);
+      if (record) records.push({ file, record });
+    }
+    
+    return records;
+  }
+
+  /**
+   * Read and schema-check one record file, quarantining it if it is bad
+   * @private
+   * @returns {Object|null} - The record, or null if the file was quarantined
+   */
+  _readRecordFile(type, file, report) {
+    const fs = require('fs');
+    const path = require('path');
+    
+    let record;
+    try {
+      record = JSON.parse(fs.readFileSync(path.join(this.memoryPath, type, file), 'utf8'));
+    } catch (error) {
+      this._quarantine(type, file, `Invalid JSON: ${error.message}`, report);
+      return null;
+    }
+    
+    const problem = this._checkRecordSchema(type, record, file);
+    if (problem) {
+      this._quarantine(type, file, problem, report);
+      return null;
+    }
+    
+    return record;
+  }
+
+  /**
+   * Check a persisted record against its schema
+   * @private
+   * @returns {string|null} - Problem description, or null if the record is valid
+   */
+  _checkRecordSchema(type, record, file) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return 'Expected a JSON object';
+    }
+    
+    for (const [field, fieldType] of Object.entries(RECORD_SCHEMAS[type])) {
+      const value = record[field];
+      const valid = fieldType === 'array' ? Array.isArray(value) : typeof value === fieldType;
+      if (!valid) {
+        return `Field "${field}" must be of type ${fieldType}`;
+      }
+    }
+    
+    if (`${record.id}.json` !== file) {
+      return `Record id "${record.id}" does not match file name`;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Move a corrupt file to quarantine/<type>/ so it is not loaded again
+   * @private
+   */
+  _quarantine(type, file, reason, report) {
+    const fs = require('fs');
+    const path = require('path');
+    const source = path.join(this.memoryPath, type, file);
+    const quarantineDir = path.join(this.memoryPath, 'quarantine', type);
+    
+    try {
+      fs.mkdirSync(quarantineDir, { recursive: true });
+      fs.renameSync(source, path.join(quarantineDir, file));
+      fs.writeFileSync(
+        path.join(quarantineDir, `${file}.reason.txt`),
+        `${new Date().toISOString()} ${reason}\n`,
+        'utf8'
+      );
+    } catch (error) {
+      console.error(`Failed to quarantine memory file ${source}: ${error.message}`);
+    }
+    
+    report.quarantined.push({ file: path.join(type, file), reason });
+  }
+
   /**
    * Add a new task to memory
    * @param {Object} task - Task object
@@ -92,6 +367,8 @@ class AgentMemory {
    * @param {Object} task - Updated task object
    */
   updateTask(task) {
+    this._ensureLoaded();
+    
     if (!this.tasks.has(task.id)) {
       throw new Error(`Task ${task.id} not found in memory`);
     }
@@ -111,6 +388,7 @@ class AgentMemory {
    * @returns {Object} - Task object
    */
   getTask(taskId) {
+    this._ensureLoaded();
     return this.tasks.get(taskId);
   }
 
@@ -120,14 +398,7 @@ class AgentMemory {
    */
   storePlan(plan) {
     this.plans.set(plan.id, plan);
-    
-    if (this.useVectorStore && this.vectorStore) {
-      this.vectorStore.addDocument({
-        id: `plan-${plan.id}`,
-        text: `Plan: ${plan.description}`,
-        metadata: { type: 'plan', planId: plan.id, taskId: plan.taskId }
-      });
-    }
+    this._indexPlan(plan);
     
     if (this.persistToDisk) {
       this._savePlanToDisk(plan);
@@ -141,11 +412,15 @@ class AgentMemory {
    * @param {Object} plan - Updated plan object
    */
   updatePlan(plan) {
+    this._ensureLoaded();
+    
     if (!this.plans.has(plan.id)) {
       throw new Error(`Plan ${plan.id} not found in memory`);
     }
     
     this.plans.set(plan.id, plan);
+    // Re-index so the plan's status (e.g. completed) is searchable
+    this._indexPlan(plan);
     
     if (this.persistToDisk) {
       this._savePlanToDisk(plan);
@@ -154,21 +429,83 @@ class AgentMemory {
     return plan;
   }
 
+  /**
+   * Add a plan outline to the vector store
+   * @private
+   */
+  _indexPlan(plan) {
+    if (!this.useVectorStore || !this.vectorStore) return;
+    
+    const steps = (plan.steps || []).map(step => step.title || step.description);
+    
+    this.vectorStore.addDocument({
+      id: `plan-${plan.id}`,
+      text: `Plan: ${plan.title || ''}\n${plan.description || ''}\nSteps: ${steps.join('; ')}`,
+      metadata: { type: 'plan', planId: plan.id, taskId: plan.taskId, status: plan.status }
+    });
+  }
+
   /**
    * Get a plan by ID
    * @param {string} planId - Plan ID
    * @returns {Object} - Plan object
    */
   getPlan(planId) {
+    this._ensureLoaded();
     return this.plans.get(planId);
   }
 
+  /**
+   * Load a plan by ID, reading it from disk if it is not in memory.
+   * A corrupt plan file is quarantined like in load().
+   * @param {string} planId - Plan ID
+   * @returns {Plan|null} - Plan instance or null if not found or corrupt
+   */
+  loadPlan(planId) {
+    const Plan = require('./Plan');
+
+    if (this.plans.has(planId)) {
+      const plan = this.plans.get(planId);
+      return plan instanceof Plan ? plan : Plan.fromJSON(plan);
+    }
+
+    if (!this.persistToDisk) return null;
+
+    const fs = require('fs');
+    const path = require('path');
+    const file = `${planId}.json`;
+
+    if (!fs.existsSync(path.join(this.memoryPath, 'plans', file))) return null;
+
+    const report = { quarantined: [] };
+    const record = this._readRecordFile('plans', file, report);
+
+    let plan = null;
+    if (record) {
+      try {
+        plan = Plan.fromJSON(record);
+      } catch (error) {
+        this._quarantine('plans', file, error.message, report);
+      }
+    }
+
+    if (!plan) {
+      console.warn(`Quarantined corrupt plan file ${file}: ${report.quarantined[0].reason}`);
+      return null;
+    }
+
+    this.plans.set(plan.id, plan);
+    return plan;
+  }
+
   /**
    * Get the most recent plan for a task
    * @param {string} taskId - Task ID
    * @returns {Object} - Plan object
    */
   getLatestPlanForTask(taskId) {
+    this._ensureLoaded();
+    
     // Find all plans for the task
     const taskPlans = Array.from(this.plans.values())
       .filter(plan => plan.taskId === taskId)
@@ -206,13 +543,19 @@ class AgentMemory {
       this.vectorStore.addDocument({
         id: `action-${storedAction.id}`,
         text: `Action: ${JSON.stringify(storedAction)}`,
-        metadata: { type: 'action', actionId: storedAction.id }
+        metadata: { type: 'action', actionId: storedAction.id, taskId: storedAction.taskId }
       });
       
       this.vectorStore.addDocument({
         id: `result-${resultId}`,
         text: `Result: ${JSON.stringify(result)}`,
-        metadata: { type: 'result', resultId, actionId: storedAction.id }
+        metadata: {
+          type: 'result',
+          resultId,
+          actionId: storedAction.id,
+          taskId: storedAction.taskId,
+          failed: !!result && result.status === 'failed'
+        }
       });
     }
     
@@ -220,6 +563,14 @@ class AgentMemory {
       this._saveActionAndResultToDisk(storedAction, storedResult);
     }
     
+    this.resultsSinceGc++;
+    if (this.retention.gcEvery > 0 && this.resultsSinceGc >= this.retention.gcEvery) {
+      this.resultsSinceGc = 0;
+      this.gc().catch(error => {
+        console.error(`Memory garbage collection failed: ${error.message}`);
+      });
+    }
+    
     return resultId;
   }
 
@@ -243,7 +594,7 @@ class AgentMemory {
       this.vectorStore.addDocument({
         id: `reflection-${reflectionId}`,
         text: `Reflection: ${JSON.stringify(reflection)}`,
-        metadata: { type: 'reflection', reflectionId }
+        metadata: { type: 'reflection', reflectionId, taskId: reflection.taskId }
       });
     }
     
@@ -369,6 +720,7 @@ class AgentMemory {
    * @returns {Array} - Array of artifacts
    */
   getArtifactsForTask(taskId) {
+    this._ensureLoaded();
     return Array.from(this.artifacts.values())
       .filter(artifact => artifact.taskId === taskId);
   }
@@ -378,6 +730,7 @@ class AgentMemory {
    * @returns {Object} - Project context object
    */
   getProjectContext() {
+    this._ensureLoaded();
     return this.projectContext;
   }
 
@@ -386,6 +739,8 @@ class AgentMemory {
    * @param {Object} context - Updated context object
    */
   updateProjectContext(context) {
+    this._ensureLoaded();
+    
     this.projectContext = {
       ...this.projectContext,
       ...context
@@ -404,6 +759,8 @@ class AgentMemory {
    * @returns {Array} - Array of action-result pairs
    */
   getRecentHistory(limit = 10) {
+    this._ensureLoaded();
+    
     // Get the most recent actions
     const recentActions = this.actions
       .slice(-limit)
@@ -425,14 +782,446 @@ class AgentMemory {
    * Perform a semantic search in memory
    * @param {string} query - Search query
    * @param {number} limit - Number of results to return
-   * @returns {Array} - Search results
+   * @param {Object} filter - Metadata filter, e.g. { type: 'reflection', taskId }
+   * @returns {Promise<Array>} - Search results ({ id, text, metadata, score })
    */
-  semanticSearch(query, limit = 5) {
+  async semanticSearch(query, limit = 5, filter = null) {
     if (!this.useVectorStore || !this.vectorStore) {
       throw new Error('Vector store is not enabled or configured');
     }
     
-    return this.vectorStore.search(query, limit);
+    return this.vectorStore.search(query, limit, filter);
+  }
+
+  /**
+   * Retrieve experience from past tasks that is relevant to a new task:
+   * final reflections, lessons from failed actions and outlines of completed plans
+   * @param {Object} task - Task object ({ id, description, requirements })
+   * @param {number} limit - Maximum entries of each kind
+   * @returns {Promise<Object>} - { finalReflections, failedActions, planOutlines },
+   *   each sorted by relevance
+   */
+  async retrieveExperience(task, limit = 3) {
+    this._ensureLoaded();
+    
+    const experience = { finalReflections: [], failedActions: [], planOutlines: [] };
+    
+    if (!this.useVectorStore || !this.vectorStore) return experience;
+    
+    const query = `${task.description || ''}\n${task.requirements || ''}`;
+    
+    // Over-fetch so entries belonging to the task itself can be dropped
+    const search = async (filter) => {
+      const hits = await this.vectorStore.search(query, limit * 2 + 2, filter);
+      return hits
+        .filter(hit => !task.id || hit.metadata.taskId !== task.id)
+        .slice(0, limit);
+    };
+    
+    const [reflectionHits, failureHits, planHits] = await Promise.all([
+      search({ type: 'finalReflection' }),
+      search({ type: 'result', failed: true }),
+      search({ type: 'plan', status: 'completed' })
+    ]);
+    
+    for (const hit of reflectionHits) {
+      const reflection =
+        this.reflections.find(r => r.id === hit.metadata.reflectionId) ||
+        this._readRecordFromDisk('reflections', hit.metadata.reflectionId);
+      if (!reflection) continue;
+      
+      experience.finalReflections.push({
+        taskId: reflection.taskId,
+        score: hit.score,
+        summary: reflection.summary || reflection.overallEvaluation || '',
+        learnings: reflection.learnings || [],
+        challenges: reflection.challenges || []
+      });
+    }
+    
+    for (const hit of failureHits) {
+      const stored =
+        this.results.get(hit.metadata.resultId) ||
+        this._readRecordFromDisk('results', hit.metadata.resultId) ||
+        this._readArchivedResult(hit.metadata);
+      if (!stored) continue;
+      
+      const action =
+        this.actions.find(a => a.id === hit.metadata.actionId) ||
+        this._readRecordFromDisk('actions', hit.metadata.actionId) ||
+        (stored.result && stored.result.action) ||
+        {};
+      
+      experience.failedActions.push({
+        taskId: action.taskId,
+        score: hit.score,
+        actionType: action.type,
+        description: action.description || '',
+        error: (stored.result && stored.result.error) || 'Unknown error'
+      });
+    }
+    
+    for (const hit of planHits) {
+      let plan;
+      try {
+        plan = this.loadPlan(hit.metadata.planId);
+      } catch (error) {
+        plan = null;
+      }
+      if (!plan) continue;
+      
+      experience.planOutlines.push({
+        taskId: plan.taskId,
+        score: hit.score,
+        title: plan.title,
+        description: plan.description,
+        steps: plan.steps.map(step => ({ title: step.title, type: step.type }))
+      });
+    }
+    
+    return experience;
+  }
+
+  /**
+   * Apply the retention policy: archive old action logs per task into
+   * archive/<taskId>.json and remove expired reflections, research,
+   * artifacts and plans. Final reflections and active plans are always kept.
+   * @param {Object} policy - Overrides of the configured retention policy
+   *   ({ maxAgeDays, maxPerType, maxPerTask }; numbers apply to every type)
+   * @returns {Promise<Object>} - Report of what was reclaimed:
+   *   { archived, removed, archivedTasks, bytesReclaimed, durationMs }
+   */
+  gc(policy = {}) {
+    const run = this.pendingGc.then(() => this._collect(policy));
+    this.pendingGc = run.catch(() => null);
+    return run;
+  }
+
+  /**
+   * One gc() run. Memory and disk are reclaimed in a single synchronous
+   * step, so store*() calls, their disk writes and load() never see a
+   * half-collected memory; only the vector store compaction is awaited.
+   * @private
+   */
+  async _collect(policy) {
+    this._ensureLoaded();
+    
+    const startedAt = Date.now();
+    const retention = mergeRetention(this.retention, policy);
+    const report = {
+      archived: { actions: 0, results: 0 },
+      removed: { reflections: 0, research: 0, artifacts: 0, plans: 0 },
+      archivedTasks: [],
+      bytesReclaimed: 0,
+      durationMs: 0
+    };
+    
+    this.resultsSinceGc = 0;
+    
+    for (const type of RETENTION_TYPES) {
+      const expired = this._selectExpired(
+        this._retentionEntries(type),
+        type,
+        retention,
+        startedAt
+      );
+      if (expired.length === 0) continue;
+      
+      if (type === 'actions') {
+        this._archiveActions(expired, report);
+      } else {
+        this._removeEntries(type, expired, report);
+      }
+    }
+    
+    if (this.vectorStore && typeof this.vectorStore.compact === 'function') {
+      await this.vectorStore.compact();
+    }
+    
+    report.durationMs = Date.now() - startedAt;
+    return report;
+  }
+
+  /**
+   * Entries of a memory type that retention applies to, as { id, taskId, time, entry }
+   * @private
+   */
+  _retentionEntries(type) {
+    const toEntry = (entry, timestamp) => ({
+      id: entry.id,
+      taskId: entry.taskId,
+      time: new Date(timestamp || 0).getTime() || 0,
+      entry
+    });
+    
+    switch (type) {
+      case 'actions':
+        return this.actions.map(action => toEntry(action, action.timestamp));
+      case 'reflections':
+        return this.reflections
+          .filter(reflection => !reflection.isFinal)
+          .map(reflection => toEntry(reflection, reflection.timestamp));
+      case 'research':
+        return Array.from(this.research.values())
+          .map(research => toEntry(research, research.timestamp));
+      case 'artifacts':
+        return Array.from(this.artifacts.values())
+          .map(artifact => toEntry(artifact, artifact.timestamp));
+      case 'plans':
+        return Array.from(this.plans.values())
+          .filter(plan => plan.status !== 'active')
+          .map(plan => toEntry(plan, plan.updatedAt || plan.createdAt));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Pick the entries that exceed the age, per-task or per-type limits
+   * @private
+   */
+  _selectExpired(entries, type, retention, now) {
+    const limitFor = (setting) => {
+      const limit = typeof setting === 'number' ? setting : (setting || {})[type];
+      return typeof limit === 'number' && limit >= 0 ? limit : null;
+    };
+    
+    const expired = new Set();
+    const newestFirst = [...entries].sort((a, b) => b.time - a.time);
+    
+    const maxAgeDays = limitFor(retention.maxAgeDays);
+    if (maxAgeDays !== null) {
+      const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+      newestFirst
+        .filter(item => item.time < cutoff)
+        .forEach(item => expired.add(item));
+    }
+    
+    const maxPerTask = limitFor(retention.maxPerTask);
+    if (maxPerTask !== null) {
+      const keptPerTask = new Map();
+      for (const item of newestFirst) {
+        if (expired.has(item) || !item.taskId) continue;
+        const kept = keptPerTask.get(item.taskId) || 0;
+        if (kept >= maxPerTask) {
+          expired.add(item);
+        } else {
+          keptPerTask.set(item.taskId, kept + 1);
+        }
+      }
+    }
+    
+    const maxPerType = limitFor(retention.maxPerType);
+    if (maxPerType !== null) {
+      newestFirst
+        .filter(item => !expired.has(item))
+        .slice(maxPerType)
+        .forEach(item => expired.add(item));
+    }
+    
+    return Array.from(expired);
+  }
+
+  /**
+   * Compact actions and their results into per-task archive files and drop
+   * them from memory and disk. Vector documents of failed results are kept
+   * so their lessons stay searchable; they resolve through the archive.
+   * @private
+   */
+  _archiveActions(expired, report) {
+    const fs = require('fs');
+    const path = require('path');
+    
+    const resultsByAction = new Map();
+    for (const stored of this.results.values()) {
+      resultsByAction.set(stored.actionId, stored);
+    }
+    
+    const byTask = new Map();
+    for (const { entry: action } of expired) {
+      const taskKey = action.taskId || 'unassigned';
+      if (!byTask.has(taskKey)) byTask.set(taskKey, []);
+      byTask.get(taskKey).push(action);
+    }
+    
+    for (const [taskKey, actions] of byTask) {
+      const archive = this._readRecordFromDisk('archive', taskKey) || {
+        taskId: taskKey,
+        actionCount: 0,
+        failedCount: 0,
+        firstTimestamp: null,
+        lastTimestamp: null,
+        actionTypes: {},
+        entries: []
+      };
+      
+      for (const action of actions) {
+        const stored = resultsByAction.get(action.id);
+        const result = (stored && stored.result) || {};
+        const failed = result.status === 'failed';
+        const typeStats = archive.actionTypes[action.type] || { count: 0, failed: 0 };
+        
+        typeStats.count++;
+        if (failed) typeStats.failed++;
+        archive.actionTypes[action.type] = typeStats;
+        archive.actionCount++;
+        if (failed) archive.failedCount++;
+        
+        if (!archive.firstTimestamp || action.timestamp < archive.firstTimestamp) {
+          archive.firstTimestamp = action.timestamp;
+        }
+        if (!archive.lastTimestamp || action.timestamp > archive.lastTimestamp) {
+          archive.lastTimestamp = action.timestamp;
+        }
+        
+        archive.entries.push({
+          actionId: action.id,
+          resultId: stored ? stored.id : null,
+          type: action.type,
+          description: String(action.description || '').slice(0, 200),
+          status: result.status || null,
+          error: failed ? String(result.error || 'Unknown error').slice(0, 500) : undefined,
+          timestamp: action.timestamp
+        });
+        
+        report.bytesReclaimed += this._deleteRecordFromDisk('actions', action.id);
+        this._deleteVectorDocument(`action-${action.id}`);
+        report.archived.actions++;
+        
+        if (stored) {
+          report.bytesReclaimed += this._deleteRecordFromDisk('results', stored.id);
+          if (!failed) this._deleteVectorDocument(`result-${stored.id}`);
+          this.results.delete(stored.id);
+          report.archived.results++;
+        }
+      }
+      
+      archive.updatedAt = new Date().toISOString();
+      
+      if (this.persistToDisk) {
+        const archiveDir = path.join(this.memoryPath, 'archive');
+        if (!fs.existsSync(archiveDir)) {
+          fs.mkdirSync(archiveDir, { recursive: true });
+        }
+        fs.writeFileSync(
+          path.join(archiveDir, `${taskKey}.json`),
+          JSON.stringify(archive, null, 2),
+          'utf8'
+        );
+      }
+      
+      report.archivedTasks.push(taskKey);
+    }
+    
+    const archivedIds = new Set(expired.map(item => item.id));
+    this.actions = this.actions.filter(action => !archivedIds.has(action.id));
+  }
+
+  /**
+   * Remove expired entries of a memory type from memory, disk and the vector store
+   * @private
+   */
+  _removeEntries(type, expired, report) {
+    const ids = new Set(expired.map(item => item.id));
+    
+    for (const { id, entry } of expired) {
+      switch (type) {
+        case 'reflections':
+          this._deleteVectorDocument(`reflection-${id}`);
+          break;
+        case 'research':
+          this.research.delete(id);
+          this._deleteVectorDocument(`research-${id}`);
+          break;
+        case 'artifacts':
+          this.artifacts.delete(id);
+          if (entry.path && this.codeBase.get(entry.path) === entry) {
+            this.codeBase.delete(entry.path);
+          }
+          this._deleteVectorDocument(`artifact-${id}`);
+          break;
+        case 'plans':
+          this.plans.delete(id);
+          this._deleteVectorDocument(`plan-${id}`);
+          break;
+      }
+      
+      report.bytesReclaimed += this._deleteRecordFromDisk(type, id);
+      report.removed[type]++;
+    }
+    
+    if (type === 'reflections') {
+      this.reflections = this.reflections.filter(reflection => !ids.has(reflection.id));
+    }
+  }
+
+  /**
+   * Delete a stored record file, returning the number of bytes freed
+   * @private
+   */
+  _deleteRecordFromDisk(dir, id) {
+    if (!this.persistToDisk || !id) return 0;
+    
+    const fs = require('fs');
+    const path = require('path');
+    const recordPath = path.join(this.memoryPath, dir, `${id}.json`);
+    
+    try {
+      const { size } = fs.statSync(recordPath);
+      fs.unlinkSync(recordPath);
+      return size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Remove a document from the vector store if it supports deletion
+   * @private
+   */
+  _deleteVectorDocument(id) {
+    if (this.vectorStore && typeof this.vectorStore.deleteDocument === 'function') {
+      this.vectorStore.deleteDocument(id);
+    }
+  }
+
+  /**
+   * Find an archived result by its vector store metadata
+   * @private
+   */
+  _readArchivedResult(metadata) {
+    const archive = this._readRecordFromDisk('archive', metadata.taskId || 'unassigned');
+    const entry = archive && archive.entries.find(e => e.resultId === metadata.resultId);
+    
+    if (!entry) return null;
+    
+    return {
+      id: entry.resultId,
+      actionId: entry.actionId,
+      result: {
+        status: entry.status,
+        error: entry.error,
+        action: { type: entry.type, description: entry.description, taskId: metadata.taskId }
+      }
+    };
+  }
+
+  /**
+   * Read a stored record from disk, or null if missing or unreadable
+   * @private
+   */
+  _readRecordFromDisk(dir, id) {
+    if (!this.persistToDisk || !id) return null;
+    
+    const fs = require('fs');
+    const path = require('path');
+    const recordPath = path.join(this.memoryPath, dir, `${id}.json`);
+    
+    try {
+      return JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
@@ -50,6 +50,7 @@ class ClientAgentProxy extends EventEmitter {
     }
 
     this.isRunning = true;
+    this._lastEventId = null;
     this.emit("start", { task });
 
     try {
@@ -159,14 +160,25 @@ class ClientAgentProxy extends EventEmitter {
       this._closeEventSource();
     }
 
+    // Resume after the last event we saw when reconnecting manually
+    const resumeParam = this._lastEventId
+      ? `&lastEventId=${this._lastEventId}`
+      : "";
+
     this._eventSource = new EventSource(
-      `/api/agent/events?sessionId=${this.sessionId}`
+      `/api/agent/events?sessionId=${this.sessionId}${resumeParam}`
     );
 
     this._eventSource.onmessage = (event) => {
       try {
         const data = JSON.parse(event.data);
+        this._lastEventId = data.id;
         this.emit(data.type, data.payload);
+
+        if (data.type === "completed") {
+          this._closeEventSource();
+          this.isRunning = false;
+        }
       } catch (error) {
         console.error("Error processing event:", error);
       }
@@ -0,0 +1,281 @@
+/**
+ * ApprovalGate.js
+ * Human-in-the-loop approval for risky agent actions. Callers classify an
+ * action by risk; actions at or above the configured threshold wait until a
+ * person approves, denies or edits them. Per-task rules ("auto-approve for
+ * this session") let matching actions through without asking again.
+ */
+
+// Risk levels, lowest first
+const RISK_LEVELS = ["read", "workspace_write", "network", "shell", "external_write"];
+
+const DECISIONS = ["approve", "deny", "edit"];
+
+class ApprovalGate {
+  /**
+   * @param {Object} config - Configuration
+   * @param {string} config.threshold - Lowest risk level that needs approval
+   *   (default "network"); "none" approves everything
+   * @param {number} config.timeout - Time in ms before a request is denied
+   * @param {Function} config.onRequest - Called with each request that waits
+   *   for a decision
+   * @param {Function} config.onResolve - Called with (request, decision)
+   * @param {Object} config.logger - Logger
+   */
+  constructor(config = {}) {
+    this.logger = config.logger || console;
+    this.threshold = config.threshold || "network";
+    this.timeout = config.timeout || 15 * 60 * 1000; // 15 minutes
+    this.onRequest = config.onRequest || null;
+    this.onResolve = config.onResolve || null;
+
+    // Requests waiting for a decision, by approval ID
+    this.pending = new Map();
+    // Auto-approve rules by task ID
+    this.rules = new Map();
+  }
+
+  /**
+   * Rank of a risk level (unknown levels rank highest)
+   * @param {string} level - Risk level
+   * @returns {number} - Rank
+   */
+  static rank(level) {
+    const index = RISK_LEVELS.indexOf(level);
+    return index === -1 ? RISK_LEVELS.length : index;
+  }
+
+  /**
+   * Whether a risk level needs approval under the threshold
+   * @param {string} level - Risk level
+   * @returns {boolean}
+   */
+  requiresApproval(level) {
+    if (this.threshold === "none") return false;
+    return ApprovalGate.rank(level) >= ApprovalGate.rank(this.threshold);
+  }
+
+  /**
+   * Add an auto-approve rule for a task. A rule matches actions with the
+   * given name (any name when omitted) up to the given risk level (any level
+   * when omitted).
+   * @param {string} taskId - Task ID
+   * @param {Object} rule - { name, level }
+   * @returns {Array<Object>} - The task's rules
+   */
+  addRule(taskId, rule = {}) {
+    const rules = this.rules.get(taskId) || [];
+    const normalized = { name: rule.name || null, level: rule.level || null };
+
+    if (
+      !rules.some(
+        (existing) =>
+          existing.name === normalized.name && existing.level === normalized.level
+      )
+    ) {
+      rules.push(normalized);
+    }
+
+    this.rules.set(taskId, rules);
+    return rules;
+  }
+
+  /**
+   * Replace the auto-approve rules of a task
+   * @param {string} taskId - Task ID
+   * @param {Array<Object>} rules - [{ name, level }]
+   */
+  setRules(taskId, rules = []) {
+    this.rules.delete(taskId);
+    for (const rule of rules) {
+      this.addRule(taskId, rule);
+    }
+  }
+
+  /**
+   * Auto-approve rules of a task
+   * @param {string} taskId - Task ID
+   * @returns {Array<Object>}
+   */
+  getRules(taskId) {
+    return [...(this.rules.get(taskId) || [])];
+  }
+
+  /**
+   * Check an action and wait for a decision when it needs one
+   * @param {Object} request - Request
+   * @param {string} request.taskId - Task the action belongs to
+   * @param {string} request.kind - "tool" or "action"
+   * @param {string} request.name - Tool name or action type
+   * @param {Object} request.input - Tool input or action
+   * @param {Object} request.risk - { level, reason }
+   * @returns {Promise<Object>} - { approved, input, decision, reason, rule }
+   *   where input is the (possibly edited) input to run with
+   */
+  async check(request) {
+    const { risk } = request;
+
+    if (!this.requiresApproval(risk.level)) {
+      return { approved: true, input: request.input, decision: "approve" };
+    }
+
+    const rule = this.getRules(request.taskId).find((candidate) =>
+      this._matches(candidate, request)
+    );
+    if (rule) {
+      this.logger.info(
+        `Auto-approved ${request.kind} ${request.name} (${risk.level}) by task rule`
+      );
+      return { approved: true, input: request.input, decision: "approve", rule };
+    }
+
+    return this._wait(request);
+  }
+
+  /**
+   * Decide a pending request
+   * @param {string} approvalId - Approval ID
+   * @param {Object} response - Response
+   * @param {string} response.decision - "approve", "deny" or "edit"
+   * @param {Object} response.input - Edited input (for "edit")
+   * @param {string} response.reason - Reason shown to the agent on deny
+   * @param {boolean} response.remember - Auto-approve matching actions for
+   *   the rest of the task
+   * @returns {Object|null} - The decided request, or null if none is pending
+   */
+  resolve(approvalId, response = {}) {
+    const entry = this.pending.get(approvalId);
+    if (!entry) return null;
+
+    const { decision } = response;
+    if (!DECISIONS.includes(decision)) {
+      throw new Error(`Decision must be one of: ${DECISIONS.join(", ")}`);
+    }
+    if (decision === "edit" && (!response.input || typeof response.input !== "object")) {
+      throw new Error("An edit decision needs the edited input");
+    }
+
+    if (response.remember && decision !== "deny") {
+      this.addRule(entry.request.taskId, {
+        name: entry.request.name,
+        level: entry.request.risk.level,
+      });
+    }
+
+    this._settle(entry, {
+      approved: decision !== "deny",
+      input: decision === "edit" ? response.input : entry.request.input,
+      decision,
+      reason: response.reason,
+    });
+    return entry.request;
+  }
+
+  /**
+   * Pending requests, optionally of one task
+   * @param {string} taskId - Task ID
+   * @returns {Array<Object>}
+   */
+  listPending(taskId) {
+    return [...this.pending.values()]
+      .map((entry) => entry.request)
+      .filter((request) => !taskId || request.taskId === taskId);
+  }
+
+  /**
+   * Deny everything pending for a task (e.g. when it is stopped). The task's
+   * rules are kept for a resume.
+   * @param {string} taskId - Task ID
+   * @param {string} reason - Reason given to the agent
+   */
+  cancelPending(taskId, reason = "Task stopped") {
+    for (const entry of [...this.pending.values()]) {
+      if (entry.request.taskId === taskId) {
+        this._settle(entry, {
+          approved: false,
+          input: entry.request.input,
+          decision: "deny",
+          reason,
+        });
+      }
+    }
+  }
+
+  /**
+   * Register a pending request and wait for its decision
+   * @private
+   */
+  _wait(request) {
+    const approvalId = `approval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const pendingRequest = {
+      ...request,
+      approvalId,
+      requestedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.timeout).toISOString(),
+    };
+
+    return new Promise((resolve) => {
+      const entry = { request: pendingRequest, resolve, timer: null };
+      entry.timer = setTimeout(() => {
+        this._settle(entry, {
+          approved: false,
+          input: request.input,
+          decision: "deny",
+          reason: "No decision before the approval timed out",
+        });
+      }, this.timeout);
+
+      this.pending.set(approvalId, entry);
+      this.logger.info(
+        `Approval required for ${request.kind} ${request.name} (${request.risk.level}): ${approvalId}`
+      );
+
+      if (this.onRequest) {
+        try {
+          this.onRequest(pendingRequest);
+        } catch (error) {
+          this.logger.error(`Error in approval request handler: ${error.message}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Resolve a pending request with a decision
+   * @private
+   */
+  _settle(entry, decision) {
+    clearTimeout(entry.timer);
+    this.pending.delete(entry.request.approvalId);
+
+    this.logger.info(
+      `Approval ${entry.request.approvalId}: ${decision.decision}${decision.reason ? ` (${decision.reason})` : ""}`
+    );
+
+    if (this.onResolve) {
+      try {
+        this.onResolve(entry.request, decision);
+      } catch (error) {
+        this.logger.error(`Error in approval resolve handler: ${error.message}`);
+      }
+    }
+
+    entry.resolve(decision);
+  }
+
+  /**
+   * Whether a rule covers a request
+   * @private
+   */
+  _matches(rule, request) {
+    if (rule.name && rule.name !== request.name) return false;
+    if (rule.level && ApprovalGate.rank(request.risk.level) > ApprovalGate.rank(rule.level)) {
+      return false;
+    }
+    return true;
+  }
+}
+
+ApprovalGate.RISK_LEVELS = RISK_LEVELS;
+
+module.exports = ApprovalGate;
@@ -1,13 +1,40 @@
 // lib/AutonomousAgent.js
 // Advanced autonomous agent with real implementations for tool execution
 
-import axios from "axios";
 import puppeteer from "puppeteer";
-import { execSync } from "child_process";
-import fs from "fs/promises";
 import path from "path";
 import { Octokit } from "@octokit/rest";
 import sharp from "sharp";
+import {
+  getAgentEventStream,
+  AGENT_EVENT_TYPES,
+} from "./AgentEventStream";
+import ToolRegistry from "./ToolRegistry";
+import LLMService from "./LLMService";
+import CommandSandbox from "./CommandSandbox";
+import ApprovalGate from "./ApprovalGate";
+import FileSystem from "./FileSystem";
+import EditJournal from "./EditJournal";
+import TextEditor from "./TextEditor";
+import WorkspaceSnapshots from "./WorkspaceSnapshots";
+
+/**
+ * Default checkpoint store, kept in memory for the lifetime of the agent.
+ * Any object with async save(taskId, checkpoint) and load(taskId) can replace it.
+ */
+class MemoryCheckpointStore {
+  constructor() {
+    this.checkpoints = new Map();
+  }
+
+  async save(taskId, checkpoint) {
+    this.checkpoints.set(taskId, checkpoint);
+  }
+
+  async load(taskId) {
+    return this.checkpoints.get(taskId) || null;
+  }
+}
 
 /**
  * AutonomousAgent - A production-ready class that implements a sophisticated agent loop
@@ -17,6 +44,9 @@ class AutonomousAgent {
   constructor(config = {}) {
     this.config = {
       apiKey: process.env.ANTHROPIC_API_KEY || "",
+      // Any LLMService provider: anthropic, openai, huggingface, ollama, custom
+      provider: "anthropic",
+      apiEndpoint: undefined,
       model: "claude-3-5-sonnet-20241022",
       maxTokens: 4096,
       temperature: 0.7,
@@ -39,34 +69,19 @@ Always aim for the highest possible quality in every aspect of development.`,
       ...config,
     };
 
-    // Enhanced tool set with additional capabilities
-    this.tools = [
-      {
-        type: "computer_20241022",
-        name: "computer",
-        display_width_px: 1920,
-        display_height_px: 1080,
-        display_number: 1,
-      },
-      {
-        type: "text_editor_20241022",
-        name: "str_replace_editor",
-      },
-      {
-        type: "bash_20241022",
-        name: "bash",
-      },
-      {
-        type: "web_browser_20241022",
-        name: "browser",
-      },
-      {
-        type: "github_access_20241022",
-        name: "github",
-      },
-    ];
+    // Display used by the computer tool
+    this.display = {
+      width: 1920,
+      height: 1080,
+      number: 1,
+    };
+
+    // Registry of callable tools; custom tools are added with registerTool()
+    this.toolRegistry = new ToolRegistry();
+    this.registerBuiltInTools();
 
     this.isRunning = false;
+    this.stopReason = null;
     this.currentTask = null;
     this.taskHistory = [];
     this.maxIterations = 20;
@@ -74,8 +89,22 @@ Always aim for the highest possible quality in every aspect of development.`,
     this.onProgress = null;
     this.onComplete = null;
     this.onError = null;
+    this.onUsage = null;
     this.debugMode = false;
 
+    // Session ID used to publish events to /api/agent/events
+    this.sessionId = null;
+    this.eventStream = getAgentEventStream();
+
+    // Checkpointing so an interrupted task can be resumed
+    this.taskId = null;
+    this.checkpointStore = new MemoryCheckpointStore();
+    this._checkpointQueue = Promise.resolve();
+    this.toolResults = [];
+
+    // Token usage reported by the provider for the current task
+    this.usage = AutonomousAgent.emptyUsage();
+
     // Image processing settings
     this.imageConfig = {
       optimizeImages: true,
@@ -98,10 +127,23 @@ Always aim for the highest possible quality in every aspect of development.`,
     this.octokit = null;
     this.projectRoot = process.cwd();
 
+    // Bash commands run in a per-task copy of the project (see CommandSandbox)
+    this.sandbox = null;
+
+    // Risky tool calls wait for a person to approve them (see ApprovalGate)
+    this.approvalGate = null;
+
+    // Editor commands run through FileSystem and are journaled per task
+    this.fileSystem = null;
+    this.editJournal = null;
+    this.textEditor = null;
+
+    // Git history of the project, committed after iterations that change it
+    this.snapshots = null;
+
     // Cache for optimization
     this.cache = {
       screenshots: new Map(),
-      fileContents: new Map(),
       searchResults: new Map(),
     };
   }
@@ -115,6 +157,7 @@ Always aim for the highest possible quality in every aspect of development.`,
     if (callbacks.onProgress) this.onProgress = callbacks.onProgress;
     if (callbacks.onComplete) this.onComplete = callbacks.onComplete;
     if (callbacks.onError) this.onError = callbacks.onError;
+    if (callbacks.onUsage) this.onUsage = callbacks.onUsage;
 
     // Apply optional configuration
     if (options.debugMode !== undefined) this.debugMode = options.debugMode;
@@ -124,14 +167,110 @@ Always aim for the highest possible quality in every aspect of development.`,
     if (options.threeDConfig)
       this.threeDConfig = { ...this.threeDConfig, ...options.threeDConfig };
     if (options.projectRoot) this.projectRoot = options.projectRoot;
+    if (options.checkpointStore) this.checkpointStore = options.checkpointStore;
+    if (options.provider) this.config.provider = options.provider;
+    if (options.apiEndpoint) this.config.apiEndpoint = options.apiEndpoint;
+    if (options.model) this.config.model = options.model;
+
+    // Sandbox for bash commands; denials are streamed as audit events
+    this.sandbox =
+      options.sandbox ||
+      new CommandSandbox({
+        ...options.sandboxOptions,
+        projectRoot: this.projectRoot,
+        onAudit: (event) => this.emitEvent(AGENT_EVENT_TYPES.AUDIT, event),
+        logger: {
+          info: (message) => this.log(message, "debug"),
+          warn: (message) => this.log(message, "warn"),
+          error: (message) => this.log(message, "error"),
+        },
+      });
+
+    // Approval requests and decisions are streamed to AutonomousControls
+    this.approvalGate =
+      options.approvalGate ||
+      new ApprovalGate({
+        ...options.approvals,
+        onRequest: (request) =>
+          this.emitEvent(AGENT_EVENT_TYPES.APPROVAL_REQUIRED, request),
+        onResolve: (request, decision) =>
+          this.emitEvent(AGENT_EVENT_TYPES.APPROVAL_RESOLVED, {
+            approvalId: request.approvalId,
+            taskId: request.taskId,
+            name: request.name,
+            decision: decision.decision,
+            reason: decision.reason,
+          }),
+        logger: {
+          info: (message) => this.log(message, "debug"),
+          error: (message) => this.log(message, "error"),
+        },
+      });
+
+    // Editor commands go through FileSystem; pass a shared editJournal so a
+    // task resumed on another agent keeps its edit history
+    this.fileSystem =
+      options.fileSystem ||
+      new FileSystem({
+        baseDir: this.projectRoot,
+        logger: {
+          info: (message) => this.log(message, "debug"),
+          error: (message, detail) =>
+            this.log(detail ? `${message} ${detail}` : message, "error"),
+        },
+      });
+    this.editJournal =
+      options.editJournal ||
+      new EditJournal({
+        journalDir: options.journalDir,
+        logger: { error: (message) => this.log(message, "error") },
+      });
+    this.textEditor = new TextEditor({
+      fileSystem: this.fileSystem,
+      journal: this.editJournal,
+      logger: {
+        info: (message) => this.log(message, "debug"),
+        error: (message) => this.log(message, "error"),
+      },
+    });
+
+    // Snapshots are on unless options.snapshots is false
+    if (options.snapshots !== false) {
+      this.snapshots =
+        options.workspaceSnapshots ||
+        new WorkspaceSnapshots({
+          ...options.snapshots,
+          projectRoot: this.projectRoot,
+          logger: {
+            info: (message) => this.log(message, "debug"),
+            error: (message) => this.log(message, "error"),
+          },
+        });
+    }
+
+    // Chat client for the configured provider
+    this.llm = new LLMService({
+      provider: this.config.provider,
+      apiKey: apiKey,
+      apiEndpoint: this.config.apiEndpoint,
+      chatEndpoint: options.chatEndpoint,
+      model: this.config.model,
+      maxTokens: this.config.maxTokens,
+      temperature: this.config.temperature,
+      onUsage: (usage) => this.recordUsage(usage),
+      logger: {
+        info: (message) => this.log(message, "debug"),
+        error: (message) => this.log(message, "error"),
+      },
+    });
 
     // Initialize browser for computer and web tools
     try {
       this.browser = await puppeteer.launch({
         headless: true,
         defaultViewport: {
-          width: this.tools[0].display_width_px,
-          height: this.tools[0].display_height_px,
+          width: this.display.width,
+          height: this.display.height,
         },
         args: [
           "--no-sandbox",
@@ -169,6 +308,11 @@ Always aim for the highest possible quality in every aspect of development.`,
         this.page = null;
       }
 
+      // Working copies only live as long as the run; a resume starts a new one
+      if (this.sandbox && this.taskId) {
+        this.sandbox.release(this.taskId);
+      }
+
       this.log("Resources cleaned up successfully", "info");
     } catch (error) {
       this.log(`Cleanup error: ${error.message}`, "error");
@@ -180,31 +324,22 @@ Always aim for the highest possible quality in every aspect of development.`,
    */
   async validateConnection() {
     try {
-      const response = await axios.post(
-        "https://api.anthropic.com/v1/messages",
+      const response = await this.llm.chat(
+        [
+          {
+            role: "user",
+            content: "Connection test. Reply with: CONNECTION_SUCCESSFUL",
+          },
+        ],
         {
           model: this.config.model,
-          max_tokens: 100,
-          messages: [
-            {
-              role: "user",
-              content: "Connection test. Reply with: CONNECTION_SUCCESSFUL",
-            },
-          ],
-        },
-        {
-          headers: {
-            "content-type": "application/json",
-            "x-api-key": this.config.apiKey,
-            "anthropic-version": "2023-06-01",
-          },
+          maxTokens: 100,
+          retry: false,
         }
       );
 
       const successCondition =
-        response.data &&
-        response.data.content &&
-        response.data.content[0].text.includes("CONNECTION_SUCCESSFUL");
+        response.text && response.text.includes("CONNECTION_SUCCESSFUL");
 
       if (successCondition) {
         this.log("API connection validated successfully");
@@ -242,11 +377,89 @@ Always aim for the highest possible quality in every aspect of development.`,
 
     // Configure the task with options
     this.currentTask = task;
+    this.taskId =
+      options.taskId ||
+      `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     this.isRunning = true;
     this.currentIteration = 0;
     this.taskHistory = [];
+    this.toolResults = [];
+    this.usage = AutonomousAgent.emptyUsage();
+
+    this._applyTaskOptions(options);
+
+    return this._executeTask(task, null, {
+      status: "started",
+      message: "Starting autonomous task",
+      progress: 0,
+      task: this.currentTask,
+    });
+  }
+
+  /**
+   * Resume an interrupted task from its last checkpoint.
+   * The iteration counter continues where it stopped, so the task keeps the
+   * iteration budget it was started with.
+   */
+  async resumeTask(taskId, options = {}) {
+    if (this.isRunning) {
+      throw new Error("Agent is already running a task");
+    }
 
-    // Apply task-specific options
+    if (!this.config.apiKey) {
+      throw new Error("API key is required. Call initialize() first");
+    }
+
+    const checkpoint = await this.checkpointStore.load(taskId);
+
+    if (!checkpoint) {
+      throw new Error(`No checkpoint found for task ${taskId}`);
+    }
+
+    if (checkpoint.status === "completed") {
+      throw new Error(`Task ${taskId} has already completed`);
+    }
+
+    this.currentTask = checkpoint.task;
+    this.taskId = taskId;
+    this.isRunning = true;
+    this.currentIteration = checkpoint.iteration || 0;
+    this.maxIterations = checkpoint.maxIterations || this.maxIterations;
+    this.taskHistory = [
+      ...(checkpoint.taskHistory || []),
+      {
+        role: "system",
+        content: `Resuming task from iteration ${this.currentIteration}`,
+        timestamp: new Date().toISOString(),
+      },
+    ];
+    this.toolResults = checkpoint.toolResults || [];
+    this.usage = { ...AutonomousAgent.emptyUsage(), ...checkpoint.usage };
+
+    // The checkpoint's budget and model settings take precedence
+    this._applyTaskOptions({
+      ...options,
+      ...checkpoint.config,
+      maxIterations: this.maxIterations,
+    });
+
+    return this._executeTask(checkpoint.task, checkpoint, {
+      status: "resumed",
+      message: `Resuming autonomous task at iteration ${this.currentIteration}/${this.maxIterations}`,
+      progress: (this.currentIteration / this.maxIterations) * 100,
+      task: this.currentTask,
+    });
+  }
+
+  /**
+   * Apply task-specific options
+   * @private
+   */
+  _applyTaskOptions(options = {}) {
+    if (options.sessionId) this.sessionId = options.sessionId;
+    if (options.autoApprove && this.approvalGate) {
+      this.approvalGate.setRules(this.taskId, options.autoApprove);
+    }
     if (options.maxIterations) this.maxIterations = options.maxIterations;
     if (options.model) this.config.model = options.model;
     if (options.temperature) this.config.temperature = options.temperature;
@@ -254,20 +467,22 @@ Always aim for the highest possible quality in every aspect of development.`,
 
     // Clear caches between tasks
     this.cache.screenshots.clear();
-    this.cache.fileContents.clear();
     this.cache.searchResults.clear();
+  }
 
+  /**
+   * Run the agent loop for a new or resumed task and report the outcome
+   * @private
+   */
+  async _executeTask(task, resumeState, startProgress) {
     try {
       // Send progress update
-      this.updateProgress({
-        status: "started",
-        message: "Starting autonomous task",
-        progress: 0,
-        task: this.currentTask,
-      });
+      this.updateProgress(startProgress);
+
+      await this._snapshotTaskBoundary("start");
 
       // Start the enhanced agent loop
-      const result = await this.runAgentLoop(task);
+      const result = await this.runAgentLoop(task, resumeState);
 
       // Send completion callback
       if (this.onComplete) {
@@ -294,6 +509,19 @@ Always aim for the highest possible quality in every aspect of development.`,
         this.onError(errorDetails);
       }
 
+      this.emitEvent(AGENT_EVENT_TYPES.ERROR, {
+        message: error.message,
+        iteration: this.currentIteration,
+        fatal: true,
+      });
+      this.emitEvent(AGENT_EVENT_TYPES.COMPLETED, {
+        success: false,
+        message: error.message,
+        iterations: this.currentIteration,
+      });
+
+      await this.saveCheckpoint({ status: "failed", error: error.message });
+
       // Try to recover if possible and in debug mode
       if (this.debugMode) {
         await this.attemptErrorRecovery(error, task);
@@ -301,6 +529,8 @@ Always aim for the highest possible quality in every aspect of development.`,
 
       throw error;
     } finally {
+      await this._snapshotTaskBoundary("end");
+
       // Clean up resources
       await this.cleanup();
     }
@@ -328,27 +558,19 @@ If possible, explain how to fix this issue and continue with the task.
       `;
 
       // Simple single-shot API call to get debugging advice
-      const response = await axios.post(
-        "https://api.anthropic.com/v1/messages",
+      const response = await this.llm.chat(
+        [{ role: "user", content: debugTask }],
         {
           model: this.config.model,
-          max_tokens: 1000,
+          maxTokens: 1000,
           temperature: 0.3, // Lower temperature for more precise debugging
-          messages: [{ role: "user", content: debugTask }],
           system:
             "You are a debugging expert specialized in fixing errors in autonomous web development systems.",
-        },
-        {
-          headers: {
-            "content-type": "application/json",
-            "x-api-key": this.config.apiKey,
-            "anthropic-version": "2023-06-01",
-          },
         }
       );
 
-      if (response.data && response.data.content) {
-        const debuggingAdvice = response.data.content[0].text;
+      if (response.text) {
+        const debuggingAdvice = response.text;
         this.log("Error recovery suggestion: " + debuggingAdvice, "info");
 
         // Add to task history
@@ -375,6 +597,7 @@ If possible, explain how to fix this issue and continue with the task.
     }
 
     this.isRunning = false;
+    this.stopReason = reason;
 
     // Add stop reason to history
     this.taskHistory.push({
@@ -384,6 +607,22 @@ If possible, explain how to fix this issue and continue with the task.
 
     this.log(`Task stopped: ${reason}`);
 
+    // Unblock a tool call that is waiting for approval
+    if (this.approvalGate) {
+      this.approvalGate.cancelPending(this.taskId, `Task stopped: ${reason}`);
+    }
+
+    this.saveCheckpoint({ status: "stopped" }).catch((err) => {
+      this.log(`Error saving checkpoint: ${err.message}`, "error");
+    });
+
+    this.emitEvent(AGENT_EVENT_TYPES.COMPLETED, {
+      success: false,
+      stopped: true,
+      message: `Task stopped: ${reason}`,
+      iterations: this.currentIteration,
+    });
+
     // Clean up resources
     this.cleanup().catch((err) => {
       this.log(`Error during cleanup: ${err.message}`, "error");
@@ -400,28 +639,48 @@ If possible, explain how to fix this issue and continue with the task.
   /**
    * Enhanced main agent loop for autonomous operation
    */
-  async runAgentLoop(initialTask) {
-    let currentMessages = [
-      {
+  async runAgentLoop(initialTask, resumeState = null) {
+    let currentMessages;
+
+    if (resumeState && Array.isArray(resumeState.messages)) {
+      // Continue the conversation from the checkpoint
+      currentMessages = [...resumeState.messages];
+    } else {
+      currentMessages = [
+        {
+          role: "user",
+          content: initialTask,
+        },
+      ];
+
+      // Store initial task
+      this.taskHistory.push({
         role: "user",
         content: initialTask,
-      },
-    ];
-
-    // Store initial task
-    this.taskHistory.push({
-      role: "user",
-      content: initialTask,
-      timestamp: new Date().toISOString(),
-    });
+        timestamp: new Date().toISOString(),
+      });
+    }
 
     // Keep track of consecutive errors to prevent infinite error loops
     let consecutiveErrors = 0;
     const MAX_CONSECUTIVE_ERRORS = 3;
 
+    // Record a checkpoint after every iteration so the task can be resumed
+    const checkpoint = (extra = {}) =>
+      this.saveCheckpoint({
+        messages: currentMessages,
+        consecutiveErrors,
+        ...extra,
+      });
+
     while (this.isRunning && this.currentIteration < this.maxIterations) {
       this.currentIteration++;
 
+      this.emitEvent(AGENT_EVENT_TYPES.ITERATION_STARTED, {
+        iteration: this.currentIteration,
+        maxIterations: this.maxIterations,
+      });
+
       try {
         // Send progress update
         this.updateProgress({
@@ -432,103 +691,70 @@ If possible, explain how to fix this issue and continue with the task.
         });
 
         // Enhanced request with additional parameters
-        const requestPayload = {
-          model: this.config.model,
-          max_tokens: this.config.maxTokens,
-          temperature: this.config.temperature,
-          tools: this.tools,
-          messages: currentMessages,
-          system: this.config.systemPrompt,
-        };
-
         this.log(
           `Sending request for iteration ${this.currentIteration}`,
           "debug"
         );
 
-        // Send request to Claude with computer use tools
-        const response = await axios.post(
-          "https://api.anthropic.com/v1/messages",
-          requestPayload,
-          {
-            headers: {
-              "content-type": "application/json",
-              "x-api-key": this.config.apiKey,
-              "anthropic-version": "2023-06-01",
-              "anthropic-beta": "computer-use-2024-10-22",
-            },
-          }
-        );
+        // Send the conversation and tool definitions to the configured provider
+        const response = await this.llm.chat(currentMessages, {
+          model: this.config.model,
+          maxTokens: this.config.maxTokens,
+          temperature: this.config.temperature,
+          system: this.config.systemPrompt,
+          tools: this.toolRegistry.getToolSpecs(),
+        });
 
         // Reset consecutive errors counter on successful API call
         consecutiveErrors = 0;
 
-        // Process the response from Claude
-        const responseData = response.data;
-
-        // Check if Claude wants to use a tool
-        if (responseData.stop_reason === "tool_use") {
-          const toolUse =
-            responseData.content[responseData.content.length - 1].tool_use;
-          const { name: toolName, input: toolInput, id: toolId } = toolUse;
+        // Every tool_use block in the response gets its own tool_result
+        const contentBlocks = response.content || [];
+        const toolUses = contentBlocks.filter(
+          (block) => block.type === "tool_use"
+        );
 
-          // Record the tool use in history with more detail
-          this.taskHistory.push({
+        // Check if the model wants to use a tool
+        if (response.stopReason === "tool_use" && toolUses.length > 0) {
+          // Keep the assistant turn verbatim, including any text blocks
+          currentMessages.push({
             role: "assistant",
-            tool: toolName,
-            input: toolInput,
-            timestamp: new Date().toISOString(),
-          });
-
-          this.log(`Executing tool: ${toolName}`, "info");
-          this.updateProgress({
-            status: "processing",
-            message: `Executing ${toolName} tool`,
-            progress: (this.currentIteration / this.maxIterations) * 100,
-            currentAction: `Using ${toolName} with specific parameters`,
+            content: contentBlocks,
           });
 
-          // Actually execute the requested tool
-          const toolResult = await this.executeToolWithErrorHandling(
-            toolName,
-            toolInput,
-            toolId
-          );
+          // Record any reasoning text in history
+          const assistantText = contentBlocks
+            .filter((block) => block.type === "text" && block.text)
+            .map((block) => block.text)
+            .join("\n");
+
+          if (assistantText) {
+            this.taskHistory.push({
+              role: "assistant",
+              content: assistantText,
+              timestamp: new Date().toISOString(),
+            });
+          }
 
-          // Add the tool result to messages for next iteration
-          currentMessages.push({
-            role: "assistant",
-            content: null,
-            tool_use: toolUse,
-          });
+          const toolResults = await this.executeToolUses(toolUses);
+          this._emitFileChanges(this.currentIteration);
+          await this._snapshotIteration(toolUses);
 
+          // All results go back in a single user turn, in request order
           currentMessages.push({
             role: "user",
-            content: [
-              {
-                type: "tool_result",
-                tool_use_id: toolUse.id,
-                content: toolResult,
-              },
-            ],
+            content: toolUses.map((toolUse, index) =>
+              this.formatToolResultBlock(toolUse.id, toolResults[index])
+            ),
           });
 
-          // Add detailed tool result to history
-          this.taskHistory.push({
-            role: "system",
-            tool_result: {
-              tool: toolName,
-              status: toolResult.error ? "error" : "success",
-              summary: toolResult.error
-                ? toolResult.message
-                : `Tool executed successfully`,
-            },
-            timestamp: new Date().toISOString(),
-          });
+          await checkpoint();
         } else {
           // Claude has completed the task
-          const finalResponse =
-            responseData.content[responseData.content.length - 1].text;
+          const finalResponse = contentBlocks
+            .filter((block) => block.type === "text")
+            .map((block) => block.text)
+            .join("\n");
 
           // Add to history
           this.taskHistory.push({
@@ -544,12 +770,22 @@ If possible, explain how to fix this issue and continue with the task.
             progress: 100,
           });
 
+          await checkpoint({ status: "completed" });
+
+          this.emitEvent(AGENT_EVENT_TYPES.COMPLETED, {
+            success: true,
+            message: "Task completed successfully",
+            iterations: this.currentIteration,
+            response: finalResponse,
+          });
+
           // Return the completed result
           return {
             success: true,
             message: "Task completed successfully",
             iterations: this.currentIteration,
             response: finalResponse,
+            usage: this.usage,
             history: this.taskHistory,
           };
         }
@@ -568,13 +804,21 @@ If possible, explain how to fix this issue and continue with the task.
           stackTrace: error.stack,
         });
 
-        // If we've had too many consecutive errors, abort
+        // If we've had too many consecutive errors, abort; the task's error
+        // handler reports the failure as the one fatal error event
         if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
           throw new Error(
             `Too many consecutive errors (${consecutiveErrors}). Last error: ${error.message}`
           );
         }
 
+        this.emitEvent(AGENT_EVENT_TYPES.ERROR, {
+          message: error.message,
+          iteration: this.currentIteration,
+          consecutiveErrors,
+          fatal: false,
+        });
+
         // Otherwise, try to recover and continue
         try {
           // Add an error notification to the messages
@@ -590,6 +834,8 @@ If possible, explain how to fix this issue and continue with the task.
             timestamp: new Date().toISOString(),
           });
 
+          await checkpoint();
+
           // Continue to next iteration rather than failing
           continue;
         } catch (recoveryError) {
@@ -601,15 +847,302 @@ If possible, explain how to fix this issue and continue with the task.
       }
     }
 
+    // stopTask() has already reported the stop
+    if (!this.isRunning) {
+      return {
+        success: false,
+        stopped: true,
+        message: `Task stopped: ${this.stopReason}`,
+        iterations: this.currentIteration,
+        usage: this.usage,
+        history: this.taskHistory,
+      };
+    }
+
     // If we reach here, we've hit the iteration limit
+    this.emitEvent(AGENT_EVENT_TYPES.COMPLETED, {
+      success: false,
+      message: "Maximum iterations reached without completion",
+      iterations: this.currentIteration,
+    });
+
     return {
       success: false,
       message: "Maximum iterations reached without completion",
       iterations: this.currentIteration,
+      usage: this.usage,
       history: this.taskHistory,
     };
   }
 
+  /**
+   * Zeroed token usage totals
+   */
+  static emptyUsage() {
+    return {
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: 0,
+      requests: 0,
+    };
+  }
+
+  /**
+   * Add the usage of one LLM request to the task totals and report it
+   */
+  recordUsage(usage) {
+    this.usage = {
+      inputTokens: this.usage.inputTokens + (usage.inputTokens || 0),
+      outputTokens: this.usage.outputTokens + (usage.outputTokens || 0),
+      cacheCreationInputTokens:
+        this.usage.cacheCreationInputTokens +
+        (usage.cacheCreationInputTokens || 0),
+      cacheReadInputTokens:
+        this.usage.cacheReadInputTokens + (usage.cacheReadInputTokens || 0),
+      requests: this.usage.requests + 1,
+    };
+
+    if (this.onUsage) {
+      try {
+        this.onUsage({
+          ...usage,
+          taskId: this.taskId,
+          iteration: this.currentIteration,
+        });
+      } catch (error) {
+        this.log(`Error in usage callback: ${error.message}`, "error");
+      }
+    }
+  }
+
+  /**
+   * Save a checkpoint of the current task (messages, iteration counter, tool results).
+   * Saves run one at a time, in call order, so each merges into the last.
+   */
+  saveCheckpoint(fields = {}) {
+    const save = this._checkpointQueue.then(() => this._writeCheckpoint(fields));
+    this._checkpointQueue = save.catch(() => {});
+    return save;
+  }
+
+  /**
+   * Merge fields into the stored checkpoint. Once the task has stopped,
+   * checkpoints without a status keep the stored one.
+   * @private
+   */
+  async _writeCheckpoint(fields) {
+    if (!this.taskId || !this.checkpointStore) return null;
+
+    const previous = (await this.checkpointStore.load(this.taskId)) || {};
+    const { messages, ...rest } = fields;
+
+    const checkpoint = {
+      ...previous,
+      taskId: this.taskId,
+      task: this.currentTask,
+      iteration: this.currentIteration,
+      maxIterations: this.maxIterations,
+      toolResults: this.toolResults,
+      usage: this.usage,
+      taskHistory: this.taskHistory,
+      config: {
+        model: this.config.model,
+        temperature: this.config.temperature,
+        systemPrompt: this.config.systemPrompt,
+        autoApprove: this.approvalGate
+          ? this.approvalGate.getRules(this.taskId)
+          : [],
+      },
+      status: this.isRunning ? "running" : previous.status || "running",
+      ...rest,
+      ...(messages && { messages: this.compactMessagesForCheckpoint(messages) }),
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      await this.checkpointStore.save(this.taskId, checkpoint);
+    } catch (error) {
+      this.log(`Failed to save checkpoint: ${error.message}`, "error");
+    }
+
+    return checkpoint;
+  }
+
+  /**
+   * Drop screenshots from all but the latest message to keep checkpoints small
+   */
+  compactMessagesForCheckpoint(messages) {
+    const stripScreenshots = (value) => {
+      if (Array.isArray(value)) return value.map(stripScreenshots);
+      if (!value || typeof value !== "object") return value;
+
+      if (value.type === "image" && value.source?.type === "base64") {
+        return { type: "text", text: "[screenshot omitted]" };
+      }
+
+      const copy = {};
+      for (const [key, val] of Object.entries(value)) {
+        copy[key] =
+          key === "screenshot_base64" && typeof val === "string"
+            ? "[screenshot omitted]"
+            : stripScreenshots(val);
+      }
+      return copy;
+    };
+
+    return messages.map((message, index) =>
+      index === messages.length - 1 ? message : stripScreenshots(message)
+    );
+  }
+
+  /**
+   * Execute the tool_use blocks of one response.
+   * Consecutive read-only tools run in parallel; any other tool runs on its
+   * own, so side effects happen in the order the model requested them.
+   * @returns {Promise<Array<Object>>} - Tool results in the same order as toolUses
+   */
+  async executeToolUses(toolUses) {
+    const batches = [];
+
+    for (const toolUse of toolUses) {
+      const tool = this.toolRegistry.get(toolUse.name);
+      const readOnly = !!(tool && tool.readOnly);
+      const lastBatch = batches[batches.length - 1];
+
+      if (readOnly && lastBatch && lastBatch.readOnly) {
+        lastBatch.toolUses.push(toolUse);
+      } else {
+        batches.push({ readOnly, toolUses: [toolUse] });
+      }
+    }
+
+    const results = [];
+
+    for (const batch of batches) {
+      if (!this.isRunning) break;
+
+      const batchResults = await Promise.all(
+        batch.toolUses.map((toolUse) => this.runToolUse(toolUse))
+      );
+      results.push(...batchResults);
+    }
+
+    // Tool calls skipped because the task was stopped still need a result
+    while (results.length < toolUses.length) {
+      results.push({
+        error: true,
+        message: "Tool call skipped because the task was stopped",
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Run a single tool_use block, recording it in history and the event stream
+   */
+  async runToolUse(toolUse) {
+    const { name: toolName, input: toolInput, id: toolId } = toolUse;
+
+    // Record the tool use in history with more detail
+    this.taskHistory.push({
+      role: "assistant",
+      tool: toolName,
+      input: toolInput,
+      timestamp: new Date().toISOString(),
+    });
+
+    this.log(`Executing tool: ${toolName}`, "info");
+    this.updateProgress({
+      status: "processing",
+      message: `Executing ${toolName} tool`,
+      progress: (this.currentIteration / this.maxIterations) * 100,
+      currentAction: `Using ${toolName} with specific parameters`,
+    });
+
+    this.emitEvent(AGENT_EVENT_TYPES.TOOL_CALL, {
+      iteration: this.currentIteration,
+      tool: toolName,
+      toolUseId: toolId,
+      input: toolInput,
+    });
+
+    // Actually execute the requested tool
+    const toolResult = await this.executeToolWithErrorHandling(
+      toolName,
+      toolInput,
+      toolId
+    );
+
+    const status = toolResult && toolResult.error ? "error" : "success";
+    const summary =
+      status === "error" ? toolResult.message : "Tool executed successfully";
+
+    // Add detailed tool result to history
+    this.taskHistory.push({
+      role: "system",
+      tool_result: {
+        tool: toolName,
+        status,
+        summary,
+      },
+      timestamp: new Date().toISOString(),
+    });
+
+    this.emitEvent(AGENT_EVENT_TYPES.TOOL_RESULT, {
+      iteration: this.currentIteration,
+      tool: toolName,
+      toolUseId: toolId,
+      status,
+      summary,
+    });
+
+    this.toolResults.push({
+      iteration: this.currentIteration,
+      tool: toolName,
+      toolUseId: toolId,
+      status,
+      summary,
+    });
+
+    return toolResult;
+  }
+
+  /**
+   * Build the tool_result content block for a tool's output.
+   * Screenshots are sent as image blocks, everything else as JSON text.
+   */
+  formatToolResultBlock(toolUseId, toolResult) {
+    const content = [];
+    let data = toolResult;
+
+    if (toolResult && typeof toolResult.screenshot_base64 === "string") {
+      const { screenshot_base64, ...rest } = toolResult;
+      data = rest;
+      content.push({
+        type: "image",
+        source: {
+          type: "base64",
+          media_type: "image/jpeg",
+          data: screenshot_base64,
+        },
+      });
+    }
+
+    content.unshift({
+      type: "text",
+      text: typeof data === "string" ? data : JSON.stringify(data ?? null),
+    });
+
+    return {
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      content,
+      ...(toolResult && toolResult.error && { is_error: true }),
+    };
+  }
+
   /**
    * Execute tools with error handling and retries
    */
@@ -644,32 +1177,382 @@ If possible, explain how to fix this issue and continue with the task.
   }
 
   /**
-   * Actually execute the requested tool
+   * Actually execute the requested tool.
+   * Calls classified at or above the approval threshold wait for a person to
+   * approve, deny or edit them. The input is checked against the tool's
+   * schema before the handler runs.
    */
   async executeTool(toolName, toolInput, toolId) {
-    // Implement actual tool execution based on the tool name
-    switch (toolName) {
-      case "computer":
-        return await this.executeComputerTool(toolInput);
+    let input = toolInput;
 
-      case "str_replace_editor":
-        return await this.executeEditorTool(toolInput);
+    if (this.approvalGate) {
+      const risk = this.toolRegistry.classify(toolName, toolInput);
 
-      case "bash":
-        return await this.executeBashTool(toolInput);
-
-      case "browser":
-        return await this.executeBrowserTool(toolInput);
+      if (this.approvalGate.requiresApproval(risk.level)) {
+        this.updateProgress({
+          status: "processing",
+          message: `Waiting for approval to use ${toolName}`,
+          progress: (this.currentIteration / this.maxIterations) * 100,
+        });
+      }
 
-      case "github":
-        return await this.executeGithubTool(toolInput);
+      const approval = await this.approvalGate.check({
+        taskId: this.taskId,
+        kind: "tool",
+        name: toolName,
+        input: toolInput,
+        toolUseId: toolId,
+        iteration: this.currentIteration,
+        risk,
+      });
 
-      default:
+      if (!approval.approved) {
         return {
           error: true,
-          message: `Unknown tool: ${toolName}`,
+          denied: true,
+          message: `The user denied this ${toolName} call${approval.reason ? `: ${approval.reason}` : ""}. Do not retry it unchanged.`,
+          tool: toolName,
         };
+      }
+      input = approval.input;
+    }
+
+    return await this.toolRegistry.execute(toolName, input, {
+      toolUseId: toolId,
+      taskId: this.taskId,
+      agent: this,
+    });
+  }
+
+  /**
+   * Decide a tool call that is waiting for approval
+   * @param {string} approvalId - Approval ID from the approval_required event
+   * @param {Object} response - { decision: "approve" | "deny" | "edit", input,
+   *   reason, remember } where remember auto-approves the same tool at the
+   *   same risk level for the rest of the task
+   * @returns {Object|null} - The decided request, or null if none is pending
+   */
+  resolveApproval(approvalId, response) {
+    return this.approvalGate ? this.approvalGate.resolve(approvalId, response) : null;
+  }
+
+  /**
+   * Stream the diffs of the files an iteration changed
+   * @private
+   */
+  _emitFileChanges(iteration) {
+    if (!this.editJournal || !this.taskId) return;
+
+    const files = this.editJournal.getIterationDiff(this.taskId, iteration);
+    if (files.length > 0) {
+      this.emitEvent(AGENT_EVENT_TYPES.FILES_CHANGED, {
+        taskId: this.taskId,
+        iteration,
+        files,
+      });
+    }
+  }
+
+  /**
+   * Tag the start or end of the current task in the workspace snapshots.
+   * Snapshot failures are logged and never fail the task.
+   * @private
+   */
+  async _snapshotTaskBoundary(boundary) {
+    if (!this.snapshots || !this.taskId) return;
+
+    try {
+      const snapshot = await this.snapshots.tagTask(this.taskId, boundary);
+      this.emitEvent(AGENT_EVENT_TYPES.SNAPSHOT, { taskId: this.taskId, boundary, ...snapshot });
+    } catch (error) {
+      this.log(`Failed to snapshot task ${boundary}: ${error.message}`, "warn");
+    }
+  }
+
+  /**
+   * Commit the workspace after an iteration whose tool calls could change
+   * it, with the tool calls as the message
+   * @private
+   */
+  async _snapshotIteration(toolUses) {
+    if (!this.snapshots || !this.taskId) return;
+
+    const calls = toolUses
+      .filter(
+        (toolUse) =>
+          this.toolRegistry.classify(toolUse.name, toolUse.input).level !== "read"
+      )
+      .map((toolUse) => this._describeToolCall(toolUse));
+    if (calls.length === 0) return;
+
+    const message =
+      calls.length === 1
+        ? calls[0]
+        : `${calls[0]} (+${calls.length - 1} more)\n\n${calls.map((call) => `- ${call}`).join("\n")}`;
+
+    try {
+      const snapshot = await this.snapshots.snapshot(message, {
+        taskId: this.taskId,
+        iteration: this.currentIteration,
+      });
+      if (snapshot) {
+        this.emitEvent(AGENT_EVENT_TYPES.SNAPSHOT, { taskId: this.taskId, ...snapshot });
+      }
+    } catch (error) {
+      this.log(`Failed to snapshot iteration ${this.currentIteration}: ${error.message}`, "warn");
+    }
+  }
+
+  /**
+   * One-line description of a tool call, e.g. "str_replace_editor: create src/App.jsx"
+   * @private
+   */
+  _describeToolCall({ name, input = {} }) {
+    let description;
+    if (name === "str_replace_editor") {
+      description = `${input.command} ${input.path}`;
+    } else if (name === "bash") {
+      description = input.command;
+    } else {
+      description = JSON.stringify(input);
     }
+
+    description = String(description).replace(/\s+/g, " ").trim();
+    return `${name}: ${description.length > 100 ? `${description.slice(0, 97)}...` : description}`;
+  }
+
+  /**
+   * Workspace snapshots, newest first
+   * @param {Object} options - { taskId, limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSnapshots(options = {}) {
+    return this.snapshots ? this.snapshots.list(options) : [];
+  }
+
+  /**
+   * Changes between two workspace snapshots
+   * @param {string} from - Snapshot ID or tag (e.g. task-<taskId>-start)
+   * @param {string} to - Snapshot ID or tag (default: the latest snapshot)
+   * @returns {Promise<Object>} - { from, to, files, diff, truncated }
+   */
+  async diffSnapshots(from, to) {
+    if (!this.snapshots) throw new Error("Workspace snapshots are disabled");
+    return this.snapshots.diff(from, to);
+  }
+
+  /**
+   * Put the workspace back to a snapshot
+   * @param {string} ref - Snapshot ID or tag
+   * @returns {Promise<Object>} - { restored, backup, snapshot }
+   */
+  async restoreSnapshot(ref) {
+    if (!this.snapshots) throw new Error("Workspace snapshots are disabled");
+    if (this.isRunning) {
+      throw new Error("Cannot restore a snapshot while a task is running");
+    }
+
+    return this.snapshots.restore(ref, { taskId: this.taskId });
+  }
+
+  /**
+   * Files a task changed through the editor tool
+   * @param {string} taskId - Task ID
+   * @returns {Object} - { iterations: [{ iteration, files }], files } where
+   *   files are { path, status, diff, added, removed } and the top-level
+   *   files hold the net change of the whole task
+   */
+  getTaskEdits(taskId) {
+    if (!this.editJournal) return { iterations: [], files: [] };
+
+    return {
+      iterations: this.editJournal.getIterationDiffs(taskId),
+      files: this.editJournal
+        .getChanges(taskId)
+        .map(({ before, after, ...change }) => change),
+    };
+  }
+
+  /**
+   * Restore every file a task edited to its content before the task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} - { restored: [path], failed: [{ path, message }] }
+   */
+  async rollbackTask(taskId) {
+    if (this.isRunning && this.taskId === taskId) {
+      throw new Error("Cannot roll back a task while it is running");
+    }
+
+    const result = await this.textEditor.rollback(taskId);
+    this.log(
+      `Rolled back ${result.restored.length} file(s) of task ${taskId}`,
+      "info"
+    );
+    return result;
+  }
+
+  /**
+   * Register a tool the model can call
+   * @param {Object} tool - { name, schema, handler, description, readOnly }
+   * @param {Object} options - { replace } to override an existing tool
+   * @returns {Object} - The registered tool
+   */
+  registerTool(tool, options = {}) {
+    return this.toolRegistry.register(tool, options);
+  }
+
+  /**
+   * Remove a registered tool
+   */
+  unregisterTool(name) {
+    return this.toolRegistry.unregister(name);
+  }
+
+  /**
+   * Tool definitions advertised to the model
+   */
+  get tools() {
+    return this.toolRegistry.getToolDefinitions();
+  }
+
+  /**
+   * Register the built-in computer, editor, bash, browser and GitHub tools
+   */
+  registerBuiltInTools() {
+    this.registerTool({
+      name: "computer",
+      description:
+        "Control a browser window: navigate to a URL, click a selector or coordinates, type keystrokes, scroll or wait. Returns a screenshot.",
+      definition: {
+        type: "computer_20241022",
+        display_width_px: this.display.width,
+        display_height_px: this.display.height,
+        display_number: this.display.number,
+      },
+      schema: {
+        type: "object",
+        properties: {
+          action: { type: "string" },
+          url: { type: "string" },
+          selector: { type: "string" },
+          keystrokes: { type: "string" },
+          coordinates: {
+            type: "object",
+            properties: {
+              x: { type: "number" },
+              y: { type: "number" },
+            },
+            required: ["x", "y"],
+          },
+          direction: { type: "string", enum: ["up", "down"] },
+          pixels: { type: "number" },
+          ms: { type: "number", minimum: 0 },
+          timeout: { type: "number", minimum: 0 },
+        },
+        required: ["action"],
+      },
+      risk: "network",
+      handler: (input) => this.executeComputerTool(input),
+    });
+
+    this.registerTool({
+      name: "str_replace_editor",
+      description:
+        "View, create and edit project files. `view` shows a file with line numbers (optionally a `view_range`) or lists a directory; `create` writes a new file; `str_replace` replaces `old_str`, which must occur exactly once, with `new_str`; `insert` adds `new_str` after line `insert_line` (0 for the top); `undo_edit` reverts the last edit of the file.",
+      definition: { type: "text_editor_20241022" },
+      schema: {
+        type: "object",
+        properties: {
+          command: { type: "string", enum: TextEditor.COMMANDS },
+          path: { type: "string", minLength: 1 },
+          file_text: { type: "string" },
+          old_str: { type: "string" },
+          new_str: { type: "string" },
+          insert_line: { type: "integer", minimum: 0 },
+          view_range: {
+            type: "array",
+            items: { type: "integer" },
+            minItems: 2,
+            maxItems: 2,
+          },
+        },
+        required: ["command", "path"],
+      },
+      risk: (input) => {
+        if (input.command === "view") return "read";
+        const resolved = path.resolve(this.projectRoot, String(input.path || ""));
+        return resolved === this.projectRoot ||
+          resolved.startsWith(this.projectRoot + path.sep)
+          ? "workspace_write"
+          : { level: "external_write", reason: "Path is outside the project" };
+      },
+      handler: (input) => this.executeEditorTool(input),
+    });
+
+    this.registerTool({
+      name: "bash",
+      description:
+        "Run a shell command in a sandboxed copy of the project and return stdout, stderr and the exit code. Only allowlisted commands run, without network access unless the policy allows it, and files they write stay in the copy; use the editor tool to change project files.",
+      definition: { type: "bash_20241022" },
+      schema: {
+        type: "object",
+        properties: {
+          command: { type: "string", minLength: 1 },
+        },
+        required: ["command"],
+      },
+      risk: "shell",
+      handler: (input) => this.executeBashTool(input),
+    });
+
+    this.registerTool({
+      name: "browser",
+      description:
+        "Research the web: search for a query, visit a URL, or extract the text of an element on the current page.",
+      // Shares the agent's page with the computer tool, so it never runs in parallel
+      schema: {
+        type: "object",
+        properties: {
+          action: { type: "string", enum: ["search", "visit", "extract"] },
+          query: { type: "string", description: "Search query" },
+          url: { type: "string", description: "URL to visit" },
+          selector: {
+            type: "string",
+            description: "CSS selector to extract (defaults to body)",
+          },
+        },
+        required: ["action"],
+      },
+      risk: "network",
+      handler: (input) => this.executeBrowserTool(input),
+    });
+
+    this.registerTool({
+      name: "github",
+      description:
+        "Access GitHub: search repositories, list files in a repository, or read a file.",
+      readOnly: true,
+      schema: {
+        type: "object",
+        properties: {
+          action: {
+            type: "string",
+            enum: ["search", "list_files", "get_file"],
+          },
+          query: { type: "string", description: "Repository search query" },
+          repository: {
+            type: "string",
+            description: "Repository in owner/name form",
+          },
+          branch: { type: "string" },
+          path: { type: "string", description: "Path inside the repository" },
+          content: { type: "string" },
+        },
+        required: ["action"],
+      },
+      risk: "network",
+      handler: (input) => this.executeGithubTool(input),
+    });
   }
 
   /**
@@ -684,8 +1567,8 @@ If possible, explain how to fix this issue and continue with the task.
           this.browser = await puppeteer.launch({
             headless: true,
             defaultViewport: {
-              width: this.tools[0].display_width_px,
-              height: this.tools[0].display_height_px,
+              width: this.display.width,
+              height: this.display.height,
             },
             args: [
               "--no-sandbox",
@@ -925,157 +1808,15 @@ If possible, explain how to fix this issue and continue with the task.
   }
 
   /**
-   * Execute the text editor tool with real file operations
+   * Execute the text editor tool through TextEditor; edits are journaled
+   * under the current task and iteration
    */
   async executeEditorTool(input) {
     try {
-      const {
-        operation,
-        path: filePath,
-        old_text,
-        new_text,
-        search,
-        replace,
-        edit_type,
-      } = input;
-
-      this.log(`Editor operation: ${operation} on ${filePath}`, "debug");
-
-      // Ensure the path is secure by resolving it relative to project root
-      const resolvedPath = path.resolve(this.projectRoot, filePath);
-
-      // Security check to prevent directory traversal
-      if (!resolvedPath.startsWith(this.projectRoot)) {
-        throw new Error(
-          "Path access violation - attempted to access file outside project root"
-        );
-      }
-
-      // Perform the operation
-      if (operation === "read") {
-        // Read the file content
-        const fileContent = await fs.readFile(resolvedPath, "utf8");
-
-        // Cache the content
-        this.cache.fileContents.set(resolvedPath, fileContent);
-
-        return {
-          content: fileContent,
-          path: filePath,
-          operation_performed: "read",
-          success: true,
-        };
-      } else if (operation === "write") {
-        // Create directory if it doesn't exist
-        const dirPath = path.dirname(resolvedPath);
-        await fs.mkdir(dirPath, { recursive: true });
-
-        // Write the content to the file
-        await fs.writeFile(resolvedPath, new_text);
-
-        // Update cache
-        this.cache.fileContents.set(resolvedPath, new_text);
-
-        return {
-          path: filePath,
-          operation_performed: "write",
-          success: true,
-          bytes_written: Buffer.from(new_text).length,
-        };
-      } else if (operation === "replace") {
-        // Read the current file content if old_text is not provided
-        let content;
-        if (!old_text) {
-          content = await fs.readFile(resolvedPath, "utf8");
-        } else {
-          content = old_text;
-        }
-
-        // Replace specific text or perform search and replace
-        let newContent;
-        if (search && replace) {
-          // Search and replace all occurrences
-          const searchRegex = new RegExp(search, "g");
-          newContent = content.replace(searchRegex, replace);
-        } else {
-          // Direct replacement of old_text with new_text
-          newContent = content.replace(old_text, new_text);
-        }
-
-        // Write the updated content back to the file
-        await fs.writeFile(resolvedPath, newContent);
-
-        // Update cache
-        this.cache.fileContents.set(resolvedPath, newContent);
-
-        return {
-          path: filePath,
-          operation_performed: "replace",
-          success: true,
-          bytes_written: Buffer.from(newContent).length,
-        };
-      } else if (operation === "append") {
-        // Append text to the file
-        // Create directory if it doesn't exist
-        const dirPath = path.dirname(resolvedPath);
-        await fs.mkdir(dirPath, { recursive: true });
-
-        // Check if file exists, if not create it
-        let currentContent = "";
-        try {
-          currentContent = await fs.readFile(resolvedPath, "utf8");
-        } catch (fileError) {
-          // File doesn't exist, will be created
-        }
-
-        // Append new content
-        const updatedContent = currentContent + new_text;
-        await fs.writeFile(resolvedPath, updatedContent);
-
-        // Update cache
-        this.cache.fileContents.set(resolvedPath, updatedContent);
-
-        return {
-          path: filePath,
-          operation_performed: "append",
-          success: true,
-          bytes_written: Buffer.from(updatedContent).length,
-        };
-      } else if (operation === "delete") {
-        // Delete the file
-        await fs.unlink(resolvedPath);
-
-        // Remove from cache
-        this.cache.fileContents.delete(resolvedPath);
-
-        return {
-          path: filePath,
-          operation_performed: "delete",
-          success: true,
-        };
-      } else if (operation === "list_directory") {
-        // List files in directory
-        const files = await fs.readdir(resolvedPath, { withFileTypes: true });
-
-        // Convert to structured format
-        const fileList = files.map((file) => ({
-          name: file.name,
-          isDirectory: file.isDirectory(),
-          extension: file.isFile() ? path.extname(file.name) : null,
-        }));
-
-        return {
-          path: filePath,
-          operation_performed: "list_directory",
-          success: true,
-          files: fileList,
-        };
-      } else {
-        return {
-          error: true,
-          message: `Unknown editor operation: ${operation}`,
-        };
-      }
+      return await this.textEditor.execute(input, {
+        taskId: this.taskId,
+        iteration: this.currentIteration,
+      });
     } catch (error) {
       this.log(`Editor tool error: ${error.message}`, "error");
       return {
@@ -1087,61 +1828,33 @@ If possible, explain how to fix this issue and continue with the task.
   }
 
   /**
-   * Execute bash commands with real execution
+   * Execute bash commands in the task's sandbox working copy
    */
   async executeBashTool(input) {
-    try {
-      const { command } = input;
-
-      this.log(`Executing bash command: ${command}`, "debug");
-
-      // Security checks - prevent dangerous commands
-      const dangerousCommands = [
-        "rm -rf",
-        "sudo",
-        "chmod 777",
-        "> /dev/",
-        "| rm",
-        "$(",
-        "`",
-        "> /etc/",
-        "dd if=",
-      ];
+    const { command } = input;
 
-      // Check for dangerous commands
-      if (dangerousCommands.some((cmd) => command.includes(cmd))) {
-        return {
-          stderr: "Command rejected for security reasons",
-          stdout: "",
-          exit_code: 1,
-        };
-      }
+    this.log(`Executing bash command: ${command}`, "debug");
 
-      // Execute the command in the project directory
-      const options = {
+    try {
+      const result = await this.sandbox.run(command, {
+        taskId: this.taskId,
         cwd: this.projectRoot,
-        maxBuffer: 1024 * 1024 * 10, // 10MB buffer
-        timeout: 30000, // 30 second timeout
-      };
+      });
 
-      try {
-        const stdout = execSync(command, options).toString();
-        return {
-          stdout: stdout,
-          stderr: "",
-          exit_code: 0,
-        };
-      } catch (execError) {
-        // Command failed but we captured the output
-        return {
-          stdout: execError.stdout ? execError.stdout.toString() : "",
-          stderr: execError.stderr
-            ? execError.stderr.toString()
-            : execError.message,
-          exit_code: execError.status || 1,
-        };
-      }
+      let stderr = result.stderr;
+      if (result.timedOut) stderr += "\nCommand timed out and was stopped";
+      if (result.truncated) stderr += "\nOutput limit reached, command was stopped";
+
+      return {
+        stdout: result.stdout,
+        stderr,
+        exit_code: result.code === null ? 1 : result.code,
+      };
     } catch (error) {
+      if (error instanceof CommandSandbox.CommandDeniedError) {
+        return { stdout: "", stderr: error.message, exit_code: 126 };
+      }
+
       this.log(`Bash tool error: ${error.message}`, "error");
       return {
         stderr: error.message,
@@ -1545,6 +2258,17 @@ If possible, explain how to fix this issue and continue with the task.
         ...progressInfo,
       });
     }
+
+    this.emitEvent(AGENT_EVENT_TYPES.PROGRESS, progressInfo);
+  }
+
+  /**
+   * Publish a typed event for the current session (streamed by /api/agent/events)
+   */
+  emitEvent(type, payload = {}) {
+    if (!this.sessionId || !this.eventStream) return null;
+
+    return this.eventStream.publish(this.sessionId, type, payload);
   }
 
   /**
@@ -1555,6 +2279,10 @@ If possible, explain how to fix this issue and continue with the task.
 
     const timestamp = new Date().toISOString();
 
+    if (level !== "debug") {
+      this.emitEvent(AGENT_EVENT_TYPES.LOG, { level, message });
+    }
+
     switch (level) {
       case "error":
         console.error(`[${timestamp}] [ERROR] ${message}`);
@@ -1591,6 +2319,7 @@ If possible, explain how to fix this issue and continue with the task.
           : null,
       actionCount: this.taskHistory.length,
       toolUsage: this.analyzeToolUsage(),
+      usage: this.usage,
     };
   }
 
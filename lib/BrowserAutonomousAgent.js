@@ -8,6 +8,8 @@ class BrowserAutonomousAgent {
     this.isRunning = false;
     this.tasks = [];
     this.currentTask = null;
+    this.sessionId =
+      options.sessionId || Math.random().toString(36).substring(2, 15);
   }
 
   on(event, callback) {
@@ -33,7 +35,7 @@ class BrowserAutonomousAgent {
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify(this.options),
+        body: JSON.stringify({ ...this.options, sessionId: this.sessionId }),
       });
 
       if (!response.ok) {
@@ -50,13 +52,15 @@ class BrowserAutonomousAgent {
 
   startEventSource() {
     // Use Server-Sent Events to get updates from the server
-    const eventSource = new EventSource("/api/agent/events");
+    const eventSource = new EventSource(
+      `/api/agent/events?sessionId=${this.sessionId}`
+    );
 
     eventSource.onmessage = (event) => {
       const data = JSON.parse(event.data);
       this.eventEmitter.emit(data.type, data.payload);
 
-      if (data.type === "complete") {
+      if (data.type === "completed") {
         eventSource.close();
         this.stop();
       }
@@ -0,0 +1,410 @@
+/**
+ * BuildVerifier.js
+ * Checks that generated project files compile. Files are copied to a sandbox
+ * directory and either built with the project's own build script or parsed
+ * file by file (TypeScript, Babel or `node --check`, plus ESLint when the
+ * project configures it). Diagnostics are collected per file.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { runCommand, readPackageJson, writeFiles } = require("./ProjectBuild");
+
+// Extensions the parse check understands
+const SCRIPT_EXTENSIONS = [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx"];
+
+// Closing or self-closing tags, used to spot JSX in .js files
+const JSX_PATTERN = /<\/[A-Za-z][\w.]*>|<[A-Za-z][\w.]*[^<>]*\/>/;
+
+class BuildVerifier {
+  /**
+   * @param {Object} config - Configuration
+   * @param {string} config.mode - "auto" (build when a build script exists,
+   *   otherwise parse), "build" or "parse"
+   * @param {string} config.sandboxRoot - Directory sandboxes are created in
+   * @param {number} config.installTimeout - Timeout of `npm install` in ms
+   * @param {number} config.buildTimeout - Timeout of the build in ms
+   * @param {boolean} config.keepSandbox - Keep the sandbox directory for inspection
+   * @param {Object} config.logger - Logger
+   */
+  constructor(config = {}) {
+    this.mode = config.mode || "auto";
+    this.sandboxRoot = config.sandboxRoot || os.tmpdir();
+    this.installTimeout = config.installTimeout || 5 * 60 * 1000;
+    this.buildTimeout = config.buildTimeout || 5 * 60 * 1000;
+    this.keepSandbox = !!config.keepSandbox;
+    this.logger = config.logger || console;
+  }
+
+  /**
+   * Verify a set of project files
+   * @param {Array<Object>} files - Files as { path, code }
+   * @returns {Promise<Object>} - { ok, method, errorCount, diagnostics, output }
+   *   where diagnostics maps file paths to
+   *   [{ line, column, message, source }]
+   */
+  async verify(files) {
+    const sandboxDir = fs.mkdtempSync(
+      path.join(this.sandboxRoot, "frodo-verify-")
+    );
+
+    try {
+      writeFiles(sandboxDir, files);
+
+      const packageJson = readPackageJson(sandboxDir);
+      const canBuild = !!(packageJson && packageJson.scripts?.build);
+
+      if (this.mode === "build" || (this.mode === "auto" && canBuild)) {
+        if (!canBuild) {
+          return this._result("build", {
+            "package.json": [
+              {
+                line: null,
+                column: null,
+                message: "No build script found in package.json",
+                source: "build",
+              },
+            ],
+          });
+        }
+
+        const build = await this._build(sandboxDir, files);
+        // An install that cannot run (e.g. offline) says nothing about the code
+        if (!build.installFailed) return build;
+
+        this.logger.warn(
+          "Dependency install failed, falling back to parsing files"
+        );
+      }
+
+      return await this._parseFiles(sandboxDir, files);
+    } finally {
+      if (!this.keepSandbox) {
+        fs.rmSync(sandboxDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Install dependencies and run the build script
+   * @private
+   */
+  async _build(sandboxDir, files) {
+    const install = await runCommand(
+      "npm",
+      ["install", "--no-audit", "--no-fund", "--ignore-scripts"],
+      sandboxDir,
+      this.installTimeout
+    );
+
+    if (install.code !== 0) {
+      return { installFailed: true, output: install.output };
+    }
+
+    const build = await runCommand(
+      "npm",
+      ["run", "build"],
+      sandboxDir,
+      this.buildTimeout
+    );
+
+    if (build.code === 0) {
+      return this._result("build", {}, build.output);
+    }
+
+    const diagnostics = this._parseBuildOutput(
+      build.output,
+      files.map((file) => this._normalizePath(file.path))
+    );
+
+    // Make sure a failed build never reports zero errors
+    if (Object.keys(diagnostics).length === 0) {
+      diagnostics["(build)"] = [
+        {
+          line: null,
+          column: null,
+          message: build.timedOut
+            ? `Build timed out after ${this.buildTimeout}ms`
+            : build.output.slice(-2000) || `Build exited with code ${build.code}`,
+          source: "build",
+        },
+      ];
+    }
+
+    return this._result("build", diagnostics, build.output);
+  }
+
+  /**
+   * Parse every script and JSON file without building
+   * @private
+   */
+  async _parseFiles(sandboxDir, files) {
+    const diagnostics = {};
+    const add = (file, diagnostic) => {
+      (diagnostics[file] = diagnostics[file] || []).push(diagnostic);
+    };
+
+    const typescript = optionalRequire("typescript");
+    const babelParser = typescript ? null : optionalRequire("@babel/parser");
+    const method = typescript ? "typescript" : babelParser ? "babel" : "node";
+
+    for (const file of files) {
+      const filePath = this._normalizePath(file.path);
+      const code = String(file.code || "");
+      const extension = path.extname(filePath).toLowerCase();
+
+      if (extension === ".json") {
+        try {
+          JSON.parse(code);
+        } catch (error) {
+          add(filePath, {
+            line: null,
+            column: null,
+            message: error.message,
+            source: "json",
+          });
+        }
+        continue;
+      }
+
+      if (!SCRIPT_EXTENSIONS.includes(extension)) continue;
+
+      if (typescript) {
+        for (const diagnostic of this._parseWithTypeScript(
+          typescript,
+          filePath,
+          code
+        )) {
+          add(filePath, diagnostic);
+        }
+      } else if (babelParser) {
+        const diagnostic = this._parseWithBabel(babelParser, filePath, code);
+        if (diagnostic) add(filePath, diagnostic);
+      } else if (
+        ![".jsx", ".ts", ".tsx"].includes(extension) &&
+        !JSX_PATTERN.test(code)
+      ) {
+        // Node cannot parse JSX or TypeScript, so those files stay unchecked
+        const diagnostic = await this._checkWithNode(sandboxDir, filePath);
+        if (diagnostic) add(filePath, diagnostic);
+      }
+    }
+
+    for (const diagnostic of await this._lint(sandboxDir)) {
+      add(diagnostic.file, diagnostic);
+      delete diagnostic.file;
+    }
+
+    return this._result(method, diagnostics);
+  }
+
+  /**
+   * Syntax diagnostics from the TypeScript parser (handles JS and JSX too)
+   * @private
+   */
+  _parseWithTypeScript(ts, filePath, code) {
+    const extension = path.extname(filePath).toLowerCase();
+    const scriptKind =
+      {
+        ".ts": ts.ScriptKind.TS,
+        ".tsx": ts.ScriptKind.TSX,
+        ".jsx": ts.ScriptKind.JSX,
+      }[extension] || ts.ScriptKind.JSX;
+
+    const sourceFile = ts.createSourceFile(
+      filePath,
+      code,
+      ts.ScriptTarget.Latest,
+      false,
+      scriptKind
+    );
+
+    return (sourceFile.parseDiagnostics || []).map((diagnostic) => {
+      const position = sourceFile.getLineAndCharacterOfPosition(
+        diagnostic.start || 0
+      );
+      return {
+        line: position.line + 1,
+        column: position.character + 1,
+        message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+        source: "typescript",
+      };
+    });
+  }
+
+  /**
+   * Syntax error from the Babel parser, or null
+   * @private
+   */
+  _parseWithBabel(babelParser, filePath, code) {
+    const isTypeScript = /\.tsx?$/i.test(filePath);
+
+    try {
+      babelParser.parse(code, {
+        sourceType: "unambiguous",
+        plugins: isTypeScript ? ["jsx", "typescript"] : ["jsx"],
+      });
+      return null;
+    } catch (error) {
+      return {
+        line: error.loc ? error.loc.line : null,
+        column: error.loc ? error.loc.column + 1 : null,
+        message: error.message.replace(/\s*\(\d+:\d+\)$/, ""),
+        source: "babel",
+      };
+    }
+  }
+
+  /**
+   * Syntax error from `node --check`, or null
+   * @private
+   */
+  async _checkWithNode(sandboxDir, filePath) {
+    const result = await runCommand(
+      process.execPath,
+      ["--check", filePath],
+      sandboxDir,
+      30000
+    );
+
+    // Only syntax errors count; other failures (e.g. a broken package.json)
+    // are reported by their own checks
+    if (result.code === 0 || !/SyntaxError/.test(result.output)) return null;
+
+    const location = result.output.match(/:(\d+)\r?\n/);
+    const message = result.output
+      .split("\n")
+      .find((line) => /^SyntaxError/.test(line.trim()));
+
+    return {
+      line: location ? parseInt(location[1], 10) : null,
+      column: null,
+      message: message ? message.trim() : result.output.slice(0, 500),
+      source: "node",
+    };
+  }
+
+  /**
+   * ESLint errors when ESLint is installed and the project configures it
+   * @private
+   */
+  async _lint(sandboxDir) {
+    const eslint = optionalRequire("eslint");
+    const hasConfig = fs
+      .readdirSync(sandboxDir)
+      .some((name) => /^(\.eslintrc(\.\w+)?|eslint\.config\.\w+)$/.test(name));
+
+    if (!eslint || !eslint.ESLint || !hasConfig) return [];
+
+    try {
+      const linter = new eslint.ESLint({ cwd: sandboxDir });
+      const results = await linter.lintFiles(["."]);
+
+      return results.flatMap((result) =>
+        result.messages
+          .filter((message) => message.severity === 2)
+          .map((message) => ({
+            file: this._normalizePath(path.relative(sandboxDir, result.filePath)),
+            line: message.line || null,
+            column: message.column || null,
+            message: message.ruleId
+              ? `${message.message} (${message.ruleId})`
+              : message.message,
+            source: "eslint",
+          }))
+      );
+    } catch (error) {
+      this.logger.warn(`ESLint could not run: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Attribute build errors to files by the `path:line:col` or
+   * `path(line,col)` references in the output
+   * @private
+   */
+  _parseBuildOutput(output, filePaths) {
+    const diagnostics = {};
+    const lines = output.split("\n");
+    const pattern =
+      /(?:\.\/)?([\w@./-]+\.(?:jsx?|tsx?|mjs|cjs|css|scss|json|vue))(?::(\d+)(?::(\d+))?|\((\d+),(\d+)\))?/;
+
+    lines.forEach((line, index) => {
+      const match = line.match(pattern);
+      if (!match) return;
+
+      const filePath = filePaths.find(
+        (candidate) =>
+          candidate === match[1] || candidate.endsWith(`/${match[1]}`)
+      );
+      if (!filePath) return;
+
+      // The message is on the same line (tsc) or on the next non-empty line
+      const rest = line.slice(line.indexOf(match[0]) + match[0].length);
+      const message =
+        rest.replace(/^[\s:-]+/, "").trim() ||
+        (lines.slice(index + 1).find((next) => next.trim()) || "").trim();
+
+      if (!/error|expected|unexpected|cannot|not found|failed/i.test(`${line} ${message}`)) {
+        return;
+      }
+
+      const entry = {
+        line: parseInt(match[2] || match[4], 10) || null,
+        column: parseInt(match[3] || match[5], 10) || null,
+        message: message.slice(0, 500),
+        source: "build",
+      };
+
+      const existing = diagnostics[filePath] || [];
+      if (!existing.some((d) => d.line === entry.line && d.message === entry.message)) {
+        diagnostics[filePath] = [...existing, entry];
+      }
+    });
+
+    return diagnostics;
+  }
+
+  /**
+   * Normalize a project-relative path
+   * @private
+   */
+  _normalizePath(filePath) {
+    return String(filePath).replace(/\\/g, "/").replace(/^(\.\/|\/)+/, "");
+  }
+
+  /**
+   * Build a verification result
+   * @private
+   */
+  _result(method, diagnostics, output = "") {
+    const errorCount = Object.values(diagnostics).reduce(
+      (count, entries) => count + entries.length,
+      0
+    );
+
+    return {
+      ok: errorCount === 0,
+      method,
+      errorCount,
+      diagnostics,
+      output: output.slice(-4000),
+    };
+  }
+}
+
+/**
+ * Require an optional dependency, returning null if it is not installed
+ * @private
+ */
+function optionalRequire(name) {
+  try {
+    return require(name);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = BuildVerifier;
@@ -9,6 +9,8 @@ const fs = require("fs-extra"); // Using fs-extra for more robust file operation
 const axios = require("axios");
 const { v4: uuidv4 } = require("uuid");
 const os = require("os");
+const BuildVerifier = require("./BuildVerifier");
+const VisualQA = require("./VisualQA");
 
 // Premium UI libraries and design systems we'll integrate
 const DESIGN_SYSTEMS = {
@@ -432,6 +434,30 @@ class CodeGenerationModule {
     this.requestTimeout = config.requestTimeout || 30000;
     this.useLocalImages = config.useLocalImages !== false;
 
+    // Build verification: generated files are checked in a sandbox and
+    // diagnostics are sent back to the LLM for a bounded number of fix rounds
+    this.verifyBuild = config.verifyBuild !== false;
+    this.maxFixRounds =
+      config.maxFixRounds !== undefined ? config.maxFixRounds : 2;
+    this.buildVerifier =
+      config.buildVerifier ||
+      new BuildVerifier({ ...config.verification, logger: this.logger });
+
+    // Visual QA (opt-in): the built site is rendered at several viewports and
+    // layout problems are sent back to the LLM like build errors
+    this.visualQA =
+      config.visualQA instanceof VisualQA
+        ? config.visualQA
+        : config.visualQA
+        ? new VisualQA({
+            ...(typeof config.visualQA === "object" ? config.visualQA : {}),
+            browserInterface: config.browserInterface,
+            logger: this.logger,
+          })
+        : null;
+    this.maxVisualFixRounds =
+      config.maxVisualFixRounds !== undefined ? config.maxVisualFixRounds : 1;
+
     // Register framework generators
     this.frameworkGenerators = new Map();
     this._registerFrameworkGenerators();
@@ -1245,13 +1271,419 @@ module.exports = {
       );
 
       // Process and enhance the generated code
-      return await this._processGeneratedCode(generatedCode, enhancedContext);
+      const result = await this._processGeneratedCode(
+        generatedCode,
+        enhancedContext
+      );
+
+      // Check that the project compiles and let the LLM fix what does not
+      const verified = await this._verifyAndFix(result, enhancedContext);
+
+      // Check how it renders and let the LLM fix layout problems
+      return await this._runVisualQA(verified, enhancedContext);
     } catch (error) {
       this.logger.error("Error generating code:", error);
 
-      // Fall back to a simple but reliable template
-      return this._generateFallbackCode(requirements);
+      // Fall back to a simple but reliable template, saying so in the result
+      return {
+        ...this._generateFallbackCode(requirements, projectContext),
+        usedFallback: true,
+        fallbackReason: error.message,
+      };
+    }
+  }
+
+  /**
+   * Verify the generated project and run bounded LLM fix rounds on the
+   * files with diagnostics
+   * @param {Object} result - Processed generation result ({ files, ... })
+   * @param {Object} projectContext - Project context
+   * @returns {Promise<Object>} - The result with patched files and a `build`
+   *   report: { status, method, errorCount, diagnostics, rounds, output }
+   * @private
+   */
+  async _verifyAndFix(result, projectContext) {
+    if (!this.verifyBuild) return result;
+
+    let files = result.files;
+    let verification = await this._verifyFiles(files);
+    const rounds = [];
+
+    for (
+      let round = 1;
+      round <= this.maxFixRounds &&
+      !verification.ok &&
+      !verification.error &&
+      this.llm;
+      round++
+    ) {
+      this.logger.info(
+        `Build verification found ${verification.errorCount} errors, fix round ${round}/${this.maxFixRounds}`
+      );
+
+      let patches;
+      try {
+        patches = await this._requestBuildFixes(
+          files,
+          verification,
+          projectContext
+        );
+      } catch (error) {
+        this.logger.warn("Failed to get build fixes from LLM:", error.message);
+        break;
+      }
+
+      if (patches.length === 0) break;
+
+      files = this._applyFilePatches(files, patches);
+      await this._writePatches(patches);
+
+      const errorsBefore = verification.errorCount;
+      verification = await this._verifyFiles(files);
+
+      rounds.push({
+        round,
+        patchedFiles: patches.map((patch) => patch.path),
+        errorsBefore,
+        errorsAfter: verification.errorCount,
+      });
+    }
+
+    const status = verification.error
+      ? "error"
+      : verification.ok
+      ? "passed"
+      : "failed";
+
+    this.logger.info(`Build verification ${status}`, {
+      method: verification.method,
+      errorCount: verification.errorCount,
+      rounds: rounds.length,
+    });
+
+    return {
+      ...result,
+      files,
+      build: {
+        status,
+        method: verification.method,
+        errorCount: verification.errorCount,
+        diagnostics: verification.diagnostics,
+        rounds,
+        output: verification.output,
+        error: verification.error,
+      },
+    };
+  }
+
+  /**
+   * Run the build verifier, reporting verifier crashes as an error status
+   * @private
+   */
+  async _verifyFiles(files) {
+    try {
+      return await this.buildVerifier.verify(files);
+    } catch (error) {
+      this.logger.error("Build verification could not run:", error);
+      return {
+        ok: false,
+        method: null,
+        errorCount: 0,
+        diagnostics: {},
+        output: "",
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Ask the LLM for corrected versions of the files with diagnostics
+   * @returns {Promise<Array<Object>>} - Patched files as { path, code }
+   * @private
+   */
+  async _requestBuildFixes(files, verification, projectContext) {
+    const filesByPath = new Map(
+      files.map((file) => [file.path.replace(/^(\.\/|\/)+/, ""), file])
+    );
+
+    // Limit each round to a few files to keep the prompt focused
+    const failing = Object.entries(verification.diagnostics).slice(0, 8);
+
+    const failingSections = failing
+      .map(([filePath, diagnostics]) => {
+        const file = filesByPath.get(filePath);
+        const errors = diagnostics
+          .map(
+            (d) =>
+              `- ${d.line ? `line ${d.line}${d.column ? `:${d.column}` : ""}: ` : ""}${d.message}`
+          )
+          .join("\n");
+
+        return `FILE: ${filePath}
+ERRORS:
+${errors}
+${file ? `CURRENT CODE:\n${String(file.code).slice(0, 12000)}` : "(file is not part of the generated project)"}`;
+      })
+      .join("\n\n");
+
+    const prompt = `You are fixing build errors in a generated ${projectContext.framework || "frontend"} project.
+
+PROJECT FILES:
+${Array.from(filesByPath.keys()).join("\n")}
+
+FILES WITH ERRORS (found by ${verification.method}):
+${failingSections}
+
+Fix the errors with the smallest changes possible. Only return files you changed;
+you may add a missing file if an import points to it. Return the COMPLETE content of each returned file.
+
+Your response MUST be a valid JSON object with the following structure:
+{
+  "files": [
+    { "path": "src/App.js", "code": "complete fixed file content" }
+  ]
+}
+
+DO NOT include any explanatory text outside the JSON structure.
+`;
+
+    const response = await this.llm.complete(prompt, {
+      temperature: 0.1,
+      maxTokens: 8000,
+      responseFormat: { type: "json_object" },
+    });
+
+    return this._parseFileFixes(response, "build fixes");
+  }
+
+  /**
+   * Parse a `{ files: [{ path, code }] }` fix response of the LLM
+   * @param {string|Object} response - LLM response
+   * @param {string} label - What the fixes are for, used in the error
+   * @returns {Array<Object>} - Patched files as { path, code }
+   * @private
+   */
+  _parseFileFixes(response, label) {
+    let parsed = null;
+    try {
+      parsed = typeof response === "string" ? JSON.parse(response) : response;
+    } catch (parseError) {
+      const jsonMatch = String(response).match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        try {
+          parsed = JSON.parse(jsonMatch[0]);
+        } catch (extractError) {
+          parsed = null;
+        }
+      }
+    }
+
+    if (!parsed || !Array.isArray(parsed.files)) {
+      throw new Error(`Failed to parse ${label} from LLM response`);
+    }
+
+    return parsed.files
+      .filter(
+        (file) =>
+          file &&
+          typeof file.path === "string" &&
+          typeof (file.code ?? file.content) === "string"
+      )
+      .map((file) => ({
+        path: file.path.replace(/^(\.\/|\/)+/, ""),
+        code: file.code ?? file.content,
+      }));
+  }
+
+  /**
+   * Render the built project with visual QA and run bounded LLM fix rounds
+   * on the layout and runtime problems it reports
+   * @param {Object} result - Generation result ({ files, build, ... })
+   * @param {Object} projectContext - Project context
+   * @returns {Promise<Object>} - The result with patched files and a
+   *   `visualQA` report: { status, url, issues, summary, viewports, rounds }
+   * @private
+   */
+  async _runVisualQA(result, projectContext) {
+    if (!this.visualQA) return result;
+
+    // A project that does not build cannot be rendered
+    if (result.build && result.build.status === "failed") {
+      return {
+        ...result,
+        visualQA: {
+          status: "skipped",
+          reason: "Build verification failed",
+          issues: [],
+          rounds: [],
+        },
+      };
+    }
+
+    let files = result.files;
+    let report = await this.visualQA.run({ files });
+    const rounds = [];
+
+    for (
+      let round = 1;
+      round <= this.maxVisualFixRounds && report.status === "failed" && this.llm;
+      round++
+    ) {
+      this.logger.info(
+        `Visual QA found ${report.summary.errors} errors, fix round ${round}/${this.maxVisualFixRounds}`
+      );
+
+      let patches;
+      try {
+        patches = await this._requestVisualFixes(files, report, projectContext);
+      } catch (error) {
+        this.logger.warn("Failed to get visual fixes from LLM:", error.message);
+        break;
+      }
+
+      if (patches.length === 0) break;
+
+      files = this._applyFilePatches(files, patches);
+      await this._writePatches(patches);
+
+      const issuesBefore = report.issues.length;
+      report = await this.visualQA.run({ files });
+
+      rounds.push({
+        round,
+        patchedFiles: patches.map((patch) => patch.path),
+        issuesBefore,
+        issuesAfter: report.issues.length,
+      });
     }
+
+    this.logger.info(`Visual QA ${report.status}`, {
+      errors: report.summary.errors,
+      warnings: report.summary.warnings,
+      rounds: rounds.length,
+    });
+
+    return {
+      ...result,
+      files,
+      visualQA: {
+        status: report.status,
+        url: report.url,
+        issues: report.issues,
+        summary: report.summary,
+        viewports: report.viewports,
+        rounds,
+        error: report.error,
+      },
+    };
+  }
+
+  /**
+   * Ask the LLM to fix the problems of a visual QA report
+   * @returns {Promise<Array<Object>>} - Patched files as { path, code }
+   * @private
+   */
+  async _requestVisualFixes(files, report, projectContext) {
+    // Send the source files most likely to contain the offending elements:
+    // those mentioning a reported class name or image, then pages and styles
+    const hints = new Set();
+    for (const issue of report.issues) {
+      for (const match of (issue.selector || "").matchAll(/[.#]([\w-]+)/g)) {
+        hints.add(match[1]);
+      }
+      if (issue.src) hints.add(path.posix.basename(issue.src.split("?")[0]));
+    }
+
+    const candidates = files
+      .filter((file) => /\.(jsx?|tsx?|vue|svelte|html|css|scss)$/.test(file.path))
+      .map((file) => {
+        const code = String(file.code);
+        let score = [...hints].filter((hint) => code.includes(hint)).length;
+        if (/(^|\/)(app|index|page|layout|globals?)\.\w+$/i.test(file.path)) score += 1;
+        return { file, score };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 8);
+
+    const fileSections = candidates
+      .map(
+        ({ file }) =>
+          `FILE: ${file.path.replace(/^(\.\/|\/)+/, "")}\n${String(file.code).slice(0, 12000)}`
+      )
+      .join("\n\n");
+
+    const prompt = `You are fixing rendering problems in a generated ${projectContext.framework || "frontend"} website.
+The site was loaded in a headless browser at mobile, tablet and desktop sizes.
+
+PROJECT FILES:
+${files.map((file) => file.path.replace(/^(\.\/|\/)+/, "")).join("\n")}
+
+VISUAL QA REPORT:
+${VisualQA.formatReport(report)}
+
+RELEVANT FILES:
+${fileSections}
+
+Fix the problems while keeping the design. Content must fit the viewport at every size
+(use responsive widths, wrapping and max-w-full instead of fixed widths), images must point
+to files that exist or to working URLs, and the page must run without errors.
+Only return files you changed. Return the COMPLETE content of each returned file.
+
+Your response MUST be a valid JSON object with the following structure:
+{
+  "files": [
+    { "path": "src/App.js", "code": "complete fixed file content" }
+  ]
+}
+
+DO NOT include any explanatory text outside the JSON structure.
+`;
+
+    const response = await this.llm.complete(prompt, {
+      temperature: 0.1,
+      maxTokens: 8000,
+      responseFormat: { type: "json_object" },
+    });
+
+    return this._parseFileFixes(response, "visual fixes");
+  }
+
+  /**
+   * Write patched files to the workspace
+   * @private
+   */
+  async _writePatches(patches) {
+    if (!this.fileSystem) return;
+
+    for (const patch of patches) {
+      try {
+        await this.fileSystem.writeFile(patch.path, patch.code);
+      } catch (error) {
+        this.logger.warn(`Failed to write file ${patch.path}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Replace (or add) files by path
+   * @private
+   */
+  _applyFilePatches(files, patches) {
+    const normalize = (filePath) => filePath.replace(/^(\.\/|\/)+/, "");
+    const patched = files.map((file) => {
+      const patch = patches.find(
+        (candidate) => normalize(candidate.path) === normalize(file.path)
+      );
+      return patch ? { ...file, code: patch.code } : file;
+    });
+
+    for (const patch of patches) {
+      if (!files.some((file) => normalize(file.path) === patch.path)) {
+        patched.push({ path: patch.path, code: patch.code, description: "" });
+      }
+    }
+
+    return patched;
   }
 
   /**
@@ -3891,6 +4323,15 @@ export default Card;`,
     return "luxury"; // Default to luxury for an elegant look
   }
 
+  /**
+   * Detect the framework of an existing project
+   * @param {Object} project - { packageJson, files } where files lists the file paths
+   * @returns {string} - Framework name ("next", "react", "vue", "svelte", "html")
+   */
+  static detectFramework(project = {}) {
+    return CodeGenerationModule.prototype._determineFramework({}, project);
+  }
+
   /**
    * Determine framework based on requirements and context
    * @private
@@ -3905,6 +4346,45 @@ export default Card;`,
       return requirements.framework.toLowerCase();
     }
 
+    // Existing (e.g. imported) projects: infer from dependencies and files
+    if (projectContext.packageJson) {
+      const deps = {
+        ...projectContext.packageJson.dependencies,
+        ...projectContext.packageJson.devDependencies,
+      };
+
+      if (deps.next) return "next";
+      if (deps.nuxt || deps.vue) return "vue";
+      if (deps.svelte || deps["@sveltejs/kit"]) return "svelte";
+      if (deps.react) return "react";
+    }
+
+    if (projectContext.files && projectContext.files.length > 0) {
+      const filePaths = projectContext.files.map((filePath) =>
+        filePath.replace(/^\/+/, "")
+      );
+
+      if (
+        filePaths.some(
+          (filePath) =>
+            /^next\.config\./.test(filePath) ||
+            /^(src\/)?app\/(page|layout)\.(js|jsx|ts|tsx)$/.test(filePath)
+        )
+      ) {
+        return "next";
+      }
+      if (filePaths.some((filePath) => filePath.endsWith(".vue"))) return "vue";
+      if (filePaths.some((filePath) => filePath.endsWith(".svelte"))) {
+        return "svelte";
+      }
+      if (filePaths.some((filePath) => /\.(jsx|tsx)$|(^|\/)App\.js$/.test(filePath))) {
+        return "react";
+      }
+      if (filePaths.some((filePath) => filePath.endsWith(".html"))) {
+        return "html";
+      }
+    }
+
     // Try to infer from requirements
     const description =
       requirements.description ||
@@ -0,0 +1,854 @@
+/**
+ * CommandSandbox.js
+ * Runs shell commands for the agent under an allowlist policy. Each task gets
+ * its own working copy of the project; commands run there as a dedicated
+ * unprivileged user, without network access unless the policy grants it, and
+ * with CPU, memory, time and output limits. Denied commands and exceeded
+ * limits are reported as structured audit events.
+ *
+ * Isolation uses util-linux tools when they are available: `unshare` for a
+ * private network namespace, `prlimit` for resource limits and `setpriv` to
+ * switch to the sandbox user (only possible when the server runs as root).
+ */
+
+const { spawn, spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Policy used when none is configured
+const DEFAULT_POLICY_FILE = path.join(__dirname, "sandbox-policy.json");
+
+const DEFAULT_LIMITS = {
+  timeoutMs: 30000,
+  cpuSeconds: 60,
+  memoryMb: 4096,
+  maxFileSizeMb: 50,
+  maxProcesses: 256,
+  maxOutputBytes: 1024 * 1024,
+};
+
+/**
+ * Error thrown when a command is denied by the policy
+ */
+class CommandDeniedError extends Error {
+  constructor(reason, audit) {
+    super(`Command denied by sandbox policy: ${reason}`);
+    this.name = "CommandDeniedError";
+    this.reason = reason;
+    this.audit = audit;
+  }
+}
+
+/**
+ * Split a command line into pipeline segments without running a shell.
+ * Quoting and escapes follow POSIX sh; anything the allowlist could not see
+ * (expansions, substitutions, subshells, background jobs, heredocs) throws.
+ * @param {string} command - Command line
+ * @returns {Array<Object>} - [{ argv, redirects: [{ op, target }] }]
+ */
+function parseCommand(command) {
+  const segments = [];
+  let segment = { argv: [], redirects: [] };
+  let word = null;
+  let pendingRedirect = null;
+
+  const endWord = () => {
+    if (word === null) return;
+    if (pendingRedirect) {
+      segment.redirects.push({ op: pendingRedirect, target: word });
+      pendingRedirect = null;
+    } else {
+      segment.argv.push(word);
+    }
+    word = null;
+  };
+
+  const endSegment = (operator) => {
+    endWord();
+    if (pendingRedirect) {
+      throw new Error(`redirect "${pendingRedirect}" has no target`);
+    }
+    if (segment.argv.length === 0) {
+      if (operator === ";" && segment.redirects.length === 0) return;
+      throw new Error(`syntax error near "${operator}"`);
+    }
+    segments.push(segment);
+    segment = { argv: [], redirects: [] };
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+    const next = command[i + 1];
+
+    if (char === "'") {
+      const end = command.indexOf("'", i + 1);
+      if (end === -1) throw new Error("unterminated quote");
+      word = (word || "") + command.slice(i + 1, end);
+      i = end;
+    } else if (char === '"') {
+      word = word || "";
+      for (i++; i < command.length && command[i] !== '"'; i++) {
+        if (command[i] === "$" || command[i] === "`") {
+          throw new Error("shell expansion is not allowed");
+        }
+        if (command[i] === "\\" && /[\\"\n]/.test(command[i + 1] || "")) i++;
+        word += command[i];
+      }
+      if (i >= command.length) throw new Error("unterminated quote");
+    } else if (char === "\\") {
+      if (next !== "\n") word = (word || "") + (next || "");
+      i++;
+    } else if (char === "$" || char === "`") {
+      throw new Error("shell expansion is not allowed");
+    } else if (char === "(" || char === ")") {
+      throw new Error("subshells are not allowed");
+    } else if (char === "#" && word === null) {
+      break;
+    } else if (/\s/.test(char)) {
+      if (char === "\n") endSegment(";");
+      else endWord();
+    } else if (char === ";") {
+      endSegment(";");
+    } else if (char === "&" && next === "&") {
+      endSegment("&&");
+      i++;
+    } else if (char === "&") {
+      throw new Error("background jobs are not allowed");
+    } else if (char === "|") {
+      endSegment(next === "|" ? "||" : "|");
+      if (next === "|") i++;
+    } else if (char === ">" || char === "<") {
+      // A number right before the operator is the file descriptor
+      const fd = word !== null && /^\d+$/.test(word) ? word : "";
+      if (fd) word = null;
+      endWord();
+
+      let op = char;
+      if (next === char) {
+        if (char === "<") throw new Error("heredocs are not allowed");
+        op += next;
+        i++;
+      }
+      if (command[i + 1] === "&") {
+        const target = /^&(\d+|-)/.exec(command.slice(i + 1));
+        if (!target) throw new Error(`invalid redirect "${op}&"`);
+        segment.redirects.push({ op: fd + op, target: target[0] });
+        i += target[0].length;
+      } else {
+        pendingRedirect = fd + op;
+      }
+    } else {
+      word = (word || "") + char;
+    }
+  }
+
+  endSegment(";");
+  if (segments.length === 0) throw new Error("empty command");
+  return segments;
+}
+
+class CommandSandbox {
+  /**
+   * @param {Object} config - Configuration
+   * @param {Object} config.policy - Policy object (overrides policyFile)
+   * @param {string} config.policyFile - Policy JSON file, defaults to
+   *   SANDBOX_POLICY_FILE or sandbox-policy.json next to this module
+   * @param {string} config.projectRoot - Project copied into task working copies
+   * @param {Function} config.onAudit - Called with every audit event
+   * @param {Object} config.logger - Logger
+   */
+  constructor(config = {}) {
+    this.logger = config.logger || console;
+    this.onAudit = config.onAudit || null;
+    this.projectRoot = path.resolve(config.projectRoot || process.cwd());
+    this.policy = CommandSandbox.loadPolicy(
+      config.policy ||
+        config.policyFile ||
+        process.env.SANDBOX_POLICY_FILE ||
+        DEFAULT_POLICY_FILE
+    );
+    this.sandboxDir = path.resolve(
+      this.policy.sandboxDir || path.join(os.tmpdir(), "agent-sandboxes")
+    );
+
+    // Working copies by task ID
+    this.tasks = new Map();
+    this.isolation = null;
+  }
+
+  /**
+   * Load and normalize a sandbox policy
+   * @param {string|Object} source - Policy file path or policy object
+   * @returns {Object} - Policy
+   */
+  static loadPolicy(source) {
+    const policy =
+      typeof source === "string"
+        ? JSON.parse(fs.readFileSync(source, "utf8"))
+        : { ...source };
+
+    return {
+      user: policy.user || null,
+      requireIsolation: policy.requireIsolation !== false,
+      network: policy.network === true,
+      sandboxDir: policy.sandboxDir || null,
+      auditLog: policy.auditLog || null,
+      copyExclude: policy.copyExclude || [],
+      seedDirs: policy.seedDirs || [],
+      env: policy.env || ["PATH"],
+      limits: { ...DEFAULT_LIMITS, ...policy.limits },
+      commands: policy.commands || {},
+    };
+  }
+
+  /**
+   * Check a command against the policy
+   * @param {string} command - Command line
+   * @param {Object} options - { taskId } for the audit event
+   * @returns {Object} - { segments, network, limits } for an allowed command
+   * @throws {CommandDeniedError} - When the policy denies the command
+   */
+  check(command, options = {}) {
+    let segments;
+    try {
+      segments = parseCommand(String(command || ""));
+    } catch (error) {
+      this._deny(command, error.message, options);
+    }
+
+    let limits = { ...this.policy.limits };
+    let networkedSegments = 0;
+
+    for (const { argv, redirects } of segments) {
+      const [executable, ...args] = argv;
+
+      if (executable.includes("=") && !executable.startsWith("=")) {
+        this._deny(command, "environment assignments are not allowed", options);
+      }
+      if (executable.includes("/")) {
+        this._deny(command, `"${executable}": run commands by name, not by path`, options);
+      }
+
+      const rule = Object.prototype.hasOwnProperty.call(
+        this.policy.commands,
+        executable
+      )
+        ? this.policy.commands[executable] || {}
+        : null;
+      if (!rule) {
+        this._deny(command, `"${executable}" is not in the allowlist`, options, {
+          executable,
+        });
+      }
+
+      const subcommand = args.find((arg) => !arg.startsWith("-"));
+      if (
+        rule.subcommands &&
+        subcommand !== undefined &&
+        !rule.subcommands.includes(subcommand)
+      ) {
+        this._deny(
+          command,
+          `"${executable} ${subcommand}" is not in the allowlist`,
+          options,
+          { executable, subcommand }
+        );
+      }
+
+      const deniedArg = (rule.deniedArgs || []).find((denied) =>
+        args.some((arg) => arg === denied || arg.startsWith(`${denied}=`))
+      );
+      if (deniedArg) {
+        this._deny(
+          command,
+          `argument "${deniedArg}" of "${executable}" is not allowed`,
+          options,
+          { executable, argument: deniedArg }
+        );
+      }
+
+      for (const redirect of redirects) {
+        if (!this._isAllowedRedirectTarget(redirect.target)) {
+          this._deny(
+            command,
+            `redirect to "${redirect.target}" leaves the working directory`,
+            options
+          );
+        }
+      }
+
+      // Without a user switch nothing else keeps commands in the working copy
+      const outsidePath = args.find((arg) => !this._isAllowedPathArgument(arg));
+      if (outsidePath !== undefined) {
+        this._deny(
+          command,
+          `argument "${outsidePath}" of "${executable}" is a path outside the working directory`,
+          options,
+          { executable, argument: outsidePath }
+        );
+      }
+
+      if (
+        rule.network === true ||
+        (Array.isArray(rule.network) && rule.network.includes(subcommand))
+      ) {
+        networkedSegments++;
+      }
+
+      // A pipeline gets the most generous limits of its commands
+      for (const [key, value] of Object.entries(rule.limits || {})) {
+        limits[key] = Math.max(limits[key] || 0, value);
+      }
+    }
+
+    // The network namespace covers the whole command line, so a command
+    // granted network access must not share it with any other command
+    if (
+      !this.policy.network &&
+      networkedSegments > 0 &&
+      networkedSegments < segments.length
+    ) {
+      this._deny(
+        command,
+        "commands with network access must run on their own, not combined with other commands",
+        options
+      );
+    }
+
+    const network = this.policy.network || networkedSegments > 0;
+    return { segments, network, limits };
+  }
+
+  /**
+   * Run a command in the sandbox and wait for it to finish
+   * @param {string} command - Command line
+   * @param {Object} options - See spawn()
+   * @returns {Promise<Object>} - { stdout, stderr, code, signal, timedOut,
+   *   truncated, network, cwd }
+   */
+  run(command, options = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.spawn(command, {
+          ...options,
+          onComplete: resolve,
+          onError: (error) => reject(error),
+        });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Start a command in the sandbox with streaming output
+   * @param {string} command - Command line
+   * @param {Object} options - Options
+   * @param {string} options.taskId - Task whose working copy the command runs in
+   * @param {string} options.cwd - Project copied into the working copy
+   * @param {Array<string>} options.collect - Files (relative paths) copied
+   *   back from the working copy into the project when the command finishes,
+   *   e.g. test reports
+   * @param {Object} options.env - Variables offered to the command; only the
+   *   names listed in the policy are passed
+   * @param {number} options.timeout - Overrides the policy's timeout in ms
+   * @param {Function} options.onStdout - Called with stdout chunks
+   * @param {Function} options.onStderr - Called with stderr chunks
+   * @param {Function} options.onComplete - Called with the final output
+   * @param {Function} options.onError - Called if the process cannot start
+   * @returns {Object} - { process, output, kill }
+   * @throws {CommandDeniedError} - When the policy denies the command
+   */
+  spawn(command, options = {}) {
+    const { network, limits } = this.check(command, options);
+    const isolation = this._getIsolation();
+
+    const missing = [];
+    if (!network && !isolation.network) missing.push("network namespace");
+    if (isolation.isRoot && !isolation.identity) {
+      missing.push("unprivileged user");
+    }
+    if (missing.length > 0) {
+      if (this.policy.requireIsolation) {
+        this._deny(
+          command,
+          `sandbox isolation unavailable (${missing.join(", ")}); commands need ` +
+            "Linux with util-linux unshare, prlimit and setpriv and user namespaces " +
+            "enabled, or a policy with requireIsolation: false",
+          options,
+          { missing }
+        );
+      }
+      if (!this._warnedIsolation) {
+        this._warnedIsolation = true;
+        this._audit("isolation_unavailable", { missing }, { ...options, command });
+      }
+    }
+
+    const task = this.prepare(options.taskId || "default", options.cwd);
+    const cwd = task.workDir;
+    const home = task.homeDir;
+
+    // Collected files must come from this command, not an earlier one
+    const collected = (options.collect || []).map((file) => this._collectPaths(task, file));
+    for (const { target } of collected) {
+      fs.rmSync(target, { force: true });
+    }
+
+    const env = {};
+    for (const name of this.policy.env) {
+      const value = (options.env || process.env)[name];
+      if (value !== undefined) env[name] = value;
+    }
+    env.HOME = home;
+    env.PWD = cwd;
+
+    const argv = this._wrap(command, {
+      network,
+      limits,
+      isolation,
+      identity: isolation.identity,
+    });
+
+    const child = spawn(argv[0], argv.slice(1), {
+      cwd,
+      env,
+      detached: process.platform !== "win32",
+      windowsHide: true,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    const output = {
+      stdout: "",
+      stderr: "",
+      truncated: false,
+      timedOut: false,
+      network,
+      cwd,
+    };
+    let bytes = 0;
+
+    const kill = () => {
+      try {
+        // Negative PID: the whole process group, so pipelines stop too
+        if (child.pid && process.platform !== "win32") {
+          process.kill(-child.pid, "SIGKILL");
+        } else {
+          child.kill("SIGKILL");
+        }
+      } catch (error) {
+        // Already exited
+      }
+    };
+
+    const collect = (stream, callback) => (data) => {
+      if (output.truncated) return;
+
+      let chunk = data.toString();
+      bytes += data.length;
+      if (bytes > limits.maxOutputBytes) {
+        chunk = chunk.slice(0, Math.max(0, chunk.length - (bytes - limits.maxOutputBytes)));
+        output.truncated = true;
+        this._audit("limit_exceeded", { limit: "maxOutputBytes", value: limits.maxOutputBytes }, { ...options, command });
+        kill();
+      }
+
+      output[stream] += chunk;
+      if (chunk && callback) callback(chunk);
+    };
+
+    child.stdout.on("data", collect("stdout", options.onStdout));
+    child.stderr.on("data", collect("stderr", options.onStderr));
+
+    const timeout = options.timeout || limits.timeoutMs;
+    const timer = setTimeout(() => {
+      output.timedOut = true;
+      this._audit("limit_exceeded", { limit: "timeoutMs", value: timeout }, { ...options, command });
+      kill();
+    }, timeout);
+
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      output.code = code;
+      output.signal = signal;
+      output.completed = true;
+
+      if (signal === "SIGXCPU") {
+        this._audit("limit_exceeded", { limit: "cpuSeconds", value: limits.cpuSeconds }, { ...options, command });
+      }
+
+      for (const { source, target } of collected) {
+        // Regular files only, so a symlink cannot copy something else out
+        if (fs.existsSync(target) && fs.lstatSync(target).isFile()) {
+          fs.mkdirSync(path.dirname(source), { recursive: true });
+          fs.copyFileSync(target, source);
+        }
+      }
+
+      if (options.onComplete) {
+        options.onComplete(output);
+      }
+    });
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      output.error = error.message;
+
+      if (options.onError) {
+        options.onError(error);
+      }
+    });
+
+    return { process: child, output, kill };
+  }
+
+  /**
+   * Create or refresh the working copy of a task. Project files are copied in
+   * (changed files only on later calls); files the commands create stay in
+   * the copy and never reach the project.
+   * @param {string} taskId - Task ID
+   * @param {string} sourceDir - Project directory, defaults to projectRoot
+   * @returns {Object} - { root, workDir, homeDir, sourceDir }
+   */
+  prepare(taskId, sourceDir) {
+    const key = String(taskId).replace(/[^a-zA-Z0-9._-]/g, "_");
+    let task = this.tasks.get(key);
+
+    if (!task) {
+      fs.mkdirSync(this.sandboxDir, { recursive: true, mode: 0o711 });
+      const root = path.join(this.sandboxDir, key);
+      fs.rmSync(root, { recursive: true, force: true });
+
+      task = {
+        root,
+        workDir: path.join(root, "work"),
+        homeDir: path.join(root, "home"),
+        sourceDir: path.resolve(sourceDir || this.projectRoot),
+        // Copied files by relative path, to copy only what changed
+        manifest: new Map(),
+      };
+      fs.mkdirSync(task.workDir, { recursive: true, mode: 0o700 });
+      fs.mkdirSync(task.homeDir, { recursive: true, mode: 0o700 });
+      fs.chmodSync(root, 0o700);
+      this._chown(root);
+      this._chown(task.workDir);
+      this._chown(task.homeDir);
+      this.tasks.set(key, task);
+    }
+
+    this._syncWorkingCopy(task);
+    return {
+      root: task.root,
+      workDir: task.workDir,
+      homeDir: task.homeDir,
+      sourceDir: task.sourceDir,
+    };
+  }
+
+  /**
+   * Remove the working copy of a task
+   * @param {string} taskId - Task ID
+   */
+  release(taskId) {
+    const key = String(taskId).replace(/[^a-zA-Z0-9._-]/g, "_");
+    const task = this.tasks.get(key);
+    if (!task) return;
+
+    fs.rmSync(task.root, { recursive: true, force: true });
+    this.tasks.delete(key);
+  }
+
+  /**
+   * Copy new and changed project files into the working copy and remove
+   * files deleted from the project
+   * @private
+   */
+  _syncWorkingCopy(task) {
+    const seen = new Set();
+
+    const walk = (relativeDir) => {
+      const sourceDir = path.join(task.sourceDir, relativeDir);
+      for (const dirent of fs.readdirSync(sourceDir, { withFileTypes: true })) {
+        const relative = path.join(relativeDir, dirent.name);
+        const source = path.join(task.sourceDir, relative);
+        const target = path.join(task.workDir, relative);
+
+        if (!relativeDir && this.policy.seedDirs.includes(dirent.name)) {
+          // Copied once, never linked: commands such as `npm install` write
+          // to the copy, not to the project
+          if (!fs.existsSync(target)) {
+            fs.cpSync(source, target, { recursive: true, verbatimSymlinks: true });
+            this._chownTree(target);
+          }
+          continue;
+        }
+        if (this._isExcluded(dirent.name)) continue;
+
+        // Symlinks are not followed, so nothing outside the project is copied
+        if (dirent.isDirectory()) {
+          if (!fs.existsSync(target)) {
+            fs.mkdirSync(target);
+            this._chown(target);
+          }
+          walk(relative);
+        } else if (dirent.isFile()) {
+          seen.add(relative);
+          const stat = fs.statSync(source);
+          const copied = task.manifest.get(relative);
+          if (copied && copied.mtimeMs === stat.mtimeMs && copied.size === stat.size) {
+            continue;
+          }
+
+          fs.copyFileSync(source, target);
+          this._chown(target);
+          task.manifest.set(relative, { mtimeMs: stat.mtimeMs, size: stat.size });
+        }
+      }
+    };
+    walk("");
+
+    for (const relative of task.manifest.keys()) {
+      if (!seen.has(relative)) {
+        fs.rmSync(path.join(task.workDir, relative), { force: true });
+        task.manifest.delete(relative);
+      }
+    }
+  }
+
+  /**
+   * Build the argv that runs a command with the available isolation
+   * @private
+   */
+  _wrap(command, { network, limits, isolation, identity }) {
+    if (process.platform === "win32") {
+      return [process.env.ComSpec || "cmd.exe", "/d", "/s", "/c", command];
+    }
+
+    const argv = [];
+    let script = command;
+
+    if (!network && isolation.network) {
+      argv.push("unshare", "--net", ...(isolation.isRoot ? [] : ["--user"]), "--");
+    }
+
+    // Memory is limited by data segment size (RLIMIT_DATA), not address
+    // space: WebAssembly reserves large address ranges up front, so Node
+    // cannot even fetch() under RLIMIT_AS
+    const megabyte = 1024 * 1024;
+    if (isolation.prlimit) {
+      argv.push(
+        "prlimit",
+        `--cpu=${limits.cpuSeconds}`,
+        `--data=${limits.memoryMb * megabyte}`,
+        `--fsize=${limits.maxFileSizeMb * megabyte}`,
+        `--nproc=${limits.maxProcesses}`,
+        "--"
+      );
+    } else {
+      script = `ulimit -t ${limits.cpuSeconds} -d ${limits.memoryMb * 1024}; ${command}`;
+    }
+
+    if (identity) {
+      argv.push(
+        "setpriv",
+        `--reuid=${identity.uid}`,
+        `--regid=${identity.gid}`,
+        "--clear-groups",
+        "--no-new-privs",
+        "--"
+      );
+    }
+
+    argv.push("/bin/sh", "-c", script);
+    return argv;
+  }
+
+  /**
+   * Detect the isolation tools available on this machine (cached)
+   * @private
+   */
+  _getIsolation() {
+    if (this.isolation) return this.isolation;
+
+    const isRoot = typeof process.getuid === "function" && process.getuid() === 0;
+    const works = (command, args) => {
+      if (process.platform !== "linux") return false;
+      const result = spawnSync(command, args, { stdio: "ignore", timeout: 5000 });
+      return !result.error && result.status === 0;
+    };
+
+    let identity = null;
+    if (isRoot && this.policy.user && works("setpriv", ["--version"])) {
+      identity = this._resolveUser(this.policy.user);
+    }
+
+    this.isolation = {
+      isRoot,
+      network: works("unshare", [...(isRoot ? [] : ["--user"]), "--net", "true"]),
+      prlimit: works("prlimit", ["--version"]),
+      identity,
+    };
+    this.logger.info(
+      `Sandbox isolation: network=${this.isolation.network} prlimit=${this.isolation.prlimit} user=${identity ? identity.uid : "current"}`
+    );
+    return this.isolation;
+  }
+
+  /**
+   * Resolve the sandbox user to a uid and gid
+   * @private
+   */
+  _resolveUser(user) {
+    if (typeof user === "object") return user;
+    if (/^\d+$/.test(String(user))) return { uid: Number(user), gid: Number(user) };
+
+    const uid = spawnSync("id", ["-u", user], { encoding: "utf8", timeout: 5000 });
+    const gid = spawnSync("id", ["-g", user], { encoding: "utf8", timeout: 5000 });
+    if (uid.status !== 0 || gid.status !== 0) {
+      this.logger.warn(`Sandbox user "${user}" does not exist`);
+      return null;
+    }
+    return { uid: Number(uid.stdout.trim()), gid: Number(gid.stdout.trim()) };
+  }
+
+  /**
+   * Give a working copy path to the sandbox user
+   * @private
+   */
+  _chown(target) {
+    const { identity } = this._getIsolation();
+    if (identity) fs.lchownSync(target, identity.uid, identity.gid);
+  }
+
+  /**
+   * Give a copied directory tree to the sandbox user
+   * @private
+   */
+  _chownTree(target) {
+    if (!this._getIsolation().identity) return;
+
+    this._chown(target);
+    if (!fs.lstatSync(target).isDirectory()) return;
+    for (const name of fs.readdirSync(target)) {
+      this._chownTree(path.join(target, name));
+    }
+  }
+
+  /**
+   * Project and working copy paths of a collected file
+   * @private
+   */
+  _collectPaths(task, file) {
+    const relative = path.normalize(String(file));
+    if (path.isAbsolute(relative) || relative.split(path.sep).includes("..")) {
+      throw new Error(`Collected file must be inside the project: ${file}`);
+    }
+    return {
+      source: path.join(task.sourceDir, relative),
+      target: path.join(task.workDir, relative),
+    };
+  }
+
+  /**
+   * Whether a project entry is left out of working copies; copyExclude
+   * names may use `*` wildcards, e.g. `.env*`
+   * @private
+   */
+  _isExcluded(name) {
+    return this.policy.copyExclude.some((pattern) =>
+      pattern.includes("*")
+        ? new RegExp(
+            `^${pattern
+              .split("*")
+              .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+              .join(".*")}$`
+          ).test(name)
+        : pattern === name
+    );
+  }
+
+  /**
+   * Arguments may not name paths outside the working directory: absolute
+   * paths, home directories and `..` are denied, also as option values
+   * (`--prefix=/`, `-C/tmp`) and assignments (`dir=/etc`)
+   * @private
+   */
+  _isAllowedPathArgument(arg) {
+    const values = [arg];
+    if (arg.includes("=")) values.push(arg.slice(arg.indexOf("=") + 1));
+    if (/^-[A-Za-z]./.test(arg)) values.push(arg.slice(2));
+
+    return values.every(
+      (value) =>
+        value === "/dev/null" ||
+        !(
+          path.isAbsolute(value) ||
+          value.startsWith("~") ||
+          value.split(/[\\/]/).includes("..")
+        )
+    );
+  }
+
+  /**
+   * Redirects may only write inside the working directory
+   * @private
+   */
+  _isAllowedRedirectTarget(target) {
+    if (/^&(\d+|-)$/.test(target) || target === "/dev/null") return true;
+    if (path.isAbsolute(target) || target.startsWith("~")) return false;
+    return !target.split("/").includes("..");
+  }
+
+  /**
+   * Record a denial and throw
+   * @private
+   */
+  _deny(command, reason, options = {}, details = {}) {
+    const audit = this._audit(
+      "command_denied",
+      { reason, ...details },
+      { ...options, command }
+    );
+    throw new CommandDeniedError(reason, audit);
+  }
+
+  /**
+   * Emit a structured audit event
+   * @private
+   */
+  _audit(type, details, options = {}) {
+    const event = {
+      type,
+      taskId: options.taskId || null,
+      command: options.command === undefined ? null : String(options.command),
+      ...details,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.logger.warn(`Sandbox audit: ${JSON.stringify(event)}`);
+
+    if (this.policy.auditLog) {
+      try {
+        fs.appendFileSync(this.policy.auditLog, `${JSON.stringify(event)}\n`);
+      } catch (error) {
+        this.logger.error(`Failed to write sandbox audit log: ${error.message}`);
+      }
+    }
+
+    if (this.onAudit) {
+      try {
+        this.onAudit(event);
+      } catch (error) {
+        this.logger.error(`Error in sandbox audit handler: ${error.message}`);
+      }
+    }
+
+    return event;
+  }
+}
+
+CommandSandbox.CommandDeniedError = CommandDeniedError;
+CommandSandbox.parseCommand = parseCommand;
+
+module.exports = CommandSandbox;
@@ -9,6 +9,8 @@ const { promisify } = require("util");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const crypto = require("crypto");
+const CommandSandbox = require("./CommandSandbox");
 
 // Optional dependencies (installed separately)
 let robotjs = null;
@@ -31,23 +33,17 @@ class ComputerControl {
   constructor(config = {}) {
     this.logger = config.logger || console;
     this.safeMode = config.safeMode !== false;
-    this.allowedCommands = config.allowedCommands || [];
-    this.disallowedCommands = config.disallowedCommands || [
-      "rm",
-      "del",
-      "format",
-      "mkfs",
-      "dd",
-      "sudo",
-      "su",
-      "shutdown",
-      "reboot",
-      "halt",
-      "poweroff",
-      "init",
-      "taskkill",
-      "rd",
-    ];
+    // In safe mode commands are checked against the sandbox policy and run
+    // with its limits and network isolation (see CommandSandbox)
+    this.sandbox =
+      config.sandbox ||
+      (this.safeMode
+        ? new CommandSandbox({
+            ...config.sandboxOptions,
+            logger: this.logger,
+            onAudit: config.onAudit,
+          })
+        : null);
     this.timeout = config.timeout || 30000; // 30 seconds
     this.maxBuffer = config.maxBuffer || 1024 * 1024; // 1MB
     this.screenshotDir = config.screenshotDir || os.tmpdir();
@@ -66,9 +62,8 @@ class ComputerControl {
    * @returns {Object} - Command result
    */
   async executeCommand(command, options = {}) {
-    if (this.safeMode) {
-      // Validate command in safe mode
-      this._validateCommand(command);
+    if (this.sandbox) {
+      return this._executeSandboxedCommand(command, options);
     }
 
     this.logger.info(`Executing command: ${command}`);
@@ -113,9 +108,10 @@ class ComputerControl {
    * @returns {Object} - Process object with output streams
    */
   executeStreamingCommand(command, options = {}) {
-    if (this.safeMode) {
-      // Validate command in safe mode
-      this._validateCommand(command);
+    if (this.sandbox) {
+      this.logger.info(`Executing sandboxed streaming command: ${command}`);
+
+      return this.sandbox.spawn(command, this._sandboxOptions(options));
     }
 
     this.logger.info(`Executing streaming command: ${command}`);
@@ -399,47 +395,74 @@ class ComputerControl {
   }
 
   /**
-   * Validate a command for safety
-   * @param {string} command - Command to validate
+   * Sandbox options for a command. Commands for the same directory share a
+   * working copy (so installed packages persist between them); files listed
+   * in `collect`, such as test reports, are copied back into the directory.
    * @private
    */
-  _validateCommand(command) {
-    // Split command to get the base command
-    const parts = command.split(/\s+/);
-    const baseCommand = parts[0].toLowerCase();
-
-    // Check allowed commands
-    if (
-      this.allowedCommands.length > 0 &&
-      !this.allowedCommands.includes(baseCommand)
-    ) {
-      throw new Error(`Command "${baseCommand}" is not in the allowed list`);
-    }
+  _sandboxOptions(options) {
+    const cwd = path.resolve(options.cwd || process.cwd());
+    const key = crypto.createHash("sha1").update(cwd).digest("hex").slice(0, 12);
 
-    // Check disallowed commands
-    if (this.disallowedCommands.includes(baseCommand)) {
-      throw new Error(
-        `Command "${baseCommand}" is disallowed for security reasons`
+    return {
+      ...options,
+      taskId: options.taskId || `computer-control-${key}`,
+      cwd,
+    };
+  }
+
+  /**
+   * Execute a command through the sandbox
+   * @private
+   */
+  async _executeSandboxedCommand(command, options = {}) {
+    this.logger.info(`Executing sandboxed command: ${command}`);
+
+    try {
+      const result = await this.sandbox.run(
+        command,
+        this._sandboxOptions({
+          cwd: options.cwd,
+          env: options.env,
+          timeout: options.timeout,
+          collect: options.collect,
+        })
       );
-    }
 
-    // Check for potentially dangerous patterns
-    const dangerousPatterns = [
-      /rm\s+(-rf?|--recursive)/i, // rm -rf
-      /del\s+\/[aqsf]/i, // del /q
-      /format\s+[a-z]:/i, // format c:
-      /:(){:|\|:};/, // Fork bomb
-      /dd\s+if/i, // dd if=
-      />\s*\/dev\/(null|zero|random)/i, // > /dev/null
-    ];
-
-    for (const pattern of dangerousPatterns) {
-      if (pattern.test(command)) {
-        throw new Error("Command contains potentially dangerous patterns");
-      }
-    }
+      const success = result.code === 0;
+      return {
+        success,
+        ...(success
+          ? {}
+          : {
+              error: result.timedOut
+                ? "Command timed out"
+                : result.truncated
+                  ? "Command output limit reached"
+                  : `Command exited with code ${result.code}`,
+            }),
+        stdout: result.stdout,
+        stderr: result.stderr,
+        code: result.code,
+        signal: result.signal,
+        command,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      // Denied commands throw, like any other safe mode rejection
+      if (error instanceof CommandSandbox.CommandDeniedError) throw error;
+
+      this.logger.error(`Command execution failed: ${command}`, error.message);
 
-    return true;
+      return {
+        success: false,
+        error: error.message,
+        stdout: "",
+        stderr: "",
+        command,
+        timestamp: new Date().toISOString(),
+      };
+    }
   }
 
   /**
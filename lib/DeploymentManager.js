@@ -0,0 +1,384 @@
+/**
+ * DeploymentManager.js
+ * Builds projects into versioned static bundles and keeps a deployment
+ * history per workspace. Each deployment lives in
+ * `<deploymentsDir>/<workspaceId>/<deploymentId>/` and is served by the
+ * `/preview/[deploymentId]` route. One deployment per workspace is active;
+ * rolling back makes an earlier deployment active again.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { normalizePath } = require("./WorkspaceProject");
+const { writeProject, buildProject } = require("./ProjectBuild");
+
+// Name of the per-workspace history file
+const HISTORY_FILE = "history.json";
+
+// Maximum length of the build log kept with a deployment
+const MAX_LOG_LENGTH = 20000;
+
+class DeploymentManager {
+  /**
+   * @param {Object} config - Configuration
+   * @param {string} config.deploymentsDir - Directory deployments are written to
+   * @param {string} config.buildRoot - Directory temporary builds run in
+   * @param {number} config.installTimeout - Timeout of `npm install` in ms
+   * @param {number} config.buildTimeout - Timeout of the build in ms
+   * @param {number} config.maxDeployments - Deployments kept per workspace;
+   *   older artifacts are removed (the active one is always kept)
+   * @param {Object} config.logger - Logger
+   */
+  constructor(config = {}) {
+    // Absolute, so resolveFile() can tell whether a path stays inside it
+    this.deploymentsDir = path.resolve(
+      config.deploymentsDir ||
+        process.env.DEPLOYMENTS_DIR ||
+        path.join(process.cwd(), "deployments")
+    );
+    this.buildRoot = config.buildRoot || os.tmpdir();
+    this.installTimeout = config.installTimeout || 5 * 60 * 1000;
+    this.buildTimeout = config.buildTimeout || 5 * 60 * 1000;
+    this.maxDeployments = config.maxDeployments || 10;
+    this.logger = config.logger || console;
+  }
+
+  /**
+   * Build a project and store it as a new deployment
+   * @param {string} workspaceId - Workspace the deployment belongs to
+   * @param {Object} source - What to deploy, one of
+   *   { fileData } - workspace files keyed by path (Sandpack layout)
+   *   { files } - project files as [{ path, code }]
+   *   { sourceDir } - a project directory on disk
+   * @param {Object} options - Options
+   * @param {Object} options.dependencies - Extra npm dependencies for workspace files
+   * @param {string} options.label - Free-form description of the deployment
+   * @param {Function} options.onStart - Called with the deployment record once it is created
+   * @returns {Promise<Object>} - The deployment record
+   */
+  async deploy(workspaceId, source = {}, options = {}) {
+    const workspaceKey = this._workspaceKey(workspaceId);
+    const deployment = this._createRecord(workspaceKey, options.label);
+    if (options.onStart) options.onStart(deployment);
+
+    const buildDir = fs.mkdtempSync(path.join(this.buildRoot, "frodo-deploy-"));
+    const startTime = Date.now();
+
+    try {
+      writeProject(buildDir, source, options);
+
+      const build = await buildProject(buildDir, {
+        installTimeout: this.installTimeout,
+        buildTimeout: this.buildTimeout,
+      });
+      deployment.log = build.output.slice(-MAX_LOG_LENGTH);
+
+      if (!build.ok) {
+        throw new Error(build.error);
+      }
+
+      const artifactDir = this._deploymentDir(workspaceKey, deployment.deploymentId);
+      fs.rmSync(artifactDir, { recursive: true, force: true });
+      fs.mkdirSync(path.dirname(artifactDir), { recursive: true });
+      fs.cpSync(build.outputDir, artifactDir, { recursive: true });
+
+      const stats = this._directoryStats(artifactDir);
+      Object.assign(deployment, {
+        status: "ready",
+        fileCount: stats.fileCount,
+        bytes: stats.bytes,
+        url: `/preview/${deployment.deploymentId}`,
+      });
+
+      this._updateHistory(workspaceKey, (history) => {
+        history.activeDeploymentId = deployment.deploymentId;
+      });
+
+      this.logger.info("Deployment ready", {
+        deploymentId: deployment.deploymentId,
+        files: stats.fileCount,
+      });
+    } catch (error) {
+      deployment.status = "failed";
+      deployment.error = error.message;
+      this.logger.warn(`Deployment ${deployment.deploymentId} failed:`, error.message);
+    } finally {
+      deployment.durationMs = Date.now() - startTime;
+      deployment.finishedAt = new Date().toISOString();
+      this._saveRecord(workspaceKey, deployment);
+      this._prune(workspaceKey);
+      fs.rmSync(buildDir, { recursive: true, force: true });
+    }
+
+    return { ...deployment, active: deployment.status === "ready" };
+  }
+
+  /**
+   * List the deployments of a workspace, newest first
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Object} - { activeDeploymentId, deployments }
+   */
+  listDeployments(workspaceId) {
+    const workspaceKey = this._workspaceKey(workspaceId);
+    const history = this._readHistory(workspaceKey);
+
+    return {
+      activeDeploymentId: history.activeDeploymentId,
+      deployments: [...history.deployments]
+        .reverse()
+        .map((deployment) => ({
+          ...deployment,
+          active: deployment.deploymentId === history.activeDeploymentId,
+        })),
+    };
+  }
+
+  /**
+   * Get a deployment by ID
+   * @param {string} deploymentId - Deployment ID
+   * @returns {Object|null} - Deployment record
+   */
+  getDeployment(deploymentId) {
+    const parsed = this._parseDeploymentId(deploymentId);
+    if (!parsed) return null;
+
+    const history = this._readHistory(parsed.workspaceKey);
+    const deployment = history.deployments.find(
+      (entry) => entry.deploymentId === deploymentId
+    );
+
+    return deployment
+      ? {
+          ...deployment,
+          active: deployment.deploymentId === history.activeDeploymentId,
+        }
+      : null;
+  }
+
+  /**
+   * Make an earlier deployment the active one
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} deploymentId - Deployment to activate
+   * @returns {Object} - The activated deployment record
+   */
+  rollback(workspaceId, deploymentId) {
+    const workspaceKey = this._workspaceKey(workspaceId);
+    const deployment = this._readHistory(workspaceKey).deployments.find(
+      (entry) => entry.deploymentId === deploymentId
+    );
+
+    if (!deployment) {
+      throw new Error(`Deployment not found: ${deploymentId}`);
+    }
+    if (deployment.status !== "ready") {
+      throw new Error(`Deployment ${deploymentId} has no artifact to roll back to`);
+    }
+    if (!fs.existsSync(this._deploymentDir(workspaceKey, deploymentId))) {
+      throw new Error(`Artifact of deployment ${deploymentId} was removed`);
+    }
+
+    this._updateHistory(workspaceKey, (history) => {
+      history.activeDeploymentId = deploymentId;
+    });
+
+    this.logger.info("Rolled back deployment", { workspaceId, deploymentId });
+    return { ...deployment, active: true };
+  }
+
+  /**
+   * Resolve a file of a deployment for serving.
+   * `id` is either a deployment ID or a workspace ID (its active deployment).
+   * Unknown paths fall back to index.html so client-side routing works.
+   * @param {string} id - Deployment or workspace ID
+   * @param {string} filePath - Path inside the deployment
+   * @returns {Object|null} - { deploymentId, filePath, isIndex } or null
+   */
+  resolveFile(id, filePath = "") {
+    let parsed = this._parseDeploymentId(id);
+    if (!parsed) {
+      const workspaceKey = this._workspaceKey(id);
+      const activeId = this._readHistory(workspaceKey).activeDeploymentId;
+      if (!activeId) return null;
+      parsed = { workspaceKey, deploymentId: activeId };
+    }
+
+    const root = this._deploymentDir(parsed.workspaceKey, parsed.deploymentId);
+    if (!fs.existsSync(root)) return null;
+
+    const relative = normalizePath(filePath);
+    const target = path.resolve(root, relative);
+    if (target !== root && !target.startsWith(root + path.sep)) return null;
+
+    if (relative && fs.existsSync(target) && fs.statSync(target).isFile()) {
+      return {
+        deploymentId: parsed.deploymentId,
+        filePath: target,
+        isIndex: relative === "index.html",
+      };
+    }
+
+    // Requests for assets that do not exist are real 404s
+    if (path.extname(relative)) return null;
+
+    const index = path.join(root, "index.html");
+    return fs.existsSync(index)
+      ? { deploymentId: parsed.deploymentId, filePath: index, isIndex: true }
+      : null;
+  }
+
+  /**
+   * Count the files and bytes of a directory
+   * @private
+   */
+  _directoryStats(dir) {
+    let fileCount = 0;
+    let bytes = 0;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        const stats = this._directoryStats(entryPath);
+        fileCount += stats.fileCount;
+        bytes += stats.bytes;
+      } else if (entry.isFile()) {
+        fileCount++;
+        bytes += fs.statSync(entryPath).size;
+      }
+    }
+
+    return { fileCount, bytes };
+  }
+
+  /**
+   * Create the record of a new deployment and add it to the history
+   * @private
+   */
+  _createRecord(workspaceKey, label) {
+    let deployment;
+
+    this._updateHistory(workspaceKey, (history) => {
+      const version = (history.lastVersion || 0) + 1;
+      history.lastVersion = version;
+
+      deployment = {
+        deploymentId: `${workspaceKey}-v${version}`,
+        workspaceId: workspaceKey,
+        version,
+        status: "building",
+        label: label || null,
+        createdAt: new Date().toISOString(),
+      };
+      history.deployments.push(deployment);
+    });
+
+    return deployment;
+  }
+
+  /**
+   * Store the final state of a deployment record
+   * @private
+   */
+  _saveRecord(workspaceKey, deployment) {
+    this._updateHistory(workspaceKey, (history) => {
+      const index = history.deployments.findIndex(
+        (entry) => entry.deploymentId === deployment.deploymentId
+      );
+      if (index !== -1) history.deployments[index] = { ...deployment };
+    });
+  }
+
+  /**
+   * Remove the artifacts of old deployments beyond maxDeployments.
+   * Their records stay in the history, marked as pruned.
+   * @private
+   */
+  _prune(workspaceKey) {
+    this._updateHistory(workspaceKey, (history) => {
+      const ready = history.deployments.filter(
+        (entry) =>
+          entry.status === "ready" &&
+          entry.deploymentId !== history.activeDeploymentId
+      );
+      const excess = ready.length - (this.maxDeployments - 1);
+
+      for (const entry of ready.slice(0, Math.max(0, excess))) {
+        fs.rmSync(this._deploymentDir(workspaceKey, entry.deploymentId), {
+          recursive: true,
+          force: true,
+        });
+        entry.status = "pruned";
+      }
+    });
+  }
+
+  /**
+   * Read the history of a workspace
+   * @private
+   */
+  _readHistory(workspaceKey) {
+    try {
+      const history = JSON.parse(
+        fs.readFileSync(
+          path.join(this.deploymentsDir, workspaceKey, HISTORY_FILE),
+          "utf8"
+        )
+      );
+      return { activeDeploymentId: null, lastVersion: 0, deployments: [], ...history };
+    } catch (error) {
+      return { activeDeploymentId: null, lastVersion: 0, deployments: [] };
+    }
+  }
+
+  /**
+   * Apply a change to the history of a workspace and write it back
+   * @private
+   */
+  _updateHistory(workspaceKey, update) {
+    const history = this._readHistory(workspaceKey);
+    update(history);
+
+    const dir = path.join(this.deploymentsDir, workspaceKey);
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Write through a temporary file so readers never see a partial history
+    const target = path.join(dir, HISTORY_FILE);
+    fs.writeFileSync(`${target}.tmp`, JSON.stringify(history, null, 2));
+    fs.renameSync(`${target}.tmp`, target);
+
+    return history;
+  }
+
+  /**
+   * Directory holding the artifact of a deployment
+   * @private
+   */
+  _deploymentDir(workspaceKey, deploymentId) {
+    return path.join(this.deploymentsDir, workspaceKey, deploymentId);
+  }
+
+  /**
+   * Split a deployment ID into its workspace key and version
+   * @private
+   */
+  _parseDeploymentId(deploymentId) {
+    const match = /^([A-Za-z0-9_-]+)-v(\d+)$/.exec(String(deploymentId || ""));
+    return match
+      ? { workspaceKey: match[1], version: Number(match[2]), deploymentId }
+      : null;
+  }
+
+  /**
+   * Workspace ID made safe for use as a directory name
+   * @private
+   */
+  _workspaceKey(workspaceId) {
+    const key = String(workspaceId || "").replace(/[^A-Za-z0-9_-]/g, "_");
+    if (!key) {
+      throw new Error("A workspace ID is required for deployments");
+    }
+    return key;
+  }
+}
+
+module.exports = DeploymentManager;
@@ -0,0 +1,377 @@
+/**
+ * EditJournal.js
+ * Per-task record of the file edits the agent makes. Every entry keeps the
+ * file content before and after the edit, so the journal can produce a diff
+ * per iteration, undo the last edit of a file and roll a whole task back.
+ * Entries are append-only: undoing or rolling back adds entries that point
+ * at what they reverted.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Lines of context around each hunk of a diff
+const DIFF_CONTEXT = 3;
+
+/**
+ * Split text into lines; a trailing newline does not start another line
+ * @private
+ */
+function splitLines(text) {
+  if (text === null || text === undefined || text === "") return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Line diff (Myers) as a list of { type: " " | "-" | "+", line } operations
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>}
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // State before each step d, for diagonals -(d-1)..(d-1)
+  const trace = [];
+
+  let steps = -1;
+  for (let d = 0; d <= max && steps === -1; d++) {
+    trace.push(d === 0 ? null : v.slice(offset - d + 1, offset + d));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        steps = d;
+        break;
+      }
+    }
+  }
+
+  // Walk back from the end to recover the edit script
+  const operations = [];
+  let x = n;
+  let y = m;
+  for (let d = steps; d > 0; d--) {
+    const previous = trace[d];
+    const at = (k) => previous[k + d - 1];
+    const k = x - y;
+    const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+    const previousK = down ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX + (down ? 0 : 1) && y > previousY + (down ? 1 : 0)) {
+      operations.push({ type: " ", line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (down) {
+      operations.push({ type: "+", line: b[y - 1] });
+      y--;
+    } else {
+      operations.push({ type: "-", line: a[x - 1] });
+      x--;
+    }
+  }
+  while (x > 0 && y > 0) {
+    operations.push({ type: " ", line: a[x - 1] });
+    x--;
+    y--;
+  }
+
+  return operations.reverse();
+}
+
+/**
+ * Unified diff between two versions of a file. null stands for a file that
+ * does not exist.
+ * @param {string} filePath - Path shown in the headers
+ * @param {string|null} before - Old content
+ * @param {string|null} after - New content
+ * @returns {Object} - { diff, added, removed }
+ */
+function createUnifiedDiff(filePath, before, after) {
+  const operations = diffLines(splitLines(before), splitLines(after));
+
+  // Old and new line numbers (1-based) before each operation
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = operations.map((operation) => {
+    const entry = { ...operation, oldLine, newLine };
+    if (operation.type !== "+") oldLine++;
+    if (operation.type !== "-") newLine++;
+    return entry;
+  });
+
+  const changed = numbered
+    .map((operation, index) => (operation.type === " " ? -1 : index))
+    .filter((index) => index !== -1);
+
+  // Group changes whose context overlaps into hunks
+  const ranges = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - DIFF_CONTEXT);
+    const end = Math.min(numbered.length - 1, index + DIFF_CONTEXT);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) last.end = end;
+    else ranges.push({ start, end });
+  }
+
+  const lines = [
+    `--- ${before === null ? "/dev/null" : `a/${filePath}`}`,
+    `+++ ${after === null ? "/dev/null" : `b/${filePath}`}`,
+  ];
+  for (const { start, end } of ranges) {
+    const hunk = numbered.slice(start, end + 1);
+    const oldCount = hunk.filter((operation) => operation.type !== "+").length;
+    const newCount = hunk.filter((operation) => operation.type !== "-").length;
+    const oldStart = oldCount === 0 ? hunk[0].oldLine - 1 : hunk[0].oldLine;
+    const newStart = newCount === 0 ? hunk[0].newLine - 1 : hunk[0].newLine;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const operation of hunk) {
+      lines.push(`${operation.type}${operation.line}`);
+    }
+  }
+
+  return {
+    diff: changed.length > 0 ? `${lines.join("\n")}\n` : "",
+    added: operations.filter((operation) => operation.type === "+").length,
+    removed: operations.filter((operation) => operation.type === "-").length,
+  };
+}
+
+class EditJournal {
+  /**
+   * @param {Object} config - Configuration
+   * @param {string} config.journalDir - Directory journals are appended to as
+   *   `<taskId>.jsonl` (kept in memory only when omitted)
+   * @param {Object} config.logger - Logger
+   */
+  constructor(config = {}) {
+    this.logger = config.logger || console;
+    this.journalDir = config.journalDir ? path.resolve(config.journalDir) : null;
+
+    // Entries by task ID
+    this.tasks = new Map();
+  }
+
+  /**
+   * Record an edit
+   * @param {string} taskId - Task ID
+   * @param {Object} edit - { iteration, command, path, before, after, reverts }
+   *   where before/after are the file contents (null when the file is absent)
+   *   and reverts is the ID of the entry an undo or rollback reverts
+   * @returns {Object} - The journal entry
+   */
+  record(taskId, edit) {
+    const entries = this.getEntries(taskId);
+    const entry = {
+      id: entries.length + 1,
+      taskId,
+      iteration: edit.iteration ?? null,
+      command: edit.command,
+      path: edit.path,
+      before: edit.before ?? null,
+      after: edit.after ?? null,
+      reverts: edit.reverts ?? null,
+      timestamp: new Date().toISOString(),
+    };
+    entries.push(entry);
+
+    if (this.journalDir) {
+      try {
+        fs.mkdirSync(this.journalDir, { recursive: true });
+        fs.appendFileSync(this._journalFile(taskId), `${JSON.stringify(entry)}\n`);
+      } catch (error) {
+        this.logger.error(`Failed to persist edit journal: ${error.message}`);
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * All entries of a task, oldest first
+   * @param {string} taskId - Task ID
+   * @returns {Array<Object>}
+   */
+  getEntries(taskId) {
+    if (!this.tasks.has(taskId)) {
+      this.tasks.set(taskId, this._load(taskId));
+    }
+    return this.tasks.get(taskId);
+  }
+
+  /**
+   * The latest edit of a file that has not been reverted yet
+   * @param {string} taskId - Task ID
+   * @param {string} filePath - File path
+   * @returns {Object|null}
+   */
+  lastRevertible(taskId, filePath) {
+    const entries = this.getEntries(taskId);
+    const reverted = new Set(entries.map((entry) => entry.reverts));
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      if (entry.path !== filePath) continue;
+      // Nothing before a rollback can be undone
+      if (entry.command === "rollback") return null;
+      if (entry.command !== "undo_edit" && !reverted.has(entry.id)) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Iterations of a task that changed files, in order. Edits made outside
+   * the agent loop (e.g. a rollback) have a null iteration.
+   * @param {string} taskId - Task ID
+   * @returns {Array<number|null>}
+   */
+  getIterations(taskId) {
+    return [...new Set(this.getEntries(taskId).map((entry) => entry.iteration))];
+  }
+
+  /**
+   * Net changes per file, from the first content before to the last content
+   * after the selected entries
+   * @param {string} taskId - Task ID
+   * @param {Object} options - { iteration } to limit to one iteration
+   * @returns {Array<Object>} - [{ path, status, before, after, diff, added, removed }]
+   *   with status "added", "deleted" or "modified"; unchanged files are left out
+   */
+  getChanges(taskId, options = {}) {
+    const files = new Map();
+
+    for (const entry of this.getEntries(taskId)) {
+      if (options.iteration !== undefined && entry.iteration !== options.iteration) {
+        continue;
+      }
+      if (!files.has(entry.path)) {
+        files.set(entry.path, { before: entry.before, after: entry.after });
+      } else {
+        files.get(entry.path).after = entry.after;
+      }
+    }
+
+    const changes = [];
+    for (const [filePath, { before, after }] of files) {
+      if (before === after) continue;
+      changes.push({
+        path: filePath,
+        status: before === null ? "added" : after === null ? "deleted" : "modified",
+        before,
+        after,
+        ...createUnifiedDiff(filePath, before, after),
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * Diffs of the files one iteration changed, without the full file contents
+   * @param {string} taskId - Task ID
+   * @param {number} iteration - Iteration
+   * @returns {Array<Object>} - [{ path, status, diff, added, removed }]
+   */
+  getIterationDiff(taskId, iteration) {
+    return this.getChanges(taskId, { iteration }).map(
+      ({ before, after, ...change }) => change
+    );
+  }
+
+  /**
+   * Diffs per iteration, for iterations that left files changed
+   * @param {string} taskId - Task ID
+   * @returns {Array<Object>} - [{ iteration, files: [{ path, status, diff, added, removed }] }]
+   */
+  getIterationDiffs(taskId) {
+    return this.getIterations(taskId)
+      .map((iteration) => ({
+        iteration,
+        files: this.getIterationDiff(taskId, iteration),
+      }))
+      .filter((entry) => entry.files.length > 0);
+  }
+
+  /**
+   * Files to restore to undo a whole task: each touched file with the content
+   * it had before the task's first edit
+   * @param {string} taskId - Task ID
+   * @returns {Array<Object>} - [{ path, content, current, reverts }]
+   */
+  getRollbackPlan(taskId) {
+    const files = new Map();
+
+    for (const entry of this.getEntries(taskId)) {
+      const file = files.get(entry.path);
+      if (!file) {
+        files.set(entry.path, { original: entry.before, current: entry.after, reverts: entry.id });
+      } else {
+        file.current = entry.after;
+        file.reverts = entry.id;
+      }
+    }
+
+    return [...files]
+      .filter(([, file]) => file.original !== file.current)
+      .map(([filePath, file]) => ({
+        path: filePath,
+        content: file.original,
+        current: file.current,
+        reverts: file.reverts,
+      }));
+  }
+
+  /**
+   * Journal file of a task
+   * @private
+   */
+  _journalFile(taskId) {
+    return path.join(
+      this.journalDir,
+      `${String(taskId).replace(/[^a-zA-Z0-9._-]/g, "_")}.jsonl`
+    );
+  }
+
+  /**
+   * Read a persisted journal
+   * @private
+   */
+  _load(taskId) {
+    if (!this.journalDir) return [];
+
+    try {
+      return fs
+        .readFileSync(this._journalFile(taskId), "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.logger.error(`Failed to read edit journal: ${error.message}`);
+      }
+      return [];
+    }
+  }
+}
+
+EditJournal.createUnifiedDiff = createUnifiedDiff;
+
+module.exports = EditJournal;
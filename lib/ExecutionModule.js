@@ -4,6 +4,33 @@
  * Supports various types of actions like research, code generation, and testing.
  */
 
+const path = require("path");
+
+// File the test runners write their JSON report to (relative to the project root)
+const TEST_REPORT_FILE = ".agent-test-results.json";
+
+// Coverage summary written by the json-summary reporter
+const COVERAGE_SUMMARY_FILE = "coverage/coverage-summary.json";
+
+// Vitest coverage providers; without one, --coverage makes Vitest fail
+const VITEST_COVERAGE_PACKAGES = ["@vitest/coverage-v8", "@vitest/coverage-istanbul"];
+
+// Dev dependencies installed when a project has no test runner yet
+const TEST_RUNNER_PACKAGES = {
+  jest: [
+    "jest",
+    "jest-environment-jsdom",
+    "@testing-library/react",
+    "@testing-library/jest-dom",
+  ],
+  vitest: [
+    "vitest",
+    "@vitest/coverage-v8",
+    "jsdom",
+    "@testing-library/jest-dom",
+  ],
+};
+
 class ExecutionModule {
   constructor(llmService, config = {}) {
     this.llm = llmService;
@@ -13,6 +40,15 @@ class ExecutionModule {
     this.logger = config.logger || console;
     this.actionHandlers = new Map();
 
+    // Test execution settings
+    this.testTimeout = config.testTimeout || 5 * 60 * 1000;
+    this.bootstrapTestRunner = config.bootstrapTestRunner !== false;
+
+    // Deployment settings
+    this.deploymentManager = config.deploymentManager || null;
+    this.deploymentOptions = config.deployment || {};
+    this.workspaceId = config.workspaceId || "agent";
+
     // Register default action handlers
     this._registerDefaultHandlers();
   }
@@ -126,6 +162,21 @@ class ExecutionModule {
 
     try {
       const result = await handler(action, context);
+
+      // Handlers report an unsuccessful outcome (e.g. failing tests) without throwing
+      if (result && result.status === "failed") {
+        this.logger.warn(`Action failed: ${action.type}`, {
+          actionId: action.id,
+          error: result.error,
+        });
+        return {
+          status: "failed",
+          error: result.error || `Action ${action.type} failed`,
+          result,
+          action,
+        };
+      }
+
       this.logger.info(`Action executed successfully: ${action.type}`, {
         actionId: action.id,
       });
@@ -765,10 +816,12 @@ class ExecutionModule {
       }
 
       // Write test files if file system is available
+      const writtenFiles = [];
       if (this.fileSystem && testing.testFiles) {
         for (const file of testing.testFiles) {
           try {
             await this.fileSystem.writeFile(file.path, file.code);
+            writtenFiles.push(file.path);
             this.logger.info(`Test file written: ${file.path}`);
           } catch (e) {
             this.logger.warn(`Failed to write test file: ${file.path}`, {
@@ -778,9 +831,28 @@ class ExecutionModule {
         }
       }
 
+      if (action.runTests === false) {
+        return {
+          status: "success",
+          testing,
+        };
+      }
+
+      const testRun = await this._runTests(writtenFiles, action, context);
+
+      if (testRun.skipped) {
+        return {
+          status: "success",
+          testing,
+          testRun,
+        };
+      }
+
       return {
-        status: "success",
+        status: testRun.passed ? "success" : "failed",
+        error: testRun.passed ? undefined : testRun.error,
         testing,
+        testRun,
       };
     } catch (e) {
       throw new Error(`Test generation failed: ${e.message}`);
@@ -788,76 +860,491 @@ class ExecutionModule {
   }
 
   /**
-   * Handle deployment action
+   * Run the project's tests (bootstrapping Jest or Vitest if needed) and
+   * parse the outcome
+   * @param {Array<string>} testFiles - Test files to run; all tests when empty
+   * @param {Object} action - Testing action
+   * @param {Object} context - Execution context (onTestOutput receives output chunks)
+   * @returns {Promise<Object>} - { runner, command, bootstrapped, passed, exitCode,
+   *   durationMs, summary, failures, coverage, output, error } or { skipped, reason }
    * @private
    */
-  async _handleDeploymentAction(action, context) {
-    this.logger.info("Executing deployment action", { stepId: action.stepId });
+  async _runTests(testFiles, action, context = {}) {
+    if (!this.computerControl || !this.fileSystem) {
+      const reason =
+        "Tests were not run: computer control and a file system are required";
+      this.logger.warn(reason);
+      return { skipped: true, reason };
+    }
 
-    if (!this.llm) {
-      throw new Error("LLM service required for deployment planning");
+    const packageJson = (await this.fileSystem.exists("package.json"))
+      ? await this.fileSystem.readJson("package.json")
+      : null;
+    const framework = this._detectProjectFramework(
+      packageJson,
+      action.testingContext
+    );
+
+    let runner = this._detectTestRunner(packageJson);
+    let bootstrapped = false;
+
+    if (!runner) {
+      if (!this.bootstrapTestRunner || action.bootstrapTestRunner === false) {
+        const reason = "Tests were not run: the project has no test runner";
+        this.logger.warn(reason);
+        return { skipped: true, reason };
+      }
+
+      runner = framework === "vue" || framework === "vite" ? "vitest" : "jest";
+      await this._bootstrapTestRunner(runner, framework, packageJson, context);
+      bootstrapped = true;
     }
 
-    const deploymentPrompt = `
-        You are an expert DevOps engineer creating a deployment plan.
-        
-        DEPLOYMENT TASK:
-        ${action.description}
-        
-        CONTEXT:
-        ${JSON.stringify(action.deploymentContext || {}, null, 2)}
-        
-        Create a comprehensive deployment plan for this frontend application.
-        Consider build process, environment configuration, and deployment targets.
-        Follow DevOps best practices for frontend applications.
-        
-        Your response MUST be a valid JSON object with the following structure:
-        {
-          "deploymentStrategy": "Overall approach to deployment",
-          "buildProcess": { ... },
-          "environmentConfig": { ... },
-          "deploymentSteps": [ ... ],
-          "monitoringStrategy": { ... }
-        }
-        
-        DO NOT include any explanatory text outside the JSON structure.
-        `;
+    // Jest always has coverage; Vitest only with a coverage provider installed
+    const deps = {
+      ...(packageJson?.dependencies || {}),
+      ...(packageJson?.devDependencies || {}),
+    };
+    const coverage =
+      runner === "jest" ||
+      bootstrapped ||
+      VITEST_COVERAGE_PACKAGES.some((pkg) => deps[pkg]);
+
+    // The sandbox only accepts paths inside the working copy
+    const files = testFiles
+      .map((file) =>
+        this._shellQuote(
+          path.isAbsolute(file) && this.fileSystem
+            ? path.relative(this.fileSystem.baseDir, file)
+            : file
+        )
+      )
+      .join(" ");
+    const command =
+      runner === "vitest"
+        ? `npx vitest run --reporter=json --outputFile=${TEST_REPORT_FILE}${
+            coverage ? " --coverage --coverage.reporter=json-summary" : ""
+          } ${files}`
+        : `npx jest --ci --json --outputFile=${TEST_REPORT_FILE} --coverage --coverageReporters=json-summary ${files}`;
+
+    // Reports of an earlier run must not be mistaken for this one's
+    for (const staleFile of [TEST_REPORT_FILE, COVERAGE_SUMMARY_FILE]) {
+      if (await this.fileSystem.exists(staleFile)) {
+        await this.fileSystem.deleteFile(staleFile).catch(() => {});
+      }
+    }
 
-    try {
-      const deploymentResponse = await this.llm.complete(deploymentPrompt, {
-        temperature: 0.3,
-        responseFormat: { type: "json_object" },
-        maxTokens: 2000,
+    const startedAt = Date.now();
+    const output = await this._runStreamingCommand(command.trim(), context, {
+      collect: [TEST_REPORT_FILE, ...(coverage ? [COVERAGE_SUMMARY_FILE] : [])],
+    });
+    const durationMs = Date.now() - startedAt;
+
+    const report = await this._readJsonIfExists(TEST_REPORT_FILE);
+    const coverageSummary = coverage
+      ? await this._readJsonIfExists(COVERAGE_SUMMARY_FILE)
+      : null;
+
+    if (report) {
+      await this.fileSystem.deleteFile(TEST_REPORT_FILE).catch(() => {});
+    }
+
+    const { summary, failures } = report
+      ? this._parseTestReport(report)
+      : this._parseTestOutput(`${output.stdout}\n${output.stderr}`);
+
+    const passed =
+      output.code === 0 && summary.failed === 0 && summary.total > 0;
+
+    let error;
+    if (!passed) {
+      if (summary.failed > 0) {
+        error = `${summary.failed} of ${summary.total} tests failed`;
+      } else if (summary.total === 0) {
+        error = output.error || "No tests were run";
+      } else {
+        error = output.error || `Test runner exited with code ${output.code}`;
+      }
+    }
+
+    return {
+      runner,
+      framework,
+      command,
+      bootstrapped,
+      passed,
+      exitCode: output.code,
+      durationMs,
+      summary,
+      failures,
+      coverage: this._parseCoverageSummary(coverageSummary),
+      // Keep the end of the output, where runners print their summary
+      output: `${output.stdout}${output.stderr}`.slice(-4000),
+      error,
+    };
+  }
+
+  /**
+   * Quote a command argument for a POSIX shell
+   * @private
+   */
+  _shellQuote(arg) {
+    return `'${String(arg).replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * Detect the framework of the project from its dependencies
+   * @private
+   */
+  _detectProjectFramework(packageJson, testingContext = {}) {
+    if (testingContext && testingContext.framework) {
+      return testingContext.framework.toLowerCase();
+    }
+
+    const deps = {
+      ...(packageJson?.dependencies || {}),
+      ...(packageJson?.devDependencies || {}),
+    };
+
+    if (deps.next) return "next";
+    if (deps.vue || deps.nuxt) return "vue";
+    if (deps.vite) return "vite";
+    return "react";
+  }
+
+  /**
+   * Detect the test runner already set up in the project
+   * @private
+   */
+  _detectTestRunner(packageJson) {
+    if (!packageJson) return null;
+
+    const deps = {
+      ...(packageJson.dependencies || {}),
+      ...(packageJson.devDependencies || {}),
+    };
+    const testScript = packageJson.scripts?.test || "";
+
+    if (deps.vitest || testScript.includes("vitest")) return "vitest";
+    if (deps.jest || testScript.includes("jest")) return "jest";
+    return null;
+  }
+
+  /**
+   * Install a test runner and write its configuration
+   * @private
+   */
+  async _bootstrapTestRunner(runner, framework, packageJson, context) {
+    this.logger.info(`Bootstrapping ${runner} for ${framework} project`);
+
+    if (!packageJson) {
+      await this.fileSystem.writeJson("package.json", {
+        name: "generated-project",
+        version: "0.1.0",
+        private: true,
+        scripts: {},
       });
+    }
 
-      let deployment;
-      try {
-        if (typeof deploymentResponse === "string") {
-          // Try to extract JSON from the string
-          deployment = this._extractJsonFromString(deploymentResponse);
+    const packages = [...TEST_RUNNER_PACKAGES[runner]];
+    if (runner === "vitest") {
+      packages.push(
+        framework === "vue" ? "@vitejs/plugin-vue" : "@vitejs/plugin-react",
+        framework === "vue" ? "@vue/test-utils" : "@testing-library/react"
+      );
+    } else if (framework !== "next") {
+      packages.push("babel-jest", "@babel/preset-env", "@babel/preset-react");
+    }
 
-          // If extraction failed, create a fallback
-          if (!deployment) {
-            deployment = {
-              deploymentStrategy: deploymentResponse.substring(0, 500),
-              rawResponse: deploymentResponse.substring(0, 1000),
-            };
-          }
-        } else {
-          // Already an object
-          deployment = deploymentResponse;
+    const install = await this._runStreamingCommand(
+      `npm install --save-dev ${packages.join(" ")}`,
+      context,
+      { collect: ["package.json", "package-lock.json"] }
+    );
+
+    if (install.code !== 0) {
+      throw new Error(
+        `Failed to install ${runner}: ${install.error || install.stderr.slice(-1000)}`
+      );
+    }
+
+    if (
+      runner === "vitest" &&
+      !(await this._hasAnyFile([
+        "vitest.config.js",
+        "vitest.config.ts",
+        "vitest.config.mjs",
+      ]))
+    ) {
+      const plugin = framework === "vue" ? "vue" : "react";
+      await this.fileSystem.writeFile(
+        "vitest.config.mjs",
+        [
+          `import { defineConfig } from "vitest/config";`,
+          `import ${plugin} from "@vitejs/plugin-${plugin}";`,
+          ``,
+          `export default defineConfig({`,
+          `  plugins: [${plugin}()],`,
+          `  test: { environment: "jsdom", globals: true },`,
+          `});`,
+          ``,
+        ].join("\n")
+      );
+    }
+
+    if (
+      runner === "jest" &&
+      !(await this._hasAnyFile([
+        "jest.config.js",
+        "jest.config.mjs",
+        "jest.config.ts",
+      ]))
+    ) {
+      const config =
+        framework === "next"
+          ? [
+              `const nextJest = require("next/jest");`,
+              ``,
+              `const createJestConfig = nextJest({ dir: "./" });`,
+              ``,
+              `module.exports = createJestConfig({ testEnvironment: "jsdom" });`,
+              ``,
+            ]
+          : [`module.exports = { testEnvironment: "jsdom" };`, ``];
+      await this.fileSystem.writeFile("jest.config.js", config.join("\n"));
+
+      if (
+        framework !== "next" &&
+        !(await this._hasAnyFile(["babel.config.js", ".babelrc"]))
+      ) {
+        await this.fileSystem.writeFile(
+          "babel.config.js",
+          `module.exports = {\n  presets: ["@babel/preset-env", ["@babel/preset-react", { runtime: "automatic" }]],\n};\n`
+        );
+      }
+    }
+  }
+
+  /**
+   * Run a command through ComputerControl.executeStreamingCommand in the
+   * project directory and wait for it to finish. Sandboxed commands run in a
+   * working copy; `options.collect` names the files they produce that are
+   * copied back into the project.
+   * @private
+   */
+  _runStreamingCommand(command, context = {}, options = {}) {
+    return new Promise((resolve) => {
+      let timer = null;
+      let running;
+
+      const finish = (output) => {
+        clearTimeout(timer);
+        resolve({
+          stdout: output.stdout || "",
+          stderr: output.stderr || "",
+          code: output.code === undefined ? null : output.code,
+          error: output.error,
+        });
+      };
+
+      const onChunk = (chunk) => {
+        if (typeof context.onTestOutput === "function") {
+          context.onTestOutput(chunk);
         }
-      } catch (e) {
-        throw new Error(`Failed to parse deployment response: ${e.message}`);
+      };
+
+      try {
+        running = this.computerControl.executeStreamingCommand(command, {
+          cwd: this.fileSystem.baseDir,
+          env: { ...process.env, CI: "true" },
+          collect: options.collect,
+          onStdout: onChunk,
+          onStderr: onChunk,
+          onComplete: finish,
+          onError: (error) =>
+            finish({ ...(running ? running.output : {}), error: error.message }),
+        });
+      } catch (error) {
+        finish({ error: error.message });
+        return;
       }
 
+      timer = setTimeout(() => {
+        this.logger.warn(`Command timed out: ${command}`);
+        running.kill();
+        finish({
+          ...running.output,
+          error: `Timed out after ${this.testTimeout}ms`,
+        });
+      }, this.testTimeout);
+    });
+  }
+
+  /**
+   * Parse a Jest/Vitest JSON report (both use Jest's format)
+   * @private
+   */
+  _parseTestReport(report) {
+    const summary = {
+      total: report.numTotalTests || 0,
+      passed: report.numPassedTests || 0,
+      failed: report.numFailedTests || 0,
+      skipped: (report.numPendingTests || 0) + (report.numTodoTests || 0),
+      failedSuites: report.numFailedTestSuites || 0,
+    };
+
+    const failures = [];
+    for (const suite of report.testResults || []) {
+      for (const test of suite.assertionResults || []) {
+        if (test.status !== "failed") continue;
+        failures.push({
+          file: suite.name,
+          test: test.fullName || test.title,
+          message: (test.failureMessages || []).join("\n").slice(0, 1000),
+        });
+      }
+
+      // Suites that fail to load report no tests, only a message
+      if (suite.status === "failed" && !(suite.assertionResults || []).length) {
+        failures.push({
+          file: suite.name,
+          test: null,
+          message: String(suite.message || "Test suite failed to run").slice(0, 1000),
+        });
+      }
+    }
+
+    // A suite that fails to load counts as a failure even without failed tests
+    if (summary.failed === 0 && summary.failedSuites > 0) {
+      summary.failed = summary.failedSuites;
+    }
+
+    return { summary, failures: failures.slice(0, 20) };
+  }
+
+  /**
+   * Parse test counts from runner output when no JSON report was written
+   * @private
+   */
+  _parseTestOutput(text) {
+    // Jest: "Tests: 1 failed, 2 passed, 3 total"
+    const jestLine = text.match(/Tests:\s+([^\n]*total)/);
+    // Vitest: "Tests  1 failed | 2 passed (3)"
+    const vitestLine = text.match(/Tests\s+([^\n]*\(\d+\))/);
+    const line = jestLine ? jestLine[1] : vitestLine ? vitestLine[1] : "";
+    const count = (pattern) => {
+      const match = line.match(pattern);
+      return match ? parseInt(match[1], 10) : 0;
+    };
+
+    const summary = {
+      total: count(jestLine ? /(\d+) total/ : /\((\d+)\)/),
+      passed: count(/(\d+) passed/),
+      failed: count(/(\d+) failed/),
+      skipped: count(/(\d+) (?:skipped|todo)/),
+    };
+
+    const failures = [];
+    const failurePattern = /(?:●|FAIL|×)\s+([^\n]+)/g;
+    let match;
+    while ((match = failurePattern.exec(text)) && failures.length < 20) {
+      failures.push({ file: null, test: match[1].trim(), message: "" });
+    }
+
+    return { summary, failures };
+  }
+
+  /**
+   * Extract total coverage percentages from an Istanbul json-summary report
+   * @private
+   */
+  _parseCoverageSummary(coverageSummary) {
+    if (!coverageSummary || !coverageSummary.total) return null;
+
+    const { total } = coverageSummary;
+    return {
+      lines: total.lines?.pct ?? null,
+      statements: total.statements?.pct ?? null,
+      functions: total.functions?.pct ?? null,
+      branches: total.branches?.pct ?? null,
+    };
+  }
+
+  /**
+   * Read a JSON file from the project, or null if it is missing or invalid
+   * @private
+   */
+  async _readJsonIfExists(filePath) {
+    try {
+      if (!(await this.fileSystem.exists(filePath))) return null;
+      return await this.fileSystem.readJson(filePath);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether any of the given project files exists
+   * @private
+   */
+  async _hasAnyFile(filePaths) {
+    for (const filePath of filePaths) {
+      if (await this.fileSystem.exists(filePath)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Handle deployment action: build the project into a versioned static
+   * bundle and make it the active deployment of the workspace
+   * @private
+   */
+  async _handleDeploymentAction(action, context) {
+    this.logger.info("Executing deployment action", { stepId: action.stepId });
+
+    if (!this.fileSystem) {
+      throw new Error("File system required for deployment");
+    }
+
+    const workspaceId =
+      action.workspaceId || context.workspaceId || this.workspaceId;
+
+    const deployment = await this._getDeploymentManager().deploy(
+      workspaceId,
+      { sourceDir: this.fileSystem.baseDir },
+      {
+        dependencies: action.dependencies,
+        label: action.description,
+      }
+    );
+
+    if (deployment.status !== "ready") {
       return {
-        status: "success",
+        status: "failed",
+        error: `Deployment failed: ${deployment.error}`,
         deployment,
       };
-    } catch (e) {
-      throw new Error(`Deployment planning failed: ${e.message}`);
     }
+
+    return {
+      status: "success",
+      deployment,
+    };
+  }
+
+  /**
+   * Get the deployment manager, creating one on first use
+   * @private
+   */
+  _getDeploymentManager() {
+    if (!this.deploymentManager) {
+      const DeploymentManager = require("./DeploymentManager");
+      this.deploymentManager = new DeploymentManager({
+        ...this.deploymentOptions,
+        logger: this.logger,
+      });
+    }
+    return this.deploymentManager;
   }
 
   /**
@@ -1,14 +1,26 @@
 /**
  * LLMService.js
  * Provides a unified interface for interacting with different LLM providers.
- * Supports OpenAI, Claude, and other LLM APIs with consistent interface.
+ * Supports OpenAI, Claude, Gemini, and other LLM APIs with consistent interface.
+ *
+ * chat() takes messages and tools in Anthropic's Messages format and
+ * translates them to each provider's native format, so tool-using agents
+ * can run against any supported provider.
+ *
+ * The `replay` provider serves responses from fixture files keyed by a hash
+ * of the normalized prompt, so module tests can run without network access.
  */
 
+// Beta flag required by Anthropic's provider-defined computer use tools
+const COMPUTER_USE_BETA = "computer-use-2024-10-22";
+
 class LLMService {
   constructor(config = {}) {
     this.provider = config.provider || "openai";
     this.apiKey = config.apiKey;
     this.apiEndpoint = config.apiEndpoint;
+    // OpenAI-compatible chat endpoint for the custom provider (defaults to apiEndpoint)
+    this.chatEndpoint = config.chatEndpoint;
     this.defaultModel = config.model || this._getDefaultModel();
     this.defaultMaxTokens = config.maxTokens || 1000;
     this.defaultTemperature =
@@ -18,6 +30,17 @@ class LLMService {
     this.retries = config.retries || 2;
     this.retryDelay = config.retryDelay || 1000; // 1 second
     this.httpClient = null;
+    // Called with { provider, model, inputTokens, outputTokens, ... } after each request
+    this.onUsage = config.onUsage || null;
+    this.lastUsage = null;
+
+    // Replay provider settings
+    this.fixturesPath = config.fixturesPath;
+    this.strict = config.strict !== undefined ? config.strict : true;
+    // Config of a real provider used to record fixtures that are missing
+    this.recordFrom = config.recordFrom || null;
+    // Re-record every fixture instead of replaying existing ones
+    this.rerecord = !!config.rerecord;
 
     // Initialize the appropriate client
     this._initializeClient();
@@ -42,10 +65,16 @@ class LLMService {
       case "ollama":
         this._initializeOllama();
         break;
+      case "gemini":
+        this._initializeGemini();
+        break;
       case "custom":
         // Custom provider needs configuration
         this._initializeCustom();
         break;
+      case "replay":
+        this._initializeReplay();
+        break;
       default:
         throw new Error(`Unsupported LLM provider: ${this.provider}`);
     }
@@ -56,8 +85,17 @@ class LLMService {
    * @private
    */
   _initializeOpenAI() {
+    let OpenAI;
+    try {
+      ({ OpenAI } = require("openai"));
+    } catch (requireError) {
+      // chat() uses the HTTP API directly; complete() falls back to it
+      this.client = null;
+      this.logger.info("openai SDK not installed, using the HTTP API");
+      return;
+    }
+
     try {
-      const { OpenAI } = require("openai");
       this.client = new OpenAI({
         apiKey: this.apiKey,
         timeout: this.timeout,
@@ -81,7 +119,16 @@ class LLMService {
         throw new Error("Invalid or missing API key");
       }
       
-      const Anthropic = require("@anthropic-ai/sdk");
+      let Anthropic;
+      try {
+        Anthropic = require("@anthropic-ai/sdk");
+      } catch (requireError) {
+        // chat() uses the HTTP API directly; complete() falls back to it
+        this.client = null;
+        this.logger.info("Anthropic SDK not installed, using the HTTP API");
+        return;
+      }
+
       this.client = new Anthropic({
         apiKey: this.apiKey,
       });
@@ -109,7 +156,7 @@ class LLMService {
    */
   _initializeHuggingFace() {
     // Use simple fetch-based client for HuggingFace
-    this.httpClient = require("node-fetch");
+    this.httpClient = this._loadHttpClient();
     this.logger.info("HuggingFace client initialized");
   }
 
@@ -119,11 +166,27 @@ class LLMService {
    */
   _initializeOllama() {
     // Use simple fetch-based client for Ollama
-    this.httpClient = require("node-fetch");
+    this.httpClient = this._loadHttpClient();
     this.apiEndpoint = this.apiEndpoint || "http://localhost:11434/api";
     this.logger.info("Ollama client initialized");
   }
 
+  /**
+   * Initialize Gemini client
+   * @private
+   */
+  _initializeGemini() {
+    if (!this.apiKey) {
+      throw new Error("apiKey is required for the Gemini provider");
+    }
+
+    // Use simple fetch-based client for the Generative Language API
+    this.httpClient = this._loadHttpClient();
+    this.apiEndpoint =
+      this.apiEndpoint || "https://generativelanguage.googleapis.com/v1beta";
+    this.logger.info("Gemini client initialized");
+  }
+
   /**
    * Initialize custom LLM provider
    * @private
@@ -133,10 +196,45 @@ class LLMService {
       throw new Error("apiEndpoint is required for custom LLM provider");
     }
 
-    this.httpClient = require("node-fetch");
+    this.httpClient = this._loadHttpClient();
     this.logger.info("Custom LLM client initialized");
   }
 
+  /**
+   * Initialize the replay provider
+   * @private
+   */
+  _initializeReplay() {
+    const path = require("path");
+
+    this.fixturesPath =
+      this.fixturesPath || path.join(process.cwd(), "fixtures", "llm");
+
+    // Misses are recorded from a real provider unless strict
+    this.recorder =
+      this.recordFrom && (!this.strict || this.rerecord)
+        ? new LLMService({ logger: this.logger, ...this.recordFrom })
+        : null;
+
+    this.logger.info(
+      `Replay LLM client initialized (${this.fixturesPath}, ${
+        this.recorder ? "recording" : this.strict ? "strict" : "replay only"
+      })`
+    );
+  }
+
+  /**
+   * Load node-fetch, falling back to the built-in fetch
+   * @private
+   */
+  _loadHttpClient() {
+    try {
+      return require("node-fetch");
+    } catch (error) {
+      return globalThis.fetch.bind(globalThis);
+    }
+  }
+
   /**
    * Get default model for the selected provider
    * @private
@@ -152,6 +250,8 @@ class LLMService {
         return "mistralai/Mistral-7B-Instruct-v0.2";
       case "ollama":
         return "llama3";
+      case "gemini":
+        return "gemini-2.0-flash-exp";
       default:
         return "gpt-4o";
     }
@@ -219,6 +319,15 @@ class LLMService {
             options
           );
           break;
+        case "gemini":
+          response = await this._completeWithGemini(
+            prompt,
+            model,
+            maxTokens,
+            temperature,
+            options
+          );
+          break;
         case "custom":
           response = await this._completeWithCustom(
             prompt,
@@ -228,6 +337,9 @@ class LLMService {
             options
           );
           break;
+        case "replay":
+          response = await this._completeWithReplay(prompt, options);
+          break;
         default:
           throw new Error(`Unsupported LLM provider: ${this.provider}`);
       }
@@ -237,7 +349,11 @@ class LLMService {
       this.logger.error(`Completion request failed: ${error.message}`);
 
       // Retry if configured
-      if (options.retry !== false && options._retryCount < this.retries) {
+      if (
+        options.retry !== false &&
+        error.retryable !== false &&
+        options._retryCount < this.retries
+      ) {
         const retryCount = (options._retryCount || 0) + 1;
         this.logger.info(
           `Retrying completion request (${retryCount}/${this.retries})`
@@ -261,6 +377,10 @@ class LLMService {
    * @private
    */
   async _completeWithOpenAI(prompt, model, maxTokens, temperature, options) {
+    if (!this.client) {
+      return this._completeWithChat(prompt, model, maxTokens, temperature, options);
+    }
+
     const response = await this.client.chat.completions.create({
       model,
       messages: [{ role: "user", content: prompt }],
@@ -273,6 +393,8 @@ class LLMService {
       stop: options.stop || undefined,
     });
 
+    this._reportUsage(this._openAIUsage(response.usage), model, options);
+
     return response.choices[0].message.content;
   }
 
@@ -281,6 +403,10 @@ class LLMService {
    * @private
    */
   async _completeWithAnthropic(prompt, model, maxTokens, temperature, options) {
+    if (!this.client) {
+      return this._completeWithChat(prompt, model, maxTokens, temperature, options);
+    }
+
     try {
       // Additional validation
       if (!this.client || !this.client.messages) {
@@ -304,6 +430,8 @@ class LLMService {
       if (!response || !response.content || !response.content[0]) {
         throw new Error("Received empty or invalid response from Anthropic API");
       }
+
+      this._reportUsage(this._anthropicUsage(response.usage), model, options);
       
       return response.content[0].text;
     } catch (error) {
@@ -397,9 +525,62 @@ class LLMService {
     }
 
     const data = await response.json();
+    this._reportUsage(this._ollamaUsage(data), model, options);
     return data.response;
   }
 
+  /**
+   * Complete with Gemini
+   * @private
+   */
+  async _completeWithGemini(prompt, model, maxTokens, temperature, options) {
+    const data = await this._postJSON(
+      `${this.apiEndpoint}/models/${model}:generateContent`,
+      this._geminiRequest(prompt, maxTokens, temperature, options),
+      { "x-goog-api-key": this.apiKey, ...options.headers },
+      options.signal
+    );
+
+    this._reportUsage(LLMService.geminiUsage(data.usageMetadata), model, options);
+    return this._geminiText(data);
+  }
+
+  /**
+   * Build a Gemini generateContent body. `options.history` holds earlier
+   * turns as Gemini contents and `options.generationConfig` overrides the
+   * generation settings (e.g. responseMimeType).
+   * @private
+   */
+  _geminiRequest(prompt, maxTokens, temperature, options) {
+    return {
+      contents: [
+        ...(options.history || []),
+        { role: "user", parts: [{ text: prompt }] },
+      ],
+      systemInstruction: options.system
+        ? { parts: [{ text: options.system }] }
+        : undefined,
+      generationConfig: {
+        temperature,
+        maxOutputTokens: maxTokens,
+        topP: options.topP || undefined,
+        topK: options.topK || undefined,
+        stopSequences: options.stop || undefined,
+        ...options.generationConfig,
+      },
+    };
+  }
+
+  /**
+   * Get the text of the first candidate of a Gemini response
+   * @private
+   */
+  _geminiText(data) {
+    return (data.candidates?.[0]?.content?.parts || [])
+      .map((part) => part.text || "")
+      .join("");
+  }
+
   /**
    * Complete with custom LLM provider
    * @private
@@ -428,6 +609,9 @@ class LLMService {
     }
 
     const data = await response.json();
+    if (data.usage) {
+      this._reportUsage(this._openAIUsage(data.usage), model, options);
+    }
     return options.resultPath
       ? data[options.resultPath]
       : data.choices?.[0]?.text ||
@@ -435,6 +619,1130 @@ class LLMService {
           data.output ||
           data.completion;
   }
+
+  /**
+   * Normalize a prompt for fixture lookup: collapse whitespace and mask
+   * values that change between runs (timestamps, epoch milliseconds, UUIDs)
+   * @param {string} prompt - Prompt text
+   * @returns {string} - Normalized prompt
+   */
+  static normalizePrompt(prompt) {
+    return String(prompt)
+      .replace(
+        /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g,
+        "<timestamp>"
+      )
+      .replace(/\b1\d{12}\b/g, "<epoch>")
+      .replace(
+        /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+        "<uuid>"
+      )
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Hash a normalized prompt into a fixture key
+   * @param {string} kind - "complete" or "chat"
+   * @param {string} normalizedPrompt - Normalized prompt
+   * @returns {string} - Hex digest
+   */
+  static hashPrompt(kind, normalizedPrompt) {
+    const crypto = require("crypto");
+    return crypto
+      .createHash("sha256")
+      .update(`${kind}\n${normalizedPrompt}`)
+      .digest("hex")
+      .slice(0, 32);
+  }
+
+  /**
+   * Complete a prompt from a replay fixture
+   * @private
+   */
+  async _completeWithReplay(prompt, options) {
+    const fixture = await this._completionFixture(prompt, options);
+
+    if (fixture.usage) {
+      this._reportUsage(fixture.usage, fixture.model || "replay", options);
+    }
+
+    return fixture.response;
+  }
+
+  /**
+   * Get the completion fixture of a prompt
+   * @private
+   */
+  _completionFixture(prompt, options) {
+    return this._replay(
+      "complete",
+      LLMService.normalizePrompt(prompt),
+      async (recorder) => {
+        let usage = null;
+        const text = await recorder.complete(prompt, {
+          ...options,
+          onUsage: (record) => {
+            usage = record;
+          },
+        });
+        return { response: text, usage };
+      }
+    );
+  }
+
+  /**
+   * Answer a chat request from a replay fixture
+   * @private
+   */
+  async _chatWithReplay({ messages, tools, options }) {
+    const normalizedPrompt = LLMService.normalizePrompt(
+      JSON.stringify({
+        system: options.system || null,
+        tools: tools.map((tool) => tool.name),
+        messages,
+      })
+    );
+
+    const fixture = await this._replay(
+      "chat",
+      normalizedPrompt,
+      async (recorder) => {
+        const response = await recorder.chat(messages, {
+          ...options,
+          retry: false,
+        });
+        return {
+          response: {
+            content: response.content,
+            stopReason: response.stopReason,
+          },
+          usage: response.usage,
+        };
+      }
+    );
+
+    return {
+      content: fixture.response.content || [],
+      stopReason: fixture.response.stopReason || "end_turn",
+      usage: fixture.usage || {
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheCreationInputTokens: 0,
+        cacheReadInputTokens: 0,
+      },
+    };
+  }
+
+  /**
+   * Stream a completion fixture back in small chunks
+   * @private
+   */
+  async *_streamWithReplay({ prompt, options }) {
+    const fixture = await this._completionFixture(prompt, options);
+    const text = fixture.response || "";
+    const usage = fixture.usage || {};
+
+    for (let index = 0; index < text.length; index += 64) {
+      if (options.signal && options.signal.aborted) {
+        throw new Error("Stream aborted");
+      }
+      yield { type: "text", text: text.slice(index, index + 64) };
+    }
+
+    yield {
+      type: "done",
+      stopReason: "end_turn",
+      usage: {
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        cacheCreationInputTokens: usage.cacheCreationInputTokens || 0,
+        cacheReadInputTokens: usage.cacheReadInputTokens || 0,
+      },
+    };
+  }
+
+  /**
+   * Look up a fixture, recording it through the real provider when allowed
+   * @private
+   */
+  async _replay(kind, normalizedPrompt, record) {
+    const fs = require("fs");
+    const path = require("path");
+
+    const hash = LLMService.hashPrompt(kind, normalizedPrompt);
+    const fixtureFile = path.join(this.fixturesPath, `${hash}.json`);
+
+    if (!this.rerecord && fs.existsSync(fixtureFile)) {
+      this.logger.info(`Replaying ${kind} fixture ${hash}`);
+      return JSON.parse(await fs.promises.readFile(fixtureFile, "utf8"));
+    }
+
+    if (!this.recorder) {
+      const error = new Error(
+        `Replay fixture not found for ${kind} prompt ${hash} in ${this.fixturesPath}` +
+          `${this.strict ? " (strict mode)" : ""}. ` +
+          `Record it by setting recordFrom${this.strict ? " and strict: false" : ""}. ` +
+          `Prompt: ${normalizedPrompt.slice(0, 200)}`
+      );
+      error.retryable = false;
+      throw error;
+    }
+
+    const { response, usage } = await record(this.recorder);
+    const fixture = {
+      hash,
+      kind,
+      provider: this.recorder.provider,
+      model: usage?.model || this.recorder.defaultModel,
+      prompt: normalizedPrompt,
+      response,
+      usage: usage
+        ? {
+            inputTokens: usage.inputTokens || 0,
+            outputTokens: usage.outputTokens || 0,
+            cacheCreationInputTokens: usage.cacheCreationInputTokens || 0,
+            cacheReadInputTokens: usage.cacheReadInputTokens || 0,
+          }
+        : null,
+      recordedAt: new Date().toISOString(),
+    };
+
+    await fs.promises.mkdir(this.fixturesPath, { recursive: true });
+    await fs.promises.writeFile(fixtureFile, JSON.stringify(fixture, null, 2));
+    this.logger.info(`Recorded ${kind} fixture ${hash}`);
+
+    return fixture;
+  }
+
+  /**
+   * Complete a prompt through chat() when no SDK client is available
+   * @private
+   */
+  async _completeWithChat(prompt, model, maxTokens, temperature, options) {
+    const response = await this.chat([{ role: "user", content: prompt }], {
+      model,
+      maxTokens,
+      temperature,
+      stop: options.stop,
+      onUsage: options.onUsage,
+      retry: false,
+    });
+
+    return response.text;
+  }
+
+  /**
+   * Stream a completion for a text prompt.
+   * Yields `{ type: "text", text }` deltas as they arrive, then a final
+   * `{ type: "done", stopReason, usage }`. If the stream is aborted or the
+   * consumer stops early, the usage the provider reported so far is still
+   * passed to the usage callbacks.
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - Completion options
+   * @param {AbortSignal} options.signal - Stops the request and the iteration
+   * @returns {AsyncGenerator<Object>} - Deltas
+   */
+  async *stream(prompt, options = {}) {
+    const model = options.model || this.defaultModel;
+    const maxTokens = options.maxTokens || this.defaultMaxTokens;
+    const temperature =
+      options.temperature !== undefined
+        ? options.temperature
+        : this.defaultTemperature;
+
+    this.logger.info(`Sending streaming request to ${this.provider}`, {
+      model,
+      promptLength: prompt.length,
+      temperature,
+      maxTokens,
+    });
+
+    const request = { prompt, model, maxTokens, temperature, options };
+    let deltas;
+
+    switch (this.provider.toLowerCase()) {
+      case "claude":
+      case "anthropic":
+        deltas = this._streamWithAnthropic(request);
+        break;
+      case "openai":
+        deltas = this._streamWithOpenAICompatible(
+          `${this.apiEndpoint || "https://api.openai.com/v1"}/chat/completions`,
+          request
+        );
+        break;
+      case "huggingface":
+        deltas = this._streamWithOpenAICompatible(
+          `${this.apiEndpoint || `https://api-inference.huggingface.co/models/${model}`}/v1/chat/completions`,
+          request
+        );
+        break;
+      case "ollama":
+        deltas = this._streamWithOllama(request);
+        break;
+      case "gemini":
+        deltas = this._streamWithGemini(request);
+        break;
+      case "custom":
+        deltas = this._streamWithOpenAICompatible(
+          this.chatEndpoint || this.apiEndpoint,
+          request
+        );
+        break;
+      case "replay":
+        deltas = this._streamWithReplay(request);
+        break;
+      default:
+        throw new Error(`Unsupported LLM provider: ${this.provider}`);
+    }
+
+    // Providers report running usage as `usage` deltas while streaming
+    let usage = null;
+    let finished = false;
+
+    try {
+      for await (const delta of deltas) {
+        if (delta.type === "usage") {
+          usage = delta.usage;
+          continue;
+        }
+        if (delta.type === "done") {
+          finished = true;
+          this._reportUsage(delta.usage, model, options);
+        }
+        yield delta;
+      }
+    } finally {
+      if (!finished && usage) {
+        this._reportUsage(usage, model, options);
+      }
+    }
+  }
+
+  /**
+   * Stream from Anthropic's Messages API (server-sent events)
+   * @private
+   */
+  async *_streamWithAnthropic({ prompt, model, maxTokens, temperature, options }) {
+    const response = await this._postStream(
+      `${this.apiEndpoint || "https://api.anthropic.com/v1"}/messages`,
+      {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [{ role: "user", content: prompt }],
+        system: options.system || undefined,
+        stop_sequences: options.stop || undefined,
+        stream: true,
+      },
+      {
+        "x-api-key": this.apiKey,
+        "anthropic-version": "2023-06-01",
+      },
+      options.signal
+    );
+
+    let usage = this._anthropicUsage();
+    let stopReason = "end_turn";
+    // Output tokens only arrive with message_delta at the end, so an aborted
+    // stream is billed from an estimate of the text streamed so far
+    let streamedChars = 0;
+
+    for await (const event of this._readServerSentEvents(response, options.signal)) {
+      if (event.type === "message_start") {
+        usage = this._anthropicUsage(event.message?.usage);
+        yield { type: "usage", usage };
+      } else if (
+        event.type === "content_block_delta" &&
+        event.delta?.type === "text_delta"
+      ) {
+        streamedChars += event.delta.text.length;
+        usage.outputTokens = Math.max(
+          usage.outputTokens,
+          Math.ceil(streamedChars / 4)
+        );
+        yield { type: "text", text: event.delta.text };
+      } else if (event.type === "message_delta") {
+        usage.outputTokens = event.usage?.output_tokens || usage.outputTokens;
+        stopReason = event.delta?.stop_reason || stopReason;
+      } else if (event.type === "error") {
+        throw new Error(`Anthropic stream error: ${event.error?.message}`);
+      }
+    }
+
+    yield { type: "done", stopReason, usage };
+  }
+
+  /**
+   * Stream from an OpenAI-compatible chat completions endpoint
+   * @private
+   */
+  async *_streamWithOpenAICompatible(
+    endpoint,
+    { prompt, model, maxTokens, temperature, options }
+  ) {
+    const response = await this._postStream(
+      endpoint,
+      {
+        model,
+        messages: this._toOpenAIMessages(
+          [{ role: "user", content: prompt }],
+          options.system
+        ),
+        max_tokens: maxTokens,
+        temperature,
+        stop: options.stop || undefined,
+        stream: true,
+        // Only OpenAI reports usage on streamed responses
+        ...(this.provider.toLowerCase() === "openai" && {
+          stream_options: { include_usage: true },
+        }),
+        ...options.extraParams,
+      },
+      {
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+        ...options.headers,
+      },
+      options.signal
+    );
+
+    let usage = this._openAIUsage();
+    let stopReason = "end_turn";
+
+    for await (const event of this._readServerSentEvents(response, options.signal)) {
+      const choice = event.choices?.[0];
+
+      if (choice?.delta?.content) {
+        yield { type: "text", text: choice.delta.content };
+      }
+
+      if (choice?.finish_reason === "length") {
+        stopReason = "max_tokens";
+      }
+
+      if (event.usage) {
+        usage = this._openAIUsage(event.usage);
+      }
+    }
+
+    yield { type: "done", stopReason, usage };
+  }
+
+  /**
+   * Stream from Ollama's /api/generate endpoint (newline-delimited JSON)
+   * @private
+   */
+  async *_streamWithOllama({ prompt, model, maxTokens, temperature, options }) {
+    const response = await this._postStream(
+      `${this.apiEndpoint}/generate`,
+      {
+        model,
+        prompt,
+        system: options.system || undefined,
+        stream: true,
+        options: {
+          num_predict: maxTokens,
+          temperature,
+          top_p: options.topP || undefined,
+          top_k: options.topK || undefined,
+          stop: options.stop || undefined,
+        },
+      },
+      {},
+      options.signal
+    );
+
+    let usage = this._ollamaUsage();
+    let stopReason = "end_turn";
+
+    for await (const line of this._readLines(response, options.signal)) {
+      if (!line.trim()) continue;
+
+      const data = JSON.parse(line);
+
+      if (data.error) {
+        throw new Error(`Ollama stream error: ${data.error}`);
+      }
+
+      if (data.response) {
+        yield { type: "text", text: data.response };
+      }
+
+      if (data.done) {
+        usage = this._ollamaUsage(data);
+        if (data.done_reason === "length") stopReason = "max_tokens";
+      }
+    }
+
+    yield { type: "done", stopReason, usage };
+  }
+
+  /**
+   * Stream from Gemini's streamGenerateContent endpoint (server-sent events)
+   * @private
+   */
+  async *_streamWithGemini({ prompt, model, maxTokens, temperature, options }) {
+    const response = await this._postStream(
+      `${this.apiEndpoint}/models/${model}:streamGenerateContent?alt=sse`,
+      this._geminiRequest(prompt, maxTokens, temperature, options),
+      { "x-goog-api-key": this.apiKey, ...options.headers },
+      options.signal
+    );
+
+    let usage = LLMService.geminiUsage();
+    let stopReason = "end_turn";
+
+    for await (const event of this._readServerSentEvents(response, options.signal)) {
+      // Every chunk carries the running totals, including its own text
+      if (event.usageMetadata) {
+        usage = LLMService.geminiUsage(event.usageMetadata);
+        yield { type: "usage", usage };
+      }
+
+      const text = this._geminiText(event);
+      if (text) {
+        yield { type: "text", text };
+      }
+
+      if (event.candidates?.[0]?.finishReason === "MAX_TOKENS") {
+        stopReason = "max_tokens";
+      }
+    }
+
+    yield { type: "done", stopReason, usage };
+  }
+
+  /**
+   * POST a JSON body and return the response for streaming.
+   * No default timeout is applied since streams can run for minutes.
+   * @private
+   */
+  async _postStream(url, body, headers = {}, signal) {
+    const httpClient = this.httpClient || globalThis.fetch.bind(globalThis);
+
+    const response = await httpClient(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(
+        `${this.provider} API error (${response.status}): ${errorText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Read a streamed response body line by line
+   * @private
+   */
+  async *_readLines(response, signal) {
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for await (const chunk of response.body) {
+      if (signal && signal.aborted) {
+        throw new Error("Stream aborted");
+      }
+
+      buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf("\n")) !== -1) {
+        yield buffer.slice(0, newlineIndex).replace(/\r$/, "");
+        buffer = buffer.slice(newlineIndex + 1);
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer) {
+      yield buffer;
+    }
+  }
+
+  /**
+   * Read the JSON `data:` payloads of a server-sent events response
+   * @private
+   */
+  async *_readServerSentEvents(response, signal) {
+    for await (const line of this._readLines(response, signal)) {
+      if (!line.startsWith("data:")) continue;
+
+      const data = line.slice(5).trim();
+      if (!data || data === "[DONE]") continue;
+
+      yield JSON.parse(data);
+    }
+  }
+
+  /**
+   * Send a chat request, optionally with tools.
+   * Messages use Anthropic's format: `{ role, content }` where content is a
+   * string or an array of text, image, tool_use and tool_result blocks.
+   * Tools are `{ name, description, input_schema, native }`; `native` is an
+   * Anthropic provider-defined tool (e.g. computer use) used only by Anthropic.
+   * @param {Array<Object>} messages - Conversation messages
+   * @param {Object} options - Chat options
+   * @param {Array<Object>} options.tools - Tools the model may call
+   * @param {string} options.system - System prompt
+   * @param {AbortSignal} options.signal - Abort signal
+   * @returns {Object} - { content, text, toolCalls, stopReason, usage, model, provider }
+   *   where content is an array of text and tool_use blocks
+   */
+  async chat(messages, options = {}) {
+    const model = options.model || this.defaultModel;
+    const maxTokens = options.maxTokens || this.defaultMaxTokens;
+    const temperature =
+      options.temperature !== undefined
+        ? options.temperature
+        : this.defaultTemperature;
+    const tools = options.tools || [];
+
+    this.logger.info(`Sending chat request to ${this.provider}`, {
+      model,
+      messages: messages.length,
+      tools: tools.length,
+      temperature,
+      maxTokens,
+    });
+
+    const request = { messages, model, maxTokens, temperature, tools, options };
+
+    try {
+      let response;
+
+      switch (this.provider.toLowerCase()) {
+        case "claude":
+        case "anthropic":
+          response = await this._chatWithAnthropic(request);
+          break;
+        case "openai":
+          response = await this._chatWithOpenAICompatible(
+            `${this.apiEndpoint || "https://api.openai.com/v1"}/chat/completions`,
+            request
+          );
+          break;
+        case "huggingface":
+          // HuggingFace serves an OpenAI-compatible chat API per model
+          response = await this._chatWithOpenAICompatible(
+            `${this.apiEndpoint || `https://api-inference.huggingface.co/models/${model}`}/v1/chat/completions`,
+            request
+          );
+          break;
+        case "ollama":
+          response = await this._chatWithOllama(request);
+          break;
+        case "custom":
+          response = await this._chatWithOpenAICompatible(
+            this.chatEndpoint || this.apiEndpoint,
+            request
+          );
+          break;
+        case "replay":
+          response = await this._chatWithReplay(request);
+          break;
+        default:
+          throw new Error(`Unsupported LLM provider: ${this.provider}`);
+      }
+
+      this._reportUsage(response.usage, model, options);
+
+      return {
+        ...response,
+        text: response.content
+          .filter((block) => block.type === "text")
+          .map((block) => block.text)
+          .join("\n"),
+        toolCalls: response.content.filter((block) => block.type === "tool_use"),
+        model,
+        provider: this.provider,
+      };
+    } catch (error) {
+      this.logger.error(`Chat request failed: ${error.message}`);
+
+      const retryCount = options._retryCount || 0;
+      const aborted = options.signal && options.signal.aborted;
+
+      // Retry if configured (client errors other than rate limits are not retried)
+      if (
+        options.retry !== false &&
+        error.retryable !== false &&
+        !aborted &&
+        retryCount < this.retries &&
+        !(error.status >= 400 && error.status < 500 && error.status !== 429)
+      ) {
+        this.logger.info(
+          `Retrying chat request (${retryCount + 1}/${this.retries})`
+        );
+
+        // Wait before retrying
+        await new Promise((resolve) =>
+          setTimeout(resolve, this.retryDelay * (retryCount + 1))
+        );
+
+        return this.chat(messages, {
+          ...options,
+          _retryCount: retryCount + 1,
+        });
+      }
+
+      throw new Error(`LLM chat failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Chat with Anthropic's Messages API (messages are already in its format)
+   * @private
+   */
+  async _chatWithAnthropic({ messages, model, maxTokens, temperature, tools, options }) {
+    const anthropicTools = tools.map((tool) =>
+      tool.native
+        ? { ...tool.native, name: tool.name }
+        : {
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.input_schema,
+          }
+    );
+
+    const betas = [...(options.betas || [])];
+    if (
+      anthropicTools.some((tool) => /_20241022$/.test(tool.type || "")) &&
+      !betas.includes(COMPUTER_USE_BETA)
+    ) {
+      betas.push(COMPUTER_USE_BETA);
+    }
+
+    const data = await this._postJSON(
+      `${this.apiEndpoint || "https://api.anthropic.com/v1"}/messages`,
+      {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages,
+        system: options.system || undefined,
+        tools: anthropicTools.length > 0 ? anthropicTools : undefined,
+        stop_sequences: options.stop || undefined,
+      },
+      {
+        "x-api-key": this.apiKey,
+        "anthropic-version": "2023-06-01",
+        ...(betas.length > 0 && { "anthropic-beta": betas.join(",") }),
+      },
+      options.signal
+    );
+
+    return {
+      content: data.content || [],
+      stopReason: data.stop_reason || "end_turn",
+      usage: this._anthropicUsage(data.usage),
+    };
+  }
+
+  /**
+   * Chat with an OpenAI-compatible chat completions endpoint
+   * (OpenAI, HuggingFace and custom providers)
+   * @private
+   */
+  async _chatWithOpenAICompatible(
+    endpoint,
+    { messages, model, maxTokens, temperature, tools, options }
+  ) {
+    const data = await this._postJSON(
+      endpoint,
+      {
+        model,
+        messages: this._toOpenAIMessages(messages, options.system),
+        max_tokens: maxTokens,
+        temperature,
+        tools:
+          tools.length > 0
+            ? tools.map((tool) => ({
+                type: "function",
+                function: {
+                  name: tool.name,
+                  description: tool.description || "",
+                  parameters: tool.input_schema || { type: "object", properties: {} },
+                },
+              }))
+            : undefined,
+        stop: options.stop || undefined,
+        ...options.extraParams,
+      },
+      {
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+        ...options.headers,
+      },
+      options.signal
+    );
+
+    const choice = data.choices?.[0] || {};
+    const message = choice.message || {};
+    const content = [];
+
+    if (message.content) {
+      content.push({ type: "text", text: message.content });
+    }
+
+    (message.tool_calls || []).forEach((toolCall, index) => {
+      content.push({
+        type: "tool_use",
+        id: toolCall.id || `call_${Date.now()}_${index}`,
+        name: toolCall.function?.name,
+        input: this._parseToolArguments(toolCall.function?.arguments),
+      });
+    });
+
+    return {
+      content,
+      stopReason: content.some((block) => block.type === "tool_use")
+        ? "tool_use"
+        : choice.finish_reason === "length"
+          ? "max_tokens"
+          : "end_turn",
+      usage: this._openAIUsage(data.usage),
+    };
+  }
+
+  /**
+   * Chat with Ollama's /api/chat endpoint
+   * @private
+   */
+  async _chatWithOllama({ messages, model, maxTokens, temperature, tools, options }) {
+    const ollamaMessages = this._toOpenAIMessages(messages, options.system).map(
+      (message) => {
+        if (message.role === "assistant") {
+          return {
+            role: "assistant",
+            content: message.content || "",
+            ...(message.tool_calls && {
+              tool_calls: message.tool_calls.map((toolCall) => ({
+                function: {
+                  name: toolCall.function.name,
+                  arguments: this._parseToolArguments(toolCall.function.arguments),
+                },
+              })),
+            }),
+          };
+        }
+
+        if (!Array.isArray(message.content)) return message;
+
+        // Ollama takes text content plus a separate list of base64 images
+        return {
+          role: message.role,
+          content: message.content
+            .filter((part) => part.type === "text")
+            .map((part) => part.text)
+            .join("\n"),
+          images: message.content
+            .filter((part) => part.type === "image_url")
+            .map((part) => part.image_url.url.replace(/^data:[^,]*,/, "")),
+        };
+      }
+    );
+
+    const data = await this._postJSON(
+      `${this.apiEndpoint}/chat`,
+      {
+        model,
+        messages: ollamaMessages,
+        stream: false,
+        tools:
+          tools.length > 0
+            ? tools.map((tool) => ({
+                type: "function",
+                function: {
+                  name: tool.name,
+                  description: tool.description || "",
+                  parameters: tool.input_schema || { type: "object", properties: {} },
+                },
+              }))
+            : undefined,
+        options: {
+          num_predict: maxTokens,
+          temperature,
+          stop: options.stop || undefined,
+        },
+      },
+      {},
+      options.signal
+    );
+
+    const message = data.message || {};
+    const content = [];
+
+    if (message.content) {
+      content.push({ type: "text", text: message.content });
+    }
+
+    (message.tool_calls || []).forEach((toolCall, index) => {
+      content.push({
+        type: "tool_use",
+        id: `call_${Date.now()}_${index}`,
+        name: toolCall.function?.name,
+        input: this._parseToolArguments(toolCall.function?.arguments),
+      });
+    });
+
+    return {
+      content,
+      stopReason: content.some((block) => block.type === "tool_use")
+        ? "tool_use"
+        : data.done_reason === "length"
+          ? "max_tokens"
+          : "end_turn",
+      usage: this._ollamaUsage(data),
+    };
+  }
+
+  /**
+   * Translate Anthropic-format messages to OpenAI chat messages.
+   * tool_use blocks become tool_calls and each tool_result becomes a `tool`
+   * message; images returned by tools follow in a user message since tool
+   * messages only carry text.
+   * @private
+   */
+  _toOpenAIMessages(messages, system) {
+    const result = [];
+
+    if (system) {
+      result.push({ role: "system", content: system });
+    }
+
+    for (const message of messages) {
+      const blocks =
+        typeof message.content === "string"
+          ? [{ type: "text", text: message.content }]
+          : message.content || [];
+
+      if (message.role === "assistant") {
+        const text = blocks
+          .filter((block) => block.type === "text")
+          .map((block) => block.text)
+          .join("\n");
+        const toolCalls = blocks
+          .filter((block) => block.type === "tool_use")
+          .map((block) => ({
+            id: block.id,
+            type: "function",
+            function: {
+              name: block.name,
+              arguments: JSON.stringify(block.input || {}),
+            },
+          }));
+
+        result.push({
+          role: "assistant",
+          content: text || null,
+          ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+        });
+        continue;
+      }
+
+      const parts = [];
+
+      for (const block of blocks) {
+        if (block.type === "tool_result") {
+          const { text, images } = this._splitToolResultContent(block.content);
+          result.push({
+            role: "tool",
+            tool_call_id: block.tool_use_id,
+            content: text,
+          });
+          parts.push(...images.map((image) => this._toOpenAIImagePart(image)));
+        } else if (block.type === "text") {
+          parts.push({ type: "text", text: block.text });
+        } else if (block.type === "image") {
+          parts.push(this._toOpenAIImagePart(block));
+        }
+      }
+
+      if (parts.length > 0) {
+        result.push({ role: "user", content: parts });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Split tool_result content into text and image blocks
+   * @private
+   */
+  _splitToolResultContent(content) {
+    if (typeof content === "string") {
+      return { text: content, images: [] };
+    }
+
+    if (!Array.isArray(content)) {
+      return { text: JSON.stringify(content ?? null), images: [] };
+    }
+
+    return {
+      text: content
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("\n"),
+      images: content.filter((block) => block.type === "image"),
+    };
+  }
+
+  /**
+   * Convert an Anthropic image block to an OpenAI image content part
+   * @private
+   */
+  _toOpenAIImagePart(block) {
+    const source = block.source || {};
+    const url =
+      source.type === "base64"
+        ? `data:${source.media_type};base64,${source.data}`
+        : source.url;
+
+    return { type: "image_url", image_url: { url } };
+  }
+
+  /**
+   * Parse tool call arguments, which providers send as JSON strings or objects
+   * @private
+   */
+  _parseToolArguments(args) {
+    if (!args) return {};
+    if (typeof args === "object") return args;
+
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      this.logger.error(`Invalid tool call arguments: ${args}`);
+      return {};
+    }
+  }
+
+  /**
+   * Record the token usage of a request and pass it to the usage callbacks
+   * @private
+   */
+  _reportUsage(usage, model, options = {}) {
+    const record = {
+      provider: this.provider,
+      model,
+      ...usage,
+    };
+
+    this.lastUsage = record;
+
+    for (const callback of [this.onUsage, options.onUsage]) {
+      if (typeof callback !== "function") continue;
+      try {
+        callback(record);
+      } catch (error) {
+        this.logger.error(`Usage callback failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Normalize Anthropic usage (input tokens exclude cached tokens)
+   * @private
+   */
+  _anthropicUsage(usage = {}) {
+    return {
+      inputTokens: usage?.input_tokens || 0,
+      outputTokens: usage?.output_tokens || 0,
+      cacheCreationInputTokens: usage?.cache_creation_input_tokens || 0,
+      cacheReadInputTokens: usage?.cache_read_input_tokens || 0,
+    };
+  }
+
+  /**
+   * Normalize OpenAI-style usage; cached prompt tokens are split out of the input count
+   * @private
+   */
+  _openAIUsage(usage = {}) {
+    const cachedTokens = usage?.prompt_tokens_details?.cached_tokens || 0;
+
+    return {
+      inputTokens: (usage?.prompt_tokens || 0) - cachedTokens,
+      outputTokens: usage?.completion_tokens || 0,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: cachedTokens,
+    };
+  }
+
+  /**
+   * Normalize Ollama token counts
+   * @private
+   */
+  _ollamaUsage(data = {}) {
+    return {
+      inputTokens: data?.prompt_eval_count || 0,
+      outputTokens: data?.eval_count || 0,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: 0,
+    };
+  }
+
+  /**
+   * Normalize Gemini usage metadata; the prompt count includes cached tokens.
+   * Also used for Gemini requests made outside the service.
+   * @param {Object} usageMetadata - Gemini `usageMetadata`
+   * @returns {Object} - { inputTokens, outputTokens, cacheCreationInputTokens, cacheReadInputTokens }
+   */
+  static geminiUsage(usageMetadata = {}) {
+    const cachedTokens = usageMetadata?.cachedContentTokenCount || 0;
+
+    return {
+      inputTokens: (usageMetadata?.promptTokenCount || 0) - cachedTokens,
+      outputTokens: usageMetadata?.candidatesTokenCount || 0,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: cachedTokens,
+    };
+  }
+
+  /**
+   * POST a JSON body and parse the JSON response
+   * @private
+   */
+  async _postJSON(url, body, headers = {}, signal) {
+    const httpClient = this.httpClient || globalThis.fetch.bind(globalThis);
+
+    const response = await httpClient(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: JSON.stringify(body),
+      signal:
+        signal ||
+        (typeof AbortSignal.timeout === "function"
+          ? AbortSignal.timeout(this.timeout)
+          : undefined),
+      timeout: this.timeout,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(
+        `${this.provider} API error (${response.status}): ${errorText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
 }
 
 module.exports = LLMService;
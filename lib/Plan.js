@@ -0,0 +1,588 @@
+/**
+ * Plan.js
+ * Represents an executable plan made of ordered, dependent steps.
+ * Tracks step state transitions, detects dependency cycles, keeps a revision
+ * history and serializes to/from the JSON stored in agent-memory/plans.
+ */
+
+const STEP_STATUS = {
+  PENDING: "pending",
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+  BLOCKED: "blocked",
+};
+
+// Allowed transitions for each step status
+const STEP_TRANSITIONS = {
+  [STEP_STATUS.PENDING]: [
+    STEP_STATUS.IN_PROGRESS,
+    STEP_STATUS.SKIPPED,
+    STEP_STATUS.BLOCKED,
+  ],
+  [STEP_STATUS.IN_PROGRESS]: [
+    STEP_STATUS.COMPLETED,
+    STEP_STATUS.FAILED,
+    STEP_STATUS.BLOCKED,
+    STEP_STATUS.PENDING,
+  ],
+  [STEP_STATUS.BLOCKED]: [STEP_STATUS.PENDING, STEP_STATUS.SKIPPED],
+  [STEP_STATUS.FAILED]: [STEP_STATUS.PENDING, STEP_STATUS.SKIPPED],
+  [STEP_STATUS.SKIPPED]: [STEP_STATUS.PENDING],
+  [STEP_STATUS.COMPLETED]: [],
+};
+
+// Statuses that satisfy a dependency of another step
+const RESOLVED_STATUSES = [STEP_STATUS.COMPLETED, STEP_STATUS.SKIPPED];
+
+const MAX_REVISIONS = 200;
+
+class Plan {
+  /**
+   * @param {Object} data - Plan data
+   * @param {string} data.id - Plan ID
+   * @param {string} data.taskId - ID of the task this plan belongs to
+   * @param {Array} data.steps - Plan steps
+   */
+  constructor(data = {}) {
+    if (!data.id) {
+      throw new Error("Plan requires an id");
+    }
+
+    const now = new Date().toISOString();
+
+    this.id = data.id;
+    this.taskId = data.taskId || null;
+    this.previousPlanId = data.previousPlanId || null;
+    this.title = data.title || "";
+    this.description = data.description || "";
+    this.createdAt = data.createdAt || now;
+    this.updatedAt = data.updatedAt || this.createdAt;
+    this.status = data.status || "active";
+    this.revisionReason = data.revisionReason || null;
+    this.revisions = Array.isArray(data.revisions) ? [...data.revisions] : [];
+
+    this.steps = [];
+    for (const [index, step] of (data.steps || []).entries()) {
+      const normalized = Plan.normalizeStep(step, index);
+
+      if (this.getStepById(normalized.id)) {
+        throw new Error(`Duplicate step id in plan ${this.id}: ${normalized.id}`);
+      }
+
+      this.steps.push(normalized);
+    }
+
+    const cycle = this.findDependencyCycle();
+    if (cycle) {
+      throw new Error(
+        `Plan ${this.id} has a dependency cycle: ${cycle.join(" -> ")}`
+      );
+    }
+  }
+
+  /**
+   * Normalize a raw step object (e.g. from an LLM response or disk)
+   * @param {Object} step - Raw step
+   * @param {number} index - Position of the step in the plan
+   * @returns {Object} - Normalized step
+   */
+  static normalizeStep(step = {}, index = 0) {
+    const status = Object.values(STEP_STATUS).includes(step.status)
+      ? step.status
+      : STEP_STATUS.PENDING;
+
+    return {
+      ...step,
+      id: step.id || `step-${index + 1}`,
+      title: step.title || "",
+      description: step.description || "",
+      type: step.type || "implementation",
+      dependencies: Array.isArray(step.dependencies)
+        ? [...new Set(step.dependencies.filter(Boolean))]
+        : [],
+      estimatedComplexity: step.estimatedComplexity || "medium",
+      status,
+      startedAt: step.startedAt || null,
+      completedAt: step.completedAt || null,
+    };
+  }
+
+  /**
+   * Check whether a step may move from one status to another
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean} - True if the transition is allowed
+   */
+  static canTransition(from, to) {
+    return (STEP_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Create a plan from its serialized form
+   * @param {string|Object} json - JSON string or parsed object
+   * @returns {Plan} - Plan instance
+   */
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+
+    if (!data || typeof data !== "object" || !Array.isArray(data.steps)) {
+      throw new Error("Invalid plan data: expected an object with a steps array");
+    }
+
+    return new Plan(data);
+  }
+
+  /**
+   * Get a step by ID
+   * @param {string} stepId - Step ID
+   * @returns {Object|null} - Step or null
+   */
+  getStepById(stepId) {
+    return this.steps.find((step) => step.id === stepId) || null;
+  }
+
+  /**
+   * Get steps with a given status
+   * @param {string} status - Step status
+   * @returns {Array} - Matching steps
+   */
+  getStepsByStatus(status) {
+    return this.steps.filter((step) => step.status === status);
+  }
+
+  /**
+   * Get steps that have not been started yet (pending or blocked)
+   * @returns {Array} - Steps still to do
+   */
+  getPendingSteps() {
+    return this.steps.filter(
+      (step) =>
+        step.status === STEP_STATUS.PENDING ||
+        step.status === STEP_STATUS.BLOCKED
+    );
+  }
+
+  /**
+   * @returns {Array} - Steps currently in progress
+   */
+  getInProgressSteps() {
+    return this.getStepsByStatus(STEP_STATUS.IN_PROGRESS);
+  }
+
+  /**
+   * @returns {Array} - Completed steps
+   */
+  getCompletedSteps() {
+    return this.getStepsByStatus(STEP_STATUS.COMPLETED);
+  }
+
+  /**
+   * @returns {Array} - Failed steps
+   */
+  getFailedSteps() {
+    return this.getStepsByStatus(STEP_STATUS.FAILED);
+  }
+
+  /**
+   * @returns {Array} - Skipped steps
+   */
+  getSkippedSteps() {
+    return this.getStepsByStatus(STEP_STATUS.SKIPPED);
+  }
+
+  /**
+   * @returns {Array} - Blocked steps
+   */
+  getBlockedSteps() {
+    return this.getStepsByStatus(STEP_STATUS.BLOCKED);
+  }
+
+  /**
+   * Get pending steps whose dependencies are all completed or skipped
+   * @returns {Array} - Steps that can be started now
+   */
+  getExecutableSteps() {
+    return this.getStepsByStatus(STEP_STATUS.PENDING).filter((step) =>
+      this.areDependenciesResolved(step.id)
+    );
+  }
+
+  /**
+   * Check whether every dependency of a step is resolved
+   * @param {string} stepId - Step ID
+   * @returns {boolean} - True if the step's dependencies are satisfied
+   */
+  areDependenciesResolved(stepId) {
+    const step = this._requireStep(stepId);
+
+    return step.dependencies.every((depId) => {
+      const depStep = this.getStepById(depId);
+      return depStep && RESOLVED_STATUSES.includes(depStep.status);
+    });
+  }
+
+  /**
+   * Get the percentage of resolved (completed or skipped) steps
+   * @returns {number} - Progress between 0 and 100
+   */
+  getProgressPercentage() {
+    if (this.steps.length === 0) return 0;
+
+    const resolved = this.steps.filter((step) =>
+      RESOLVED_STATUSES.includes(step.status)
+    ).length;
+
+    return Math.round((resolved / this.steps.length) * 100);
+  }
+
+  /**
+   * @returns {boolean} - True if every step is completed or skipped
+   */
+  isComplete() {
+    return (
+      this.steps.length > 0 &&
+      this.steps.every((step) => RESOLVED_STATUSES.includes(step.status))
+    );
+  }
+
+  /**
+   * Move a step to a new status
+   * @param {string} stepId - Step ID
+   * @param {string} status - Target status
+   * @param {Object} details - Extra fields to store on the step (result, error, reason)
+   * @returns {Object} - Updated step
+   */
+  transitionStep(stepId, status, details = {}) {
+    const step = this._requireStep(stepId);
+
+    if (!Object.values(STEP_STATUS).includes(status)) {
+      throw new Error(`Unknown step status: ${status}`);
+    }
+
+    if (!Plan.canTransition(step.status, status)) {
+      throw new Error(
+        `Invalid transition for step ${stepId}: ${step.status} -> ${status}`
+      );
+    }
+
+    if (
+      status === STEP_STATUS.IN_PROGRESS &&
+      !details.bypassDependencies &&
+      !this.areDependenciesResolved(stepId)
+    ) {
+      throw new Error(
+        `Cannot start step ${stepId}: dependencies are not resolved`
+      );
+    }
+
+    const now = new Date().toISOString();
+    const from = step.status;
+    const { reason, bypassDependencies, ...fields } = details;
+
+    Object.assign(step, fields);
+    step.status = status;
+
+    if (status === STEP_STATUS.IN_PROGRESS) {
+      step.startedAt = now;
+      step.completedAt = null;
+    } else if (
+      status === STEP_STATUS.COMPLETED ||
+      status === STEP_STATUS.FAILED ||
+      status === STEP_STATUS.SKIPPED
+    ) {
+      step.completedAt = now;
+    } else if (status === STEP_STATUS.PENDING) {
+      step.startedAt = null;
+      step.completedAt = null;
+    }
+
+    this._recordRevision({
+      type: "status",
+      stepId,
+      from,
+      to: status,
+      reason: reason || null,
+    });
+
+    if (this.isComplete()) {
+      this.status = "completed";
+    } else if (this.status === "completed") {
+      this.status = "active";
+    }
+
+    return step;
+  }
+
+  /**
+   * Mark a step as in progress
+   * @param {string} stepId - Step ID
+   * @param {Object} options - Options ({ bypassDependencies })
+   */
+  startStep(stepId, options = {}) {
+    return this.transitionStep(stepId, STEP_STATUS.IN_PROGRESS, options);
+  }
+
+  /**
+   * Mark a step as completed
+   * @param {string} stepId - Step ID
+   * @param {*} result - Step result
+   */
+  completeStep(stepId, result) {
+    return this.transitionStep(
+      stepId,
+      STEP_STATUS.COMPLETED,
+      result !== undefined ? { result } : {}
+    );
+  }
+
+  /**
+   * Mark a step as failed
+   * @param {string} stepId - Step ID
+   * @param {string} error - Failure reason
+   */
+  failStep(stepId, error) {
+    return this.transitionStep(stepId, STEP_STATUS.FAILED, {
+      error: error || null,
+      reason: error || null,
+    });
+  }
+
+  /**
+   * Mark a step as skipped
+   * @param {string} stepId - Step ID
+   * @param {string} reason - Why the step was skipped
+   */
+  skipStep(stepId, reason) {
+    return this.transitionStep(stepId, STEP_STATUS.SKIPPED, { reason });
+  }
+
+  /**
+   * Mark a step as blocked
+   * @param {string} stepId - Step ID
+   * @param {string} reason - Why the step is blocked
+   */
+  blockStep(stepId, reason) {
+    return this.transitionStep(stepId, STEP_STATUS.BLOCKED, {
+      blockedReason: reason || null,
+      reason,
+    });
+  }
+
+  /**
+   * Return a failed, skipped or blocked step to pending
+   * @param {string} stepId - Step ID
+   * @param {string} reason - Why the step is retried
+   */
+  resetStep(stepId, reason) {
+    return this.transitionStep(stepId, STEP_STATUS.PENDING, { reason });
+  }
+
+  /**
+   * Add a step to the plan
+   * @param {Object} step - Step data
+   * @param {string} reason - Revision reason
+   * @returns {Object} - Added step
+   */
+  addStep(step, reason) {
+    const normalized = Plan.normalizeStep(step, this.steps.length);
+
+    if (this.getStepById(normalized.id)) {
+      throw new Error(`Step ${normalized.id} already exists in plan ${this.id}`);
+    }
+
+    this.steps.push(normalized);
+
+    const cycle = this.findDependencyCycle();
+    if (cycle) {
+      this.steps.pop();
+      throw new Error(
+        `Adding step ${normalized.id} would create a dependency cycle: ${cycle.join(" -> ")}`
+      );
+    }
+
+    this._recordRevision({
+      type: "add_step",
+      stepId: normalized.id,
+      reason: reason || null,
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Update the definition of a step (title, description, dependencies, ...)
+   * @param {string} stepId - Step ID
+   * @param {Object} changes - Fields to change (status changes use transitionStep)
+   * @param {string} reason - Revision reason
+   * @returns {Object} - Updated step
+   */
+  updateStep(stepId, changes = {}, reason) {
+    const step = this._requireStep(stepId);
+    const { id, status, ...fields } = changes;
+    const previous = { ...step };
+
+    Object.assign(step, fields);
+    if (fields.dependencies !== undefined) {
+      step.dependencies = Array.isArray(fields.dependencies)
+        ? [...new Set(fields.dependencies.filter(Boolean))]
+        : [];
+    }
+
+    const cycle = this.findDependencyCycle();
+    if (cycle) {
+      Object.keys(step).forEach((key) => delete step[key]);
+      Object.assign(step, previous);
+      throw new Error(
+        `Updating step ${stepId} would create a dependency cycle: ${cycle.join(" -> ")}`
+      );
+    }
+
+    this._recordRevision({
+      type: "update_step",
+      stepId,
+      fields: Object.keys(fields),
+      reason: reason || null,
+    });
+
+    return step;
+  }
+
+  /**
+   * Remove a step and drop it from the dependencies of other steps
+   * @param {string} stepId - Step ID
+   * @param {string} reason - Revision reason
+   * @returns {Object} - Removed step
+   */
+  removeStep(stepId, reason) {
+    const step = this._requireStep(stepId);
+
+    this.steps = this.steps.filter((s) => s.id !== stepId);
+    for (const other of this.steps) {
+      other.dependencies = other.dependencies.filter((dep) => dep !== stepId);
+    }
+
+    this._recordRevision({
+      type: "remove_step",
+      stepId,
+      reason: reason || null,
+    });
+
+    return step;
+  }
+
+  /**
+   * Find a dependency cycle among the steps
+   * @returns {Array|null} - Step IDs forming the cycle, or null if acyclic
+   */
+  findDependencyCycle() {
+    const visiting = new Set();
+    const visited = new Set();
+    const stack = [];
+
+    const visit = (stepId) => {
+      if (visiting.has(stepId)) {
+        return [...stack.slice(stack.indexOf(stepId)), stepId];
+      }
+      if (visited.has(stepId)) return null;
+
+      const step = this.getStepById(stepId);
+      // Unknown dependencies cannot form a cycle
+      if (!step) return null;
+
+      visiting.add(stepId);
+      stack.push(stepId);
+
+      for (const depId of step.dependencies) {
+        const cycle = visit(depId);
+        if (cycle) return cycle;
+      }
+
+      stack.pop();
+      visiting.delete(stepId);
+      visited.add(stepId);
+      return null;
+    };
+
+    for (const step of this.steps) {
+      const cycle = visit(step.id);
+      if (cycle) return cycle;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get dependency IDs that do not refer to a step in this plan
+   * @returns {Array} - Objects of { stepId, dependencyId }
+   */
+  getMissingDependencies() {
+    const missing = [];
+
+    for (const step of this.steps) {
+      for (const depId of step.dependencies) {
+        if (!this.getStepById(depId)) {
+          missing.push({ stepId: step.id, dependencyId: depId });
+        }
+      }
+    }
+
+    return missing;
+  }
+
+  /**
+   * Serialize the plan
+   * @returns {Object} - Plain JSON-compatible object
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      taskId: this.taskId,
+      previousPlanId: this.previousPlanId,
+      title: this.title,
+      description: this.description,
+      steps: this.steps.map((step) => ({
+        ...step,
+        dependencies: [...step.dependencies],
+      })),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      status: this.status,
+      progress: this.getProgressPercentage(),
+      revisionReason: this.revisionReason,
+      revisions: [...this.revisions],
+    };
+  }
+
+  /**
+   * Get a step or throw if it does not exist
+   * @private
+   */
+  _requireStep(stepId) {
+    const step = this.getStepById(stepId);
+    if (!step) {
+      throw new Error(`Step ${stepId} not found in plan ${this.id}`);
+    }
+    return step;
+  }
+
+  /**
+   * Record a change in the revision history
+   * @private
+   */
+  _recordRevision(entry) {
+    const timestamp = new Date().toISOString();
+
+    this.revisions.push({ ...entry, timestamp });
+    if (this.revisions.length > MAX_REVISIONS) {
+      this.revisions.splice(0, this.revisions.length - MAX_REVISIONS);
+    }
+
+    this.updatedAt = timestamp;
+  }
+}
+
+Plan.STEP_STATUS = STEP_STATUS;
+
+module.exports = Plan;
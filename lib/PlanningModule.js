@@ -6,9 +6,26 @@
 
 const Plan = require("./Plan");
 
+// Rough characters-per-token ratio used to keep prompt additions in budget
+const CHARS_PER_TOKEN = 4;
+
 class PlanningModule {
-  constructor(llmService) {
+  /**
+   * @param {Object} llmService - LLM service
+   * @param {Object} options - Options
+   * @param {Object} options.memory - AgentMemory used to recall past tasks
+   * @param {number} options.longTermMemoryTokens - Approximate token budget for
+   *   past-task experience in the planning prompt (0 disables it)
+   * @param {Object} options.logger - Logger
+   */
+  constructor(llmService, options = {}) {
     this.llm = llmService;
+    this.memory = options.memory || null;
+    this.longTermMemoryTokens =
+      options.longTermMemoryTokens !== undefined
+        ? options.longTermMemoryTokens
+        : 1500;
+    this.logger = options.logger || console;
   }
 
   /**
@@ -19,6 +36,14 @@ class PlanningModule {
     this.llm = llmService;
   }
 
+  /**
+   * Set or update the memory used to recall past tasks
+   * @param {Object} memory - AgentMemory
+   */
+  setMemory(memory) {
+    this.memory = memory;
+  }
+
   /**
    * Extract JSON from a string response or return null if not found
    * @private
@@ -110,6 +135,8 @@ class PlanningModule {
       throw new Error("LLM service not configured for planning module");
     }
 
+    const pastExperience = await this._recallPastExperience(task);
+
     // Generate a detailed plan with subtasks
     const planningPrompt = `
     You are an expert frontend application developer creating a detailed, step-by-step plan.
@@ -119,7 +146,14 @@ class PlanningModule {
     
     REQUIREMENTS:
     ${task.requirements || "No specific requirements provided."}
-    
+    ${
+      pastExperience
+        ? `
+    EXPERIENCE FROM PAST TASKS (reuse what worked, avoid repeating failures):
+    ${pastExperience}
+    `
+        : ""
+    }
     Create a comprehensive, detailed plan to complete this frontend development task.
     Each step should be clear, actionable, and describe a single unit of work.
     Include necessary research steps when you need to gather information.
@@ -196,6 +230,84 @@ class PlanningModule {
     }
   }
 
+  /**
+   * Build the past-task experience section of the planning prompt.
+   * Entries of each kind are taken in turn, most relevant first, until the
+   * token budget is used up.
+   * @param {Object} task - Task object
+   * @returns {Promise<string>} - Prompt section, or "" when there is nothing to add
+   * @private
+   */
+  async _recallPastExperience(task) {
+    if (!this.memory || !this.memory.retrieveExperience) return "";
+    if (!(this.longTermMemoryTokens > 0)) return "";
+
+    let experience;
+    try {
+      experience = await this.memory.retrieveExperience(task);
+    } catch (error) {
+      this.logger.warn(`Failed to recall past experience: ${error.message}`);
+      return "";
+    }
+
+    const sections = [
+      {
+        title: "Final reflections:",
+        lines: experience.finalReflections.map((reflection) => {
+          const learnings = reflection.learnings.length
+            ? ` Learnings: ${reflection.learnings.join("; ")}`
+            : "";
+          return `- ${reflection.summary}${learnings}`;
+        }),
+      },
+      {
+        title: "Failed actions to avoid:",
+        lines: experience.failedActions.map(
+          (failure) =>
+            `- ${failure.actionType || "action"}: ${failure.description} -> ${failure.error}`
+        ),
+      },
+      {
+        title: "Outlines of plans that succeeded:",
+        lines: experience.planOutlines.map(
+          (plan) =>
+            `- ${plan.title}: ${plan.steps
+              .map((step) => `${step.title} (${step.type})`)
+              .join(" > ")}`
+        ),
+      },
+    ];
+
+    const budget = this.longTermMemoryTokens * CHARS_PER_TOKEN;
+    const kept = sections.map(() => []);
+    let used = 0;
+    const longest = Math.max(...sections.map((section) => section.lines.length));
+
+    for (let index = 0; index < longest; index++) {
+      sections.forEach((section, sectionIndex) => {
+        const line = section.lines[index];
+        if (!line) return;
+
+        // Account for the section title when adding its first line
+        const cost =
+          line.length + 1 + (kept[sectionIndex].length ? 0 : section.title.length + 1);
+        if (used + cost > budget) return;
+
+        kept[sectionIndex].push(line);
+        used += cost;
+      });
+    }
+
+    return sections
+      .map((section, sectionIndex) =>
+        kept[sectionIndex].length
+          ? `${section.title}\n${kept[sectionIndex].join("\n")}`
+          : ""
+      )
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
   /**
    * Determine the next action to take based on the current state and plan
    * @param {Object} currentState - Current state of the system
@@ -219,17 +331,10 @@ class PlanningModule {
     }
 
     // From the pending steps, find those that have all dependencies satisfied
-    const availableSteps = pendingSteps.filter((step) => {
-      // No dependencies or all dependencies are completed
-      return (
-        !step.dependencies ||
-        step.dependencies.length === 0 ||
-        step.dependencies.every((depId) => {
-          const depStep = plan.getStepById(depId);
-          return depStep && depStep.status === "completed";
-        })
-      );
-    });
+    const availableSteps = pendingSteps.filter((step) =>
+      // No dependencies or all dependencies are completed or skipped
+      plan.areDependenciesResolved(step.id)
+    );
 
     if (availableSteps.length === 0) {
       // We have a dependency problem - need to handle this case
@@ -598,7 +703,10 @@ class PlanningModule {
     const blockedStepDetails = blockedSteps.map((step) => {
       const missingDependencies = (step.dependencies || []).filter((depId) => {
         const depStep = plan.getStepById(depId);
-        return !depStep || depStep.status !== "completed";
+        return (
+          !depStep ||
+          (depStep.status !== "completed" && depStep.status !== "skipped")
+        );
       });
 
       return {
@@ -0,0 +1,268 @@
+/**
+ * ProjectBuild.js
+ * Writes a project into a temporary directory and builds it into a static
+ * site with `npm install --ignore-scripts && npm run build`. Projects without
+ * a build script (e.g. workspaces in the Sandpack layout) get the Vite setup
+ * of WorkspaceProject first. Shared by deployments, build verification and
+ * visual QA.
+ */
+
+const { spawn } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const { createProjectFiles, normalizePath } = require("./WorkspaceProject");
+
+// Directories and files never copied into a build directory
+const SKIPPED_PATHS = ["node_modules", ".git", ".next", "dist", "build", "out"];
+
+// Directories a build may write its static output to, in order
+const OUTPUT_DIRS = ["dist", "build", "out"];
+
+// Content types of the files a static build serves
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+};
+
+/**
+ * Run a command and collect its combined output
+ * @param {string} command - Command
+ * @param {Array<string>} args - Arguments
+ * @param {string} cwd - Working directory
+ * @param {number} timeout - Timeout in ms; the command is killed after it
+ * @returns {Promise<Object>} - { code, output, timedOut }
+ */
+function runCommand(command, args, cwd, timeout) {
+  return new Promise((resolve) => {
+    let output = "";
+    let timedOut = false;
+
+    const child = spawn(command, args, {
+      cwd,
+      env: { ...process.env, CI: "true", NEXT_TELEMETRY_DISABLED: "1" },
+      windowsHide: true,
+      shell: process.platform === "win32",
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, timeout);
+
+    child.stdout.on("data", (data) => (output += data.toString()));
+    child.stderr.on("data", (data) => (output += data.toString()));
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      resolve({ code: -1, output: `${output}${error.message}`, timedOut });
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code: timedOut ? -1 : code, output, timedOut });
+    });
+  });
+}
+
+/**
+ * Read the package.json of a directory
+ * @param {string} dir - Directory
+ * @returns {Object|null} - Parsed package.json, or null
+ */
+function readPackageJson(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write project files into a directory, refusing paths that escape it
+ * @param {string} dir - Directory
+ * @param {Array<Object>} files - Files as { path, code }; code may be a Buffer
+ */
+function writeFiles(dir, files) {
+  for (const file of files) {
+    const filePath = normalizePath(file.path);
+    if (SKIPPED_PATHS.some((skipped) => filePath.split("/").includes(skipped))) {
+      continue;
+    }
+
+    const target = path.resolve(dir, filePath);
+    if (!target.startsWith(dir + path.sep)) {
+      throw new Error(`File path escapes the project: ${file.path}`);
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const code = file.code ?? file.content ?? "";
+    fs.writeFileSync(target, Buffer.isBuffer(code) ? code : String(code));
+  }
+}
+
+/**
+ * Read all text files of a directory
+ * @param {string} dir - Directory
+ * @param {string} prefix - Subdirectory to read, relative to dir
+ * @returns {Array<Object>} - Files as { path, code }
+ */
+function collectFiles(dir, prefix = "") {
+  const files = [];
+
+  for (const entry of fs.readdirSync(path.join(dir, prefix), {
+    withFileTypes: true,
+  })) {
+    if (SKIPPED_PATHS.includes(entry.name)) continue;
+
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...collectFiles(dir, relative));
+    } else if (entry.isFile()) {
+      files.push({
+        path: relative,
+        code: fs.readFileSync(path.join(dir, relative), "utf8"),
+      });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Write the project to build into a build directory. Projects without a
+ * build script get the Vite setup workspaces use.
+ * @param {string} buildDir - Empty build directory
+ * @param {Object} source - What to build, one of
+ *   { fileData } - workspace files keyed by path (Sandpack layout)
+ *   { files } - project files as [{ path, code }]
+ *   { sourceDir } - a project directory on disk
+ * @param {Object} options - Options
+ * @param {Object} options.dependencies - Extra npm dependencies for workspace files
+ */
+function writeProject(buildDir, source, options = {}) {
+  if (source.sourceDir) {
+    fs.cpSync(source.sourceDir, buildDir, {
+      recursive: true,
+      filter: (src) =>
+        !SKIPPED_PATHS.includes(path.basename(src)) ||
+        path.resolve(src) === path.resolve(source.sourceDir),
+    });
+  } else if (source.files) {
+    writeFiles(buildDir, source.files);
+  } else if (source.fileData) {
+    writeFiles(
+      buildDir,
+      createProjectFiles(source.fileData, {
+        dependencies: options.dependencies,
+      })
+    );
+  } else {
+    throw new Error("Nothing to build: provide fileData, files or sourceDir");
+  }
+
+  const packageJson = readPackageJson(buildDir);
+  if (!packageJson?.scripts?.build) {
+    const existing = new Map(
+      collectFiles(buildDir).map((file) => [file.path, file.code])
+    );
+    const project = createProjectFiles(Object.fromEntries(existing), {
+      dependencies: options.dependencies,
+    });
+
+    // Only rewrite what changed, so binary assets are left untouched
+    writeFiles(
+      buildDir,
+      project.filter((file) => existing.get(file.path) !== file.code)
+    );
+    // The page moved to the project root
+    fs.rmSync(path.join(buildDir, "public", "index.html"), { force: true });
+  }
+}
+
+/**
+ * Install dependencies without running their scripts and run the build
+ * script
+ * @param {string} buildDir - Project directory
+ * @param {Object} options - Options
+ * @param {number} options.installTimeout - Timeout of `npm install` in ms
+ * @param {number} options.buildTimeout - Timeout of the build in ms
+ * @returns {Promise<Object>} - { ok, output, outputDir, error, installFailed }
+ *   where outputDir is the directory holding the built index.html
+ */
+async function buildProject(buildDir, options = {}) {
+  const installTimeout = options.installTimeout || 5 * 60 * 1000;
+  const buildTimeout = options.buildTimeout || 5 * 60 * 1000;
+  let output = "";
+
+  const install = await runCommand(
+    "npm",
+    ["install", "--no-audit", "--no-fund", "--ignore-scripts"],
+    buildDir,
+    installTimeout
+  );
+  output += install.output;
+
+  if (install.code !== 0) {
+    return {
+      ok: false,
+      installFailed: true,
+      output,
+      error: install.timedOut
+        ? "Dependency install timed out"
+        : "Dependency install failed",
+    };
+  }
+
+  const build = await runCommand("npm", ["run", "build"], buildDir, buildTimeout);
+  output += build.output;
+
+  if (build.code !== 0) {
+    return {
+      ok: false,
+      output,
+      error: build.timedOut ? "Build timed out" : "Build failed",
+    };
+  }
+
+  const outputDir = OUTPUT_DIRS.map((dir) => path.join(buildDir, dir)).find(
+    (dir) => fs.existsSync(path.join(dir, "index.html"))
+  );
+
+  if (!outputDir) {
+    return {
+      ok: false,
+      output,
+      error: `Build produced no static site (looked for index.html in ${OUTPUT_DIRS.join(", ")})`,
+    };
+  }
+
+  return { ok: true, output, outputDir };
+}
+
+module.exports = {
+  SKIPPED_PATHS,
+  OUTPUT_DIRS,
+  CONTENT_TYPES,
+  runCommand,
+  readPackageJson,
+  writeFiles,
+  collectFiles,
+  writeProject,
+  buildProject,
+};
@@ -0,0 +1,459 @@
+/**
+ * TextEditor.js
+ * The agent's text editor tool: view, create, str_replace, insert and
+ * undo_edit. Files are read and written through FileSystem, so its path and
+ * extension checks apply, and every change is recorded in an EditJournal.
+ */
+
+const path = require("path");
+
+const COMMANDS = ["view", "create", "str_replace", "insert", "undo_edit"];
+
+// Lines shown around an edit in the snippet returned to the model
+const SNIPPET_LINES = 4;
+
+// Directories left out of directory views
+const VIEW_IGNORED_DIRS = ["node_modules", ".git", ".next"];
+
+class TextEditor {
+  /**
+   * @param {Object} config - Configuration
+   * @param {FileSystem} config.fileSystem - File system rooted at the project
+   * @param {EditJournal} config.journal - Journal edits are recorded in
+   * @param {number} config.maxViewLength - Characters of output before a
+   *   view is truncated
+   * @param {Object} config.logger - Logger
+   */
+  constructor(config = {}) {
+    if (!config.fileSystem) {
+      throw new Error("TextEditor needs a fileSystem");
+    }
+
+    this.fileSystem = config.fileSystem;
+    this.journal = config.journal || null;
+    this.maxViewLength = config.maxViewLength || 16000;
+    this.logger = config.logger || console;
+  }
+
+  /**
+   * Run an editor command
+   * @param {Object} input - Tool input: { command, path, file_text, old_str,
+   *   new_str, insert_line, view_range }
+   * @param {Object} context - { taskId, iteration } the edit is journaled under
+   * @returns {Promise<Object>} - { success, command, path, output }
+   */
+  async execute(input = {}, context = {}) {
+    const { command } = input;
+    if (!COMMANDS.includes(command)) {
+      throw new Error(
+        `Unknown editor command: ${command}. Allowed commands are: ${COMMANDS.join(", ")}`
+      );
+    }
+    if (typeof input.path !== "string" || !input.path) {
+      throw new Error("Parameter `path` is required");
+    }
+
+    const filePath = this._relativePath(input.path);
+    this.logger.info(`Editor ${command} on ${filePath}`);
+
+    switch (command) {
+      case "view":
+        return this.view(filePath, input.view_range);
+      case "create":
+        return this.create(filePath, input.file_text, context);
+      case "str_replace":
+        return this.strReplace(filePath, input.old_str, input.new_str, context);
+      case "insert":
+        return this.insert(filePath, input.insert_line, input.new_str, context);
+      case "undo_edit":
+        return this.undoEdit(filePath, context);
+    }
+  }
+
+  /**
+   * Show a file with line numbers, or list a directory two levels deep
+   * @param {string} filePath - Path relative to the project
+   * @param {Array<number>} viewRange - [start, end] lines (1-based, end -1
+   *   for the end of the file)
+   */
+  async view(filePath, viewRange) {
+    const stats = await this.fileSystem.stat(filePath);
+
+    if (stats.isDirectory) {
+      if (viewRange) {
+        throw new Error("Parameter `view_range` is not allowed when `path` is a directory");
+      }
+      const entries = await this._listDirectory(filePath, 2);
+      return this._result("view", filePath, {
+        output: `Files and directories up to 2 levels deep in ${filePath || "."}, excluding hidden items:\n${entries.join("\n")}`,
+      });
+    }
+
+    const lines = this._splitLines(await this._read(filePath));
+    let start = 1;
+
+    if (viewRange) {
+      if (
+        !Array.isArray(viewRange) ||
+        viewRange.length !== 2 ||
+        !viewRange.every(Number.isInteger)
+      ) {
+        throw new Error("Parameter `view_range` must be a list of two integers");
+      }
+
+      const [first, last] = viewRange;
+      if (first < 1 || first > lines.length) {
+        throw new Error(
+          `Invalid \`view_range\`: first line ${first} should be within [1, ${lines.length}]`
+        );
+      }
+      if (last !== -1 && (last < first || last > lines.length)) {
+        throw new Error(
+          `Invalid \`view_range\`: last line ${last} should be -1 or within [${first}, ${lines.length}]`
+        );
+      }
+
+      start = first;
+      lines.splice(last === -1 ? lines.length : last);
+      lines.splice(0, first - 1);
+    }
+
+    let output = this._numberLines(lines, start);
+    if (output.length > this.maxViewLength) {
+      output = `${output.slice(0, this.maxViewLength)}\n<response clipped; use view_range to see the rest of the file>`;
+    }
+
+    return this._result("view", filePath, { output });
+  }
+
+  /**
+   * Create a new file
+   * @param {string} filePath - Path relative to the project
+   * @param {string} fileText - File content
+   * @param {Object} context - { taskId, iteration }
+   */
+  async create(filePath, fileText, context = {}) {
+    if (typeof fileText !== "string") {
+      throw new Error("Parameter `file_text` is required for command: create");
+    }
+    if (await this.fileSystem.exists(filePath)) {
+      throw new Error(
+        `File already exists at: ${filePath}. Cannot overwrite files using command \`create\``
+      );
+    }
+
+    await this._write(filePath, fileText);
+    this._record(context, "create", filePath, null, fileText);
+
+    return this._result("create", filePath, {
+      output: `File created successfully at: ${filePath}`,
+    });
+  }
+
+  /**
+   * Replace the only occurrence of a string in a file
+   * @param {string} filePath - Path relative to the project
+   * @param {string} oldStr - Text to replace; must occur exactly once
+   * @param {string} newStr - Replacement (empty when omitted)
+   * @param {Object} context - { taskId, iteration }
+   */
+  async strReplace(filePath, oldStr, newStr = "", context = {}) {
+    if (typeof oldStr !== "string" || !oldStr) {
+      throw new Error("Parameter `old_str` is required for command: str_replace");
+    }
+    if (typeof newStr !== "string") {
+      throw new Error("Parameter `new_str` must be a string");
+    }
+
+    const content = await this._read(filePath);
+    const occurrences = this._findOccurrences(content, oldStr);
+
+    if (occurrences.length === 0) {
+      throw new Error(
+        `No replacement was performed, old_str did not appear verbatim in ${filePath}`
+      );
+    }
+    if (occurrences.length > 1) {
+      const lines = occurrences.map((index) => this._lineAt(content, index));
+      throw new Error(
+        `No replacement was performed. Multiple occurrences of old_str in lines ${lines.join(", ")} of ${filePath}. Include more context to make it unique`
+      );
+    }
+
+    const index = occurrences[0];
+    const updated = content.slice(0, index) + newStr + content.slice(index + oldStr.length);
+
+    await this._write(filePath, updated);
+    this._record(context, "str_replace", filePath, content, updated);
+
+    const line = this._lineAt(content, index);
+    return this._result("str_replace", filePath, {
+      output: `The file ${filePath} has been edited. ${this._snippet(
+        updated,
+        line,
+        line + newStr.split("\n").length - 1
+      )}`,
+    });
+  }
+
+  /**
+   * Insert text after a line
+   * @param {string} filePath - Path relative to the project
+   * @param {number} insertLine - Line to insert after (0 for the top)
+   * @param {string} newStr - Text to insert
+   * @param {Object} context - { taskId, iteration }
+   */
+  async insert(filePath, insertLine, newStr, context = {}) {
+    if (typeof newStr !== "string") {
+      throw new Error("Parameter `new_str` is required for command: insert");
+    }
+
+    const content = await this._read(filePath);
+    const lines = content.split("\n");
+    const lineCount = this._splitLines(content).length;
+
+    if (!Number.isInteger(insertLine) || insertLine < 0 || insertLine > lineCount) {
+      throw new Error(
+        `Invalid \`insert_line\` parameter: ${insertLine}. It should be within [0, ${lineCount}]`
+      );
+    }
+
+    const inserted = newStr.split("\n");
+    lines.splice(insertLine, 0, ...inserted);
+    const updated = lines.join("\n");
+
+    await this._write(filePath, updated);
+    this._record(context, "insert", filePath, content, updated);
+
+    return this._result("insert", filePath, {
+      output: `The file ${filePath} has been edited. ${this._snippet(
+        updated,
+        insertLine + 1,
+        insertLine + inserted.length
+      )}`,
+    });
+  }
+
+  /**
+   * Revert the last edit of a file that has not been undone yet
+   * @param {string} filePath - Path relative to the project
+   * @param {Object} context - { taskId, iteration }
+   */
+  async undoEdit(filePath, context = {}) {
+    const entry =
+      this.journal && context.taskId
+        ? this.journal.lastRevertible(context.taskId, filePath)
+        : null;
+    if (!entry) {
+      throw new Error(`No edit history found for ${filePath}`);
+    }
+
+    const current = await this._readIfExists(filePath);
+    await this._restore(filePath, entry.before);
+    this._record(context, "undo_edit", filePath, current, entry.before, entry.id);
+
+    return this._result("undo_edit", filePath, {
+      output:
+        entry.before === null
+          ? `Removed ${filePath}, which the undone ${entry.command} had created`
+          : `Last edit to ${filePath} undone successfully. Use view to see the restored file`,
+    });
+  }
+
+  /**
+   * Restore every file a task changed to its content before the task
+   * @param {string} taskId - Task ID
+   * @param {Object} context - { iteration } the rollback is journaled under
+   * @returns {Promise<Object>} - { restored: [path], failed: [{ path, message }] }
+   */
+  async rollback(taskId, context = {}) {
+    if (!this.journal) {
+      throw new Error("Rollback needs an edit journal");
+    }
+
+    const restored = [];
+    const failed = [];
+
+    for (const file of this.journal.getRollbackPlan(taskId)) {
+      try {
+        const current = await this._readIfExists(file.path);
+        await this._restore(file.path, file.content);
+        this._record(
+          { taskId, iteration: context.iteration },
+          "rollback",
+          file.path,
+          current,
+          file.content,
+          file.reverts
+        );
+        restored.push(file.path);
+      } catch (error) {
+        this.logger.error(`Failed to roll back ${file.path}: ${error.message}`);
+        failed.push({ path: file.path, message: error.message });
+      }
+    }
+
+    this.logger.info(
+      `Rolled back task ${taskId}: ${restored.length} restored, ${failed.length} failed`
+    );
+    return { restored, failed };
+  }
+
+  /**
+   * Path relative to the file system base directory, with forward slashes
+   * @private
+   */
+  _relativePath(filePath) {
+    const resolved = path.resolve(this.fileSystem.baseDir, filePath);
+    return path.relative(this.fileSystem.baseDir, resolved).split(path.sep).join("/");
+  }
+
+  /**
+   * Read a text file
+   * @private
+   */
+  async _read(filePath) {
+    return this.fileSystem.readFile(filePath, { encoding: "utf8" });
+  }
+
+  /**
+   * Read a text file, or null when it does not exist
+   * @private
+   */
+  async _readIfExists(filePath) {
+    return (await this.fileSystem.exists(filePath)) ? this._read(filePath) : null;
+  }
+
+  /**
+   * Write a text file
+   * @private
+   */
+  async _write(filePath, content) {
+    await this.fileSystem.writeFile(filePath, content, { encoding: "utf8" });
+  }
+
+  /**
+   * Put a file back to the given content; null removes it
+   * @private
+   */
+  async _restore(filePath, content) {
+    if (content !== null) {
+      await this._write(filePath, content);
+    } else if (await this.fileSystem.exists(filePath)) {
+      await this.fileSystem.deleteFile(filePath);
+    }
+  }
+
+  /**
+   * Add an edit to the journal when there is a task to record it under
+   * @private
+   */
+  _record(context, command, filePath, before, after, reverts) {
+    if (!this.journal || !context.taskId) return null;
+
+    return this.journal.record(context.taskId, {
+      iteration: context.iteration,
+      command,
+      path: filePath,
+      before,
+      after,
+      reverts,
+    });
+  }
+
+  /**
+   * Lines of a file; a trailing newline does not start another line
+   * @private
+   */
+  _splitLines(content) {
+    const lines = content.split("\n");
+    if (content.endsWith("\n")) lines.pop();
+    return lines;
+  }
+
+  /**
+   * Start indexes of every occurrence of a string
+   * @private
+   */
+  _findOccurrences(content, search) {
+    const indexes = [];
+    let index = content.indexOf(search);
+    while (index !== -1) {
+      indexes.push(index);
+      index = content.indexOf(search, index + 1);
+    }
+    return indexes;
+  }
+
+  /**
+   * 1-based line number of a character index
+   * @private
+   */
+  _lineAt(content, index) {
+    return content.slice(0, index).split("\n").length;
+  }
+
+  /**
+   * Lines prefixed with right-aligned line numbers, like `cat -n`
+   * @private
+   */
+  _numberLines(lines, start = 1) {
+    return lines
+      .map((line, offset) => `${String(start + offset).padStart(6)}\t${line}`)
+      .join("\n");
+  }
+
+  /**
+   * Numbered excerpt around the edited lines
+   * @private
+   */
+  _snippet(content, firstLine, lastLine) {
+    const lines = this._splitLines(content);
+    const start = Math.max(1, firstLine - SNIPPET_LINES);
+    const end = Math.min(lines.length, Math.max(firstLine, lastLine) + SNIPPET_LINES);
+
+    return `Here is a snippet of the result:\n${this._numberLines(
+      lines.slice(start - 1, end),
+      start
+    )}\nReview the changes and make sure they are as expected. Edit the file again if necessary.`;
+  }
+
+  /**
+   * Files and directories below a directory, skipping hidden items
+   * @private
+   */
+  async _listDirectory(dirPath, depth) {
+    const results = [];
+
+    for (const entryPath of await this.fileSystem.listFiles(dirPath || ".")) {
+      const name = path.basename(entryPath);
+      if (name.startsWith(".")) continue;
+
+      const relativePath = this._relativePath(entryPath);
+      const stats = await this.fileSystem.stat(relativePath);
+      if (!stats.isDirectory) {
+        results.push(relativePath);
+        continue;
+      }
+
+      results.push(`${relativePath}/`);
+      if (depth > 1 && !VIEW_IGNORED_DIRS.includes(name)) {
+        results.push(...(await this._listDirectory(relativePath, depth - 1)));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Tool result
+   * @private
+   */
+  _result(command, filePath, fields) {
+    return { success: true, command, path: filePath, ...fields };
+  }
+}
+
+TextEditor.COMMANDS = COMMANDS;
+
+module.exports = TextEditor;
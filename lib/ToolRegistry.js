@@ -0,0 +1,323 @@
+// lib/ToolRegistry.js
+// Registry of tools the autonomous agent can call, with JSON schema input checks
+
+/**
+ * Check a value against a JSON schema.
+ * Supports the subset used by tool input schemas: type, properties, required,
+ * additionalProperties, items, enum, minimum/maximum, minLength/maxLength,
+ * minItems/maxItems.
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+export function validateSchema(schema, value, path = "input") {
+  if (!schema || typeof schema !== "object") return [];
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(type, value))) {
+      return [`${path} must be of type ${types.join(" or ")}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (matchesType("object", value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(properties[key], propValue, `${path}.${key}`)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateSchema(
+            schema.additionalProperties,
+            propValue,
+            `${path}.${key}`
+          )
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a value against a single JSON schema type
+ * @private
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && !Number.isNaN(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * ToolRegistry - Holds the tools available to the agent.
+ * Each tool has a name, a JSON schema for its input and a handler.
+ * Provider-defined tools (e.g. Anthropic's computer use tools) can pass a
+ * `definition` that is advertised in place of the generated one.
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - Tool to register
+   * @param {string} tool.name - Unique tool name
+   * @param {Object} tool.schema - JSON schema of the tool input
+   * @param {Function} tool.handler - async (input, context) => result
+   * @param {string} tool.description - Description advertised to the model
+   * @param {Object} tool.definition - Provider-specific tool definition
+   * @param {boolean} tool.readOnly - Whether the tool only reads state; read-only
+   *   tools may run in parallel with each other
+   * @param {string|Function} tool.risk - Risk level of a call ("read",
+   *   "workspace_write", "network", "shell" or "external_write"), or
+   *   (input) => level or { level, reason }
+   * @param {Object} options - Options
+   * @param {boolean} options.replace - Replace an existing tool with the same name
+   * @returns {Object} - The registered tool
+   */
+  register(tool, options = {}) {
+    const { name, schema, handler } = tool || {};
+
+    if (!name || typeof name !== "string" || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+      throw new Error(
+        "Tool name must be 1-64 characters of letters, digits, '_' or '-'"
+      );
+    }
+
+    if (typeof handler !== "function") {
+      throw new Error(`Tool ${name} must have a handler function`);
+    }
+
+    if (!schema || schema.type !== "object") {
+      throw new Error(`Tool ${name} must have an object JSON schema`);
+    }
+
+    if (this.tools.has(name) && !options.replace) {
+      throw new Error(`Tool ${name} is already registered`);
+    }
+
+    const entry = {
+      name,
+      schema,
+      handler,
+      description: tool.description || "",
+      definition: tool.definition || null,
+      readOnly: !!tool.readOnly,
+      risk: tool.risk || null,
+    };
+
+    this.tools.set(name, entry);
+    return entry;
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   * @returns {boolean} - Whether a tool was removed
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Check whether a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Get a registered tool
+   * @param {string} name - Tool name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * Get the names of all registered tools
+   * @returns {Array<string>}
+   */
+  getToolNames() {
+    return Array.from(this.tools.keys());
+  }
+
+  /**
+   * Get the tool definitions to advertise to the model
+   * @returns {Array<Object>}
+   */
+  getToolDefinitions() {
+    return Array.from(this.tools.values()).map((tool) =>
+      tool.definition
+        ? { ...tool.definition, name: tool.name }
+        : {
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.schema,
+          }
+    );
+  }
+
+  /**
+   * Get provider-neutral tool specs for LLMService.chat():
+   * { name, description, input_schema, native }, where `native` is the
+   * provider-specific definition, if any
+   * @returns {Array<Object>}
+   */
+  getToolSpecs() {
+    return Array.from(this.tools.values()).map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.schema,
+      native: tool.definition,
+    }));
+  }
+
+  /**
+   * Classify the risk of a tool call. Tools without a declared risk count as
+   * "read" when read-only and "external_write" otherwise.
+   * @param {string} name - Tool name
+   * @param {Object} input - Tool input
+   * @returns {Object} - { level, reason }
+   */
+  classify(name, input) {
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      return { level: "read", reason: `Unknown tool: ${name}` };
+    }
+
+    let risk = tool.risk;
+    if (typeof risk === "function") {
+      risk = risk(input || {});
+    }
+
+    if (!risk) {
+      return tool.readOnly
+        ? { level: "read", reason: "Read-only tool" }
+        : { level: "external_write", reason: "Tool does not declare its risk" };
+    }
+
+    return typeof risk === "string"
+      ? { level: risk, reason: `${name} tool` }
+      : { reason: `${name} tool`, ...risk };
+  }
+
+  /**
+   * Check a tool input against the tool's schema
+   * @param {string} name - Tool name
+   * @param {Object} input - Tool input
+   * @returns {Object} - { valid, errors }
+   */
+  validate(name, input) {
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      return { valid: false, errors: [`Unknown tool: ${name}`] };
+    }
+
+    const errors = validateSchema(tool.schema, input);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate the input and run the tool's handler.
+   * Unknown tools and invalid input are reported as error results so the
+   * model can correct its call.
+   * @param {string} name - Tool name
+   * @param {Object} input - Tool input
+   * @param {Object} context - Passed to the handler (e.g. toolUseId, agent)
+   * @returns {Promise<Object>} - Tool result
+   */
+  async execute(name, input, context = {}) {
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      return {
+        error: true,
+        message: `Unknown tool: ${name}`,
+      };
+    }
+
+    const { valid, errors } = this.validate(name, input);
+
+    if (!valid) {
+      return {
+        error: true,
+        message: `Invalid input for tool ${name}: ${errors.join("; ")}`,
+        validationErrors: errors,
+      };
+    }
+
+    return await tool.handler(input, context);
+  }
+}
+
+export default ToolRegistry;
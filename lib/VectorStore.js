@@ -0,0 +1,498 @@
+/**
+ * VectorStore.js
+ * Local vector index used by AgentMemory.semanticSearch.
+ * Works offline: documents are embedded with a small local embedding model
+ * when one is available, and always with a hashed TF-IDF representation that
+ * serves as the fallback. The index is persisted incrementally as an
+ * append-only log under agent-memory/vector-store.
+ */
+
+// Common English words that carry no meaning for retrieval
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by for from has have if in into is it its of on or " +
+    "that the their then there these this to was were will with not no true false null"
+  ).split(" ")
+);
+
+// Default local embedding model (runs through @xenova/transformers)
+const DEFAULT_EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
+
+class VectorStore {
+  /**
+   * @param {Object} config - Configuration
+   * @param {string} config.storePath - Directory of the on-disk index; in-memory when omitted
+   * @param {string|Function} config.embedder - "hash" (hashed TF-IDF), "local"
+   *   (local embedding model, falling back to "hash") or async (text) => number[]
+   * @param {string} config.embeddingModel - Model used by the "local" embedder
+   * @param {number} config.dimensions - Number of hashed TF-IDF buckets
+   * @param {number} config.maxTextLength - Characters of document text kept for display
+   * @param {Object} config.logger - Logger
+   */
+  constructor(config = {}) {
+    this.storePath = config.storePath || null;
+    this.embedder = config.embedder || "hash";
+    this.embeddingModel = config.embeddingModel || DEFAULT_EMBEDDING_MODEL;
+    this.dimensions = config.dimensions || 1024;
+    this.maxTextLength = config.maxTextLength || 2000;
+    this.logger = config.logger || console;
+
+    // id -> { id, text, metadata, terms, vector, timestamp }
+    this.documents = new Map();
+    // Number of documents containing each hashed term
+    this.documentFrequency = new Map();
+
+    // Log entries superseded by later writes, used to decide when to compact
+    this.staleEntries = 0;
+    this.pending = Promise.resolve();
+    this.localEmbedder = undefined;
+
+    if (this.storePath) {
+      this._load();
+    }
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number}
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add or replace a document.
+   * The hashed TF-IDF representation is indexed immediately; the dense
+   * embedding (if any) is computed in the background and persisted with it.
+   * @param {Object} document - { id, text, metadata }
+   * @returns {Promise<Object|null>} - Resolves with the stored document once
+   *   persisted, or null when embedding failed
+   */
+  addDocument(document) {
+    if (!document || !document.id) {
+      throw new Error("Document must have an id");
+    }
+
+    const text = String(document.text || "");
+    const stored = {
+      id: document.id,
+      text: text.slice(0, this.maxTextLength),
+      metadata: document.metadata || {},
+      terms: this._termFrequencies(text),
+      vector: null,
+      timestamp: new Date().toISOString(),
+    };
+
+    this._index(stored);
+
+    return this._enqueue(async () => {
+      stored.vector = await this._embed(text);
+      // Skip documents replaced or deleted while embedding
+      if (this.documents.get(stored.id) !== stored) return stored;
+      this._append({ op: "add", document: stored });
+      return stored;
+    }, `Failed to index document ${stored.id}`);
+  }
+
+  /**
+   * Remove a document
+   * @param {string} id - Document ID
+   * @returns {boolean} - Whether a document was removed
+   */
+  deleteDocument(id) {
+    if (!this.documents.has(id)) return false;
+
+    this._unindex(id);
+    this._enqueue(
+      () => this._append({ op: "delete", id }),
+      `Failed to delete document ${id}`
+    );
+    return true;
+  }
+
+  /**
+   * Get a document by ID
+   * @param {string} id - Document ID
+   * @returns {Object|null}
+   */
+  getDocument(id) {
+    const document = this.documents.get(id);
+    return document ? this._toResult(document, null) : null;
+  }
+
+  /**
+   * Search for documents similar to a query
+   * @param {string} query - Search query
+   * @param {number|Object} limitOrOptions - Result limit, or { limit, filter, minScore }
+   * @param {Object} filter - Metadata filter, e.g. { type: "reflection", taskId }.
+   *   Values may be arrays to match any of them.
+   * @returns {Promise<Array<Object>>} - [{ id, text, metadata, score }] by descending score
+   */
+  async search(query, limitOrOptions = 5, filter = null) {
+    const options =
+      typeof limitOrOptions === "object" && limitOrOptions !== null
+        ? limitOrOptions
+        : { limit: limitOrOptions, filter };
+    const limit = options.limit || 5;
+    const minScore = options.minScore || 0;
+
+    await this.pending;
+
+    const queryText = String(query || "");
+    const queryTerms = this._termFrequencies(queryText);
+    const queryVector = await this._embed(queryText);
+
+    const candidates = Array.from(this.documents.values()).filter((document) =>
+      this._matchesFilter(document.metadata, options.filter)
+    );
+    const queryWeights = this._weigh(queryTerms);
+
+    return candidates
+      .map((document) => ({
+        document,
+        score:
+          queryVector && document.vector
+            ? cosine(queryVector, document.vector)
+            : this._sparseCosine(queryWeights, this._weigh(document.terms)),
+      }))
+      .filter(({ score }) => score > minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ document, score }) => this._toResult(document, score));
+  }
+
+  /**
+   * Wait until all pending writes have been persisted
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.pending;
+  }
+
+  /**
+   * Rewrite the on-disk log so it only holds the live documents
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    await this.pending;
+    this._compactLog();
+  }
+
+  /**
+   * Rewrite the log synchronously
+   * @private
+   */
+  _compactLog() {
+    if (!this.storePath) return;
+
+    const fs = require("fs");
+    const logPath = this._logPath();
+    const tmpPath = `${logPath}.tmp`;
+    const lines = Array.from(this.documents.values()).map((document) =>
+      JSON.stringify({ op: "add", document })
+    );
+
+    fs.writeFileSync(tmpPath, lines.length ? `${lines.join("\n")}\n` : "", "utf8");
+    fs.renameSync(tmpPath, logPath);
+    this.staleEntries = 0;
+  }
+
+  /**
+   * Remove every document
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.pending;
+    this.documents.clear();
+    this.documentFrequency.clear();
+    await this.compact();
+  }
+
+  /**
+   * Load the index from disk by replaying its log
+   * @private
+   */
+  _load() {
+    const fs = require("fs");
+    const path = require("path");
+
+    this.storePath = path.resolve(this.storePath);
+    fs.mkdirSync(this.storePath, { recursive: true });
+
+    const logPath = this._logPath();
+    if (!fs.existsSync(logPath)) return;
+
+    const lines = fs.readFileSync(logPath, "utf8").split("\n");
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A partially written last line is expected after a crash
+        skipped++;
+        continue;
+      }
+
+      if (entry.op === "add" && entry.document && entry.document.id) {
+        if (this.documents.has(entry.document.id)) this.staleEntries++;
+        this._index(entry.document);
+      } else if (entry.op === "delete" && this.documents.has(entry.id)) {
+        this._unindex(entry.id);
+        this.staleEntries += 2;
+      }
+    }
+
+    if (skipped > 0) {
+      this.logger.warn(`Skipped ${skipped} unreadable vector store entries`);
+    }
+
+    this.logger.info(`Loaded ${this.documents.size} documents from the vector store`);
+  }
+
+  /**
+   * Run a write after the pending ones. Failures are logged and resolve to
+   * null, so callers that do not await never see a rejection and one failed
+   * write does not stop the writes queued after it.
+   * @private
+   */
+  _enqueue(work, failureMessage) {
+    this.pending = this.pending.then(work).catch((error) => {
+      this.logger.error(`${failureMessage}: ${error.message}`);
+      return null;
+    });
+    return this.pending;
+  }
+
+  /**
+   * Append an entry to the on-disk log, compacting when most of it is stale
+   * @private
+   */
+  _append(entry) {
+    if (!this.storePath) return;
+
+    const fs = require("fs");
+    if (entry.op === "delete") this.staleEntries += 2;
+
+    fs.appendFileSync(this._logPath(), `${JSON.stringify(entry)}\n`, "utf8");
+
+    if (this.staleEntries > 100 && this.staleEntries > this.documents.size) {
+      this._compactLog();
+    }
+  }
+
+  /**
+   * Path of the index log
+   * @private
+   */
+  _logPath() {
+    const path = require("path");
+    return path.join(this.storePath, "index.jsonl");
+  }
+
+  /**
+   * Add a document to the in-memory index
+   * @private
+   */
+  _index(document) {
+    if (this.documents.has(document.id)) {
+      this._unindex(document.id);
+    }
+
+    this.documents.set(document.id, document);
+
+    for (const bucket of Object.keys(document.terms || {})) {
+      this.documentFrequency.set(
+        bucket,
+        (this.documentFrequency.get(bucket) || 0) + 1
+      );
+    }
+  }
+
+  /**
+   * Remove a document from the in-memory index
+   * @private
+   */
+  _unindex(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    for (const bucket of Object.keys(document.terms || {})) {
+      const count = (this.documentFrequency.get(bucket) || 1) - 1;
+      if (count > 0) {
+        this.documentFrequency.set(bucket, count);
+      } else {
+        this.documentFrequency.delete(bucket);
+      }
+    }
+
+    this.documents.delete(id);
+  }
+
+  /**
+   * Hashed term frequencies of a text: { bucket: count }
+   * @private
+   */
+  _termFrequencies(text) {
+    const terms = {};
+
+    const tokens = String(text)
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length > 1 && !STOP_WORDS.has(token));
+
+    for (const token of tokens) {
+      const bucket = hashString(token) % this.dimensions;
+      terms[bucket] = (terms[bucket] || 0) + 1;
+    }
+
+    return terms;
+  }
+
+  /**
+   * TF-IDF weights of hashed term frequencies, using the current corpus
+   * statistics so scores stay consistent as documents are added
+   * @private
+   */
+  _weigh(terms) {
+    const total = this.documents.size;
+    const weights = new Map();
+
+    for (const [bucket, count] of Object.entries(terms)) {
+      const frequency = this.documentFrequency.get(bucket) || 0;
+      const idf = Math.log((total + 1) / (frequency + 1)) + 1;
+      weights.set(bucket, (1 + Math.log(count)) * idf);
+    }
+
+    return weights;
+  }
+
+  /**
+   * Cosine similarity of two sparse weight maps
+   * @private
+   */
+  _sparseCosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (const [bucket, weight] of a) {
+      normA += weight * weight;
+      if (b.has(bucket)) dot += weight * b.get(bucket);
+    }
+
+    for (const weight of b.values()) {
+      normB += weight * weight;
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Dense embedding of a text, or null when only TF-IDF is available
+   * @private
+   */
+  async _embed(text) {
+    if (typeof this.embedder === "function") {
+      return await this.embedder(text);
+    }
+
+    if (this.embedder !== "local") return null;
+
+    const extractor = await this._loadLocalEmbedder();
+    if (!extractor) return null;
+
+    const output = await extractor(text.slice(0, this.maxTextLength), {
+      pooling: "mean",
+      normalize: true,
+    });
+    return Array.from(output.data);
+  }
+
+  /**
+   * Load the local embedding model once; falls back to TF-IDF when the
+   * model runtime is not installed or the model cannot be loaded
+   * @private
+   */
+  async _loadLocalEmbedder() {
+    if (this.localEmbedder !== undefined) return this.localEmbedder;
+
+    try {
+      const { pipeline } = await import("@xenova/transformers");
+      this.localEmbedder = await pipeline("feature-extraction", this.embeddingModel);
+      this.logger.info(`Using local embedding model ${this.embeddingModel}`);
+    } catch (error) {
+      this.logger.warn(
+        `Local embedding model unavailable, using hashed TF-IDF: ${error.message}`
+      );
+      this.localEmbedder = null;
+    }
+
+    return this.localEmbedder;
+  }
+
+  /**
+   * Check document metadata against a filter
+   * @private
+   */
+  _matchesFilter(metadata, filter) {
+    if (!filter) return true;
+
+    return Object.entries(filter).every(([key, expected]) => {
+      if (expected === undefined) return true;
+      return Array.isArray(expected)
+        ? expected.includes(metadata[key])
+        : metadata[key] === expected;
+    });
+  }
+
+  /**
+   * Public shape of a document
+   * @private
+   */
+  _toResult(document, score) {
+    return {
+      id: document.id,
+      text: document.text,
+      metadata: document.metadata,
+      score,
+      timestamp: document.timestamp,
+    };
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @private
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Cosine similarity of two dense vectors
+ * @private
+ */
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = VectorStore;
@@ -0,0 +1,494 @@
+/**
+ * VisualQA.js
+ * Checks how a generated site renders. The project is built with
+ * ProjectBuild (workspaces in the Sandpack layout get its Vite setup),
+ * served from a local static server and loaded in the headless
+ * browser of BrowserInterface at mobile, tablet and desktop viewports. Each
+ * viewport gets a screenshot, the console and page errors, failed requests,
+ * broken images, horizontal overflow and elements outside the viewport. The
+ * report can be turned into a prompt for a fix round with formatReport().
+ */
+
+const http = require("http");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { CONTENT_TYPES, writeProject, buildProject } = require("./ProjectBuild");
+
+const DEFAULT_VIEWPORTS = [
+  { name: "mobile", width: 375, height: 812, isMobile: true, hasTouch: true, deviceScaleFactor: 2 },
+  { name: "tablet", width: 768, height: 1024, isMobile: true, hasTouch: true, deviceScaleFactor: 2 },
+  { name: "desktop", width: 1440, height: 900 },
+];
+
+// Maximum number of findings of one kind reported per viewport
+const MAX_FINDINGS = 20;
+
+class VisualQA {
+  /**
+   * @param {Object} config - Configuration
+   * @param {BrowserInterface} config.browserInterface - Browser the site is
+   *   loaded in (one is created when omitted)
+   * @param {Array<Object>} config.viewports - [{ name, width, height,
+   *   isMobile, hasTouch, deviceScaleFactor }] (mobile, tablet and desktop
+   *   by default)
+   * @param {string} config.outputDir - Directory screenshots are saved in
+   * @param {string} config.buildRoot - Directory temporary builds run in
+   * @param {number} config.installTimeout - Timeout of `npm install` in ms
+   * @param {number} config.buildTimeout - Timeout of the build in ms
+   * @param {number} config.navigationTimeout - Timeout of loading a page in ms
+   * @param {Object} config.logger - Logger
+   */
+  constructor(config = {}) {
+    this.browserInterface = config.browserInterface || null;
+    this.ownsBrowser = false;
+    this.viewports = config.viewports || DEFAULT_VIEWPORTS;
+    this.outputDir =
+      config.outputDir || path.join(os.tmpdir(), "frodo-visual-qa");
+    this.buildRoot = config.buildRoot || os.tmpdir();
+    this.installTimeout = config.installTimeout || 5 * 60 * 1000;
+    this.buildTimeout = config.buildTimeout || 5 * 60 * 1000;
+    this.navigationTimeout = config.navigationTimeout || 30000;
+    this.logger = config.logger || console;
+  }
+
+  /**
+   * Render a site at every viewport and collect layout and runtime problems
+   * @param {Object} source - What to check, one of
+   *   { files } - project files as [{ path, code }]
+   *   { fileData } - workspace files keyed by path (Sandpack layout)
+   *   { dir } - a project directory on disk
+   *   { url } - an already running site
+   * @param {Object} options - Options
+   * @param {string} options.path - Page to load, relative to the site root
+   * @returns {Promise<Object>} - { status, url, viewports, issues, summary,
+   *   durationMs, error } where status is "passed", "failed" (issues with
+   *   severity "error") or "error" (the check could not run)
+   */
+  async run(source = {}, options = {}) {
+    const startTime = Date.now();
+    const runId = `qa-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    let siteDir = null;
+    let server = null;
+
+    try {
+      let url = source.url;
+
+      if (!url) {
+        siteDir = fs.mkdtempSync(path.join(this.buildRoot, "frodo-visual-qa-"));
+        const rootDir = await this._prepareSite(siteDir, source);
+        server = await this._serve(rootDir);
+        url = `http://127.0.0.1:${server.address().port}/`;
+      }
+      if (options.path) {
+        url = new URL(options.path.replace(/^\/+/, ""), url).toString();
+      }
+
+      const browser = await this._getBrowser();
+      const screenshotDir = path.join(this.outputDir, runId);
+      fs.mkdirSync(screenshotDir, { recursive: true });
+
+      const viewports = [];
+      for (const viewport of this.viewports) {
+        viewports.push(await this._checkViewport(browser, url, viewport, screenshotDir));
+      }
+
+      const issues = viewports.flatMap((result) => result.issues);
+      const summary = {
+        errors: issues.filter((issue) => issue.severity === "error").length,
+        warnings: issues.filter((issue) => issue.severity === "warning").length,
+      };
+
+      this.logger.info(
+        `Visual QA of ${url}: ${summary.errors} errors, ${summary.warnings} warnings`
+      );
+
+      return {
+        status: summary.errors > 0 ? "failed" : "passed",
+        url,
+        viewports: viewports.map(({ issues: _issues, ...result }) => result),
+        issues,
+        summary,
+        durationMs: Date.now() - startTime,
+      };
+    } catch (error) {
+      this.logger.error("Visual QA could not run:", error.message);
+      return {
+        status: "error",
+        url: source.url || null,
+        viewports: [],
+        issues: [],
+        summary: { errors: 0, warnings: 0 },
+        durationMs: Date.now() - startTime,
+        error: error.message,
+      };
+    } finally {
+      if (server) server.close();
+      if (this.ownsBrowser) {
+        await this.browserInterface.close();
+        this.browserInterface = null;
+        this.ownsBrowser = false;
+      }
+      if (siteDir) fs.rmSync(siteDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Describe a report for the LLM, most severe problems first
+   * @param {Object} report - Report from run()
+   * @returns {string}
+   */
+  static formatReport(report) {
+    if (report.status === "error") {
+      return `Visual QA could not run: ${report.error}`;
+    }
+    if (report.issues.length === 0) {
+      return "Visual QA found no problems.";
+    }
+
+    const sorted = [...report.issues].sort(
+      (a, b) => (a.severity === b.severity ? 0 : a.severity === "error" ? -1 : 1)
+    );
+
+    return [
+      `Visual QA found ${report.summary.errors} errors and ${report.summary.warnings} warnings at ${report.viewports
+        .map((viewport) => `${viewport.name} (${viewport.width}x${viewport.height})`)
+        .join(", ")}:`,
+      ...sorted.map(
+        (issue) =>
+          `- [${issue.severity}] ${issue.viewport}: ${issue.message}${
+            issue.selector ? ` (element: ${issue.selector})` : ""
+          }`
+      ),
+    ].join("\n");
+  }
+
+  /**
+   * Load the page at one viewport and inspect it
+   * @private
+   */
+  async _checkViewport(browser, url, viewport, screenshotDir) {
+    const page = await browser.newPage();
+    const consoleErrors = [];
+    const pageErrors = [];
+    const failedRequests = [];
+
+    page.on("console", (message) => {
+      if (message.type() === "error") consoleErrors.push(message.text());
+    });
+    page.on("pageerror", (error) => pageErrors.push(error.message));
+    page.on("requestfailed", (request) => {
+      failedRequests.push({
+        url: request.url(),
+        reason: request.failure()?.errorText || "failed",
+      });
+    });
+    page.on("response", (response) => {
+      if (response.status() >= 400) {
+        failedRequests.push({ url: response.url(), reason: `HTTP ${response.status()}` });
+      }
+    });
+
+    try {
+      await page.setViewport({
+        width: viewport.width,
+        height: viewport.height,
+        isMobile: !!viewport.isMobile,
+        hasTouch: !!viewport.hasTouch,
+        deviceScaleFactor: viewport.deviceScaleFactor || 1,
+      });
+
+      await page.goto(url, { waitUntil: "networkidle2", timeout: this.navigationTimeout });
+
+      // Scroll through the page so lazy images load, then wait for them
+      await page.evaluate(async () => {
+        const step = Math.max(window.innerHeight, 200);
+        for (let y = 0; y < document.documentElement.scrollHeight; y += step) {
+          window.scrollTo(0, y);
+          await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+        window.scrollTo(0, 0);
+
+        const pending = Array.from(document.images).filter((image) => !image.complete);
+        await Promise.race([
+          Promise.all(
+            pending.map(
+              (image) =>
+                new Promise((resolve) => {
+                  image.addEventListener("load", resolve, { once: true });
+                  image.addEventListener("error", resolve, { once: true });
+                })
+            )
+          ),
+          new Promise((resolve) => setTimeout(resolve, 3000)),
+        ]);
+      });
+
+      const layout = await page.evaluate(inspectLayout, MAX_FINDINGS);
+
+      const screenshot = path.join(screenshotDir, `${viewport.name}.jpg`);
+      await page.screenshot({ path: screenshot, type: "jpeg", quality: 70, fullPage: true });
+
+      const result = {
+        name: viewport.name,
+        width: viewport.width,
+        height: viewport.height,
+        screenshot,
+        consoleErrors: consoleErrors.slice(0, MAX_FINDINGS),
+        pageErrors: pageErrors.slice(0, MAX_FINDINGS),
+        failedRequests: failedRequests.slice(0, MAX_FINDINGS),
+        ...layout,
+      };
+      return { ...result, issues: this._collectIssues(result) };
+    } catch (error) {
+      this.logger.warn(`Visual QA of ${viewport.name} viewport failed:`, error.message);
+      const result = {
+        name: viewport.name,
+        width: viewport.width,
+        height: viewport.height,
+        screenshot: null,
+        consoleErrors,
+        pageErrors,
+        failedRequests,
+        brokenImages: [],
+        overflow: null,
+        offscreenElements: [],
+        error: error.message,
+      };
+      return {
+        ...result,
+        issues: [
+          ...this._collectIssues(result),
+          {
+            viewport: viewport.name,
+            type: "load_failed",
+            severity: "error",
+            message: `The page could not be checked: ${error.message}`,
+          },
+        ],
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Turn the findings of a viewport into issues
+   * @private
+   */
+  _collectIssues(result) {
+    const viewport = result.name;
+    const issues = [];
+
+    for (const message of result.pageErrors) {
+      issues.push({ viewport, type: "page_error", severity: "error", message: `Uncaught error: ${message}` });
+    }
+    for (const message of result.consoleErrors) {
+      issues.push({ viewport, type: "console_error", severity: "error", message: `Console error: ${message}` });
+    }
+    for (const request of result.failedRequests) {
+      issues.push({
+        viewport,
+        type: "request_failed",
+        severity: "warning",
+        message: `Request failed (${request.reason}): ${request.url}`,
+      });
+    }
+    for (const image of result.brokenImages) {
+      issues.push({
+        viewport,
+        type: "broken_image",
+        severity: "error",
+        message: `Image did not load: ${image.src || "(no src)"}${image.alt ? ` (alt "${image.alt}")` : ""}`,
+        selector: image.selector,
+        src: image.src,
+      });
+    }
+    if (result.overflow) {
+      issues.push({
+        viewport,
+        type: "horizontal_overflow",
+        severity: "error",
+        message: `Page is ${result.overflow.scrollWidth}px wide in a ${result.overflow.viewportWidth}px viewport and scrolls horizontally`,
+      });
+    }
+    for (const element of result.offscreenElements) {
+      issues.push({
+        viewport,
+        type: "offscreen_element",
+        severity: "warning",
+        message: `Element extends outside the viewport (left ${element.left}px, right ${element.right}px of ${result.width}px)`,
+        selector: element.selector,
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Write and build the project
+   * @returns {Promise<string>} - Directory holding the built site
+   * @private
+   */
+  async _prepareSite(siteDir, source) {
+    if (!source.files && !source.dir && !source.fileData) {
+      throw new Error("Visual QA needs files, fileData, a directory or a URL");
+    }
+
+    writeProject(siteDir, {
+      files: source.files,
+      fileData: source.fileData,
+      sourceDir: source.dir && path.resolve(source.dir),
+    });
+
+    const build = await buildProject(siteDir, {
+      installTimeout: this.installTimeout,
+      buildTimeout: this.buildTimeout,
+    });
+    if (!build.ok) {
+      throw new Error(`${build.error}: ${build.output.slice(-1000)}`);
+    }
+    return build.outputDir;
+  }
+
+  /**
+   * Serve a directory on a free local port. Paths without an extension fall
+   * back to index.html so client-side routes load.
+   * @private
+   */
+  _serve(rootDir) {
+    const server = http.createServer((request, response) => {
+      let pathname;
+      try {
+        pathname = decodeURIComponent(new URL(request.url, "http://localhost").pathname);
+      } catch (error) {
+        response.writeHead(400).end();
+        return;
+      }
+
+      let filePath = path.join(rootDir, path.normalize(pathname));
+      if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+        response.writeHead(403).end();
+        return;
+      }
+      if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, "index.html");
+      }
+      if (!fs.existsSync(filePath) && !path.extname(pathname)) {
+        filePath = path.join(rootDir, "index.html");
+      }
+      if (!fs.existsSync(filePath)) {
+        response.writeHead(404).end();
+        return;
+      }
+
+      response.writeHead(200, {
+        "Content-Type":
+          CONTENT_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream",
+        "Cache-Control": "no-store",
+      });
+      fs.createReadStream(filePath).pipe(response);
+    });
+
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+  }
+
+  /**
+   * Browser of the BrowserInterface, launched on first use
+   * @private
+   */
+  async _getBrowser() {
+    if (!this.browserInterface) {
+      const BrowserInterface = require("./BrowserInterface");
+      this.browserInterface = new BrowserInterface({
+        logger: this.logger,
+        cookiesEnabled: false,
+      });
+      this.ownsBrowser = true;
+    }
+    await this.browserInterface.initialize();
+    return this.browserInterface.browser;
+  }
+}
+
+/**
+ * Runs in the page: broken images, horizontal overflow and elements that
+ * stick out of the viewport
+ * @param {number} maxFindings - Maximum findings of one kind
+ * @returns {Object} - { brokenImages, overflow, offscreenElements }
+ */
+function inspectLayout(maxFindings) {
+  const viewportWidth = document.documentElement.clientWidth;
+
+  const describe = (element) => {
+    const parts = [];
+    for (let node = element; node && node.nodeType === 1 && parts.length < 4; node = node.parentElement) {
+      let part = node.tagName.toLowerCase();
+      if (node.id) {
+        parts.unshift(`${part}#${node.id}`);
+        break;
+      }
+      const classes = Array.from(node.classList).slice(0, 2);
+      if (classes.length) part += `.${classes.join(".")}`;
+      parts.unshift(part);
+    }
+    return parts.join(" > ");
+  };
+
+  const isVisible = (element) => {
+    const style = getComputedStyle(element);
+    return style.display !== "none" && style.visibility !== "hidden" && Number(style.opacity) !== 0;
+  };
+
+  // An ancestor that clips horizontally keeps its content from overflowing
+  const isClipped = (element) => {
+    for (let node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+      if (["hidden", "clip", "auto", "scroll"].includes(getComputedStyle(node).overflowX)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const brokenImages = Array.from(document.images)
+    .filter((image) => image.complete && image.naturalWidth === 0 && isVisible(image))
+    .slice(0, maxFindings)
+    .map((image) => ({
+      src: image.currentSrc || image.getAttribute("src") || "",
+      alt: image.alt || "",
+      selector: describe(image),
+    }));
+
+  const scrollWidth = document.documentElement.scrollWidth;
+  const overflow = scrollWidth > viewportWidth + 1 ? { scrollWidth, viewportWidth } : null;
+
+  // Report the outermost offending element, not each of its children
+  const offscreenElements = [];
+  const reported = [];
+  for (const element of document.body.querySelectorAll("*")) {
+    if (offscreenElements.length >= maxFindings) break;
+    if (reported.some((parent) => parent.contains(element))) continue;
+
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) continue;
+    if (rect.right <= viewportWidth + 1 && rect.left >= -1) continue;
+    if (!isVisible(element) || isClipped(element)) continue;
+
+    reported.push(element);
+    offscreenElements.push({
+      selector: describe(element),
+      left: Math.round(rect.left),
+      right: Math.round(rect.right),
+      width: Math.round(rect.width),
+    });
+  }
+
+  return { brokenImages, overflow, offscreenElements };
+}
+
+VisualQA.DEFAULT_VIEWPORTS = DEFAULT_VIEWPORTS;
+
+module.exports = VisualQA;
@@ -0,0 +1,290 @@
+/**
+ * WorkspaceProject.js
+ * Turns workspace files (the Sandpack "react" template layout, keyed by
+ * paths like "/App.js") into a standalone Vite project that runs with
+ * `npm install && npm run dev` and builds a static bundle with
+ * `npm run build`.
+ */
+
+// Versions of the packages every generated project needs
+const BASE_DEPENDENCIES = {
+  react: "^18.3.1",
+  "react-dom": "^18.3.1",
+};
+
+const BASE_DEV_DEPENDENCIES = {
+  vite: "^5.4.0",
+  "@vitejs/plugin-react": "^4.3.0",
+};
+
+// Packages of the Sandpack template that the Vite project replaces
+const REPLACED_PACKAGES = ["react-scripts"];
+
+// Entry files the Sandpack bundler looks for, in order
+const ENTRY_CANDIDATES = [
+  "index.js",
+  "index.jsx",
+  "index.tsx",
+  "src/index.js",
+  "src/index.jsx",
+  "src/index.tsx",
+  "src/main.jsx",
+  "src/main.tsx",
+];
+
+// Files the generated project owns; workspace copies are ignored
+const GENERATED_FILES = [
+  "package.json",
+  "package-lock.json",
+  "vite.config.js",
+  "vite.config.mjs",
+  "vite.config.ts",
+];
+
+// Assets that must be written as binary files
+const BINARY_EXTENSION_PATTERN =
+  /\.(png|jpe?g|gif|webp|ico|bmp|avif|woff2?|ttf|otf|eot|mp3|mp4|webm|pdf)$/i;
+
+const VITE_CONFIG = `import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+
+// Generated code uses JSX in .js files, as the Sandpack preview allows
+export default defineConfig({
+  base: "./",
+  plugins: [react({ include: /\\.(js|jsx|ts|tsx)$/ })],
+  esbuild: {
+    loader: "jsx",
+    include: /\\.jsx?$/,
+    exclude: [],
+  },
+  optimizeDeps: {
+    esbuildOptions: {
+      loader: { ".js": "jsx" },
+    },
+  },
+});
+`;
+
+const DEFAULT_INDEX_HTML = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>App</title>
+  </head>
+  <body>
+    <div id="root"></div>
+  </body>
+</html>
+`;
+
+/**
+ * Normalize a workspace path to a project-relative path
+ * @param {string} filePath - Workspace path such as "/App.js"
+ * @returns {string} - Path such as "App.js"
+ */
+function normalizePath(filePath) {
+  return String(filePath).replace(/\\/g, "/").replace(/^(\.\/|\/)+/, "");
+}
+
+/**
+ * Read the code of a workspace file entry ({ code } or a plain string)
+ * @param {Object|string} entry - Workspace file entry
+ * @returns {string} - File contents
+ */
+function fileCode(entry) {
+  if (typeof entry === "string") return entry;
+  return String(entry?.code ?? entry?.content ?? "");
+}
+
+/**
+ * Decode a binary asset stored as a base64 data URI (the workspace stores
+ * images that way); other contents are returned unchanged
+ * @private
+ */
+function decodeDataUri(filePath, code) {
+  const match = /^data:[^;,]*;base64,([A-Za-z0-9+/=\s]*)$/.exec(code);
+  if (!match || !BINARY_EXTENSION_PATTERN.test(filePath)) return code;
+  return Buffer.from(match[1], "base64");
+}
+
+/**
+ * Parse a JSON file, or return null
+ * @private
+ */
+function parseJson(code) {
+  try {
+    return JSON.parse(code);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the package.json of the project
+ * @private
+ */
+function buildPackageJson(name, existing, dependencies) {
+  const merged = {
+    ...BASE_DEPENDENCIES,
+    ...(existing?.dependencies || {}),
+    ...dependencies,
+  };
+  const devDependencies = {
+    ...(existing?.devDependencies || {}),
+    ...BASE_DEV_DEPENDENCIES,
+  };
+
+  for (const pkg of REPLACED_PACKAGES) {
+    delete merged[pkg];
+    delete devDependencies[pkg];
+  }
+
+  // Build tooling belongs in devDependencies
+  for (const pkg of Object.keys(BASE_DEV_DEPENDENCIES)) {
+    delete merged[pkg];
+  }
+
+  return {
+    name,
+    version: "0.1.0",
+    private: true,
+    scripts: {
+      dev: "vite",
+      build: "vite build",
+      preview: "vite preview",
+    },
+    dependencies: merged,
+    devDependencies,
+  };
+}
+
+/**
+ * Build the entry module used when the workspace has none
+ * @private
+ */
+function buildEntry(paths) {
+  const app = ["App.js", "App.jsx", "App.tsx", "src/App.js", "src/App.jsx"].find(
+    (candidate) => paths.has(candidate)
+  );
+  const appImport = app
+    ? `./${app.replace(/\.(js|jsx|tsx)$/, "")}`
+    : null;
+  const styles = ["styles.css", "index.css", "App.css"].filter((candidate) =>
+    paths.has(candidate)
+  );
+
+  return [
+    `import React from "react";`,
+    `import { createRoot } from "react-dom/client";`,
+    ...styles.map((style) => `import "./${style}";`),
+    appImport ? `import App from "${appImport}";` : null,
+    "",
+    `const root = createRoot(document.getElementById("root"));`,
+    appImport
+      ? "root.render(<App />);"
+      : `root.render(<p>This workspace has no App component yet.</p>);`,
+    "",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+/**
+ * Add the entry module script to the page, unless it already loads it
+ * @private
+ */
+function injectEntryScript(html, entry) {
+  const src = `/${entry}`;
+  if (html.includes(`src="${src}"`) || html.includes(`src=".${src}"`)) {
+    return html;
+  }
+
+  const script = `<script type="module" src="${src}"></script>`;
+  return /<\/body>/i.test(html)
+    ? html.replace(/(\s*)<\/body>/i, `\n    ${script}$1</body>`)
+    : `${html}\n${script}\n`;
+}
+
+/**
+ * Create the files of a standalone project from workspace files
+ * @param {Object} fileData - Workspace files keyed by path, values { code }
+ * @param {Object} options - Options
+ * @param {string} options.name - Package name
+ * @param {Object} options.dependencies - Extra npm dependencies
+ * @param {string} options.readme - README.md contents; none is added when omitted
+ * @returns {Array<Object>} - Files as { path, code }; binary assets have a
+ *   Buffer as code
+ */
+function createProjectFiles(fileData = {}, options = {}) {
+  const sources = new Map();
+  for (const [filePath, entry] of Object.entries(fileData || {})) {
+    const normalized = normalizePath(filePath);
+    if (!normalized || normalized.split("/").includes("node_modules")) continue;
+    sources.set(normalized, fileCode(entry));
+  }
+
+  const existingPackage = sources.has("package.json")
+    ? parseJson(sources.get("package.json"))
+    : null;
+
+  for (const generated of GENERATED_FILES) {
+    sources.delete(generated);
+  }
+
+  // Vite serves the page from the project root, not from public/
+  let html = sources.get("index.html") || sources.get("public/index.html");
+  sources.delete("public/index.html");
+
+  let entry = ENTRY_CANDIDATES.find((candidate) => sources.has(candidate));
+  if (!entry) {
+    entry = "index.jsx";
+    sources.set(entry, buildEntry(new Set(sources.keys())));
+  }
+
+  sources.set("index.html", injectEntryScript(html || DEFAULT_INDEX_HTML, entry));
+
+  const packageJson = buildPackageJson(
+    options.name || existingPackage?.name || "frodo-app",
+    existingPackage,
+    options.dependencies || {}
+  );
+
+  const files = [...sources.entries()].map(([filePath, code]) => ({
+    path: filePath,
+    code: decodeDataUri(filePath, code),
+  }));
+
+  files.push(
+    { path: "package.json", code: `${JSON.stringify(packageJson, null, 2)}\n` },
+    { path: "vite.config.mjs", code: VITE_CONFIG }
+  );
+
+  if (options.readme) {
+    files.push({ path: "README.md", code: options.readme });
+  }
+
+  return files;
+}
+
+/**
+ * Turn a workspace name into a valid npm package name
+ * @param {string} name - Workspace or project name
+ * @returns {string} - Package name
+ */
+function toPackageName(name) {
+  const packageName = String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9-_.]+/g, "-")
+    .replace(/^[-_.]+|[-_.]+$/g, "")
+    .slice(0, 60);
+
+  return packageName || "frodo-app";
+}
+
+module.exports = {
+  createProjectFiles,
+  normalizePath,
+  fileCode,
+  toPackageName,
+};
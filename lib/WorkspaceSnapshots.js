@@ -0,0 +1,453 @@
+/**
+ * WorkspaceSnapshots.js
+ * Local git history of the agent's workspace. Snapshots are commits in a
+ * repository kept outside the workspace (`<snapshotsDir>/<key>.git`, with the
+ * workspace as its work tree), so a workspace that is itself a git checkout
+ * is never committed to. Tasks are marked with `task-<taskId>-start` and
+ * `task-<taskId>-end` tags.
+ */
+
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Paths never snapshotted (written to info/exclude); .gitignore files in
+// the workspace apply as well
+const DEFAULT_EXCLUDE = [
+  "node_modules/",
+  ".git/",
+  ".next/",
+  "dist/",
+  "build/",
+  "out/",
+  "coverage/",
+  "deployments/",
+  "agent-memory/",
+  ".env*",
+  "*.pem",
+];
+
+// Maximum length of a diff returned by diff()
+const MAX_DIFF_LENGTH = 200000;
+
+// Separates the fields of `git log` output
+const FIELD_SEPARATOR = "\x1f";
+
+class WorkspaceSnapshots {
+  /**
+   * @param {Object} config - Configuration
+   * @param {string} config.projectRoot - Workspace to snapshot
+   * @param {string} config.snapshotsDir - Directory the snapshot repositories
+   *   are kept in (default AGENT_SNAPSHOTS_DIR or `<tmpdir>/agent-snapshots`)
+   * @param {Array<string>} config.exclude - gitignore patterns left out of
+   *   snapshots
+   * @param {Object} config.author - { name, email } of snapshot commits
+   * @param {number} config.timeout - Timeout of a git command in ms
+   * @param {Object} config.logger - Logger
+   */
+  constructor(config = {}) {
+    this.projectRoot = path.resolve(config.projectRoot || process.cwd());
+    this.snapshotsDir = path.resolve(
+      config.snapshotsDir ||
+        process.env.AGENT_SNAPSHOTS_DIR ||
+        path.join(os.tmpdir(), "agent-snapshots")
+    );
+    this.exclude = config.exclude || DEFAULT_EXCLUDE;
+    this.author = { name: "Frodo Agent", email: "agent@frodo.local", ...config.author };
+    this.timeout = config.timeout || 60 * 1000;
+    this.logger = config.logger || console;
+
+    const key = crypto.createHash("sha1").update(this.projectRoot).digest("hex").slice(0, 12);
+    this.gitDir = path.join(
+      this.snapshotsDir,
+      `${path.basename(this.projectRoot).replace(/[^a-zA-Z0-9._-]/g, "_")}-${key}.git`
+    );
+
+    // Git commands of one repository run one at a time
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Commit the current state of the workspace
+   * @param {string} message - Commit message (first line is the summary)
+   * @param {Object} options - Options
+   * @param {string} options.taskId - Task recorded in the commit
+   * @param {number} options.iteration - Iteration recorded in the commit
+   * @param {boolean} options.allowEmpty - Commit even when nothing changed
+   * @returns {Promise<Object|null>} - The snapshot, or null when nothing changed
+   */
+  snapshot(message, options = {}) {
+    return this._enqueue(() => this._commit(message, options));
+  }
+
+  /**
+   * Tag the start or end of a task. The start tag is kept when a task is
+   * resumed; the end tag moves to the latest end.
+   * @param {string} taskId - Task ID
+   * @param {string} boundary - "start" or "end"
+   * @returns {Promise<Object>} - The tagged snapshot
+   */
+  tagTask(taskId, boundary) {
+    return this._enqueue(async () => {
+      const tag = WorkspaceSnapshots.taskTag(taskId, boundary);
+      if (boundary === "start") {
+        const existing = await this._resolve(tag, { optional: true });
+        if (existing) return this._read(existing);
+      }
+
+      const snapshot =
+        (await this._commit(`${boundary === "start" ? "Start" : "End"} of task ${taskId}`, {
+          taskId,
+          allowEmpty: !(await this._hasHead()),
+        })) || (await this._read("HEAD"));
+
+      await this._git(["tag", "--force", tag, snapshot.id]);
+      this.logger.info(`Tagged ${tag} at ${snapshot.shortId}`);
+      return { ...snapshot, tags: [...new Set([...snapshot.tags, tag])] };
+    });
+  }
+
+  /**
+   * Snapshots, newest first
+   * @param {Object} options - Options
+   * @param {string} options.taskId - Only snapshots of this task
+   * @param {number} options.limit - Maximum number of snapshots
+   * @returns {Promise<Array<Object>>} - [{ id, shortId, message, taskId,
+   *   iteration, timestamp, tags }]
+   */
+  list(options = {}) {
+    return this._enqueue(async () => {
+      if (!(await this._hasHead())) return [];
+
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 1000);
+      const args = [
+        "log",
+        "--decorate=full",
+        "--decorate-refs=refs/tags/",
+        `--format=${WorkspaceSnapshots.LOG_FORMAT}`,
+        "-z",
+      ];
+      if (!options.taskId) args.push(`--max-count=${limit}`);
+
+      const { stdout } = await this._git(args);
+      const snapshots = stdout
+        .split("\0")
+        .filter(Boolean)
+        .map((record) => this._parseRecord(record));
+
+      return (
+        options.taskId
+          ? snapshots.filter((snapshot) => snapshot.taskId === String(options.taskId))
+          : snapshots
+      ).slice(0, limit);
+    });
+  }
+
+  /**
+   * Changes between two snapshots
+   * @param {string} from - Snapshot ID or tag
+   * @param {string} to - Snapshot ID or tag (default: the latest snapshot)
+   * @returns {Promise<Object>} - { from, to, files: [{ path, status, added,
+   *   removed }], diff, truncated }
+   */
+  diff(from, to = "HEAD") {
+    return this._enqueue(async () => {
+      const fromId = await this._resolve(from);
+      const toId = await this._resolve(to);
+
+      const [numstat, nameStatus, patch] = await Promise.all([
+        this._git(["diff", "--numstat", "-z", fromId, toId]),
+        this._git(["diff", "--name-status", "-z", fromId, toId]),
+        this._git(["diff", fromId, toId]),
+      ]);
+
+      const statuses = new Map();
+      const fields = nameStatus.stdout.split("\0");
+      for (let i = 0; i + 1 < fields.length; i += 2) {
+        statuses.set(fields[i + 1], fields[i]);
+      }
+
+      const files = numstat.stdout
+        .split("\0")
+        .filter(Boolean)
+        .map((line) => {
+          const [added, removed, filePath] = line.split("\t");
+          const status = statuses.get(filePath);
+          return {
+            path: filePath,
+            status: status === "A" ? "added" : status === "D" ? "deleted" : "modified",
+            // Binary files have no line counts
+            added: added === "-" ? null : Number(added),
+            removed: removed === "-" ? null : Number(removed),
+          };
+        });
+
+      return {
+        from: fromId,
+        to: toId,
+        files,
+        diff: patch.stdout.slice(0, MAX_DIFF_LENGTH),
+        truncated: patch.stdout.length > MAX_DIFF_LENGTH,
+      };
+    });
+  }
+
+  /**
+   * Put the workspace back to a snapshot. The current state is snapshotted
+   * first, so a restore can itself be undone.
+   * @param {string} ref - Snapshot ID or tag
+   * @param {Object} options - { taskId } recorded in the restore commit
+   * @returns {Promise<Object>} - { restored, backup, snapshot } where backup
+   *   is the snapshot taken before restoring (null when nothing had changed)
+   *   and snapshot is the commit recording the restore
+   */
+  restore(ref, options = {}) {
+    return this._enqueue(async () => {
+      const id = await this._resolve(ref);
+      const restored = await this._read(id);
+
+      const backup = await this._commit(`Before restoring ${restored.shortId}`, {
+        taskId: options.taskId,
+      });
+
+      // No-overlay restore also removes files the snapshot does not have
+      await this._git(["restore", `--source=${id}`, "--staged", "--worktree", "--", ":/"]);
+
+      const snapshot = await this._commit(
+        `Restore snapshot ${restored.shortId}: ${restored.message}`,
+        { taskId: options.taskId, allowEmpty: true }
+      );
+
+      this.logger.info(`Restored ${this.projectRoot} to snapshot ${restored.shortId}`);
+      return { restored, backup, snapshot };
+    });
+  }
+
+  /**
+   * Tag name of a task boundary
+   * @param {string} taskId - Task ID
+   * @param {string} boundary - "start" or "end"
+   * @returns {string}
+   */
+  static taskTag(taskId, boundary) {
+    return `task-${String(taskId).replace(/[^a-zA-Z0-9._-]/g, "_")}-${boundary}`;
+  }
+
+  /**
+   * Create the snapshot repository if it does not exist yet
+   * @private
+   */
+  async _ensureRepo() {
+    if (fs.existsSync(path.join(this.gitDir, "HEAD"))) return;
+
+    fs.mkdirSync(this.snapshotsDir, { recursive: true });
+    await this._git(["init", "--quiet"], { init: true });
+    await this._git(["symbolic-ref", "HEAD", "refs/heads/snapshots"]);
+
+    fs.mkdirSync(path.join(this.gitDir, "info"), { recursive: true });
+    fs.writeFileSync(
+      path.join(this.gitDir, "info", "exclude"),
+      `${this.exclude.join("\n")}\n`
+    );
+    this.logger.info(`Initialized snapshot repository for ${this.projectRoot} at ${this.gitDir}`);
+  }
+
+  /**
+   * Stage everything and commit if anything changed
+   * @private
+   */
+  async _commit(message, options = {}) {
+    await this._ensureRepo();
+    await this._git(["add", "--all", "--", ":/"]);
+
+    const hasHead = await this._hasHead();
+    if (hasHead && !options.allowEmpty) {
+      const { code } = await this._git(["diff", "--cached", "--quiet"], { allowFailure: true });
+      if (code === 0) return null;
+    }
+
+    const trailers = [
+      options.taskId ? `Task: ${options.taskId}` : null,
+      Number.isInteger(options.iteration) ? `Iteration: ${options.iteration}` : null,
+    ].filter(Boolean);
+
+    await this._git(
+      [
+        "commit",
+        "--quiet",
+        "--no-verify",
+        "--allow-empty",
+        "--cleanup=strip",
+        "--file=-",
+      ],
+      {
+        input: [String(message || "Snapshot").trim(), trailers.join("\n")]
+          .filter(Boolean)
+          .join("\n\n"),
+      }
+    );
+
+    return this._read("HEAD");
+  }
+
+  /**
+   * Read one snapshot
+   * @private
+   */
+  async _read(ref) {
+    const { stdout } = await this._git([
+      "log",
+      "-1",
+      "--decorate=full",
+      "--decorate-refs=refs/tags/",
+      `--format=${WorkspaceSnapshots.LOG_FORMAT}`,
+      ref,
+    ]);
+    return this._parseRecord(stdout.trim());
+  }
+
+  /**
+   * Turn a `git log` record into a snapshot
+   * @private
+   */
+  _parseRecord(record) {
+    const [id, shortId, timestamp, refs, message, taskId, iteration] = record
+      .replace(/^\n+/, "")
+      .split(FIELD_SEPARATOR);
+
+    return {
+      id,
+      shortId,
+      message,
+      taskId: (taskId || "").trim() || null,
+      iteration: (iteration || "").trim() ? Number(iteration.trim()) : null,
+      timestamp,
+      tags: (refs || "")
+        .split(", ")
+        .filter((ref) => ref.startsWith("tag: refs/tags/"))
+        .map((ref) => ref.slice("tag: refs/tags/".length)),
+    };
+  }
+
+  /**
+   * Commit ID of a snapshot ID or tag
+   * @private
+   */
+  async _resolve(ref, options = {}) {
+    await this._ensureRepo();
+
+    if (typeof ref !== "string" || !/^[a-zA-Z0-9._-]+$/.test(ref) || ref.startsWith("-")) {
+      if (options.optional) return null;
+      throw new Error(`Invalid snapshot: ${ref}`);
+    }
+
+    const { code, stdout } = await this._git(
+      ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`],
+      { allowFailure: true }
+    );
+    if (code !== 0) {
+      if (options.optional) return null;
+      throw new Error(`Snapshot not found: ${ref}`);
+    }
+    return stdout.trim();
+  }
+
+  /**
+   * Whether the repository has a commit yet
+   * @private
+   */
+  async _hasHead() {
+    await this._ensureRepo();
+    const { code } = await this._git(["rev-parse", "--verify", "--quiet", "HEAD"], {
+      allowFailure: true,
+    });
+    return code === 0;
+  }
+
+  /**
+   * Run an operation after the ones already queued
+   * @private
+   */
+  _enqueue(operation) {
+    const run = this.queue.then(operation);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run git against the snapshot repository
+   * @private
+   */
+  _git(args, options = {}) {
+    const env = {
+      ...process.env,
+      GIT_DIR: this.gitDir,
+      GIT_WORK_TREE: this.projectRoot,
+      GIT_AUTHOR_NAME: this.author.name,
+      GIT_AUTHOR_EMAIL: this.author.email,
+      GIT_COMMITTER_NAME: this.author.name,
+      GIT_COMMITTER_EMAIL: this.author.email,
+      GIT_TERMINAL_PROMPT: "0",
+    };
+    // Settings of the user or the workspace must not change snapshots
+    const configArgs = [
+      "-c", "core.autocrlf=false",
+      "-c", "core.quotePath=false",
+      "-c", "commit.gpgSign=false",
+      "-c", "tag.gpgSign=false",
+      "-c", "core.hooksPath=/dev/null",
+    ];
+
+    return new Promise((resolve, reject) => {
+      let stdout = "";
+      let stderr = "";
+      let timedOut = false;
+
+      const child = spawn("git", [...configArgs, ...args], {
+        cwd: options.init ? this.snapshotsDir : this.projectRoot,
+        env,
+        windowsHide: true,
+      });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill();
+      }, this.timeout);
+
+      child.stdout.on("data", (data) => (stdout += data.toString()));
+      child.stderr.on("data", (data) => (stderr += data.toString()));
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to run git: ${error.message}`));
+      });
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        if (timedOut) {
+          reject(new Error(`git ${args[0]} timed out`));
+        } else if (code !== 0 && !options.allowFailure) {
+          reject(new Error(`git ${args[0]} failed: ${stderr.trim() || `exit code ${code}`}`));
+        } else {
+          resolve({ code, stdout, stderr });
+        }
+      });
+
+      if (options.input !== undefined) child.stdin.end(options.input);
+      else child.stdin.end();
+    });
+  }
+}
+
+// ID, short ID, date, tags, subject, Task and Iteration trailers
+WorkspaceSnapshots.LOG_FORMAT = [
+  "%H",
+  "%h",
+  "%aI",
+  "%D",
+  "%s",
+  "%(trailers:key=Task,valueonly,separator=%x2C)",
+  "%(trailers:key=Iteration,valueonly,separator=%x2C)",
+].join("%x1f");
+
+module.exports = WorkspaceSnapshots;
@@ -0,0 +1,170 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const AgentMemory = require("../AgentMemory");
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+test("gc removes entries past the age and per-type limits", async () => {
+  const memory = new AgentMemory({ retention: { gcEvery: 0 } });
+
+  memory.storeArtifact({ id: "old", type: "note", timestamp: daysAgo(10) });
+  memory.storeArtifact({ id: "older", type: "note", timestamp: daysAgo(20) });
+  memory.storeArtifact({ id: "new", type: "note" });
+  memory.storeResearchResults({ id: "stale", timestamp: daysAgo(40) });
+  memory.storeResearchResults({ id: "fresh" });
+  memory.storeReflection({ taskId: "t1", insight: "a" });
+  memory.storeFinalReflection("t1", { summary: "done" });
+
+  const report = await memory.gc({
+    maxAgeDays: { research: 30 },
+    maxPerType: { artifacts: 2, reflections: 0 },
+  });
+
+  assert.deepStrictEqual([...memory.artifacts.keys()].sort(), ["new", "old"]);
+  assert.deepStrictEqual([...memory.research.keys()], ["fresh"]);
+  // Final reflections are always kept
+  assert.deepStrictEqual(
+    memory.reflections.map((reflection) => reflection.id),
+    ["final-reflection-t1"]
+  );
+  assert.deepStrictEqual(report.removed, {
+    reflections: 1,
+    research: 1,
+    artifacts: 1,
+    plans: 0,
+  });
+});
+
+test("gc archives old actions per task and deletes their files", async () => {
+  const memoryPath = fs.mkdtempSync(path.join(os.tmpdir(), "agent-memory-"));
+
+  try {
+    const memory = new AgentMemory({
+      persistToDisk: true,
+      memoryPath,
+      retention: { gcEvery: 0 },
+    });
+
+    for (const taskId of ["t1", "t1", "t1", "t2"]) {
+      memory.storeResult(
+        { taskId, type: "file_operation", description: `Write for ${taskId}` },
+        { status: taskId === "t2" ? "failed" : "completed", error: "Disk full" }
+      );
+    }
+    // The first action of t1 is the oldest
+    memory.actions[0].timestamp = daysAgo(1);
+    const oldest = memory.actions[0];
+
+    const report = await memory.gc({ maxAgeDays: null, maxPerTask: { actions: 2 } });
+
+    assert.deepStrictEqual(report.archivedTasks, ["t1"]);
+    assert.deepStrictEqual(report.archived, { actions: 1, results: 1 });
+    assert.ok(report.bytesReclaimed > 0);
+    assert.strictEqual(memory.actions.length, 3);
+    assert.ok(!memory.actions.includes(oldest));
+    assert.ok(!fs.existsSync(path.join(memoryPath, "actions", `${oldest.id}.json`)));
+
+    const archive = JSON.parse(
+      fs.readFileSync(path.join(memoryPath, "archive", "t1.json"), "utf8")
+    );
+    assert.strictEqual(archive.actionCount, 1);
+    assert.strictEqual(archive.failedCount, 0);
+    assert.deepStrictEqual(
+      archive.entries.map((entry) => [entry.actionId, entry.status]),
+      [[oldest.id, "completed"]]
+    );
+    assert.ok(!fs.existsSync(path.join(memoryPath, "archive", "t2.json")));
+  } finally {
+    fs.rmSync(memoryPath, { recursive: true, force: true });
+  }
+});
+
+test("storing gcEvery results starts one gc run after the last", async () => {
+  const memory = new AgentMemory({
+    retention: { gcEvery: 3, maxAgeDays: null, maxPerType: { actions: 1 } },
+  });
+
+  let runs = 0;
+  const collect = memory._collect.bind(memory);
+  memory._collect = async (policy) => {
+    runs++;
+    return collect(policy);
+  };
+
+  memory.storeResult({ type: "research" }, { status: "completed" });
+  memory.storeResult({ type: "research" }, { status: "completed" });
+  await memory.pendingGc;
+  assert.strictEqual(runs, 0);
+  assert.strictEqual(memory.actions.length, 2);
+
+  memory.storeResult({ type: "research" }, { status: "completed" });
+  // A manual run queues behind the automatic one
+  const manual = memory.gc();
+  assert.strictEqual(runs, 0, "runs start after the storing call returns");
+
+  const report = await manual;
+  assert.strictEqual(runs, 2);
+  assert.strictEqual(memory.actions.length, 1);
+  assert.strictEqual(memory.resultsSinceGc, 0);
+  // The automatic run already archived the extra actions
+  assert.deepStrictEqual(report.archived, { actions: 0, results: 0 });
+});
+
+test("loadPlan quarantines corrupt plan files instead of loading them", () => {
+  const memoryPath = fs.mkdtempSync(path.join(os.tmpdir(), "agent-memory-"));
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    const memory = new AgentMemory({ persistToDisk: true, memoryPath, load: false });
+    const plansDir = path.join(memoryPath, "plans");
+    const writePlan = (id, content) =>
+      fs.writeFileSync(path.join(plansDir, `${id}.json`), content, "utf8");
+
+    writePlan("plan-ok", JSON.stringify({ id: "plan-ok", steps: [{ id: "a" }] }));
+    writePlan("plan-truncated", '{"id": "plan-truncated", "steps": [');
+    writePlan("plan-no-steps", JSON.stringify({ id: "plan-no-steps" }));
+    writePlan(
+      "plan-cycle",
+      JSON.stringify({
+        id: "plan-cycle",
+        steps: [
+          { id: "a", dependencies: ["b"] },
+          { id: "b", dependencies: ["a"] },
+        ],
+      })
+    );
+
+    const plan = memory.loadPlan("plan-ok");
+    assert.strictEqual(plan.steps[0].id, "a");
+    assert.strictEqual(memory.getPlan("plan-ok"), plan);
+    assert.strictEqual(memory.loadPlan("plan-missing"), null);
+
+    for (const id of ["plan-truncated", "plan-no-steps", "plan-cycle"]) {
+      assert.strictEqual(memory.loadPlan(id), null, id);
+      assert.ok(!fs.existsSync(path.join(plansDir, `${id}.json`)), id);
+      assert.ok(
+        fs.existsSync(path.join(memoryPath, "quarantine", "plans", `${id}.json`)),
+        id
+      );
+    }
+
+    const reason = fs.readFileSync(
+      path.join(memoryPath, "quarantine", "plans", "plan-cycle.json.reason.txt"),
+      "utf8"
+    );
+    assert.match(reason, /dependency cycle: a -> b -> a/);
+
+    // A full load no longer sees the quarantined files
+    const report = memory.load();
+    assert.strictEqual(report.loaded.plans, 0);
+    assert.deepStrictEqual(report.quarantined, []);
+  } finally {
+    console.warn = warn;
+    fs.rmSync(memoryPath, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,108 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CommandSandbox = require("../CommandSandbox");
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+test("node can use fetch (WebAssembly) under the default policy limits", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sandbox-test-"));
+  try {
+    const sandbox = new CommandSandbox({ projectRoot: dir, logger });
+    const result = await sandbox.run(
+      `node -e "fetch('http://127.0.0.1:1').then(() => console.log('fetched'), () => console.log('fetched'))"`,
+      { taskId: "fetch" }
+    );
+    sandbox.release("fetch");
+
+    assert.strictEqual(result.stderr, "");
+    assert.strictEqual(result.code, 0);
+    assert.strictEqual(result.stdout.trim(), "fetched");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("seed directories are copied and collected files come back", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sandbox-test-"));
+  try {
+    fs.mkdirSync(path.join(dir, "node_modules", "pkg"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "node_modules", "pkg", "index.js"), "original");
+
+    const sandbox = new CommandSandbox({ projectRoot: dir, logger });
+    const result = await sandbox.run(
+      "echo changed > node_modules/pkg/index.js && echo report > report.json && echo other > other.txt",
+      { taskId: "collect", collect: ["report.json"] }
+    );
+    sandbox.release("collect");
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(
+      fs.readFileSync(path.join(dir, "node_modules", "pkg", "index.js"), "utf8"),
+      "original"
+    );
+    assert.strictEqual(fs.readFileSync(path.join(dir, "report.json"), "utf8"), "report\n");
+    assert.strictEqual(fs.existsSync(path.join(dir, "other.txt")), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("network is only granted to commands that run on their own", () => {
+  const sandbox = new CommandSandbox({ projectRoot: os.tmpdir(), logger });
+
+  assert.strictEqual(sandbox.check("npm view react version").network, true);
+  assert.strictEqual(sandbox.check("ls | wc -l").network, false);
+  assert.throws(
+    () => sandbox.check(`node -e "console.log(1)" ; npm view react`),
+    CommandSandbox.CommandDeniedError
+  );
+  assert.throws(
+    () => sandbox.check("npm install && npm test"),
+    /network access must run on their own/
+  );
+});
+
+test("path arguments outside the working directory are denied", () => {
+  const sandbox = new CommandSandbox({ projectRoot: os.tmpdir(), logger });
+
+  for (const command of [
+    "rm -rf /root/tree/lib",
+    "cat ../../../etc/passwd",
+    "npm --prefix=/ install",
+    "ls ~/.ssh",
+    "grep -f/etc/passwd x",
+    "cd ..",
+  ]) {
+    assert.throws(
+      () => sandbox.check(command),
+      /outside the working directory/,
+      command
+    );
+  }
+
+  for (const command of ["rm -rf lib", "cat src/index.js > /dev/null", "npm run build -- --mode=production"]) {
+    assert.doesNotThrow(() => sandbox.check(command), command);
+  }
+});
+
+test("credentials are left out of working copies", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sandbox-test-"));
+  try {
+    fs.writeFileSync(path.join(dir, ".env"), "SECRET=1");
+    fs.writeFileSync(path.join(dir, ".env.local"), "SECRET=1");
+    fs.writeFileSync(path.join(dir, "server.pem"), "key");
+    fs.writeFileSync(path.join(dir, "index.js"), "code");
+
+    const sandbox = new CommandSandbox({ projectRoot: dir, logger });
+    const { workDir } = sandbox.prepare("env");
+
+    assert.deepStrictEqual(fs.readdirSync(workDir).sort(), ["index.js"]);
+    sandbox.release("env");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
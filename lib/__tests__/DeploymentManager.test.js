@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DeploymentManager = require("../DeploymentManager");
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+/**
+ * Write files under a directory, creating parent directories
+ */
+function writeFiles(root, files) {
+  for (const [filePath, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(root, filePath), content, "utf8");
+  }
+}
+
+test("preview files resolve inside their deployment only", () => {
+  const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+
+  try {
+    writeFiles(deploymentsDir, {
+      "ws1/ws1-v1/index.html": "<html><head></head></html>",
+      "ws1/ws1-v1/assets/app.js": "console.log('app')",
+      "ws1/history.json": JSON.stringify({ activeDeploymentId: "ws1-v1" }),
+      "ws2/ws2-v1/secret.js": "secret",
+      "secret.txt": "secret",
+    });
+
+    // A relative directory works the same as an absolute one
+    const manager = new DeploymentManager({
+      deploymentsDir: path.relative(process.cwd(), deploymentsDir),
+      logger,
+    });
+    const root = path.join(deploymentsDir, "ws1", "ws1-v1");
+    const resolve = (id, filePath) => {
+      const resolved = manager.resolveFile(id, filePath);
+      return resolved && path.relative(root, resolved.filePath);
+    };
+
+    assert.strictEqual(resolve("ws1-v1", "assets/app.js"), path.join("assets", "app.js"));
+    assert.strictEqual(resolve("ws1-v1", "/assets/app.js"), path.join("assets", "app.js"));
+    // The workspace ID serves its active deployment
+    assert.strictEqual(resolve("ws1", "assets/app.js"), path.join("assets", "app.js"));
+    // Client-side routes fall back to index.html, missing assets do not
+    assert.strictEqual(resolve("ws1-v1", ""), "index.html");
+    assert.strictEqual(resolve("ws1-v1", "dashboard/settings"), "index.html");
+    assert.strictEqual(resolve("ws1-v1", "assets/missing.js"), null);
+
+    for (const filePath of [
+      "../../secret.txt",
+      "../../ws2/ws2-v1/secret.js",
+      "assets/../../../secret.txt",
+      "..\\..\\secret.txt",
+      "./../ws1-v1/../../ws2/ws2-v1/secret.js",
+    ]) {
+      assert.strictEqual(manager.resolveFile("ws1-v1", filePath), null, filePath);
+    }
+
+    // Traversal without an extension is rejected, not served the index
+    assert.strictEqual(resolve("ws1-v1", "../../ws2"), null);
+
+    // Deployment IDs must name a deployment directory
+    assert.strictEqual(manager.resolveFile("ws2", "secret.js"), null);
+    assert.strictEqual(manager.resolveFile("../ws2-v1", "secret.js"), null);
+    assert.strictEqual(manager.resolveFile("ws9-v1", "index.html"), null);
+  } finally {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  }
+});
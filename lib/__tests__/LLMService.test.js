@@ -0,0 +1,198 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const LLMService = require("../LLMService");
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+const messages = [{ role: "user", content: "List the files" }];
+const tools = [
+  {
+    name: "list_files",
+    description: "List workspace files",
+    input_schema: { type: "object", properties: {} },
+  },
+];
+
+/**
+ * Start a fake OpenAI-compatible provider for the custom provider to record
+ * from: /complete answers completions and /chat answers with a tool call
+ */
+async function startProvider() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ url: req.url, body: JSON.parse(body) });
+      res.setHeader("Content-Type", "application/json");
+
+      if (req.url === "/complete") {
+        res.end(
+          JSON.stringify({
+            choices: [{ text: "A recorded completion that is longer than one chunk. ".repeat(3) }],
+            usage: { prompt_tokens: 12, completion_tokens: 30 },
+          })
+        );
+      } else {
+        res.end(
+          JSON.stringify({
+            choices: [
+              {
+                message: {
+                  content: "Listing them.",
+                  tool_calls: [
+                    {
+                      id: "call_1",
+                      type: "function",
+                      function: { name: "list_files", arguments: "{}" },
+                    },
+                  ],
+                },
+                finish_reason: "tool_calls",
+              },
+            ],
+            usage: { prompt_tokens: 40, completion_tokens: 8 },
+          })
+        );
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const endpoint = `http://127.0.0.1:${server.address().port}`;
+  return { server, requests, endpoint };
+}
+
+async function collect(deltas) {
+  let text = "";
+  let done = null;
+  for await (const delta of deltas) {
+    if (delta.type === "text") text += delta.text;
+    if (delta.type === "done") done = delta;
+  }
+  return { text, done };
+}
+
+test("a recorded session replays through chat and stream", async () => {
+  const fixturesPath = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+  const provider = await startProvider();
+
+  try {
+    // Record the session from the fake provider
+    const recorder = new LLMService({
+      provider: "replay",
+      fixturesPath,
+      strict: false,
+      logger,
+      recordFrom: {
+        provider: "custom",
+        apiEndpoint: `${provider.endpoint}/complete`,
+        chatEndpoint: `${provider.endpoint}/chat`,
+      },
+    });
+    const recordedChat = await recorder.chat(messages, { tools });
+    const recordedStream = await collect(recorder.stream("Describe the project"));
+    assert.strictEqual(provider.requests.length, 2);
+
+    provider.server.close();
+
+    // Replay it strictly, without the provider
+    const usages = [];
+    const replay = new LLMService({
+      provider: "replay",
+      fixturesPath,
+      logger,
+      onUsage: (usage) => usages.push(usage),
+    });
+
+    const chat = await replay.chat(messages, { tools });
+    assert.deepStrictEqual(chat.content, recordedChat.content);
+    assert.strictEqual(chat.stopReason, "tool_use");
+    assert.strictEqual(chat.text, "Listing them.");
+    assert.deepStrictEqual(
+      chat.toolCalls.map((call) => [call.name, call.input]),
+      [["list_files", {}]]
+    );
+
+    const streamed = await collect(replay.stream("Describe   the project"));
+    assert.strictEqual(streamed.text, recordedStream.text);
+    assert.ok(streamed.text.length > 64, "the fixture is streamed in chunks");
+    assert.strictEqual(streamed.done.stopReason, "end_turn");
+
+    assert.deepStrictEqual(
+      usages.map((usage) => [usage.inputTokens, usage.outputTokens]),
+      [
+        [40, 8],
+        [12, 30],
+      ]
+    );
+  } finally {
+    provider.server.close();
+    fs.rmSync(fixturesPath, { recursive: true, force: true });
+  }
+});
+
+test("strict replay fails on prompts that were never recorded", async () => {
+  const fixturesPath = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+
+  try {
+    const replay = new LLMService({
+      provider: "replay",
+      fixturesPath,
+      logger,
+      // Ignored in strict mode: misses are never recorded
+      recordFrom: { provider: "custom", apiEndpoint: "http://127.0.0.1:1" },
+    });
+
+    await assert.rejects(
+      replay.chat(messages, { tools }),
+      /Replay fixture not found for chat prompt \w+ .*\(strict mode\)/
+    );
+    await assert.rejects(
+      collect(replay.stream("An unrecorded prompt")),
+      /Replay fixture not found for complete prompt \w+ .*\(strict mode\)/
+    );
+    assert.deepStrictEqual(fs.readdirSync(fixturesPath), []);
+  } finally {
+    fs.rmSync(fixturesPath, { recursive: true, force: true });
+  }
+});
+
+test("an aborted Anthropic stream reports the output streamed so far", async () => {
+  // The stream stays open without a message_delta, as when the client stops
+  const server = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "text/event-stream");
+    const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+    send({ type: "message_start", message: { usage: { input_tokens: 20, output_tokens: 1 } } });
+    send({ type: "content_block_delta", delta: { type: "text_delta", text: "x".repeat(40) } });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const usages = [];
+    const service = new LLMService({
+      provider: "anthropic",
+      apiKey: "test",
+      apiEndpoint: `http://127.0.0.1:${server.address().port}`,
+      logger,
+      onUsage: (usage) => usages.push(usage),
+    });
+
+    for await (const delta of service.stream("Describe the project")) {
+      if (delta.type === "text") break;
+    }
+
+    assert.deepStrictEqual(
+      usages.map((usage) => [usage.inputTokens, usage.outputTokens]),
+      [[20, 10]]
+    );
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
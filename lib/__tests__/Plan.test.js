@@ -0,0 +1,113 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const Plan = require("../Plan");
+
+const { STEP_STATUS } = Plan;
+
+function buildPlan() {
+  return new Plan({
+    id: "plan-1",
+    taskId: "task-1",
+    steps: [
+      { id: "setup", title: "Set up" },
+      { id: "build", title: "Build", dependencies: ["setup"] },
+      { id: "docs", title: "Docs", dependencies: ["setup"] },
+    ],
+  });
+}
+
+test("steps move through the allowed transitions only", () => {
+  const plan = buildPlan();
+
+  assert.throws(() => plan.completeStep("setup"), /Invalid transition for step setup: pending -> completed/);
+  assert.throws(() => plan.startStep("build"), /Cannot start step build: dependencies are not resolved/);
+  assert.throws(() => plan.transitionStep("setup", "done"), /Unknown step status: done/);
+  assert.throws(() => plan.startStep("missing"));
+
+  plan.startStep("setup");
+  assert.deepStrictEqual(plan.getExecutableSteps().map((step) => step.id), []);
+  plan.completeStep("setup", { ok: true });
+  assert.strictEqual(plan.getStepById("setup").result.ok, true);
+  assert.ok(plan.getStepById("setup").completedAt);
+  assert.throws(() => plan.resetStep("setup"), /completed -> pending/);
+
+  plan.startStep("build");
+  plan.failStep("build", "Build failed");
+  assert.strictEqual(plan.getStepById("build").error, "Build failed");
+  plan.resetStep("build", "Retry");
+  assert.strictEqual(plan.getStepById("build").startedAt, null);
+  plan.startStep("build");
+  plan.completeStep("build");
+
+  plan.blockStep("docs", "Waiting on review");
+  assert.strictEqual(plan.status, "active");
+  plan.skipStep("docs", "Not needed");
+
+  assert.ok(plan.isComplete());
+  assert.strictEqual(plan.status, "completed");
+  assert.strictEqual(plan.getProgressPercentage(), 100);
+
+  // A reopened step reopens the plan
+  plan.resetStep("docs");
+  assert.strictEqual(plan.status, "active");
+
+  assert.deepStrictEqual(
+    plan.revisions
+      .filter((revision) => revision.stepId === "build")
+      .map((revision) => `${revision.from}->${revision.to}`),
+    [
+      "pending->in_progress",
+      "in_progress->failed",
+      "failed->pending",
+      "pending->in_progress",
+      "in_progress->completed",
+    ]
+  );
+});
+
+test("dependency cycles are rejected and leave the plan unchanged", () => {
+  assert.throws(
+    () =>
+      new Plan({
+        id: "plan-cycle",
+        steps: [
+          { id: "a", dependencies: ["c"] },
+          { id: "b", dependencies: ["a"] },
+          { id: "c", dependencies: ["b"] },
+        ],
+      }),
+    /Plan plan-cycle has a dependency cycle: a -> c -> b -> a/
+  );
+  assert.throws(
+    () => new Plan({ id: "plan-self", steps: [{ id: "a", dependencies: ["a"] }] }),
+    /dependency cycle: a -> a/
+  );
+
+  const plan = buildPlan();
+  const revisions = plan.revisions.length;
+
+  plan.addStep({ id: "lint", dependencies: ["build"] });
+  assert.throws(
+    () => plan.updateStep("setup", { dependencies: ["lint"] }),
+    /Updating step setup would create a dependency cycle: setup -> lint -> build -> setup/
+  );
+  assert.deepStrictEqual(plan.getStepById("setup").dependencies, []);
+
+  assert.throws(
+    () => plan.addStep({ id: "setup-again", dependencies: ["setup-again"] }),
+    /Adding step setup-again would create a dependency cycle/
+  );
+  assert.strictEqual(plan.getStepById("setup-again"), null);
+  assert.strictEqual(plan.revisions.length, revisions + 1, "only the lint step was recorded");
+
+  // Unknown dependencies are reported rather than treated as cycles
+  plan.addStep({ id: "deploy", dependencies: ["release"] });
+  assert.deepStrictEqual(plan.getMissingDependencies(), [
+    { stepId: "deploy", dependencyId: "release" },
+  ]);
+
+  const restored = Plan.fromJSON(JSON.stringify(plan));
+  assert.deepStrictEqual(restored.toJSON(), plan.toJSON());
+  assert.strictEqual(restored.findDependencyCycle(), null);
+});
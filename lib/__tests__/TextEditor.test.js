@@ -0,0 +1,123 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const EditJournal = require("../EditJournal");
+const FileSystem = require("../FileSystem");
+const TextEditor = require("../TextEditor");
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+test("edits are journaled and can be undone or rolled back per task", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "text-editor-"));
+  const projectDir = path.join(root, "project");
+  const journalDir = path.join(root, "journal");
+
+  try {
+    fs.mkdirSync(projectDir);
+    fs.writeFileSync(path.join(projectDir, "app.js"), "a\nb\nc\n");
+
+    const journal = new EditJournal({ journalDir, logger });
+    const editor = new TextEditor({
+      fileSystem: new FileSystem({ baseDir: projectDir, logger }),
+      journal,
+      logger,
+    });
+    const read = (file) => fs.readFileSync(path.join(projectDir, file), "utf8");
+    const first = { taskId: "task-1", iteration: 1 };
+    const second = { taskId: "task-1", iteration: 2 };
+
+    await editor.execute({ command: "str_replace", path: "app.js", old_str: "b", new_str: "B" }, first);
+    await editor.execute({ command: "create", path: "src/new.js", file_text: "new\n" }, first);
+    await editor.execute({ command: "insert", path: "app.js", insert_line: 0, new_str: "// header" }, second);
+    assert.strictEqual(read("app.js"), "// header\na\nB\nc\n");
+
+    // A failed edit changes nothing and is not journaled
+    await assert.rejects(
+      editor.execute({ command: "create", path: "app.js", file_text: "" }, second),
+      /File already exists/
+    );
+    assert.strictEqual(journal.getEntries("task-1").length, 3);
+
+    // Undo walks back through the file's edits, one per call
+    await editor.execute({ command: "undo_edit", path: "app.js" }, second);
+    assert.strictEqual(read("app.js"), "a\nB\nc\n");
+    await editor.execute({ command: "str_replace", path: "app.js", old_str: "c", new_str: "C" }, second);
+    await editor.execute({ command: "undo_edit", path: "app.js" }, second);
+    await editor.execute({ command: "undo_edit", path: "app.js" }, second);
+    assert.strictEqual(read("app.js"), "a\nb\nc\n");
+    await assert.rejects(
+      editor.execute({ command: "undo_edit", path: "app.js" }, second),
+      /No edit history found for app.js/
+    );
+
+    await editor.execute({ command: "str_replace", path: "app.js", old_str: "a", new_str: "A" }, second);
+
+    // Only net changes per iteration are shown
+    assert.deepStrictEqual(
+      journal.getIterationDiffs("task-1").map(({ iteration, files }) => [
+        iteration,
+        files.map((file) => `${file.status} ${file.path}`),
+      ]),
+      [
+        [1, ["modified app.js", "added src/new.js"]],
+        [2, ["modified app.js"]],
+      ]
+    );
+
+    const result = await editor.rollback("task-1");
+    assert.deepStrictEqual(result, { restored: ["app.js", "src/new.js"], failed: [] });
+    assert.strictEqual(read("app.js"), "a\nb\nc\n");
+    assert.ok(!fs.existsSync(path.join(projectDir, "src", "new.js")));
+    assert.deepStrictEqual(journal.getRollbackPlan("task-1"), []);
+
+    // Nothing before a rollback can be undone
+    await assert.rejects(
+      editor.execute({ command: "undo_edit", path: "src/new.js" }, second),
+      /No edit history found/
+    );
+
+    // The journal is read back from disk
+    const reloaded = new EditJournal({ journalDir, logger });
+    assert.deepStrictEqual(reloaded.getEntries("task-1"), journal.getEntries("task-1"));
+    assert.deepStrictEqual(
+      reloaded.getEntries("task-1").slice(-2).map((entry) => [entry.command, entry.path, entry.after]),
+      [
+        ["rollback", "app.js", "a\nb\nc\n"],
+        ["rollback", "src/new.js", null],
+      ]
+    );
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("str_replace only replaces a single exact match", async () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "text-editor-"));
+
+  try {
+    fs.writeFileSync(path.join(projectDir, "app.js"), "x = 1;\nx = 1;\n");
+    const journal = new EditJournal({ logger });
+    const editor = new TextEditor({
+      fileSystem: new FileSystem({ baseDir: projectDir, logger }),
+      journal,
+      logger,
+    });
+    const context = { taskId: "task-2", iteration: 1 };
+
+    await assert.rejects(
+      editor.execute({ command: "str_replace", path: "app.js", old_str: "x = 1;", new_str: "x = 2;" }, context),
+      /Multiple occurrences of old_str in lines 1, 2 of app.js/
+    );
+    await assert.rejects(
+      editor.execute({ command: "str_replace", path: "app.js", old_str: "y = 1;", new_str: "" }, context),
+      /old_str did not appear verbatim in app.js/
+    );
+    assert.strictEqual(fs.readFileSync(path.join(projectDir, "app.js"), "utf8"), "x = 1;\nx = 1;\n");
+    assert.deepStrictEqual(journal.getEntries("task-2"), []);
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert";
+
+import { applyPatches, applyUnifiedDiff } from "../codePatches.js";
+
+test("applies a newline-terminated unified diff", () => {
+  const diff = "@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n";
+
+  assert.strictEqual(applyUnifiedDiff("a\nb\nc\n", diff), "a\nB\nc\n");
+});
+
+test("keeps blank context lines inside a hunk", () => {
+  const diff = "--- a/file.js\n+++ b/file.js\n@@ -1,4 +1,4 @@\n a\n\n-b\n+B\n c\n";
+
+  assert.strictEqual(applyUnifiedDiff("a\n\nb\nc", diff), "a\n\nB\nc");
+});
+
+test("applies diff patches to workspace files", () => {
+  const { files, errors } = applyPatches(
+    { "/src/App.js": { code: "a\nb\nc\n" } },
+    [{ path: "src/App.js", type: "diff", diff: "@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n" }]
+  );
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(files["/src/App.js"].code, "a\nB\nc\n");
+});
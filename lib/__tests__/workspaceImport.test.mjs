@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert";
+
+import { filesFromZip } from "../workspaceImport.js";
+import { createZipStream } from "../zip.js";
+
+async function zip(files) {
+  return Buffer.from(await new Response(createZipStream(files)).arrayBuffer());
+}
+
+test("hidden files, ignored directories and binaries are left out of imports", async () => {
+  const archive = await zip([
+    { path: "my-app/package.json", code: "{}" },
+    { path: "my-app/src/index.js", code: "console.log('hi')" },
+    { path: "my-app/.env", code: "SECRET=1" },
+    { path: "my-app/.ssh/id_rsa", code: "key" },
+    { path: "my-app/src/.cache.json", code: "{}" },
+    { path: "my-app/node_modules/react/index.js", code: "" },
+    { path: "my-app/__MACOSX/src/._index.js", code: "" },
+    { path: "my-app/package-lock.json", code: "{}" },
+    { path: "my-app/logo.png", code: Buffer.from([0x89, 0x50]) },
+    { path: "my-app/src/data.txt", code: Buffer.from([0x61, 0x00, 0x62]) },
+  ]);
+
+  const { fileData, skipped } = filesFromZip(archive);
+
+  // The wrapping directory is stripped
+  assert.deepStrictEqual(Object.keys(fileData), ["/package.json", "/src/index.js"]);
+  assert.strictEqual(fileData["/src/index.js"].code, "console.log('hi')");
+  assert.deepStrictEqual(
+    Object.fromEntries(skipped.map(({ path, reason }) => [path, reason])),
+    {
+      ".env": "hidden",
+      ".ssh/id_rsa": "hidden",
+      "src/.cache.json": "hidden",
+      "node_modules/react/index.js": "ignored directory",
+      "__MACOSX/src/._index.js": "ignored directory",
+      "package-lock.json": "ignored file",
+      "logo.png": "binary",
+      "src/data.txt": "binary",
+    }
+  );
+});
+
+test("imports stop at the file, size and total limits", async () => {
+  const archive = await zip([
+    { path: "a.js", code: "a".repeat(10) },
+    { path: "big.js", code: "b".repeat(100) },
+    { path: "c.js", code: "c".repeat(30) },
+    { path: "d.js", code: "d".repeat(30) },
+    { path: "e.js", code: "e".repeat(5) },
+    { path: "f.js", code: "f" },
+  ]);
+
+  const { fileData, skipped } = filesFromZip(archive, {
+    maxFileSize: 50,
+    maxTotalSize: 60,
+    maxFiles: 3,
+  });
+
+  assert.deepStrictEqual(Object.keys(fileData), ["/a.js", "/c.js", "/e.js"]);
+  assert.deepStrictEqual(skipped, [
+    { path: "big.js", reason: "too large" },
+    { path: "d.js", reason: "size limit reached" },
+    { path: "f.js", reason: "file limit reached" },
+  ]);
+});
+
+test("entries that inflate past their declared size are rejected", async () => {
+  const archive = await zip([{ path: "bomb.js", code: "x".repeat(100000) }]);
+
+  // Declare a small uncompressed size in the central directory
+  const central = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  archive.writeUInt32LE(100, central + 24);
+
+  assert.throws(() => filesFromZip(archive), RangeError);
+});
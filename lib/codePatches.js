@@ -0,0 +1,267 @@
+/**
+ * Apply model-written edits to workspace files. Edits are per file, either
+ * search/replace blocks or unified diffs, plus whole-file creates and deletes:
+ *
+ *   { path, type: "replace", edits: [{ search, replace }] }
+ *   { path, type: "diff", diff: "@@ -1,3 +1,3 @@\n..." }
+ *   { path, type: "create", code }
+ *   { path, type: "delete" }
+ */
+
+// Normalize a workspace path to the "/path" keys fileData uses
+export function toWorkspacePath(filePath) {
+  return "/" + String(filePath).replace(/\\/g, "/").replace(/^(\.\/|\/)+/, "");
+}
+
+// Count the occurrences of a string
+function countOccurrences(text, search) {
+  let count = 0;
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(search, index + search.length);
+  }
+  return count;
+}
+
+// Lines without trailing whitespace, for a tolerant second match
+function trimLineEnds(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/\s+$/, ""))
+    .join("\n");
+}
+
+/**
+ * Apply search/replace edits in order. Each search must match exactly once;
+ * if it does not match verbatim, trailing whitespace is ignored.
+ * @param {string} code - Current file contents
+ * @param {Array<Object>} edits - [{ search, replace }]
+ * @returns {string} - New contents
+ */
+export function applySearchReplace(code, edits) {
+  let result = code.replace(/\r\n/g, "\n");
+
+  edits.forEach((edit, i) => {
+    const search = String(edit.search ?? "").replace(/\r\n/g, "\n");
+    const replace = String(edit.replace ?? "").replace(/\r\n/g, "\n");
+
+    if (!search) {
+      throw new Error(`Edit ${i + 1} has an empty search block`);
+    }
+
+    const count = countOccurrences(result, search);
+    if (count === 0) {
+      // Models often get trailing whitespace wrong; the file loses it too
+      const trimmed = trimLineEnds(result);
+      const trimmedSearch = trimLineEnds(search);
+      if (countOccurrences(trimmed, trimmedSearch) === 1) {
+        result = trimmed.replace(trimmedSearch, () => replace);
+        return;
+      }
+    }
+
+    if (count === 0) {
+      throw new Error(`Edit ${i + 1}: search block not found`);
+    }
+    if (count > 1) {
+      throw new Error(
+        `Edit ${i + 1}: search block matches ${count} times, include more context`
+      );
+    }
+
+    // A function replacement keeps "$" sequences in the code literal
+    result = result.replace(search, () => replace);
+  });
+
+  return result;
+}
+
+// Parse the hunks of a unified diff
+function parseHunks(diff) {
+  const hunks = [];
+  let hunk = null;
+
+  const lines = String(diff).replace(/\r\n/g, "\n").split("\n");
+  // The newline ending the diff does not start another (blank context) line
+  if (lines[lines.length - 1] === "") lines.pop();
+
+  for (const line of lines) {
+    const header = /^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/.exec(line);
+    if (header) {
+      hunk = { start: Number(header[1]), oldLines: [], newLines: [] };
+      hunks.push(hunk);
+      continue;
+    }
+    if (!hunk || line.startsWith("---") || line.startsWith("+++")) continue;
+    if (line.startsWith("\\")) continue; // "\ No newline at end of file"
+
+    const marker = line[0];
+    const content = line.slice(1);
+    if (marker === " " || line === "") {
+      hunk.oldLines.push(content);
+      hunk.newLines.push(content);
+    } else if (marker === "-") {
+      hunk.oldLines.push(content);
+    } else if (marker === "+") {
+      hunk.newLines.push(content);
+    }
+  }
+
+  return hunks;
+}
+
+// Index of `needle` lines in `lines`, trying the expected position first
+function findLines(lines, needle, expected, from) {
+  const matchesAt = (index) =>
+    needle.every((line, offset) => lines[index + offset] === line);
+
+  if (expected >= from && matchesAt(expected)) return expected;
+
+  // Search outward from the expected position, since earlier edits shift lines
+  const last = lines.length - needle.length;
+  for (let distance = 1; distance <= lines.length; distance++) {
+    for (const index of [expected - distance, expected + distance]) {
+      if (index >= from && index <= last && matchesAt(index)) return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Apply a unified diff. Hunks are located by their context, so line
+ * numbers that are slightly off still apply.
+ * @param {string} code - Current file contents
+ * @param {string} diff - Unified diff of this file
+ * @returns {string} - New contents
+ */
+export function applyUnifiedDiff(code, diff) {
+  const hunks = parseHunks(diff);
+  if (hunks.length === 0) {
+    throw new Error("Diff has no hunks");
+  }
+
+  const lines = code.replace(/\r\n/g, "\n").split("\n");
+  let from = 0;
+
+  hunks.forEach((hunk, i) => {
+    // A hunk without old lines inserts at its start line
+    const index = hunk.oldLines.length
+      ? findLines(lines, hunk.oldLines, hunk.start - 1, from)
+      : Math.min(hunk.start, lines.length);
+
+    if (index === -1) {
+      throw new Error(`Hunk ${i + 1} does not match the current file`);
+    }
+
+    lines.splice(index, hunk.oldLines.length, ...hunk.newLines);
+    from = index + hunk.newLines.length;
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Apply file patches to workspace files
+ * @param {Object} fileData - Current files keyed by path, values { code }
+ * @param {Array<Object>} patches - Patches (see top of file)
+ * @returns {Object} - { files, deleted, errors } where files holds only the
+ *   changed files, deleted lists removed paths and errors is
+ *   [{ path, message }] for patches that could not be applied
+ */
+export function applyPatches(fileData, patches) {
+  const files = {};
+  const deleted = [];
+  const errors = [];
+
+  for (const patch of patches || []) {
+    if (!patch?.path) {
+      errors.push({ path: null, message: "Patch without a path" });
+      continue;
+    }
+
+    const filePath = toWorkspacePath(patch.path);
+    const current = deleted.includes(filePath)
+      ? undefined
+      : files[filePath]?.code ?? fileData[filePath]?.code;
+
+    try {
+      let code;
+      switch (patch.type) {
+        case "create":
+          code = String(patch.code ?? "");
+          break;
+        case "delete":
+          if (current === undefined) throw new Error("File does not exist");
+          delete files[filePath];
+          deleted.push(filePath);
+          continue;
+        case "diff":
+          if (current === undefined) throw new Error("File does not exist");
+          code = applyUnifiedDiff(current, patch.diff);
+          break;
+        case "replace":
+          if (current === undefined) throw new Error("File does not exist");
+          code = applySearchReplace(current, patch.edits || []);
+          break;
+        default:
+          throw new Error(`Unknown patch type "${patch.type}"`);
+      }
+
+      if (code !== current) {
+        files[filePath] = { code };
+        const deletedIndex = deleted.indexOf(filePath);
+        if (deletedIndex !== -1) deleted.splice(deletedIndex, 1);
+      }
+    } catch (error) {
+      errors.push({ path: filePath, message: error.message });
+    }
+  }
+
+  return { files, deleted, errors };
+}
+
+// Extensions tried when resolving an import without one
+const IMPORT_EXTENSIONS = ["", ".js", ".jsx", ".ts", ".tsx", ".json", ".css"];
+
+/**
+ * Find relative imports of the given files that point to no workspace file
+ * @param {Object} fileData - All files after the edit
+ * @param {Array<string>} filePaths - Files to check
+ * @returns {Array<Object>} - [{ path, message }]
+ */
+export function findMissingImports(fileData, filePaths) {
+  const problems = [];
+  const importPattern =
+    /(?:import\s[^'"]*?from\s*|import\s*\(\s*|import\s+|require\(\s*)["'](\.{1,2}\/[^"']+)["']/g;
+
+  for (const filePath of filePaths) {
+    const code = fileData[filePath]?.code;
+    if (typeof code !== "string" || !/\.(jsx?|tsx?)$/.test(filePath)) continue;
+
+    const dir = filePath.slice(0, filePath.lastIndexOf("/"));
+    for (const [, specifier] of code.matchAll(importPattern)) {
+      const segments = `${dir}/${specifier}`.split("/");
+      const resolved = [];
+      for (const segment of segments) {
+        if (segment === "..") resolved.pop();
+        else if (segment && segment !== ".") resolved.push(segment);
+      }
+      const target = "/" + resolved.join("/");
+
+      const exists = IMPORT_EXTENSIONS.some(
+        (extension) =>
+          fileData[target + extension] ||
+          (extension && fileData[`${target}/index${extension}`])
+      );
+      if (!exists) {
+        problems.push({
+          path: filePath,
+          message: `Import "${specifier}" does not resolve to a workspace file`,
+        });
+      }
+    }
+  }
+
+  return problems;
+}
@@ -19,6 +19,14 @@ const ComputerControl = require("./ComputerControl");
 const EventEmitter = require("./EventEmitter");
 const Plan = require("./Plan");
 const LLMService = require("./LLMService");
+const VectorStore = require("./VectorStore");
+const DeploymentManager = require("./DeploymentManager");
+const CommandSandbox = require("./CommandSandbox");
+const ApprovalGate = require("./ApprovalGate");
+const EditJournal = require("./EditJournal");
+const TextEditor = require("./TextEditor");
+const WorkspaceSnapshots = require("./WorkspaceSnapshots");
+const VisualQA = require("./VisualQA");
 
 // Export all modules
 module.exports = {
@@ -36,6 +44,14 @@ module.exports = {
   EventEmitter,
   Plan,
   LLMService,
+  VectorStore,
+  DeploymentManager,
+  CommandSandbox,
+  ApprovalGate,
+  EditJournal,
+  TextEditor,
+  WorkspaceSnapshots,
+  VisualQA,
 };
 
 /**
@@ -97,10 +113,13 @@ module.exports.createAgent = (config = {}) => {
 
   // Create core modules
   const planningModule = new PlanningModule(config.llmService, {
+    memory,
+    longTermMemoryTokens: config.planning?.longTermMemoryTokens,
     logger,
   });
   
   const executionModule = new ExecutionModule(config.llmService, {
+    ...config.execution,
     browserInterface,
     fileSystem,
     computerControl,
@@ -124,7 +143,9 @@ module.exports.createAgent = (config = {}) => {
   });
   
   const codeGenerationModule = new CodeGenerationModule(config.llmService, {
+    ...config.codeGeneration,
     fileSystem,
+    browserInterface,
     logger,
   });
 
@@ -0,0 +1,47 @@
+// lib/usageTracking.js
+// Records provider-reported token usage and debits the user's balance
+
+import mongoose from "mongoose";
+import connectToDatabase from "./mongodb";
+import UsageRecord from "../models/UsageRecord";
+import User from "../models/User";
+import Workspace from "../models/Workspace";
+
+/**
+ * Store a usage record and debit the user, never throwing into the request
+ * @param {Object} entry - { userId, workspaceId, taskId, source, provider, model, usage }
+ * @returns {Promise<Object|null>} - { record, balance } or null on failure
+ */
+export async function recordUsage(entry) {
+  try {
+    await connectToDatabase();
+    return await UsageRecord.recordUsage(entry);
+  } catch (error) {
+    console.error("Failed to record token usage:", error);
+    return null;
+  }
+}
+
+/**
+ * Find the user a workspace's usage is billed to, and their balance.
+ * Usage is always billed to the workspace owner, never to a user ID sent by
+ * the client.
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} - { userId, balance }, or null if the
+ *   workspace does not exist
+ */
+export async function getBillingAccount(workspaceId) {
+  if (!workspaceId || !mongoose.Types.ObjectId.isValid(workspaceId)) {
+    return null;
+  }
+
+  await connectToDatabase();
+  const workspace = await Workspace.findById(workspaceId, { user: 1 }).lean();
+  if (!workspace) return null;
+
+  const user = mongoose.Types.ObjectId.isValid(workspace.user)
+    ? await User.findById(workspace.user, { token: 1 }).lean()
+    : null;
+
+  return { userId: workspace.user, balance: user ? user.token || 0 : 0 };
+}
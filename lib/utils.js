@@ -4,3 +4,57 @@ import { twMerge } from "tailwind-merge"
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
+
+/**
+ * Turn an async iterable of text chunks into a ReadableStream for a chunked
+ * HTTP response. Iteration stops when the client disconnects.
+ * @param {AsyncIterable<string>} chunks - Text chunks
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createTextStream(chunks) {
+  const encoder = new TextEncoder();
+  const iterator = chunks[Symbol.asyncIterator]();
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (done) {
+          controller.close();
+        } else if (value) {
+          controller.enqueue(encoder.encode(value));
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+}
+
+/**
+ * Read a chunked text response, calling `onChunk` with each decoded chunk
+ * and the text received so far
+ * @param {Response} response - fetch response
+ * @param {Function} onChunk - (chunk, text) => void
+ * @returns {Promise<string>} - The full text
+ */
+export async function readTextStream(response, onChunk) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    const chunk = decoder.decode(value, { stream: true });
+    text += chunk;
+    onChunk?.(chunk, text);
+  }
+
+  text += decoder.decode();
+  return text;
+}
@@ -0,0 +1,265 @@
+/**
+ * Import existing projects (a zip upload or a local directory) into the
+ * workspace `fileData` shape used by CodeView and Sandpack:
+ * { "/path/to/file.js": { code } }
+ */
+import fs from "fs";
+import path from "path";
+import { readZip } from "./zip.js";
+
+// Directories that never belong in a workspace
+const SKIPPED_DIRS = [
+  "node_modules",
+  ".git",
+  ".next",
+  ".nuxt",
+  ".svelte-kit",
+  ".turbo",
+  ".cache",
+  "dist",
+  "build",
+  "out",
+  "coverage",
+  "__MACOSX",
+];
+
+// Generated files that are large and useless to the editor
+const SKIPPED_FILES = [
+  "package-lock.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  ".DS_Store",
+  "Thumbs.db",
+];
+
+const BINARY_EXTENSIONS = new Set([
+  ".png", ".jpg", ".jpeg", ".gif", ".webp", ".ico", ".bmp", ".avif", ".tiff",
+  ".woff", ".woff2", ".ttf", ".otf", ".eot",
+  ".mp3", ".mp4", ".wav", ".ogg", ".webm", ".mov",
+  ".pdf", ".zip", ".gz", ".tgz", ".tar", ".7z", ".rar",
+  ".exe", ".dll", ".so", ".dylib", ".bin", ".wasm", ".node",
+]);
+
+// Entry files of common project layouts, the Sandpack template's own first
+const SANDPACK_ENTRIES = [
+  "/index.js",
+  "/src/index.js",
+  "/src/index.jsx",
+  "/src/index.tsx",
+  "/src/main.jsx",
+  "/src/main.tsx",
+];
+
+export const IMPORT_LIMITS = {
+  maxFileSize: 256 * 1024,
+  maxFiles: 500,
+  maxTotalSize: 5 * 1024 * 1024,
+};
+
+// Why a path is skipped before its contents are read, or null
+function skipReason(filePath, size, limits) {
+  const segments = filePath.split("/");
+  const name = segments[segments.length - 1];
+
+  if (segments.slice(0, -1).some((segment) => SKIPPED_DIRS.includes(segment))) {
+    return "ignored directory";
+  }
+  // Dotfiles and dot-directories hold credentials and tool state (.env,
+  // .ssh, .aws, .npmrc), not project code
+  if (segments.some((segment) => segment.startsWith("."))) {
+    return "hidden";
+  }
+  if (SKIPPED_FILES.includes(name)) {
+    return "ignored file";
+  }
+  if (BINARY_EXTENSIONS.has(path.extname(name).toLowerCase())) {
+    return "binary";
+  }
+  if (size > limits.maxFileSize) {
+    return "too large";
+  }
+  return null;
+}
+
+// Files with a NUL byte in their first 8 KB are treated as binary
+function isBinaryContent(data) {
+  return data.subarray(0, 8192).includes(0);
+}
+
+// Drop a directory every path starts with (archives usually wrap the project in one)
+function stripCommonRoot(entries) {
+  const roots = new Set(entries.map((entry) => entry.path.split("/")[0]));
+  if (roots.size !== 1 || entries.some((entry) => !entry.path.includes("/"))) {
+    return entries;
+  }
+
+  const root = [...roots][0];
+  return entries.map((entry) => ({
+    ...entry,
+    path: entry.path.slice(root.length + 1),
+  }));
+}
+
+/**
+ * Turn candidate files into workspace fileData, applying the limits
+ * @param {Array<Object>} entries - { path, size, read } where read() returns a Buffer
+ * @param {Object} limits - Import limits
+ * @returns {Object} - { fileData, skipped: [{ path, reason }] }
+ */
+function collectFiles(entries, limits) {
+  const fileData = {};
+  const skipped = [];
+  let fileCount = 0;
+  let totalSize = 0;
+
+  for (const entry of entries) {
+    const filePath = entry.path.replace(/^\/+/, "");
+    let reason = skipReason(filePath, entry.size, limits);
+
+    if (!reason && fileCount >= limits.maxFiles) reason = "file limit reached";
+    if (!reason && totalSize + entry.size > limits.maxTotalSize) {
+      reason = "size limit reached";
+    }
+
+    let data = null;
+    if (!reason) {
+      data = entry.read();
+      if (isBinaryContent(data)) reason = "binary";
+    }
+
+    if (reason) {
+      skipped.push({ path: filePath, reason });
+      continue;
+    }
+
+    fileData[`/${filePath}`] = { code: data.toString("utf8") };
+    fileCount++;
+    totalSize += data.length;
+  }
+
+  return { fileData, skipped };
+}
+
+/**
+ * Read a zip archive into workspace fileData
+ * @param {Buffer} buffer - The archive
+ * @param {Object} limits - Overrides of IMPORT_LIMITS
+ * @returns {Object} - { fileData, skipped }
+ */
+export function filesFromZip(buffer, limits = {}) {
+  return collectFiles(stripCommonRoot(readZip(buffer)), {
+    ...IMPORT_LIMITS,
+    ...limits,
+  });
+}
+
+/**
+ * Directories local imports may read from, as a comma-separated list in
+ * WORKSPACE_IMPORT_ROOTS. Directory import is off without it.
+ */
+export function allowedImportRoots() {
+  return (process.env.WORKSPACE_IMPORT_ROOTS || "")
+    .split(",")
+    .map((root) => root.trim())
+    .filter(Boolean)
+    .map((root) => path.resolve(root));
+}
+
+/**
+ * Read a local project directory into workspace fileData
+ * @param {string} directory - Absolute path of the project
+ * @param {Object} limits - Overrides of IMPORT_LIMITS
+ * @returns {Object} - { fileData, skipped }
+ */
+export function filesFromDirectory(directory, limits = {}) {
+  const merged = { ...IMPORT_LIMITS, ...limits };
+  const root = fs.realpathSync(path.resolve(directory));
+
+  const allowed = allowedImportRoots().some(
+    (allowedRoot) => root === allowedRoot || root.startsWith(allowedRoot + path.sep)
+  );
+  if (!allowed) {
+    throw new Error(`Importing from ${root} is not allowed`);
+  }
+  if (!fs.statSync(root).isDirectory()) {
+    throw new Error(`Not a directory: ${root}`);
+  }
+
+  const entries = [];
+  const walk = (relativeDir) => {
+    for (const dirent of fs.readdirSync(path.join(root, relativeDir), {
+      withFileTypes: true,
+    })) {
+      const relative = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+
+      // Symlinks are skipped, so nothing outside the allowed roots is read
+      if (dirent.isDirectory()) {
+        if (!SKIPPED_DIRS.includes(dirent.name) && !dirent.name.startsWith(".")) {
+          walk(relative);
+        }
+      } else if (dirent.isFile()) {
+        const absolute = path.join(root, relative);
+        entries.push({
+          path: relative,
+          size: fs.statSync(absolute).size,
+          read: () => fs.readFileSync(absolute),
+        });
+      }
+    }
+  };
+  walk("");
+
+  return collectFiles(entries, merged);
+}
+
+/**
+ * Detect the framework of imported files
+ * @param {Object} fileData - Workspace files
+ * @returns {Promise<string>} - Framework name
+ */
+export async function detectFramework(fileData) {
+  const { default: CodeGenerationModule } = await import("./CodeGenerationModule");
+
+  let packageJson = null;
+  try {
+    packageJson = fileData["/package.json"]
+      ? JSON.parse(fileData["/package.json"].code)
+      : null;
+  } catch (error) {
+    packageJson = null;
+  }
+
+  return CodeGenerationModule.detectFramework({
+    packageJson,
+    files: Object.keys(fileData),
+  });
+}
+
+/**
+ * Point Sandpack at the project's entry file when it is not the template's
+ * /index.js (e.g. a Vite project with src/main.jsx)
+ * @param {Object} fileData - Workspace files
+ * @returns {Object} - fileData, with package.json "main" set when needed
+ */
+export function withSandpackEntry(fileData) {
+  const entry = SANDPACK_ENTRIES.find((candidate) => fileData[candidate]);
+  if (!entry || entry === "/index.js") return fileData;
+
+  let packageJson = {};
+  try {
+    packageJson = fileData["/package.json"]
+      ? JSON.parse(fileData["/package.json"].code)
+      : {};
+  } catch (error) {
+    return fileData;
+  }
+  if (packageJson.main) return fileData;
+
+  return {
+    ...fileData,
+    "/package.json": {
+      code: `${JSON.stringify({ ...packageJson, main: entry }, null, 2)}\n`,
+    },
+  };
+}
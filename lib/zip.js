@@ -0,0 +1,183 @@
+/**
+ * Minimal zip archive support: a writer that streams one entry at a time
+ * and a reader for uploaded archives
+ */
+import zlib from "zlib";
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// CRC-32 checksum of a buffer, as stored in zip headers
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date and time in MS-DOS format
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+/**
+ * Create a zip archive as a stream. Entries are compressed one by one as the
+ * stream is read, so only one file is held in compressed form at a time.
+ * @param {Array<Object>} files - Entries as { path, code } (string or Buffer)
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createZipStream(files) {
+  const { time, date } = dosDateTime(new Date());
+  const centralDirectory = [];
+  let offset = 0;
+  let index = 0;
+
+  return new ReadableStream({
+    pull(controller) {
+      if (index < files.length) {
+        const file = files[index++];
+        const name = Buffer.from(file.path.replace(/^\/+/, ""), "utf8");
+        const data = Buffer.isBuffer(file.code)
+          ? file.code
+          : Buffer.from(String(file.code ?? ""), "utf8");
+        const compressed = zlib.deflateRawSync(data);
+        // Deflate can grow data that does not compress; store it instead
+        const stored = compressed.length >= data.length;
+        const body = stored ? data : compressed;
+        const checksum = crc32(data);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4); // version needed to extract
+        header.writeUInt16LE(0x0800, 6); // names are UTF-8
+        header.writeUInt16LE(stored ? 0 : 8, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(checksum, 14);
+        header.writeUInt32LE(body.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(name.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE((3 << 8) | 20, 4); // made by Unix, so attributes apply
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(0x0800, 8);
+        entry.writeUInt16LE(stored ? 0 : 8, 10);
+        entry.writeUInt16LE(time, 12);
+        entry.writeUInt16LE(date, 14);
+        entry.writeUInt32LE(checksum, 16);
+        entry.writeUInt32LE(body.length, 20);
+        entry.writeUInt32LE(data.length, 24);
+        entry.writeUInt16LE(name.length, 28);
+        entry.writeUInt32LE((0o100644 << 16) >>> 0, 38); // regular file, rw-r--r--
+        entry.writeUInt32LE(offset, 42);
+        centralDirectory.push(Buffer.concat([entry, name]));
+
+        const chunk = Buffer.concat([header, name, body]);
+        offset += chunk.length;
+        controller.enqueue(new Uint8Array(chunk));
+        return;
+      }
+
+      const directory = Buffer.concat(centralDirectory);
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(centralDirectory.length, 8);
+      end.writeUInt16LE(centralDirectory.length, 10);
+      end.writeUInt32LE(directory.length, 12);
+      end.writeUInt32LE(offset, 16);
+
+      controller.enqueue(new Uint8Array(Buffer.concat([directory, end])));
+      controller.close();
+    },
+  });
+}
+
+/**
+ * Read the entries of a zip archive. Entries are only decompressed when
+ * their `read()` is called, so skipped files cost nothing.
+ * @param {Buffer} buffer - The archive
+ * @returns {Array<Object>} - Files as { path, size, read } where read()
+ *   returns the contents as a Buffer
+ */
+export function readZip(buffer) {
+  // The end of central directory record is within the last 64 KB + 22 bytes
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error("Not a zip archive");
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error("Zip64 archives are not supported");
+  }
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("Corrupt zip central directory");
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const filePath = buffer
+      .subarray(offset + 46, offset + 46 + nameLength)
+      .toString("utf8")
+      .replace(/\\/g, "/");
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (filePath.endsWith("/")) continue;
+
+    const read = () => {
+      if (buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+        throw new Error(`Corrupt zip entry: ${filePath}`);
+      }
+      const dataStart =
+        localOffset +
+        30 +
+        buffer.readUInt16LE(localOffset + 26) +
+        buffer.readUInt16LE(localOffset + 28);
+      const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) return Buffer.from(raw);
+      if (method === 8) {
+        // Never inflate past the declared size (zip bombs lie about it)
+        return zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+      }
+      throw new Error(`Unsupported compression method ${method} for ${filePath}`);
+    };
+
+    entries.push({ path: filePath, size, read });
+  }
+
+  return entries;
+}
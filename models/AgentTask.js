@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+
+export const AGENT_TASK_STATUSES = [
+  "starting",
+  "running",
+  "completed",
+  "error",
+  "stopped",
+  "interrupted",
+];
+
+// Statuses of a task that is still being worked on by some process
+export const IN_FLIGHT_STATUSES = ["starting", "running"];
+
+const AgentTaskSchema = new mongoose.Schema({
+  taskId: {
+    type: String,
+    required: true,
+    unique: true, // This sets an index automatically
+  },
+  agentId: {
+    type: String,
+  },
+  sessionId: {
+    type: String,
+  },
+  // User and workspace the task's token usage is billed to
+  userId: {
+    type: String,
+  },
+  workspaceId: {
+    type: String,
+  },
+  task: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: AGENT_TASK_STATUSES,
+    default: "starting",
+  },
+  progress: {
+    type: Number,
+    default: 0,
+  },
+  message: {
+    type: String,
+  },
+  iterations: {
+    type: Number,
+    default: 0,
+  },
+  maxIterations: {
+    type: Number,
+  },
+  history: {
+    type: mongoose.Schema.Types.Mixed,
+    default: [],
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  error: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Token usage totals reported by the LLM provider
+  usage: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Last saved agent loop state (messages, iteration counter, tool results)
+  checkpoint: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // ID of the server process running the task, used to detect orphaned tasks
+  bootId: {
+    type: String,
+  },
+  lastActivity: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AgentTaskSchema.index({ status: 1, bootId: 1 });
+
+AgentTaskSchema.pre("findOneAndUpdate", function () {
+  this.set({ updatedAt: new Date() });
+});
+
+/**
+ * Mark tasks left in flight by other (exited) processes as interrupted.
+ * A task only counts as orphaned once it has been idle for `staleAfterMs`,
+ * so tasks owned by a live sibling worker are left alone; callers repeat
+ * this periodically to catch tasks that were orphaned only recently.
+ */
+AgentTaskSchema.statics.markInterrupted = async function (
+  currentBootId,
+  staleAfterMs = 2 * 60 * 1000
+) {
+  const now = new Date();
+
+  return this.updateMany(
+    {
+      status: { $in: IN_FLIGHT_STATUSES },
+      bootId: { $ne: currentBootId },
+      lastActivity: { $lt: new Date(now.getTime() - staleAfterMs) },
+    },
+    {
+      $set: {
+        status: "interrupted",
+        message: "Task was interrupted because the server process exited",
+        updatedAt: now,
+      },
+    }
+  );
+};
+
+// Use mongoose.models to prevent model recompilation error
+const AgentTask =
+  mongoose.models.AgentTask || mongoose.model("AgentTask", AgentTaskSchema);
+
+export default AgentTask;
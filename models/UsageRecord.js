@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+import User from "./User";
+
+export const USAGE_SOURCES = ["chat", "code", "agent", "other"];
+
+const UsageRecordSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+  },
+  workspaceId: {
+    type: String,
+  },
+  // Agent task the usage belongs to, if any
+  taskId: {
+    type: String,
+  },
+  source: {
+    type: String,
+    enum: USAGE_SOURCES,
+    default: "other",
+  },
+  provider: {
+    type: String,
+  },
+  model: {
+    type: String,
+  },
+  // Input tokens not served from the provider's prompt cache
+  inputTokens: {
+    type: Number,
+    default: 0,
+  },
+  outputTokens: {
+    type: Number,
+    default: 0,
+  },
+  cacheCreationInputTokens: {
+    type: Number,
+    default: 0,
+  },
+  cacheReadInputTokens: {
+    type: Number,
+    default: 0,
+  },
+  totalTokens: {
+    type: Number,
+    default: 0,
+  },
+  // Tokens debited from the user's balance for this record
+  debited: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+UsageRecordSchema.index({ userId: 1, createdAt: -1 });
+UsageRecordSchema.index({ workspaceId: 1, createdAt: -1 });
+UsageRecordSchema.index({ taskId: 1 });
+
+/**
+ * Store a usage record and debit its tokens from the user's balance.
+ * The debit is a single update that clamps the balance at zero, so
+ * concurrent requests cannot lose updates or overdraw the user.
+ * @param {Object} entry - { userId, workspaceId, taskId, source, provider, model, usage }
+ *   where usage is { inputTokens, outputTokens, cacheCreationInputTokens, cacheReadInputTokens }
+ * @returns {Promise<Object>} - { record, balance } (balance is null without a user)
+ */
+UsageRecordSchema.statics.recordUsage = async function (entry) {
+  const usage = entry.usage || {};
+  const tokens = {
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    cacheCreationInputTokens: usage.cacheCreationInputTokens || 0,
+    cacheReadInputTokens: usage.cacheReadInputTokens || 0,
+  };
+  const totalTokens =
+    tokens.inputTokens +
+    tokens.outputTokens +
+    tokens.cacheCreationInputTokens +
+    tokens.cacheReadInputTokens;
+
+  let balance = null;
+  let debited = 0;
+
+  if (entry.userId && mongoose.Types.ObjectId.isValid(entry.userId)) {
+    const previous = await User.findOneAndUpdate(
+      { _id: entry.userId },
+      [
+        {
+          $set: {
+            token: {
+              $max: [0, { $subtract: [{ $ifNull: ["$token", 0] }, totalTokens] }],
+            },
+            updatedAt: new Date(),
+          },
+        },
+      ],
+      { new: false, projection: { token: 1 } }
+    );
+
+    if (previous) {
+      const before = Math.max(previous.token || 0, 0);
+      debited = Math.min(before, totalTokens);
+      balance = before - debited;
+    }
+  }
+
+  const record = await this.create({
+    userId: entry.userId,
+    workspaceId: entry.workspaceId,
+    taskId: entry.taskId,
+    source: entry.source,
+    provider: entry.provider,
+    model: entry.model,
+    ...tokens,
+    totalTokens,
+    debited,
+  });
+
+  return { record, balance };
+};
+
+// Use mongoose.models to prevent model recompilation error
+const UsageRecord =
+  mongoose.models.UsageRecord ||
+  mongoose.model("UsageRecord", UsageRecordSchema);
+
+export default UsageRecord;
@@ -13,6 +13,11 @@ const WorkspaceSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Framework of imported projects (see /api/workspaces/[id]/import)
+  framework: {
+    type: String,
+    default: null,
+  },
   createdAt: {
     type: Number,
     default: () => Date.now(),